@@ -2,10 +2,25 @@
 // Service worker for Chrome extension
 // Handles background tasks and persistent state
 
+importScripts(
+  'lib/db.js',
+  'lib/image-cache.js',
+  'lib/image-palette.js',
+  'lib/image-hash.js',
+  'lib/vault-store.js',
+  'lib/vault-duplicates.js',
+  'lib/vault-collections.js',
+  'lib/screen-text.js',
+  'lib/search-query.js',
+  'lib/library-search.js',
+  'lib/vault-storage.js',
+  'lib/scan-sessions.js',
+  'lib/scan-queue.js'
+);
+
 // Configuration constants
 const CONFIG = {
-  NOTIFICATION_DURATION: 3000,
-  MAX_STORAGE_SIZE_MB: 4.5 // Leave some buffer from 5MB limit
+  NOTIFICATION_DURATION: 3000
 };
 
 // Listen for installation
@@ -16,27 +31,146 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.tabs.create({ url: 'dashboard.html' });
   } else if (details.reason === 'update') {
     console.log('Mobbin Vault updated to version', chrome.runtime.getManifest().version);
+    migrateLegacyData();
   }
 });
 
+// Catch anything left over if the update event was missed
+chrome.runtime.onStartup.addListener(() => {
+  migrateLegacyData();
+});
+
+// Apply the storage policy once a day, e.g. to evict apps not opened lately
+const STORAGE_POLICY_ALARM = 'storage-policy';
+
+chrome.alarms.get(STORAGE_POLICY_ALARM).then(alarm => {
+  if (!alarm) chrome.alarms.create(STORAGE_POLICY_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === STORAGE_POLICY_ALARM) enforceStoragePolicy();
+  ScanQueue.handleAlarm(alarm);
+});
+
+// Scans live here so they outlast the popup; reloaded tabs resume
+ScanSessions.init({ onChange: broadcastScanChanged }).catch(error => {
+  console.error('Failed to load scan sessions:', error);
+});
+
+// Resume the batch scan queue whenever the service worker starts, be it
+// at browser startup, for a retry alarm or any other event
+ScanQueue.init({
+  onChange: broadcastQueueChanged,
+  onFinished: (counts) => {
+    const message = counts.failed > 0
+      ? `Batch scan finished: ${counts.done} saved, ${counts.failed} failed`
+      : `Batch scan finished: ${counts.done} apps saved`;
+    showNotification(message, counts.failed > 0 ? 'warning' : 'success');
+  }
+}).catch(error => {
+  console.error('Failed to load scan queue:', error);
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'update_progress') {
-    // Forward progress updates (handled by popup.js)
+    // Batch scans also show progress on their job
+    if (sender.tab) {
+      ScanSessions.handleProgress(sender.tab.id, request);
+      ScanQueue.handleProgress(sender.tab.id, request.text);
+    }
     return false;
   }
+
+  if (request.action === 'scan_finished') {
+    if (sender.tab) ScanSessions.handleFinished(sender.tab.id, request.result);
+    return false;
+  }
+
+  if (request.action === 'scan_start') {
+    ScanSessions.start(request.tabId, request.options || {})
+      .then(session => sendResponse({ status: 'success', session }))
+      .catch(error => sendResponse({ status: 'error', message: error.message }));
+    return true; // Async response
+  }
+
+  if (request.action === 'scan_get') {
+    ScanSessions.get(request.tabId).then(session => sendResponse({ session }));
+    return true; // Async response
+  }
   
   if (request.action === 'show_notification') {
     showNotification(request.message, request.type || 'info');
     return false;
   }
   
+  if (request.action === 'save_app') {
+    saveApp(request.app, request.screens || [], request.flows || null).then(sendResponse);
+    return true; // Async response
+  }
+
+  if (request.action === 'save_capture') {
+    saveCapture(request.name, request.apps || []).then(sendResponse);
+    return true; // Async response
+  }
+
+  if (request.action === 'cache_images') {
+    queueImageCache(request.appId, request.urls || []);
+    sendResponse({ status: 'queued' });
+    return false;
+  }
+
+  if (request.action === 'queue_get') {
+    ScanQueue.whenReady().then(() => sendResponse(ScanQueue.getState()));
+    return true; // Async response
+  }
+
+  if (request.action === 'queue_add') {
+    ScanQueue.addUrls(request.urls || []).then(sendResponse);
+    return true; // Async response
+  }
+
+  if (request.action === 'queue_remove') {
+    ScanQueue.remove(request.jobId).then(() => sendResponse({ status: 'ok' }));
+    return true; // Async response
+  }
+
+  if (request.action === 'queue_retry') {
+    ScanQueue.retry(request.jobId).then(() => sendResponse({ status: 'ok' }));
+    return true; // Async response
+  }
+
+  if (request.action === 'queue_clear_finished') {
+    ScanQueue.clearFinished().then(() => sendResponse({ status: 'ok' }));
+    return true; // Async response
+  }
+
+  if (request.action === 'queue_settings') {
+    Promise.all([
+      request.concurrency !== undefined ? ScanQueue.setConcurrency(request.concurrency) : null,
+      request.paused !== undefined ? ScanQueue.setPaused(request.paused) : null
+    ]).then(() => sendResponse(ScanQueue.getState()));
+    return true; // Async response
+  }
+
   if (request.action === 'check_storage') {
     checkStorageSize().then(result => {
       sendResponse(result);
     });
     return true; // Async response
   }
+
+  if (request.action === 'open_selector_settings') {
+    chrome.tabs.create({ url: 'dashboard.html#selectors' });
+    return false;
+  }
+
+  if (request.action === 'check_scan_space') {
+    VaultStorage.estimateScan(request.appCount || 1)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Async response
+  }
 });
 
 // Show notification helper
@@ -50,25 +184,289 @@ function showNotification(message, type = 'info') {
   
   chrome.notifications.create({
     type: 'basic',
-    iconUrl: 'icon128.png',
+    iconUrl: 'icons/icon128.png',
     title: 'Mobbin Vault',
     message: `${iconMap[type] || ''} ${message}`,
     priority: 2
   });
 }
 
-// Check storage usage
+// Save a scraped app to the vault, then cache its images
+async function saveApp(appData, screens, flows) {
+  try {
+    const { app, isUpdate, changes } = await VaultStore.saveApp(appData, screens, flows);
+
+    // Flow steps may include screens missing from the main list
+    const urls = new Set(screens.map(screen => typeof screen === 'string' ? screen : screen.url));
+    (flows || []).forEach(flow => flow.steps.forEach(step => urls.add(step.url)));
+    queueImageCache(app.id, Array.from(urls));
+    broadcastVaultChanged(app.id);
+
+    return { status: 'success', appId: app.id, isUpdate, changes };
+  } catch (error) {
+    console.error('Failed to save app:', error);
+
+    if (error.name === 'QuotaExceededError') {
+      return { status: 'error', message: 'Storage quota exceeded. Try clearing some apps first.' };
+    }
+
+    return { status: 'error', message: `Failed to save: ${error.message}` };
+  }
+}
+
+// Save screens from a page listing many apps under their own apps, and
+// group them in a new collection
+async function saveCapture(name, captured) {
+  try {
+    const collection = await VaultCollections.createCollection(name);
+    const items = [];
+
+    for (const { app: appData, screens } of captured) {
+      const { app } = await VaultStore.addScreens(appData, screens);
+      screens.forEach(screen => items.push({
+        type: 'screen',
+        itemId: VaultStore.screenId(app.id, screen.url),
+        appId: app.id
+      }));
+      queueImageCache(app.id, screens.map(screen => screen.url));
+    }
+
+    await VaultCollections.addItems(collection.id, items);
+    broadcastVaultChanged(null);
+
+    return { status: 'success', collectionId: collection.id, collectionName: collection.name };
+  } catch (error) {
+    console.error('Failed to save capture:', error);
+
+    if (error.name === 'QuotaExceededError') {
+      return { status: 'error', message: 'Storage quota exceeded. Try clearing some apps first.' };
+    }
+
+    return { status: 'error', message: `Failed to save: ${error.message}` };
+  }
+}
+
+// Move data from the old chrome.storage.local layout
+async function migrateLegacyData() {
+  try {
+    await VaultStore.migrateLegacy();
+  } catch (error) {
+    console.error('Failed to migrate legacy data:', error);
+  }
+}
+
+// Let open dashboards refresh after the vault changes
+function broadcastVaultChanged(appId) {
+  chrome.runtime.sendMessage({ action: 'vault_changed', appId }).catch(() => {
+    // No dashboard open
+  });
+}
+
+// Let an open popup follow its tab's scan
+function broadcastScanChanged(session) {
+  chrome.runtime.sendMessage({ action: 'scan_changed', session }).catch(() => {
+    // No popup open
+  });
+}
+
+// Let the queue page follow the batch scan
+function broadcastQueueChanged(queue) {
+  chrome.runtime.sendMessage({ action: 'queue_changed', queue }).catch(() => {
+    // No queue page open
+  });
+}
+
+// Image caching jobs, one chain per app so repeated requests don't overlap
+const cacheJobs = new Map();
+
+function queueImageCache(appId, urls) {
+  if (!appId || urls.length === 0) return;
+
+  const previous = cacheJobs.get(appId) || Promise.resolve();
+  const job = previous
+    .then(() => VaultStorage.allowsImages(appId).catch(error => {
+      console.error('Checking the storage policy failed:', error);
+      return true;
+    }))
+    .then(async allowed => {
+      // Apps the storage policy leaves out are not cached at all
+      if (!allowed) {
+        broadcastCacheProgress({ appId, skipped: true, done: true });
+        return;
+      }
+
+      const result = await ImageCache.cacheImages(appId, urls, broadcastCacheProgress);
+      broadcastCacheProgress({ ...result, done: true });
+      if (result.failed > 0) {
+        console.warn(`Cached ${result.cached}/${result.total} images for ${appId}`);
+      }
+    })
+    .catch(error => {
+      console.error('Image caching failed:', error);
+      broadcastCacheProgress({ appId, error: error.message, done: true });
+    })
+    // These download what isn't cached, so they run under any policy
+    .then(() => flagDuplicates(appId))
+    .then(() => readScreenText(appId))
+    .then(() => checkSmartCollections(appId))
+    .finally(() => {
+      if (cacheJobs.get(appId) === job) cacheJobs.delete(appId);
+    });
+
+  cacheJobs.set(appId, job);
+}
+
+// Hash newly cached screens, read their colors and flag the app's duplicates
+async function flagDuplicates(appId) {
+  try {
+    const result = await VaultDuplicates.scanApp(appId);
+    if (result.hashed > 0 || result.changed > 0 || result.logo) broadcastVaultChanged(appId);
+  } catch (error) {
+    console.error('Duplicate check failed:', error);
+  }
+}
+
+// Update which saved searches (smart collections) an app matches once its
+// screens are hashed and read, and announce new matches where asked
+const SMART_NOTIFICATION_PREFIX = 'smart-collection|';
+
+async function checkSmartCollections(appId) {
+  try {
+    const collections = (await VaultCollections.getCollections()).filter(collection => collection.smart);
+    if (collections.length === 0) return;
+
+    const app = await VaultStore.getApp(appId);
+    if (!app) return;
+
+    const search = LibrarySearch.create(await LibrarySearch.loadSources());
+    const matching = new Set(collections
+      .filter(collection => search.filter([app], collection.smart).length > 0)
+      .map(collection => collection.id));
+
+    const newlyMatched = await VaultCollections.updateMatches(appId, matching);
+    newlyMatched
+      .filter(collection => collection.smart.notify)
+      .forEach(collection => {
+        chrome.notifications.create(`${SMART_NOTIFICATION_PREFIX}${collection.id}|${appId}`, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: collection.name,
+          message: `${app.name} matches this saved search`,
+          priority: 1
+        });
+      });
+  } catch (error) {
+    console.error('Checking saved searches failed:', error);
+  }
+}
+
+// A saved search notification opens its collection
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(SMART_NOTIFICATION_PREFIX)) return;
+
+  const [collectionId] = notificationId.slice(SMART_NOTIFICATION_PREFIX.length).split('|');
+  chrome.tabs.create({ url: `dashboard.html#collection=${encodeURIComponent(collectionId)}` });
+  chrome.notifications.clear(notificationId);
+});
+
+// Text recognition runs in an offscreen document (see ocr.js), one app at
+// a time; the document is closed again when nothing is left to read
+const OCR_DOCUMENT = 'ocr.html';
+
+// Longest one app may take; a hung worker is stopped with its document
+const OCR_TIMEOUT = 10 * 60 * 1000;
+
+let ocrChain = Promise.resolve();
+let ocrPending = 0;
+
+function readScreenText(appId) {
+  ocrPending++;
+  ocrChain = ocrChain.then(async () => {
+    let timedOut = false;
+    try {
+      await ensureOcrDocument();
+
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error('Reading screen text timed out'));
+        }, OCR_TIMEOUT);
+      });
+      const result = await Promise.race([
+        chrome.runtime.sendMessage({ action: 'ocr_app', appId }),
+        timeout
+      ]).finally(() => clearTimeout(timer));
+
+      if (result && result.error) throw new Error(result.error);
+      if (result && result.recognized > 0) broadcastVaultChanged(appId);
+    } catch (error) {
+      console.error('Reading screen text failed:', error);
+      // The next app starts over in a fresh document
+      if (timedOut) await chrome.offscreen.closeDocument().catch(() => {});
+    } finally {
+      if (--ocrPending === 0) chrome.offscreen.closeDocument().catch(() => {});
+    }
+  });
+  return ocrChain;
+}
+
+async function ensureOcrDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  await chrome.offscreen.createDocument({
+    url: OCR_DOCUMENT,
+    reasons: ['BLOBS', 'WORKERS'],
+    justification: 'Read the text in saved screenshots so it can be searched'
+  });
+}
+
+// Let open dashboards update their cache status
+function broadcastCacheProgress(progress) {
+  chrome.runtime.sendMessage({ action: 'cache_progress', ...progress }).catch(() => {
+    // No dashboard open
+  });
+}
+
+// Drop the offline images the storage policy no longer keeps, e.g. after
+// the policy changed or an app went unopened. Scans check the policy
+// before caching, so this only cleans up; it waits while apps are cached.
+async function enforceStoragePolicy() {
+  if (cacheJobs.size > 0) return { apps: [], bytes: 0 };
+
+  try {
+    const result = await VaultStorage.applyPolicy();
+    if (result.apps.length > 0) {
+      console.log(`Storage policy removed offline images of ${result.apps.length} apps`);
+      broadcastVaultChanged(null);
+    }
+    return result;
+  } catch (error) {
+    console.error('Failed to apply storage policy:', error);
+    return { apps: [], bytes: 0, error: error.message };
+  }
+}
+
+// Check storage usage (the vault lives in IndexedDB, bounded by the origin quota)
 async function checkStorageSize() {
   try {
-    const bytesInUse = await chrome.storage.local.getBytesInUse();
+    const { usage = 0, quota = 0, persisted } = await VaultStorage.getEstimate();
+    const bytesInUse = usage;
     const mbInUse = (bytesInUse / (1024 * 1024)).toFixed(2);
-    const percentUsed = ((bytesInUse / (5 * 1024 * 1024)) * 100).toFixed(1);
+    const percentUsed = quota ? ((bytesInUse / quota) * 100).toFixed(1) : '0.0';
+
+    const cacheBytes = await ImageCache.getTotalBytes();
+    const cacheMb = (cacheBytes / (1024 * 1024)).toFixed(2);
     
     return {
       bytesInUse,
+      quotaBytes: quota,
       mbInUse,
       percentUsed,
-      nearLimit: percentUsed > 80
+      cacheMb,
+      persisted,
+      nearLimit: percentUsed > VaultStorage.NEAR_LIMIT * 100
     };
   } catch (error) {
     console.error('Failed to check storage:', error);
@@ -8,36 +8,61 @@ const CONFIG = {
   SCROLL_THRESHOLD: 100,
   MAX_NO_CONTENT_ATTEMPTS: 2,
   MAX_RETRY_ATTEMPTS: 3,
-  SELECTORS: {
-    logo: [
-      'img[data-sentry-component="AppLogoImage"]',
-      'img[data-sentry-source-file="AppLogoImage.tsx"]',
-      'div[data-sentry-component="AppLogo"] img',
-      'h1 + img',
-      'header img'
-    ],
-    screens: [
-      'div[data-sentry-component="ScreenCell"] img',
-      'div[data-sentry-component="ScreenCellImage"] img'
-    ]
-  }
+  TAB_LOAD_TIMEOUT: 8000,
+  CHECKPOINT_INTERVAL: 2000,
+  MAX_RESTORE_STEPS: 50,
+  MIN_FLOW_IMAGE_SIZE: 40,
+  // Replaced by the selector profile a scan uses (lib/selector-profiles.js)
+  SELECTORS: SelectorProfiles.resolveSelectors(SelectorProfiles.BUILT_IN_PROFILES[0]),
+  APP_TABS: ['screens', 'flows', 'ui-elements'],
+  // Tried in order against the path and query; anything else is scanned
+  // as an app unless its screens link to other apps
+  PAGE_TYPES: [
+    { type: 'app', pattern: /^\/apps\/[^/]+\/[^/?]+/ },
+    { type: 'collection', pattern: /\/collections?\// },
+    { type: 'search', pattern: /^\/search\b|[?&](q|query|search)=/ },
+    { type: 'pattern', pattern: /^\/(browse|explore|discover)\b|\/patterns\/|screenPatterns|ui-elements/ }
+  ],
+  PAGE_TYPE_LABELS: {
+    search: 'Search',
+    pattern: 'Pattern',
+    collection: 'Collection',
+    screens: 'Screens'
+  },
+  PLATFORMS: ['ios', 'android', 'web'],
+  // Outline colors of the selector keys when diagnosing a page
+  HIGHLIGHT_COLORS: ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#f97316', '#84cc16', '#6366f1']
 };
 
 let isScraping = false;
 let scrapingAborted = false;
+let lastCheckpoint = 0;
+let selectorProfile = null;
+
+// Elements outlined by a diagnosis, with their own outline to restore
+const highlightedElements = new Map();
+let highlightLegend = null;
 
 // Prevent multiple initializations
 if (!window.mobbinVaultInitialized) {
   window.mobbinVaultInitialized = true;
   console.log('Mobbin Vault content script loaded');
 
+  // Page metadata is read synchronously, so keep the active profile loaded
+  loadSelectorProfile();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SelectorProfiles.STORAGE_KEY] && !isScraping) {
+      loadSelectorProfile();
+    }
+  });
+
   // Message listener - CRITICAL: Must be synchronous for get_meta
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Content script received message:', request.action);
 
     // Ping handler
     if (request.action === "ping") {
-      sendResponse({ status: "ok" });
+      sendResponse({ status: "ok", scraping: isScraping });
       return false;
     }
 
@@ -54,7 +79,10 @@ if (!window.mobbinVaultInitialized) {
       return false; // Synchronous
     }
 
-    // Start scrape - ASYNCHRONOUS
+    // Start scrape - ASYNCHRONOUS. `resume` holds the checkpoint of a scan
+    // interrupted by a page reload.
+    // `options.collectionName` names the collection a multi-app page is
+    // saved to.
     if (request.action === "start_scrape") {
       if (isScraping) {
         sendResponse({ status: "error", message: "Scrape already in progress" });
@@ -65,19 +93,22 @@ if (!window.mobbinVaultInitialized) {
       scrapingAborted = false;
       
       // Run async scrape
-      performSmartScrape()
+      performSmartScrape(request.resume || null, request.options || {})
         .then(result => {
           isScraping = false;
           console.log('Scrape completed:', result);
+          sendScanFinished(result);
           sendResponse(result);
         })
         .catch(error => {
           isScraping = false;
           console.error('Scrape error:', error);
-          sendResponse({ 
+          const result = { 
             status: "error", 
             message: error.message || "Scrape failed" 
-          });
+          };
+          sendScanFinished(result);
+          sendResponse(result);
         });
       
       return true; // Async response
@@ -91,14 +122,36 @@ if (!window.mobbinVaultInitialized) {
       return false;
     }
 
+    // Count what each selector matches, outlining the matches on the page.
+    // `selectors` (e.g. a profile being edited) is diagnosed alone; without
+    // them every profile is.
+    if (request.action === "diagnose_selectors") {
+      diagnosePage(request)
+        .then(sendResponse)
+        .catch(error => sendResponse({ error: error.message }));
+      return true; // Async response
+    }
+
+    if (request.action === "clear_highlight") {
+      clearHighlight();
+      sendResponse({ status: "ok" });
+      return false;
+    }
+
     return false;
   });
 }
 
 /**
- * Extract page metadata (app name, logo)
+ * Extract page metadata (app name, logo). Pages listing screens from many
+ * apps report their page type and a suggested collection name instead.
  */
 function getPageMeta() {
+  const pageType = detectPageType();
+  if (pageType !== 'app') {
+    return getMultiAppPageMeta(pageType);
+  }
+
   const h1 = document.querySelector('h1');
   let appName = h1 
     ? h1.innerText.split('—')[0].trim() 
@@ -118,7 +171,43 @@ function getPageMeta() {
   return { 
     name: appName, 
     logo: logoUrl,
-    url: window.location.href 
+    url: window.location.href,
+    pageType: 'app'
+  };
+}
+
+/**
+ * Kind of page: 'app' for a single app, or 'search', 'pattern',
+ * 'collection' or 'screens' for pages listing screens from many apps
+ */
+function detectPageType() {
+  const path = window.location.pathname + window.location.search;
+  const match = CONFIG.PAGE_TYPES.find(({ pattern }) => pattern.test(path));
+  if (match) return match.type;
+
+  // Unknown layout: treat it as many apps when its screens link to them
+  const images = Array.from(document.querySelectorAll(CONFIG.SELECTORS.screens.join(',')));
+  const appIds = new Set(images.slice(0, 20).map(img => findSourceApp(img)?.id).filter(Boolean));
+  return appIds.size > 1 ? 'screens' : 'app';
+}
+
+/**
+ * Metadata of a page listing many apps; `name` is the suggested name of
+ * the collection its screens are saved to
+ */
+function getMultiAppPageMeta(pageType) {
+  const params = new URLSearchParams(window.location.search);
+  const h1 = document.querySelector('h1');
+  const title = params.get('q') || params.get('query') || params.get('search') ||
+    (h1 ? h1.innerText.trim() : '') ||
+    document.title.split('—')[0].trim() ||
+    'Mobbin';
+
+  return {
+    name: `${CONFIG.PAGE_TYPE_LABELS[pageType]}: ${title.replace(/\s+/g, ' ').slice(0, 60)}`,
+    logo: "",
+    url: window.location.href,
+    pageType
   };
 }
 
@@ -126,8 +215,10 @@ function getPageMeta() {
  * Extract main app logo (not header/nav logos)
  */
 function extractMainLogo() {
-  // Strategy 1: Look for AppLogoImage component (most reliable)
-  const appLogoImages = document.querySelectorAll('img[data-sentry-component="AppLogoImage"], img[data-sentry-source-file="AppLogoImage.tsx"]');
+  // Strategy 1: Look for the profile's logo selectors (most reliable)
+  const appLogoImages = CONFIG.SELECTORS.logo.length > 0
+    ? document.querySelectorAll(CONFIG.SELECTORS.logo.join(','))
+    : [];
   
   if (appLogoImages.length > 0) {
     // Exclude images in header/nav
@@ -150,13 +241,7 @@ function extractMainLogo() {
     }
   }
   
-  // Strategy 2: Look for AppLogo component container
-  const appLogoContainer = document.querySelector('div[data-sentry-component="AppLogo"] img');
-  if (appLogoContainer && !appLogoContainer.closest('nav') && !appLogoContainer.closest('header')) {
-    return normalizeLogoUrl(appLogoContainer.src || appLogoContainer.getAttribute('src'));
-  }
-  
-  // Strategy 3: Look for large images near h1 (fallback)
+  // Strategy 2: Look for large images near h1 (fallback)
   const h1 = document.querySelector('h1');
   if (h1) {
     const nearbyImg = h1.parentElement?.querySelector('img');
@@ -185,9 +270,11 @@ function normalizeLogoUrl(url) {
 }
 
 /**
- * Main scraping function with error handling and retries
+ * Main scraping function with error handling and retries.
+ * A `resume` checkpoint carries on from the screens found before the page
+ * was reloaded instead of starting again from the top.
  */
-async function performSmartScrape() {
+async function performSmartScrape(resume = null, options = {}) {
   try {
     // Capture meta data before scrolling
     const initialMeta = getPageMeta();
@@ -196,67 +283,23 @@ async function performSmartScrape() {
       throw new Error("Could not detect app name");
     }
 
-    let capturedImages = [];
-    const scannedUrlSet = new Set();
-    let retryCount = 0;
-    
-    // Reset to top
-    window.scrollTo(0, 0);
-    await sleep(CONFIG.INITIAL_DELAY);
-
-    const viewportHeight = window.innerHeight;
-    let totalHeight = document.body.scrollHeight;
-    let noNewContentCount = 0;
-    let scrollPosition = 0;
-
-    // Scrolling loop
-    while (!scrapingAborted) {
-      try {
-        const newImages = extractImagesFromDOM();
-        
-        let newCount = 0;
-        newImages.forEach(url => {
-          if (!scannedUrlSet.has(url) && isValidImageUrl(url)) {
-            scannedUrlSet.add(url);
-            capturedImages.push(url);
-            newCount++;
-          }
-        });
-
-        // Send progress update
-        sendProgressUpdate(`Scanning... Found ${capturedImages.length} screens`);
-
-        // Check if reached bottom
-        const atBottom = (window.innerHeight + window.scrollY) >= 
-                        document.body.scrollHeight - CONFIG.SCROLL_THRESHOLD;
-
-        if (atBottom) {
-          if (document.body.scrollHeight === totalHeight) {
-            noNewContentCount++;
-            if (noNewContentCount >= CONFIG.MAX_NO_CONTENT_ATTEMPTS) {
-              break; // No more content loading
-            }
-          } else {
-            totalHeight = document.body.scrollHeight;
-            noNewContentCount = 0;
-          }
-        }
+    if (initialMeta.pageType !== 'app') {
+      return await performMultiAppScrape(initialMeta, resume, options);
+    }
 
-        // Scroll down
-        scrollPosition += viewportHeight;
-        window.scrollBy({ top: viewportHeight, behavior: 'smooth' });
-        await sleep(CONFIG.SCROLL_DELAY);
+    const capturedImages = resume ? resume.screens : [];
+    const scannedByUrl = new Map(capturedImages.map(screen => [screen.url, screen]));
+    lastCheckpoint = 0;
 
-      } catch (error) {
-        console.error('Error during scroll iteration:', error);
-        retryCount++;
-        
-        if (retryCount >= CONFIG.MAX_RETRY_ATTEMPTS) {
-          throw new Error(`Scraping failed after ${retryCount} retries: ${error.message}`);
-        }
-        
-        await sleep(CONFIG.SCROLL_DELAY * 2);
-      }
+    let triedProfiles = [];
+    if (resume?.phase !== 'flows') {
+      triedProfiles = await scanWithFallback(
+        () => scrapeScreens(capturedImages, scannedByUrl, resume ? resume.scrollY : 0),
+        () => capturedImages.length > 0,
+        resume?.profileId
+      );
+    } else {
+      await loadSelectorProfile(resume.profileId);
     }
 
     if (scrapingAborted) {
@@ -268,11 +311,23 @@ async function performSmartScrape() {
 
     // Validate results
     if (capturedImages.length === 0) {
-      throw new Error("No screens found. This might not be a valid Mobbin app page.");
+      throw new Error(`No screens found. This might not be a valid Mobbin app page. ${describeTriedProfiles(triedProfiles)}`);
+    }
+
+    // Flows are optional: failing here shouldn't lose the screens
+    let flows = null;
+    try {
+      flows = await scrapeFlows(capturedImages);
+    } catch (error) {
+      console.warn('Could not scrape flows:', error);
+    }
+
+    if (scrapingAborted) {
+      return { status: "aborted", message: "Scrape cancelled by user" };
     }
 
     // Save to storage
-    return await saveToStorage(capturedImages, initialMeta);
+    return await saveToStorage(capturedImages, initialMeta, flows);
 
   } catch (error) {
     console.error('Scraping error:', error);
@@ -284,12 +339,412 @@ async function performSmartScrape() {
 }
 
 /**
- * Extract image URLs from DOM
+ * Read pages with a selector profile: the given one if the scan would try
+ * it, else the active one
+ */
+async function loadSelectorProfile(profileId = null) {
+  try {
+    const profiles = await SelectorProfiles.getScanOrder();
+    useSelectorProfile(profiles.find(profile => profile.id === profileId) || profiles[0]);
+  } catch (error) {
+    console.warn('Could not load selector profiles:', error);
+  }
+}
+
+function useSelectorProfile(profile) {
+  selectorProfile = profile;
+  CONFIG.SELECTORS = profile.selectors;
+}
+
+/**
+ * Run a screen scan with the active selector profile (or `profileId`, that
+ * of a resumed scan) and, while `found()` says it found nothing, again with
+ * each fallback profile matching screens on the page. Fallbacks matching
+ * nothing are skipped rather than scrolled through. Returns the profiles
+ * tried.
+ */
+async function scanWithFallback(scan, found, profileId = null) {
+  const profiles = await SelectorProfiles.getScanOrder();
+  const preferred = profiles.findIndex(profile => profile.id === profileId);
+  if (preferred > 0) profiles.unshift(...profiles.splice(preferred, 1));
+
+  const tried = [];
+  for (const profile of profiles) {
+    useSelectorProfile(profile);
+    tried.push(profile);
+
+    if (tried.length > 1) {
+      if (extractImagesFromDOM().length === 0) continue;
+      console.warn(`No screens found with the "${tried[0].name}" selectors, trying "${profile.name}"`);
+      sendProgressUpdate(`No screens found, trying the "${profile.name}" selectors...`);
+    }
+
+    await scan();
+    if (found() || scrapingAborted) break;
+  }
+
+  if (!found()) useSelectorProfile(profiles[0]);
+  return tried;
+}
+
+/**
+ * Hint appended to "No screens found" naming the selector profiles tried
+ */
+function describeTriedProfiles(profiles) {
+  if (profiles.length === 0) return '';
+  const names = profiles.map(profile => `"${profile.name}"`).join(', ');
+  return `Tried the ${names} selectors; use Diagnose Page to see what they match.`;
+}
+
+/**
+ * Scrape a page listing screens from many apps. Each screen is saved under
+ * the app it links to, and all of them go into one new collection.
+ */
+async function performMultiAppScrape(meta, resume, options) {
+  const capturedImages = resume ? resume.screens : [];
+  const scannedByUrl = new Map(capturedImages.map(screen => [screen.url, screen]));
+  lastCheckpoint = 0;
+
+  const triedProfiles = await scanWithFallback(() => scrollThroughPage(() => {
+    extractImagesFromDOM(true).forEach(screen => {
+      if (!isValidImageUrl(screen.url)) return;
+
+      const known = scannedByUrl.get(screen.url);
+      if (known) {
+        fillMissingScreenFields(known, screen);
+        if (!known.app) known.app = screen.app;
+        return;
+      }
+
+      scannedByUrl.set(screen.url, screen);
+      capturedImages.push(screen);
+    });
+
+    const appCount = new Set(capturedImages.map(screen => screen.app?.id).filter(Boolean)).size;
+    sendProgressUpdate(`Scanning... Found ${capturedImages.length} screens from ${appCount} apps`, {
+      phase: 'screens',
+      screens: capturedImages
+    });
+  }, resume ? resume.scrollY : 0), () => capturedImages.length > 0, resume?.profileId);
+
+  if (scrapingAborted) {
+    return { status: "aborted", message: "Scrape cancelled by user" };
+  }
+
+  window.scrollTo(0, 0);
+
+  if (capturedImages.length === 0) {
+    throw new Error(`No screens found on this page. ${describeTriedProfiles(triedProfiles)}`);
+  }
+
+  return await saveCapture(capturedImages, meta, options.collectionName || meta.name);
+}
+
+/**
+ * App a screen on a multi-app page comes from ({ id, name, logo,
+ * sourceUrl }), read from the nearest link to an app page. Stops at the
+ * first container holding other screens so a neighbour's app isn't used.
+ */
+function findSourceApp(img) {
+  const screenSelector = CONFIG.SELECTORS.screens.join(',');
+  const linkSelector = CONFIG.SELECTORS.sourceAppLink.join(',');
+  let node = img.parentElement;
+
+  while (node && node !== document.body) {
+    if (node.querySelectorAll(screenSelector).length > 1) return null;
+
+    const link = Array.from(node.querySelectorAll(linkSelector)).find(a => parseAppLink(a.href));
+    if (link) {
+      const { basePath, slug } = parseAppLink(link.href);
+      const logoImg = Array.from(link.querySelectorAll('img')).find(i => i !== img);
+      const name = (link.innerText || '').trim().split('\n')[0] ||
+        logoImg?.alt?.trim() ||
+        slug.replace(/-/g, ' ');
+
+      return {
+        id: appIdFromPath(basePath),
+        name: sanitizeText(name),
+        logo: logoImg ? normalizeLogoUrl(logoImg.src) : "",
+        sourceUrl: new URL(basePath, window.location.origin).href
+      };
+    }
+
+    node = node.parentElement;
+  }
+
+  return null;
+}
+
+/**
+ * { basePath, slug } of a link to an app page, or null
+ */
+function parseAppLink(href) {
+  try {
+    const match = new URL(href, window.location.href).pathname.match(/^\/apps\/([^/]+)\/([^/]+)/);
+    return match ? { basePath: match[0], slug: match[1] } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scroll the screens list, adding new screens to capturedImages
+ */
+async function scrapeScreens(capturedImages, scannedByUrl, startY) {
+  // Flows are scanned through their own tab; start from the screens list
+  if (isAppTab('flows')) {
+    await openAppTab('screens');
+  }
+
+  await scrollThroughPage(() => {
+    const newImages = extractImagesFromDOM();
+    
+    newImages.forEach(screen => {
+      if (!isValidImageUrl(screen.url)) return;
+      
+      const known = scannedByUrl.get(screen.url);
+      if (known) {
+        // Lazy-loaded cells may only report dimensions/labels later
+        fillMissingScreenFields(known, screen);
+        return;
+      }
+      
+      screen.position = capturedImages.length;
+      scannedByUrl.set(screen.url, screen);
+      capturedImages.push(screen);
+    });
+
+    // Send progress update
+    sendProgressUpdate(`Scanning... Found ${capturedImages.length} screens`, {
+      phase: 'screens',
+      screens: capturedImages
+    });
+  }, startY);
+}
+
+/**
+ * Scroll from the top (or from startY) until no more content loads,
+ * calling collect() at every step. Stops early when the scrape is aborted.
+ */
+async function scrollThroughPage(collect, startY = 0) {
+  let retryCount = 0;
+  
+  // Reset to top
+  window.scrollTo(0, 0);
+  await sleep(CONFIG.INITIAL_DELAY);
+
+  if (startY > 0) {
+    await restoreScrollPosition(startY);
+  }
+
+  const viewportHeight = window.innerHeight;
+  let totalHeight = document.body.scrollHeight;
+  let noNewContentCount = 0;
+
+  // Scrolling loop
+  while (!scrapingAborted) {
+    try {
+      collect();
+
+      // Check if reached bottom
+      const atBottom = (window.innerHeight + window.scrollY) >= 
+                      document.body.scrollHeight - CONFIG.SCROLL_THRESHOLD;
+
+      if (atBottom) {
+        if (document.body.scrollHeight === totalHeight) {
+          noNewContentCount++;
+          if (noNewContentCount >= CONFIG.MAX_NO_CONTENT_ATTEMPTS) {
+            break; // No more content loading
+          }
+        } else {
+          totalHeight = document.body.scrollHeight;
+          noNewContentCount = 0;
+        }
+      }
+
+      // Scroll down
+      window.scrollBy({ top: viewportHeight, behavior: 'smooth' });
+      await sleep(CONFIG.SCROLL_DELAY);
+
+    } catch (error) {
+      console.error('Error during scroll iteration:', error);
+      retryCount++;
+      
+      if (retryCount >= CONFIG.MAX_RETRY_ATTEMPTS) {
+        throw new Error(`Scraping failed after ${retryCount} retries: ${error.message}`);
+      }
+      
+      await sleep(CONFIG.SCROLL_DELAY * 2);
+    }
+  }
+}
+
+/**
+ * Scroll back down to where an interrupted scan stopped. The list only
+ * grows as it is scrolled, so this goes one loaded page at a time.
+ */
+async function restoreScrollPosition(targetY) {
+  for (let step = 0; step < CONFIG.MAX_RESTORE_STEPS && !scrapingAborted; step++) {
+    const maxY = document.body.scrollHeight - window.innerHeight;
+    window.scrollTo(0, Math.min(targetY, maxY));
+    await sleep(CONFIG.SCROLL_DELAY);
+
+    if (window.scrollY >= targetY - CONFIG.SCROLL_THRESHOLD) return;
+    if (document.body.scrollHeight - window.innerHeight <= maxY) return; // Nothing more loaded
+  }
+}
+
+/**
+ * Scrape the app's flows from its Flows tab, then return to the screens.
+ * Returns null when the app has no Flows tab (existing flows are kept).
+ * `screens` are checkpointed so a reload during this step keeps them.
+ */
+async function scrapeFlows(screens) {
+  const startedOnFlows = isAppTab('flows');
+  if (!startedOnFlows && !(await openAppTab('flows'))) {
+    return null;
+  }
+
+  const flowsByName = new Map();
+
+  await scrollThroughPage(() => {
+    extractFlowsFromDOM().forEach(flow => {
+      const known = flowsByName.get(flow.name);
+      if (!known) {
+        flowsByName.set(flow.name, flow);
+        return;
+      }
+      
+      // Carousels may reveal more steps as they scroll into view
+      flow.steps.forEach(step => {
+        if (!known.steps.some(s => s.url === step.url)) known.steps.push(step);
+      });
+    });
+
+    sendProgressUpdate(`Scanning flows... Found ${flowsByName.size} flows`, {
+      phase: 'flows',
+      screens
+    });
+  });
+
+  window.scrollTo(0, 0);
+
+  if (!startedOnFlows) {
+    await openAppTab('screens');
+  }
+
+  return Array.from(flowsByName.values());
+}
+
+/**
+ * Extract flows (name plus ordered steps) from DOM
+ */
+function extractFlowsFromDOM() {
+  const sections = document.querySelectorAll(CONFIG.SELECTORS.flowSection.join(','));
+  const titleSelector = CONFIG.SELECTORS.flowTitle.join(',');
+  const flows = [];
+
+  sections.forEach(section => {
+    // Nested sections are handled on their own
+    if (section.querySelector(CONFIG.SELECTORS.flowSection.join(','))) return;
+
+    const titleEl = section.querySelector(titleSelector);
+    const name = titleEl ? sanitizeText(titleEl.textContent.replace(/\s+/g, ' ').trim()) : '';
+    if (!name) return;
+
+    let images = section.querySelectorAll(CONFIG.SELECTORS.flowScreens.join(','));
+    if (images.length === 0) images = section.querySelectorAll('img');
+
+    const steps = [];
+    images.forEach(img => {
+      if (!img.src || !img.src.includes('http') || img.closest(titleSelector)) return;
+
+      // Skip icons and avatars
+      const rect = img.getBoundingClientRect();
+      if (rect.width > 0 && rect.width < CONFIG.MIN_FLOW_IMAGE_SIZE) return;
+
+      const url = img.src.split('?')[0];
+      if (!isValidImageUrl(url) || steps.some(step => step.url === url)) return;
+
+      steps.push({
+        url: url,
+        title: extractScreenTitle(img.parentElement, img)
+      });
+    });
+
+    if (steps.length > 0) {
+      flows.push({ name, steps });
+    }
+  });
+
+  return flows;
+}
+
+/**
+ * App page path without its tab, e.g. /apps/foo-ios-123/456
+ */
+function getAppBasePath() {
+  const tabs = CONFIG.APP_TABS.join('|');
+  return window.location.pathname
+    .replace(/\/$/, '')
+    .replace(new RegExp(`/(${tabs})$`), '');
+}
+
+/**
+ * Vault id of the app at an app page path: its last segment, ignoring tabs
+ */
+function appIdFromPath(pathname) {
+  const tabs = CONFIG.APP_TABS.join('|');
+  const segments = pathname
+    .replace(/\/+$/, '')
+    .replace(new RegExp(`/(${tabs})$`), '')
+    .split('/');
+  return segments[segments.length - 1];
+}
+
+/**
+ * Whether the page shows the given app tab
+ */
+function isAppTab(tab) {
+  return window.location.pathname.replace(/\/$/, '').endsWith(`/${tab}`);
+}
+
+/**
+ * Switch to another tab of the same app (client-side navigation, so the
+ * content script keeps running). Resolves false when there is no such tab.
+ */
+async function openAppTab(tab) {
+  const target = `${getAppBasePath()}/${tab}`;
+  const link = Array.from(document.querySelectorAll('a[href]')).find(a => {
+    try {
+      return new URL(a.href, window.location.href).pathname.replace(/\/$/, '') === target;
+    } catch {
+      return false;
+    }
+  });
+
+  if (!link) return false;
+
+  link.click();
+
+  const deadline = Date.now() + CONFIG.TAB_LOAD_TIMEOUT;
+  while (!isAppTab(tab) && Date.now() < deadline && !scrapingAborted) {
+    await sleep(100);
+  }
+  await sleep(CONFIG.INITIAL_DELAY);
+
+  return isAppTab(tab);
+}
+
+/**
+ * Extract screens (image URL plus surrounding metadata) from DOM.
+ * With `withSourceApp`, each screen also gets the app it links to.
  */
-function extractImagesFromDOM() {
+function extractImagesFromDOM(withSourceApp = false) {
   const selectors = CONFIG.SELECTORS.screens;
   const rawImages = document.querySelectorAll(selectors.join(','));
-  const urls = [];
+  const pagePlatform = detectPagePlatform();
+  const screens = [];
 
   rawImages.forEach(img => {
     // Skip images in list items (thumbnails)
@@ -297,86 +752,392 @@ function extractImagesFromDOM() {
 
     if (img.src && img.src.includes('http')) {
       const cleanUrl = img.src.split('?')[0];
-      urls.push(cleanUrl);
+      const screen = extractScreenMeta(img, cleanUrl, pagePlatform);
+      if (withSourceApp) screen.app = findSourceApp(img);
+      screens.push(screen);
     }
   });
 
-  return urls;
+  return screens;
+}
+
+/**
+ * Read metadata Mobbin shows around a screen image
+ */
+function extractScreenMeta(img, url, pagePlatform) {
+  // Prefer the outermost known cell, which also holds captions and tags
+  const cell = CONFIG.SELECTORS.screenCell
+    .map(selector => img.closest(selector))
+    .find(Boolean) || img.parentElement;
+
+  const width = img.naturalWidth || parseInt(img.getAttribute('width'), 10) || null;
+  const height = img.naturalHeight || parseInt(img.getAttribute('height'), 10) || null;
+
+  return {
+    url: url,
+    width: width,
+    height: height,
+    platform: detectScreenPlatform(cell, width, height) || pagePlatform,
+    title: extractScreenTitle(cell, img),
+    patterns: collectLabels(cell, CONFIG.SELECTORS.screenPatterns),
+    elements: collectLabels(cell, CONFIG.SELECTORS.screenElements)
+  };
+}
+
+/**
+ * Screen title from a caption, or from the image alt text
+ */
+function extractScreenTitle(cell, img) {
+  const titleEl = cell && cell.querySelector(CONFIG.SELECTORS.screenTitle.join(','));
+  const text = titleEl ? titleEl.textContent : (img.getAttribute('alt') || '');
+  const title = sanitizeText(text.replace(/\s+/g, ' ').trim());
+
+  // Generic alt text like "Screen" or "image" isn't a title
+  return /^(screen|image|img|screenshot)?\s*\d*$/i.test(title) ? '' : title;
+}
+
+/**
+ * Unique text labels of all elements matching any selector inside a cell
+ */
+function collectLabels(cell, selectors) {
+  if (!cell) return [];
+
+  const labels = new Set();
+  cell.querySelectorAll(selectors.join(',')).forEach(el => {
+    const text = (el.textContent || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    if (text) labels.add(sanitizeText(text));
+  });
+
+  return Array.from(labels);
+}
+
+/**
+ * Platform from links inside a screen cell, or from its shape
+ */
+function detectScreenPlatform(cell, width, height) {
+  if (cell) {
+    const link = cell.querySelector('a[href]') || cell.closest('a[href]');
+    const platform = link && platformFromText(link.getAttribute('href'));
+    if (platform) return platform;
+  }
+
+  // Landscape screenshots are web pages on Mobbin
+  if (width && height && width > height) return 'web';
+
+  return null;
+}
+
+/**
+ * Platform of the current page, from its URL
+ */
+function detectPagePlatform() {
+  return platformFromText(window.location.pathname);
+}
+
+/**
+ * Find "ios", "android" or "web" as a path segment or slug part
+ */
+function platformFromText(text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  return CONFIG.PLATFORMS.find(platform =>
+    new RegExp(`(^|[/\\-])${platform}([/\\-]|$)`).test(lower)
+  ) || null;
+}
+
+/**
+ * Copy fields that were unknown when a screen was first seen
+ */
+function fillMissingScreenFields(target, source) {
+  ['width', 'height', 'platform', 'title'].forEach(field => {
+    if (!target[field] && source[field]) target[field] = source[field];
+  });
+
+  ['patterns', 'elements'].forEach(field => {
+    source[field].forEach(label => {
+      if (!target[field].includes(label)) target[field].push(label);
+    });
+  });
 }
 
 /**
- * Save scraped data to Chrome storage with error handling
+ * Save scraped data to the vault (stored by the background service worker)
  */
-async function saveToStorage(orderedImages, meta) {
+async function saveToStorage(orderedScreens, meta, flows = null) {
+  // Taken from the page the scan started on: scanning flows moves to
+  // another tab of the app
+  const appId = appIdFromPath(new URL(meta.url).pathname) || 
+                meta.name.replace(/\s+/g, '-').toLowerCase();
+
+  let response;
   try {
-    const urlParts = window.location.href.split('/');
-    const appId = urlParts[urlParts.length - 1] || 
-                  meta.name.replace(/\s+/g, '-').toLowerCase();
-
-    const newAppData = {
-      id: appId,
-      name: meta.name,
-      logo: meta.logo,
-      sourceUrl: meta.url,
-      screenCount: orderedImages.length,
-      screens: orderedImages,
-      dateAdded: Date.now(),
-      dateUpdated: Date.now()
-    };
+    response = await chrome.runtime.sendMessage({
+      action: "save_app",
+      app: {
+        id: appId,
+        name: meta.name,
+        logo: meta.logo,
+        sourceUrl: meta.url
+      },
+      screens: orderedScreens,
+      flows: flows
+    });
+  } catch (error) {
+    console.error('Storage error:', error);
+    throw new Error(`Failed to save: ${error.message}`);
+  }
 
-    // Get existing data
-    const data = await chrome.storage.local.get("apps");
-    let apps = data.apps || [];
-    
-    // Check for duplicates
-    const existingIndex = apps.findIndex(a => 
-      a.name === meta.name || a.id === appId
-    );
-
-    if (existingIndex > -1) {
-      // Update existing
-      newAppData.dateAdded = apps[existingIndex].dateAdded;
-      apps[existingIndex] = newAppData;
-    } else {
-      // Add new to top
-      apps.unshift(newAppData);
+  if (!response || response.status !== "success") {
+    throw new Error(response?.message || "Failed to save: no response from extension");
+  }
+  
+  return { 
+    status: "success", 
+    count: orderedScreens.length,
+    appId: response.appId,
+    appName: meta.name,
+    isUpdate: response.isUpdate,
+    changes: response.changes
+  };
+}
+
+/**
+ * Save screens from a multi-app page, grouped by their app, into a new
+ * collection. Screens whose app couldn't be found are left out.
+ */
+async function saveCapture(screens, meta, collectionName) {
+  const apps = new Map();
+  let skipped = 0;
+
+  screens.forEach(({ app, ...screen }) => {
+    if (!app) {
+      skipped++;
+      return;
     }
+    if (!apps.has(app.id)) apps.set(app.id, { app, screens: [] });
+    apps.get(app.id).screens.push(screen);
+  });
 
-    // Save to storage
-    await chrome.storage.local.set({ apps });
-    
-    return { 
-      status: "success", 
-      count: orderedImages.length,
-      appName: meta.name,
-      isUpdate: existingIndex > -1
-    };
+  if (apps.size === 0) {
+    throw new Error("Could not tell which apps these screens belong to.");
+  }
 
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      action: "save_capture",
+      name: collectionName,
+      sourceUrl: meta.url,
+      pageType: meta.pageType,
+      apps: Array.from(apps.values())
+    });
   } catch (error) {
     console.error('Storage error:', error);
-    
-    if (error.message && error.message.includes('QUOTA_BYTES')) {
-      throw new Error("Storage quota exceeded. Try clearing some apps first.");
-    }
-    
     throw new Error(`Failed to save: ${error.message}`);
   }
+
+  if (!response || response.status !== "success") {
+    throw new Error(response?.message || "Failed to save: no response from extension");
+  }
+
+  return {
+    status: "success",
+    count: screens.length - skipped,
+    appId: null,
+    appName: response.collectionName,
+    appCount: apps.size,
+    collectionId: response.collectionId,
+    collectionName: response.collectionName,
+    skipped,
+    isUpdate: false,
+    changes: null
+  };
 }
 
 /**
- * Helper: Send progress update to popup
+ * Count what selectors match on this page. With `selectors`, only that set
+ * (called `name`, keys left empty using the built-in selectors); otherwise
+ * every profile. With `highlight`, the matches of one of them are outlined:
+ * the active profile if it finds screens, else the first that does.
+ * Returns { url, highlighted, profiles: [{ id, name, active, screens, report }] }.
  */
-function sendProgressUpdate(text) {
-  try {
-    chrome.runtime.sendMessage({
-      action: "update_progress",
-      text: text
+async function diagnosePage({ selectors = null, name = 'Edited profile', highlight = true }) {
+  const profiles = selectors
+    ? [{ id: null, name, active: false, selectors }]
+    : await SelectorProfiles.getProfiles();
+
+  const results = profiles.map(profile => {
+    const report = SelectorProfiles.diagnose(SelectorProfiles.resolveSelectors(profile, false));
+    return {
+      id: profile.id,
+      name: profile.name,
+      active: profile.active,
+      screens: report.find(entry => entry.key === 'screens').count,
+      report
+    };
+  });
+
+  let shown = null;
+  if (highlight) {
+    shown = results.find(result => result.active && result.screens > 0) ||
+      results.find(result => result.screens > 0) ||
+      results.find(result => result.active) ||
+      results[0];
+    highlightReport(shown);
+  }
+
+  return { url: window.location.href, highlighted: shown ? shown.id : null, profiles: results };
+}
+
+/**
+ * Outline what each selector key of a diagnosis matches, in its own color,
+ * and show a legend with the counts
+ */
+function highlightReport(result) {
+  clearHighlight();
+
+  result.report.forEach((entry, index) => {
+    const color = CONFIG.HIGHLIGHT_COLORS[index % CONFIG.HIGHLIGHT_COLORS.length];
+    const valid = entry.selectors.filter(item => !item.error).map(item => item.selector);
+    if (valid.length === 0) return;
+
+    document.querySelectorAll(valid.join(',')).forEach(el => {
+      // Elements matched by several keys keep the first key's color
+      if (highlightedElements.has(el)) return;
+      highlightedElements.set(el, { outline: el.style.outline, outlineOffset: el.style.outlineOffset });
+      el.style.outline = `2px solid ${color}`;
+      el.style.outlineOffset = '-2px';
     });
+  });
+
+  showHighlightLegend(result);
+}
+
+/**
+ * Floating legend of a diagnosis, kept apart from the page's styles
+ */
+function showHighlightLegend(result) {
+  const host = document.createElement('div');
+  host.style.cssText = 'position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'open' });
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .panel { width: 320px; max-height: 60vh; overflow-y: auto; padding: 12px; background: #18181b; color: #fafafa;
+      border: 1px solid #3f3f46; border-radius: 10px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+      font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    .header { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; }
+    .title { flex: 1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    button { padding: 2px 8px; background: none; color: #a1a1aa; border: 1px solid #3f3f46; border-radius: 6px;
+      font: inherit; cursor: pointer; }
+    button:hover { color: #fafafa; }
+    .key { display: flex; align-items: center; gap: 8px; margin-top: 8px; font-weight: 500; }
+    .swatch { width: 10px; height: 10px; border-radius: 2px; flex-shrink: 0; }
+    .label { flex: 1; }
+    .selector { display: flex; gap: 8px; margin: 2px 0 0 18px; color: #a1a1aa; }
+    .selector code { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-size: 11px; }
+    .none { color: #ef4444; }
+  `;
+  root.appendChild(style);
+
+  const make = (tag, className, text) => {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  };
+
+  const panel = make('div', 'panel');
+  const header = make('div', 'header');
+  header.appendChild(make('span', 'title', `Selectors: ${result.name}`));
+  const edit = make('button', '', 'Edit');
+  edit.title = 'Edit selector profiles';
+  edit.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'open_selector_settings' }).catch(() => {});
+  });
+  const close = make('button', '', '✕');
+  close.title = 'Clear highlight';
+  close.addEventListener('click', clearHighlight);
+  header.append(edit, close);
+  panel.appendChild(header);
+
+  result.report.forEach((entry, index) => {
+    const key = make('div', 'key');
+    const swatch = make('span', 'swatch');
+    swatch.style.background = CONFIG.HIGHLIGHT_COLORS[index % CONFIG.HIGHLIGHT_COLORS.length];
+    key.append(swatch, make('span', 'label', entry.label), make('span', entry.count ? '' : 'none', String(entry.count)));
+    panel.appendChild(key);
+
+    entry.selectors.forEach(item => {
+      const row = make('div', 'selector');
+      row.appendChild(make('code', '', item.selector));
+      row.appendChild(make('span', item.error || !item.count ? 'none' : '', item.error || String(item.count)));
+      row.title = item.selector;
+      panel.appendChild(row);
+    });
+  });
+
+  root.appendChild(panel);
+  document.body.appendChild(host);
+  highlightLegend = host;
+}
+
+/**
+ * Remove the outlines and legend of a diagnosis
+ */
+function clearHighlight() {
+  highlightedElements.forEach(({ outline, outlineOffset }, el) => {
+    el.style.outline = outline;
+    el.style.outlineOffset = outlineOffset;
+  });
+  highlightedElements.clear();
+
+  if (highlightLegend) {
+    highlightLegend.remove();
+    highlightLegend = null;
+  }
+}
+
+/**
+ * Helper: Send progress update to the background scan. `checkpoint`
+ * ({ phase, screens }) is attached at most every CHECKPOINT_INTERVAL, with
+ * the selector profile in use, so a reloaded page can resume from it.
+ */
+function sendProgressUpdate(text, checkpoint = null) {
+  const message = {
+    action: "update_progress",
+    text: text,
+    count: checkpoint ? checkpoint.screens.length : undefined
+  };
+
+  if (checkpoint && Date.now() - lastCheckpoint >= CONFIG.CHECKPOINT_INTERVAL) {
+    lastCheckpoint = Date.now();
+    message.checkpoint = {
+      ...checkpoint,
+      profileId: selectorProfile?.id,
+      scrollY: window.scrollY,
+      basePath: getAppBasePath()
+    };
+  }
+
+  try {
+    chrome.runtime.sendMessage(message).catch(() => {});
   } catch (error) {
     console.debug('Could not send progress update:', error);
   }
 }
 
+/**
+ * Helper: Report the outcome of a scrape to the background scan
+ */
+function sendScanFinished(result) {
+  try {
+    chrome.runtime.sendMessage({ action: "scan_finished", result }).catch(() => {});
+  } catch (error) {
+    console.debug('Could not report scan result:', error);
+  }
+}
+
 /**
  * Helper: Validate image URL
  */
@@ -4,23 +4,205 @@
 let appsData = [];
 let filteredApps = [];
 let currentApp = null;
+let currentScreens = [];
 let currentImage = null;
-let currentSort = 'recent';
+let currentScreen = null;
+let screenFilters = { text: '', platform: '', pattern: '', element: '', color: null };
+let currentSort = 'relevance';
 let currentSearch = '';
+let currentQuery = null;
+let tagList = [];
+let activeHint = -1;
+let colorFilter = null;
+let cacheCounts = new Map();
+let currentFlows = [];
+let currentFlow = null;
+let currentFlowStep = 0;
+let flowPlayTimer = null;
+let collectionsData = [];
+let currentCollection = null;
+let editingSearch = null;
+let notesByApp = new Map();
+let palettesByApp = new Map();
+let screenTextByApp = new Map();
+let noteSaveTimer = null;
+let pendingAnnotation = null;
+let currentSnapshots = [];
+let currentSnapshot = null;
+let newScreenUrls = new Set();
+let duplicateGroups = [];
+let similarSource = null;
+let similarResults = [];
+let compareTray = [];
+let compareSettings = { mode: 'side', zoom: 1, opacity: 0.5, difference: false, base: 0, overlay: 1 };
+let compareScrollSource = null;
+let pdfOptions = { ...ContactSheet.DEFAULT_OPTIONS };
+let boardsData = [];
+let currentBoard = null;
+let boardSelection = new Set();
+let boardArrowStart = null;
+let boardArrowMode = false;
+let boardDrag = null;
+let boardShelfDrag = null;
+let boardSaveTimer = null;
+let storagePolicy = { ...VaultStorage.DEFAULT_POLICY };
+let storageUsage = [];
+let expandedStorageApp = null;
+let selectorProfiles = [];
+let selectorProfileId = null;
+let selectorsEdited = false;
+let lightbox = null;
+let lightboxView = { scale: 1, x: 0, y: 0, fit: true };
+let lightboxPan = null;
+
+// Screen records behind grid items, so the lightbox can step through a grid
+const screenItemData = new WeakMap();
+
+const FLOW_PLAY_INTERVAL = 2000;
+const LIGHTBOX_MAX_ZOOM = 8;
+const COMPARE_ZOOM_LEVELS = [1, 1.5, 2, 3, 4];
+const BOARD_SAVE_DELAY = 500;
+const BOARD_SCREEN_WIDTH = 240;
+const BOARD_GROUP_PADDING = 24;
+const BOARD_MIN_ZOOM = 0.1;
+const BOARD_MAX_ZOOM = 4;
+const LIGHTBOX_ZOOM_STEP = 1.5;
+const NOTE_SAVE_DELAY = 600;
+
+const PLATFORM_LABELS = {
+  ios: 'iOS',
+  android: 'Android',
+  web: 'Web'
+};
+
+// Why the storage policy will remove an app's offline images
+const EVICTION_LABELS = {
+  'not-starred': 'Not starred: images will be removed',
+  'not-opened': 'Not opened lately: images will be removed'
+};
+
+// Library search (see lib/library-search.js) over the loaded indexes
+const librarySearch = LibrarySearch.create({
+  notes: appId => getNoteTexts(appId),
+  text: appId => getScreenTexts(appId),
+  color: (app, hex) => appMatchesColor(app, hex),
+  tags: () => tagList
+});
+let selectionMode = false;
+let isExporting = false;
+const selectedAppIds = new Set();
 
 const elements = {
   views: {
     library: document.getElementById('view-library'),
-    detail: document.getElementById('view-detail')
+    detail: document.getElementById('view-detail'),
+    collection: document.getElementById('view-collection'),
+    duplicates: document.getElementById('view-duplicates'),
+    similar: document.getElementById('view-similar'),
+    compare: document.getElementById('view-compare'),
+    board: document.getElementById('view-board'),
+    storage: document.getElementById('view-storage'),
+    selectors: document.getElementById('view-selectors')
   },
   title: document.getElementById('page-title'),
   appCount: document.getElementById('app-count'),
   libraryControls: document.getElementById('library-controls'),
   detailActions: document.getElementById('detail-actions'),
+  collectionActions: document.getElementById('collection-actions'),
+  duplicatesActions: document.getElementById('duplicates-actions'),
+  duplicatesThreshold: document.getElementById('duplicates-threshold'),
+  btnHashRemaining: document.getElementById('btn-hash-remaining'),
+  similarActions: document.getElementById('similar-actions'),
+  similarSameApp: document.getElementById('similar-same-app'),
+  btnSimilarRemaining: document.getElementById('btn-similar-remaining'),
+  boardActions: document.getElementById('board-actions'),
+  storageActions: document.getElementById('storage-actions'),
+  storageApps: document.getElementById('storage-apps'),
+  storageTable: document.getElementById('storage-table'),
+  storageEmpty: document.getElementById('storage-empty'),
+  storagePageUsed: document.getElementById('storage-page-used'),
+  storagePageQuota: document.getElementById('storage-page-quota'),
+  storagePageDetails: document.getElementById('storage-page-details'),
+  storagePageProgress: document.getElementById('storage-page-progress'),
+  policyStarredOnly: document.getElementById('policy-starred-only'),
+  policyEvictDays: document.getElementById('policy-evict-days'),
+  policyPreview: document.getElementById('policy-preview'),
+  btnApplyPolicy: document.getElementById('btn-apply-policy'),
+  btnUnlimitedStorage: document.getElementById('btn-unlimited-storage'),
+  btnStarApp: document.getElementById('btn-star-app'),
+  selectorsActions: document.getElementById('selectors-actions'),
+  selectorProfileList: document.getElementById('selector-profile-list'),
+  selectorFallback: document.getElementById('selector-fallback'),
+  selectorName: document.getElementById('selector-name'),
+  selectorHint: document.getElementById('selector-hint'),
+  selectorFields: document.getElementById('selector-fields'),
+  selectorTab: document.getElementById('selector-tab'),
+  selectorDiagnoseStatus: document.getElementById('selector-diagnose-status'),
+  selectorImportFile: document.getElementById('selector-import-file'),
+  btnSaveSelectors: document.getElementById('btn-save-selectors'),
+  btnDeleteSelectors: document.getElementById('btn-delete-selectors'),
+  btnActivateSelectors: document.getElementById('btn-activate-selectors'),
+  btnDiagnoseSelectors: document.getElementById('btn-diagnose-selectors'),
+  boardNav: document.getElementById('board-nav'),
+  boardCanvas: document.getElementById('board-canvas'),
+  boardWorld: document.getElementById('board-world'),
+  boardArrows: document.getElementById('board-arrows'),
+  boardEmpty: document.getElementById('board-empty'),
+  boardZoomLevel: document.getElementById('board-zoom-level'),
+  boardShelfApp: document.getElementById('board-shelf-app'),
+  boardShelfFilter: document.getElementById('board-shelf-filter'),
+  boardShelfScreens: document.getElementById('board-shelf-screens'),
+  btnBoardArrow: document.getElementById('btn-board-arrow'),
+  btnBoardGroup: document.getElementById('btn-board-group'),
+  btnBoardDelete: document.getElementById('btn-board-delete'),
+  compareActions: document.getElementById('compare-actions'),
+  compareMode: document.getElementById('compare-mode'),
+  compareOnionControls: document.getElementById('compare-onion-controls'),
+  compareBase: document.getElementById('compare-base'),
+  compareOverlay: document.getElementById('compare-overlay'),
+  compareOpacity: document.getElementById('compare-opacity'),
+  compareDifference: document.getElementById('compare-difference'),
+  compareZoomLevel: document.getElementById('compare-zoom-level'),
+  comparePanes: document.getElementById('compare-panes'),
+  compareTray: document.getElementById('compare-tray'),
+  compareTrayItems: document.getElementById('compare-tray-items'),
+  compareTrayHint: document.getElementById('compare-tray-hint'),
+  btnCompareScreen: document.getElementById('btn-compare-screen'),
+  collectionNav: document.getElementById('collection-nav'),
+  btnSaveSearch: document.getElementById('btn-save-search'),
+  btnEditSearch: document.getElementById('btn-edit-search'),
+  smartNotify: document.getElementById('smart-notify'),
+  smartNotifyLabel: document.getElementById('smart-notify-label'),
+  detailTags: document.getElementById('detail-tags'),
+  sidebarTags: document.getElementById('sidebar-tags'),
+  tagSuggestions: document.getElementById('tag-suggestions'),
+  screenNote: document.getElementById('screen-note'),
+  annotationStage: document.getElementById('annotation-stage'),
+  annotationMarkers: document.getElementById('annotation-markers'),
+  annotationList: document.getElementById('annotation-list'),
   sidebar: document.getElementById('preview-sidebar'),
+  lightbox: document.getElementById('lightbox'),
+  lightboxStage: document.getElementById('lightbox-stage'),
+  lightboxImage: document.getElementById('lightbox-image'),
+  lightboxCounter: document.getElementById('lightbox-counter'),
+  lightboxTitle: document.getElementById('lightbox-title'),
+  lightboxZoomLevel: document.getElementById('lightbox-zoom-level'),
+  lightboxFilmstrip: document.getElementById('lightbox-filmstrip'),
   overlay: document.getElementById('overlay'),
   searchInput: document.getElementById('search-input'),
   clearSearch: document.getElementById('clear-search'),
+  colorFilter: document.getElementById('color-filter'),
+  colorFilterInput: document.getElementById('color-filter-input'),
+  colorFilterLabel: document.getElementById('color-filter-label'),
+  btnClearColor: document.getElementById('btn-clear-color'),
+  searchHighlight: document.getElementById('search-highlight'),
+  searchHints: document.getElementById('search-hints'),
+  filterColor: document.getElementById('filter-color'),
+  detailPalette: document.getElementById('detail-palette'),
+  sidebarPalette: document.getElementById('sidebar-palette'),
+  textHighlights: document.getElementById('text-highlights'),
+  textStatus: document.getElementById('text-status'),
+  btnReadText: document.getElementById('btn-read-text'),
   sortSelect: document.getElementById('sort-select'),
   libraryGrid: document.getElementById('library-grid'),
   loadingState: document.getElementById('loading-state'),
@@ -28,7 +210,27 @@ const elements = {
   noResultsState: document.getElementById('no-results-state'),
   screensLoading: document.getElementById('screens-loading'),
   storageUsed: document.getElementById('storage-used'),
-  storageProgress: document.getElementById('storage-progress')
+  storageProgress: document.getElementById('storage-progress'),
+  storageCache: document.getElementById('storage-cache'),
+  selectionBar: document.getElementById('selection-bar'),
+  modal: document.getElementById('modal'),
+  restoreFile: document.getElementById('restore-file'),
+  selectionCount: document.getElementById('selection-count'),
+  detailCache: document.getElementById('detail-cache'),
+  screenSearch: document.getElementById('screen-search'),
+  filterPlatform: document.getElementById('filter-platform'),
+  filterPattern: document.getElementById('filter-pattern'),
+  filterElement: document.getElementById('filter-element'),
+  screenFilterCount: document.getElementById('screen-filter-count'),
+  sidebarMeta: document.getElementById('sidebar-meta'),
+  detailTabs: document.querySelectorAll('.detail-tab'),
+  flowsList: document.getElementById('flows-list'),
+  flowsEmpty: document.getElementById('flows-empty'),
+  flowPlayer: document.getElementById('flow-player'),
+  flowPlayerImage: document.getElementById('flow-player-image'),
+  flowPlayerSteps: document.getElementById('flow-player-steps'),
+  btnFlowPlay: document.getElementById('btn-flow-play'),
+  btnCacheApp: document.getElementById('btn-cache-app')
 };
 
 // Initialize
@@ -46,13 +248,32 @@ async function loadData() {
   try {
     showLoading(true);
     
-    const result = await chrome.storage.local.get("apps");
-    appsData = result.apps || [];
+    // Pick up data saved by older versions before reading
+    await VaultStore.migrateLegacy().catch(error => {
+      console.warn('Legacy migration failed:', error);
+    });
+    
+    appsData = await VaultStore.getApps();
     filteredApps = [...appsData];
+
+    cacheCounts = await ImageCache.getCountsByApp().catch(error => {
+      console.warn('Could not read image cache:', error);
+      return new Map();
+    });
+    
+    await refreshNoteIndex();
+    await refreshPaletteIndex();
+    await refreshTextIndex();
     
     applySortAndFilter();
     renderLibrary();
     
+    await refreshCollections();
+    await refreshBoards();
+    refreshTagSuggestions();
+    openLinkedCollection();
+    openLinkedSelectors();
+    
   } catch (error) {
     console.error('Failed to load data:', error);
     showToast('Failed to load apps', 'error');
@@ -66,25 +287,251 @@ async function loadData() {
  */
 function attachEventListeners() {
   // Navigation
-  document.getElementById('btn-back').addEventListener('click', showLibrary);
+  document.getElementById('btn-back').addEventListener('click', goBack);
   document.getElementById('nav-library').addEventListener('click', showLibrary);
+  document.getElementById('nav-duplicates').addEventListener('click', showDuplicates);
+  elements.duplicatesThreshold.addEventListener('change', loadDuplicates);
+  elements.btnHashRemaining.addEventListener('click', async () => {
+    await checkRemainingScreens(elements.btnHashRemaining);
+    loadDuplicates();
+  });
+  
+  // Similar screens
+  document.getElementById('btn-find-similar').addEventListener('click', () => {
+    if (currentScreen) showSimilar(currentScreen);
+  });
+  elements.similarSameApp.addEventListener('change', loadSimilar);
+  elements.btnSimilarRemaining.addEventListener('click', async () => {
+    await checkRemainingScreens(elements.btnSimilarRemaining);
+    loadSimilar();
+  });
+  document.getElementById('btn-save-similar').addEventListener('click', handleSaveSimilar);
+  
+  // Storage
+  document.getElementById('nav-storage').addEventListener('click', showStorage);
+  elements.policyEvictDays.innerHTML = VaultStorage.EVICT_DAY_OPTIONS
+    .map(days => `<option value="${days}">${days ? `${days} days` : 'Never'}</option>`)
+    .join('');
+  elements.policyStarredOnly.addEventListener('change', () => {
+    updateStoragePolicy({ starredOnly: elements.policyStarredOnly.checked });
+  });
+  elements.policyEvictDays.addEventListener('change', () => {
+    updateStoragePolicy({ evictAfterDays: Number(elements.policyEvictDays.value) });
+  });
+  elements.btnApplyPolicy.addEventListener('click', handleApplyPolicy);
+  elements.btnUnlimitedStorage.addEventListener('click', handleRequestUnlimited);
+  elements.btnStarApp.addEventListener('click', () => {
+    if (currentApp) toggleAppStar(currentApp);
+  });
+  
+  // Scanner selector profiles
+  document.getElementById('nav-selectors').addEventListener('click', showSelectors);
+  document.getElementById('btn-new-selector-profile').addEventListener('click', handleNewSelectorProfile);
+  document.getElementById('btn-duplicate-selectors').addEventListener('click', handleDuplicateSelectorProfile);
+  document.getElementById('btn-export-selectors').addEventListener('click', handleExportSelectorProfile);
+  document.getElementById('btn-import-selectors').addEventListener('click', () => elements.selectorImportFile.click());
+  document.getElementById('btn-clear-highlight').addEventListener('click', handleClearHighlight);
+  elements.selectorImportFile.addEventListener('change', handleImportSelectorProfiles);
+  elements.btnSaveSelectors.addEventListener('click', handleSaveSelectorProfile);
+  elements.btnDeleteSelectors.addEventListener('click', handleDeleteSelectorProfile);
+  elements.btnActivateSelectors.addEventListener('click', handleActivateSelectorProfile);
+  elements.btnDiagnoseSelectors.addEventListener('click', handleDiagnoseSelectors);
+  elements.selectorFallback.addEventListener('change', async () => {
+    await SelectorProfiles.setFallback(elements.selectorFallback.checked);
+    showToast(elements.selectorFallback.checked ? 'Scans try every profile' : 'Scans use one profile only', 'info');
+  });
+  elements.selectorName.addEventListener('input', () => { selectorsEdited = true; });
+  
+  // PDF contact sheets
+  document.getElementById('btn-export-pdf').addEventListener('click', () => {
+    if (currentApp) openPdfExport(() => getAppSheet(currentApp), currentApp.name);
+  });
+  document.getElementById('btn-export-collection-pdf').addEventListener('click', () => {
+    if (currentCollection) openPdfExport(() => getCollectionSheet(currentCollection), currentCollection.name);
+  });
+  
+  // Boards
+  document.getElementById('btn-new-board').addEventListener('click', () => {
+    openNameDialog({
+      title: 'New Board',
+      confirmLabel: 'Create',
+      onSubmit: async (name) => {
+        const board = await VaultBoards.createBoard(name);
+        await refreshBoards();
+        openBoard(board.id);
+      }
+    });
+  });
+  document.getElementById('btn-rename-board').addEventListener('click', handleRenameBoard);
+  document.getElementById('btn-delete-board').addEventListener('click', handleDeleteBoard);
+  document.getElementById('btn-export-board').addEventListener('click', handleExportBoard);
+  document.getElementById('btn-board-note').addEventListener('click', () => addBoardNote());
+  elements.btnBoardArrow.addEventListener('click', () => setBoardArrowMode(!boardArrowMode));
+  elements.btnBoardGroup.addEventListener('click', toggleBoardGroup);
+  elements.btnBoardDelete.addEventListener('click', deleteBoardSelection);
+  document.getElementById('board-zoom-in').addEventListener('click', () => zoomBoard(currentBoard.view.zoom * 1.25));
+  document.getElementById('board-zoom-out').addEventListener('click', () => zoomBoard(currentBoard.view.zoom / 1.25));
+  elements.boardZoomLevel.addEventListener('click', fitBoard);
+  elements.boardShelfApp.addEventListener('change', renderBoardShelf);
+  elements.boardShelfFilter.addEventListener('input', renderBoardShelf);
+  elements.boardCanvas.addEventListener('pointerdown', handleBoardPointerDown);
+  elements.boardCanvas.addEventListener('pointermove', handleBoardPointerMove);
+  elements.boardCanvas.addEventListener('pointerup', handleBoardPointerUp);
+  elements.boardCanvas.addEventListener('pointercancel', handleBoardPointerUp);
+  elements.boardCanvas.addEventListener('wheel', handleBoardWheel, { passive: false });
+  elements.boardCanvas.addEventListener('dragover', (e) => {
+    if (!boardShelfDrag) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  elements.boardCanvas.addEventListener('drop', (e) => {
+    if (!boardShelfDrag) return;
+    e.preventDefault();
+    const point = getBoardPoint(e);
+    addBoardScreen(boardShelfDrag, point.x, point.y);
+    boardShelfDrag = null;
+  });
+  
+  // Compare
+  elements.btnCompareScreen.addEventListener('click', () => {
+    if (currentScreen) toggleCompare(currentScreen);
+  });
+  document.getElementById('btn-open-compare').addEventListener('click', showCompare);
+  document.getElementById('btn-clear-compare').addEventListener('click', clearCompare);
+  elements.compareMode.addEventListener('change', () => {
+    compareSettings.mode = elements.compareMode.value;
+    renderCompare();
+  });
+  elements.compareBase.addEventListener('change', () => {
+    compareSettings.base = Number(elements.compareBase.value);
+    renderCompare();
+  });
+  elements.compareOverlay.addEventListener('change', () => {
+    compareSettings.overlay = Number(elements.compareOverlay.value);
+    renderCompare();
+  });
+  elements.compareOpacity.addEventListener('input', () => {
+    compareSettings.opacity = elements.compareOpacity.value / 100;
+    applyCompareOverlay();
+  });
+  elements.compareDifference.addEventListener('change', () => {
+    compareSettings.difference = elements.compareDifference.checked;
+    applyCompareOverlay();
+  });
+  document.getElementById('compare-zoom-in').addEventListener('click', () => stepCompareZoom(1));
+  document.getElementById('compare-zoom-out').addEventListener('click', () => stepCompareZoom(-1));
+  elements.compareZoomLevel.addEventListener('click', () => setCompareZoom(1));
+  document.getElementById('btn-export-compare').addEventListener('click', handleExportCompare);
+  document.getElementById('nav-queue').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'queue.html' });
+  });
   
   // Search
   elements.searchInput.addEventListener('input', handleSearch);
+  elements.searchInput.addEventListener('keydown', handleSearchKeys);
+  elements.searchInput.addEventListener('scroll', syncSearchHighlight);
+  ['focus', 'click', 'keyup'].forEach(type => {
+    elements.searchInput.addEventListener(type, (e) => {
+      // Arrow keys move through the hints rather than rebuilding them
+      if (e.type === 'keyup' && ['ArrowUp', 'ArrowDown', 'Tab', 'Enter', 'Escape'].includes(e.key)) return;
+      updateSearchHints();
+    });
+  });
+  elements.searchInput.addEventListener('blur', () => elements.searchHints.classList.add('hidden'));
+  // Keep focus in the input when a hint is clicked
+  elements.searchHints.addEventListener('mousedown', (e) => e.preventDefault());
   elements.clearSearch.addEventListener('click', clearSearch);
-  document.getElementById('btn-clear-search')?.addEventListener('click', clearSearch);
+  document.getElementById('btn-clear-search')?.addEventListener('click', () => {
+    clearSearch();
+    clearColorFilter();
+  });
+  elements.colorFilterInput.addEventListener('change', (e) => setColorFilter(e.target.value));
+  elements.btnClearColor.addEventListener('click', clearColorFilter);
+  elements.btnReadText.addEventListener('click', handleReadText);
+  elements.filterColor.addEventListener('click', () => {
+    screenFilters.color = null;
+    applyScreenFilters();
+  });
   
   // Sort
   elements.sortSelect.addEventListener('change', handleSort);
   
+  // Screen filters (detail view)
+  elements.screenSearch.addEventListener('input', (e) => {
+    screenFilters.text = e.target.value.toLowerCase().trim();
+    applyScreenFilters();
+  });
+  [
+    [elements.filterPlatform, 'platform'],
+    [elements.filterPattern, 'pattern'],
+    [elements.filterElement, 'element']
+  ].forEach(([select, key]) => {
+    select.addEventListener('change', (e) => {
+      screenFilters[key] = e.target.value;
+      applyScreenFilters();
+    });
+  });
+  
   // Clear all data
   document.getElementById('btn-clear').addEventListener('click', handleClearAll);
   
+  // Static website export
+  document.getElementById('btn-export-site').addEventListener('click', () => {
+    const apps = [...appsData].sort((a, b) => a.name.localeCompare(b.name));
+    openSiteExport(async () => apps.map(app => ({ app, screens: null })), 'Mobbin Vault');
+  });
+  document.getElementById('btn-export-selected-site').addEventListener('click', () => {
+    const apps = appsData.filter(app => selectedAppIds.has(app.id));
+    openSiteExport(async () => apps.map(app => ({ app, screens: null })), 'Mobbin Vault');
+  });
+  document.getElementById('btn-export-collection-site').addEventListener('click', () => {
+    if (currentCollection) {
+      const collection = currentCollection;
+      openSiteExport(() => getCollectionSiteEntries(collection), collection.name);
+    }
+  });
+  
+  // Backup and restore
+  document.getElementById('btn-backup').addEventListener('click', handleBackup);
+  document.getElementById('btn-restore').addEventListener('click', () => elements.restoreFile.click());
+  elements.restoreFile.addEventListener('change', handleRestoreFile);
+  
+  // Modal
+  document.getElementById('btn-close-modal').addEventListener('click', closeModal);
+  elements.modal.addEventListener('click', (e) => {
+    if (e.target === elements.modal) closeModal();
+  });
+  
   // Delete current app
   document.getElementById('btn-delete-app').addEventListener('click', handleDeleteApp);
   
   // Sidebar / Preview
   document.getElementById('btn-close-sidebar').addEventListener('click', closeSidebar);
+  
+  // Lightbox
+  document.getElementById('btn-open-lightbox').addEventListener('click', () => {
+    if (currentScreen) openLightbox(currentScreen);
+  });
+  document.getElementById('lightbox-close').addEventListener('click', () => closeLightbox());
+  document.getElementById('lightbox-details').addEventListener('click', () => closeLightbox(true));
+  document.getElementById('lightbox-prev').addEventListener('click', () => showLightboxScreen(lightbox.index - 1));
+  document.getElementById('lightbox-next').addEventListener('click', () => showLightboxScreen(lightbox.index + 1));
+  document.getElementById('lightbox-zoom-in').addEventListener('click', () => zoomLightbox(lightboxView.scale * LIGHTBOX_ZOOM_STEP));
+  document.getElementById('lightbox-zoom-out').addEventListener('click', () => zoomLightbox(lightboxView.scale / LIGHTBOX_ZOOM_STEP));
+  document.getElementById('lightbox-actual-size').addEventListener('click', () => zoomLightbox(getNativeScale()));
+  elements.lightboxZoomLevel.addEventListener('click', fitLightboxImage);
+  elements.lightboxImage.addEventListener('load', fitLightboxImage);
+  elements.lightboxStage.addEventListener('wheel', handleLightboxWheel, { passive: false });
+  elements.lightboxStage.addEventListener('pointerdown', startLightboxPan);
+  elements.lightboxStage.addEventListener('pointermove', moveLightboxPan);
+  elements.lightboxStage.addEventListener('pointerup', endLightboxPan);
+  elements.lightboxStage.addEventListener('pointercancel', endLightboxPan);
+  elements.lightboxImage.addEventListener('dblclick', handleLightboxDoubleClick);
+  window.addEventListener('resize', () => {
+    if (!lightbox) return;
+    if (lightboxView.fit) fitLightboxImage();
+    else applyLightboxTransform();
+  });
   elements.overlay.addEventListener('click', closeSidebar);
   
   // Downloads
@@ -94,6 +541,88 @@ function attachEventListeners() {
   
   document.getElementById('btn-download-all').addEventListener('click', handleDownloadAll);
   
+  // Multi-app selection and export
+  document.getElementById('btn-select').addEventListener('click', () => setSelectionMode(!selectionMode));
+  document.getElementById('btn-cancel-select').addEventListener('click', () => setSelectionMode(false));
+  document.getElementById('btn-select-all').addEventListener('click', selectAllVisible);
+  document.getElementById('btn-export-selected').addEventListener('click', () => {
+    exportAppsAsZip(appsData.filter(app => selectedAppIds.has(app.id)));
+  });
+  
+  // Collections
+  document.getElementById('btn-new-collection').addEventListener('click', () => {
+    openNameDialog({
+      title: 'New Collection',
+      confirmLabel: 'Create',
+      onSubmit: async (name) => {
+        const collection = await VaultCollections.createCollection(name);
+        await refreshCollections();
+        openCollection(collection.id);
+      }
+    });
+  });
+  document.getElementById('btn-rename-collection').addEventListener('click', handleRenameCollection);
+  elements.btnSaveSearch.addEventListener('click', handleSaveSearch);
+  elements.btnEditSearch.addEventListener('click', handleEditSearch);
+  elements.smartNotify.addEventListener('change', handleSmartNotify);
+  document.getElementById('btn-delete-collection').addEventListener('click', handleDeleteCollection);
+  document.getElementById('btn-app-collections').addEventListener('click', () => {
+    if (!currentApp) return;
+    openCollectionPicker({ type: 'app', itemId: currentApp.id, appId: currentApp.id }, currentApp.name);
+  });
+  document.getElementById('btn-screen-collections').addEventListener('click', () => {
+    if (!currentScreen) return;
+    openCollectionPicker(
+      { type: 'screen', itemId: currentScreen.id, appId: currentScreen.appId },
+      currentScreen.title || 'this screen'
+    );
+  });
+  
+  // Screen notes and annotations
+  elements.screenNote.addEventListener('input', () => {
+    clearTimeout(noteSaveTimer);
+    noteSaveTimer = setTimeout(saveScreenNote, NOTE_SAVE_DELAY);
+  });
+  elements.screenNote.addEventListener('blur', saveScreenNote);
+  elements.annotationStage.addEventListener('click', handleAnnotationClick);
+  
+  // Scan history
+  document.getElementById('btn-view-changes').addEventListener('click', () => {
+    const snapshot = currentSnapshots.find(s => s.id === currentApp.restoredSnapshotId) || currentSnapshots[0];
+    showDetailTab('history');
+    if (snapshot) openSnapshot(snapshot);
+  });
+  document.getElementById('btn-snapshot-back').addEventListener('click', closeSnapshot);
+  document.getElementById('btn-restore-snapshot').addEventListener('click', () => {
+    if (currentSnapshot) handleRestoreSnapshot(currentSnapshot);
+  });
+  
+  // Detail tabs
+  elements.detailTabs.forEach(tab => {
+    tab.addEventListener('click', () => showDetailTab(tab.dataset.tab));
+  });
+  
+  // Flow player
+  document.getElementById('btn-flow-back').addEventListener('click', closeFlow);
+  document.getElementById('btn-flow-prev').addEventListener('click', () => showFlowStep(currentFlowStep - 1));
+  document.getElementById('btn-flow-next').addEventListener('click', () => showFlowStep(currentFlowStep + 1));
+  elements.btnFlowPlay.addEventListener('click', toggleFlowPlayback);
+  elements.flowPlayerImage.addEventListener('click', () => {
+    const step = currentFlow?.steps[currentFlowStep];
+    const screen = step && currentScreens.find(s => s.id === step.screenId);
+    if (screen) openSidebar(screen);
+  });
+  
+  // Offline cache
+  elements.btnCacheApp.addEventListener('click', handleCacheApp);
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'cache_progress') {
+      handleCacheProgress(message);
+    } else if (message.action === 'vault_changed') {
+      handleVaultChanged(message);
+    }
+  });
+  
   // Open Mobbin
   document.getElementById('btn-open-mobbin')?.addEventListener('click', () => {
     chrome.tabs.create({ url: 'https://mobbin.com' });
@@ -105,20 +634,75 @@ function attachEventListeners() {
  */
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
+    // The lightbox takes the keyboard while it's open (ESC closes it)
+    if (lightbox && elements.modal.classList.contains('hidden')) {
+      handleLightboxKey(e);
+      return;
+    }
+    
     // ESC - Close sidebar or go back
     if (e.key === 'Escape') {
-      if (elements.sidebar.classList.contains('open')) {
+      if (!elements.modal.classList.contains('hidden')) {
+        closeModal();
+      } else if (elements.sidebar.classList.contains('open')) {
         closeSidebar();
+      } else if (currentFlow) {
+        closeFlow();
+      } else if (currentSnapshot) {
+        closeSnapshot();
+      } else if (currentBoard && (boardArrowMode || boardSelection.size > 0)) {
+        setBoardArrowMode(false);
+        selectBoardItems([]);
+      } else if (!elements.views.collection.classList.contains('hidden') ||
+                 !elements.views.duplicates.classList.contains('hidden') ||
+                 !elements.views.similar.classList.contains('hidden') ||
+                 !elements.views.compare.classList.contains('hidden') ||
+                 !elements.views.board.classList.contains('hidden') ||
+                 !elements.views.storage.classList.contains('hidden') ||
+                 !elements.views.selectors.classList.contains('hidden')) {
+        showLibrary();
       } else if (!elements.views.library.classList.contains('hidden')) {
-        // In library view, clear search if active
-        if (currentSearch) {
+        // In library view, leave selection mode or clear search if active
+        if (selectionMode) {
+          setSelectionMode(false);
+        } else if (currentSearch) {
           clearSearch();
+        } else if (colorFilter) {
+          clearColorFilter();
         }
       } else {
-        showLibrary();
+        goBack();
       }
     }
     
+    // Arrow keys - Step through the open flow
+    if (currentFlow && !elements.sidebar.classList.contains('open') && 
+        elements.modal.classList.contains('hidden')) {
+      if (e.key === 'ArrowLeft') showFlowStep(currentFlowStep - 1);
+      if (e.key === 'ArrowRight') showFlowStep(currentFlowStep + 1);
+    }
+    
+    // Board keys, unless typing (e.g. in a sticky note)
+    if (currentBoard && !e.ctrlKey && !e.metaKey && !e.altKey && elements.modal.classList.contains('hidden') &&
+        !e.target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) {
+      handleBoardKey(e);
+    }
+    
+    // + - 0 - Zoom the compared screens together
+    if (!elements.views.compare.classList.contains('hidden') && !e.ctrlKey && !e.metaKey &&
+        !e.target.closest('input, textarea, select')) {
+      if (e.key === '+' || e.key === '=') stepCompareZoom(1);
+      if (e.key === '-') stepCompareZoom(-1);
+      if (e.key === '0') setCompareZoom(1);
+    }
+    
+    // F - View the previewed screen full screen
+    if (e.key === 'f' && !e.ctrlKey && !e.metaKey && !e.altKey && currentScreen &&
+        elements.sidebar.classList.contains('open') && !e.target.closest('input, textarea, select, [contenteditable]')) {
+      e.preventDefault();
+      openLightbox(currentScreen);
+    }
+    
     // Ctrl/Cmd + K - Focus search
     if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
       e.preventDefault();
@@ -137,22 +721,181 @@ function setupKeyboardShortcuts() {
  * Handle search input
  */
 function handleSearch(e) {
-  currentSearch = e.target.value.toLowerCase().trim();
+  currentSearch = e.target.value.trim();
+  currentQuery = currentSearch ? librarySearch.parse(currentSearch) : null;
   
   // Show/hide clear button
   elements.clearSearch.style.display = currentSearch ? 'block' : 'none';
+  updateSearchHighlight();
+  updateSearchHints();
   
   applySortAndFilter();
   renderLibrary();
 }
 
+/**
+ * Tint the query's fields and operators and underline its errors, on a
+ * layer lined up with the search input
+ */
+function updateSearchHighlight() {
+  const value = elements.searchInput.value;
+  const classes = new Array(value.length).fill('');
+  const mark = (start, end, className) => {
+    for (let i = start; i < end && i < value.length; i++) classes[i] = className;
+  };
+  
+  // Positions refer to the trimmed query
+  const offset = value.indexOf(currentSearch);
+  if (currentQuery) {
+    currentQuery.tokens.forEach(token => {
+      if (token.type === 'field') mark(offset + token.start, offset + token.valueStart, 'query-field');
+      if (token.type === 'or' || token.type === 'not') mark(offset + token.start, offset + token.end, 'query-operator');
+    });
+    currentQuery.errors.forEach(error => mark(offset + error.start, offset + Math.max(error.end, error.start + 1), 'query-error'));
+  }
+  
+  let html = '';
+  let run = '';
+  let runClass = '';
+  const flush = () => {
+    if (run) html += runClass ? `<span class="${runClass}">${sanitizeText(run)}</span>` : sanitizeText(run);
+    run = '';
+  };
+  for (let i = 0; i < value.length; i++) {
+    if (classes[i] !== runClass) {
+      flush();
+      runClass = classes[i];
+    }
+    run += value[i];
+  }
+  flush();
+  
+  elements.searchHighlight.innerHTML = html;
+  elements.searchInput.classList.toggle('has-error', Boolean(currentQuery && currentQuery.errors.length));
+  syncSearchHighlight();
+}
+
+function syncSearchHighlight() {
+  elements.searchHighlight.scrollLeft = elements.searchInput.scrollLeft;
+}
+
+/**
+ * Show completions for the word at the cursor, the query's errors, or a
+ * syntax reminder
+ */
+function updateSearchHints() {
+  const input = elements.searchInput;
+  const box = elements.searchHints;
+  if (document.activeElement !== input) return;
+  
+  const hints = librarySearch.suggest(input.value, input.selectionStart);
+  const errors = currentQuery ? currentQuery.errors : [];
+  activeHint = -1;
+  box.innerHTML = '';
+  
+  hints.forEach((hint, index) => {
+    const item = document.createElement('button');
+    item.className = 'search-hint';
+    item.dataset.index = index;
+    item.innerHTML = `
+      <span class="search-hint-label">${sanitizeText(hint.label)}</span>
+      ${hint.description ? `<span class="search-hint-description">${sanitizeText(hint.description)}</span>` : ''}
+    `;
+    item.addEventListener('click', () => applySearchHint(hint));
+    box.appendChild(item);
+  });
+  
+  errors.forEach(error => {
+    const item = document.createElement('div');
+    item.className = 'search-hint-error';
+    item.textContent = error.message;
+    box.appendChild(item);
+  });
+  
+  if (hints.length === 0 && errors.length === 0 && !input.value.trim()) {
+    const help = document.createElement('div');
+    help.className = 'search-hint-help';
+    help.textContent = SearchQuery.SYNTAX_HELP;
+    box.appendChild(help);
+  }
+  
+  box.classList.toggle('hidden', box.children.length === 0);
+  box.hints = hints;
+}
+
+/**
+ * Replace the word at the cursor with a completion
+ */
+function applySearchHint(hint) {
+  const input = elements.searchInput;
+  const { start, end } = hint.replace;
+  input.value = input.value.slice(0, start) + hint.text + input.value.slice(end);
+  const cursor = start + hint.text.length;
+  input.setSelectionRange(cursor, cursor);
+  input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Arrow keys pick a hint, Tab or Enter takes it, Escape closes the hints
+ */
+function handleSearchKeys(e) {
+  const box = elements.searchHints;
+  const hints = box.hints || [];
+  if (box.classList.contains('hidden')) return;
+  
+  if (e.key === 'Escape') {
+    e.stopPropagation();
+    box.classList.add('hidden');
+    return;
+  }
+  if (hints.length === 0) return;
+  
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeHint = (activeHint + step + hints.length) % hints.length;
+    box.querySelectorAll('.search-hint').forEach(item => {
+      item.classList.toggle('active', Number(item.dataset.index) === activeHint);
+    });
+  } else if (e.key === 'Tab' || (e.key === 'Enter' && activeHint >= 0)) {
+    e.preventDefault();
+    applySearchHint(hints[Math.max(activeHint, 0)]);
+  }
+}
+
 /**
  * Clear search
  */
 function clearSearch() {
   currentSearch = '';
+  currentQuery = null;
   elements.searchInput.value = '';
   elements.clearSearch.style.display = 'none';
+  updateSearchHighlight();
+  
+  applySortAndFilter();
+  renderLibrary();
+}
+
+/**
+ * Show apps with screens (or a logo) close to a color
+ */
+function setColorFilter(hex) {
+  colorFilter = hex;
+  elements.colorFilter.classList.add('active');
+  elements.colorFilterLabel.textContent = hex;
+  elements.btnClearColor.classList.remove('hidden');
+  
+  applySortAndFilter();
+  renderLibrary();
+}
+
+function clearColorFilter() {
+  if (!colorFilter) return;
+  colorFilter = null;
+  elements.colorFilter.classList.remove('active');
+  elements.colorFilterLabel.textContent = 'Color';
+  elements.btnClearColor.classList.add('hidden');
   
   applySortAndFilter();
   renderLibrary();
@@ -171,27 +914,7 @@ function handleSort(e) {
  * Apply sorting and filtering
  */
 function applySortAndFilter() {
-  // Filter
-  if (currentSearch) {
-    filteredApps = appsData.filter(app => 
-      app.name.toLowerCase().includes(currentSearch)
-    );
-  } else {
-    filteredApps = [...appsData];
-  }
-  
-  // Sort
-  filteredApps.sort((a, b) => {
-    switch(currentSort) {
-      case 'name':
-        return a.name.localeCompare(b.name);
-      case 'screens':
-        return b.screenCount - a.screenCount;
-      case 'recent':
-      default:
-        return (b.dateAdded || 0) - (a.dateAdded || 0);
-    }
-  });
+  filteredApps = librarySearch.filter(appsData, { query: currentQuery, sort: currentSort, color: colorFilter });
 }
 
 /**
@@ -211,6 +934,7 @@ function renderLibrary() {
   
   // Update app count
   elements.appCount.textContent = `${appsData.length} app${appsData.length !== 1 ? 's' : ''}`;
+  elements.btnSaveSearch.classList.toggle('hidden', !currentSearch && !colorFilter);
   
   // Show appropriate state
   if (appsData.length === 0) {
@@ -223,8 +947,9 @@ function renderLibrary() {
   if (filteredApps.length === 0) {
     elements.emptyState.classList.add('hidden');
     elements.noResultsState.classList.remove('hidden');
+    const terms = [currentSearch && `"${currentSearch}"`, colorFilter && `the color ${colorFilter}`];
     document.getElementById('search-query-text').textContent = 
-      `No results for "${currentSearch}"`;
+      `No results for ${terms.filter(Boolean).join(' in ')}`;
     grid.style.display = 'none';
     return;
   }
@@ -258,6 +983,7 @@ function createAppCard(app) {
     : 'Recently';
   
   card.innerHTML = `
+    ${app.starred ? '<span class="app-star" title="Starred">★</span>' : ''}
     <img class="app-logo" src="${sanitizeUrl(logoSrc)}" loading="lazy" alt="${sanitizeText(app.name)}" onerror="this.onerror=null; this.src='https://via.placeholder.com/100/1a1a1a/666?text=${encodeURIComponent(app.name.charAt(0))}'; this.style.objectFit='contain'; this.style.padding='20px';">
     <div class="app-title">${sanitizeText(app.name)}</div>
     <div class="app-meta">
@@ -265,157 +991,4425 @@ function createAppCard(app) {
       <span class="separator">•</span>
       <span>${dateStr}</span>
     </div>
+    ${renderNoteMatch(app)}
+    ${renderTextMatch(app)}
+    ${renderColorMatch(app)}
+    ${app.tags?.length ? `<div class="app-tags">${app.tags.map(tag => `<span class="tag">${sanitizeText(tag)}</span>`).join('')}</div>` : ''}
+    ${renderCacheBadge(app)}
   `;
   
-  card.addEventListener('click', () => openDetail(app));
+  if (selectionMode) {
+    card.classList.add('selectable');
+    card.classList.toggle('selected', selectedAppIds.has(app.id));
+  }
+  
+  // The text snippet leads to the screen it was read from
+  card.querySelector('.app-text-match')?.addEventListener('click', (e) => {
+    if (selectionMode) return;
+    e.stopPropagation();
+    openScreenMatch(app, findTextMatch(app.id));
+  });
+  
+  card.addEventListener('click', () => {
+    if (selectionMode) {
+      toggleAppSelection(app.id, card);
+    } else {
+      openDetail(app);
+    }
+  });
   
   return card;
 }
 
 /**
- * Show library view
+ * Lowercase texts the search looks for: free text, and note: or text: values
  */
-function showLibrary() {
-  elements.views.library.classList.remove('hidden');
-  elements.views.detail.classList.add('hidden');
-  elements.libraryControls.classList.remove('hidden');
-  elements.detailActions.classList.add('hidden');
-  elements.title.textContent = "Library";
-  elements.appCount.style.display = 'inline';
-  
-  document.getElementById('nav-library').classList.add('active');
-  
-  currentApp = null;
-  closeSidebar();
+function searchTerms() {
+  return currentQuery ? currentQuery.terms : [];
+}
+
+function findSearchTerm(text) {
+  const lower = text.toLowerCase();
+  return searchTerms().find(term => lower.includes(term)) || null;
+}
+
+function nameMatchesSearch(app) {
+  return findSearchTerm(app.name) !== null;
+}
+
+function getNoteTexts(appId) {
+  return (notesByApp.get(appId) || []).map(note => note.text);
+}
+
+function getScreenTexts(appId) {
+  return (screenTextByApp.get(appId) || []).map(entry => entry.text);
 }
 
 /**
- * Open detail view
+ * First screen note or annotation of an app containing the search, or null
  */
-async function openDetail(app) {
-  currentApp = app;
-  
-  // Update header
-  elements.views.library.classList.add('hidden');
-  elements.views.detail.classList.remove('hidden');
-  elements.libraryControls.classList.add('hidden');
-  elements.detailActions.classList.remove('hidden');
-  elements.title.textContent = "App Details";
-  elements.appCount.style.display = 'none';
-  document.getElementById('nav-library').classList.remove('active');
+function findNoteMatch(appId) {
+  if (searchTerms().length === 0) return null;
+  return getNoteTexts(appId).find(text => findSearchTerm(text) !== null) || null;
+}
 
-  // Update detail view metadata
-  document.getElementById('detail-name').textContent = sanitizeText(app.name);
-  document.getElementById('detail-count').textContent = 
-    `${app.screenCount} screen${app.screenCount !== 1 ? 's' : ''}`;
-  document.getElementById('detail-date').textContent = 
-    `Added ${formatDate(app.dateAdded)}`;
-  
-  // Use placeholder as fallback with better styling
-  const logoSrc = (app.logo && !app.logo.includes('placeholder')) 
-    ? app.logo 
-    : `https://via.placeholder.com/100/1a1a1a/666?text=${encodeURIComponent(app.name.charAt(0))}`;
-  
-  const logoEl = document.getElementById('detail-logo');
-  logoEl.src = sanitizeUrl(logoSrc);
-  
-  // Handle logo load error
-  logoEl.onerror = () => {
-    logoEl.onerror = null;
-    logoEl.src = `https://via.placeholder.com/100/1a1a1a/666?text=${encodeURIComponent(app.name.charAt(0))}`;
-    logoEl.style.objectFit = 'contain';
-    logoEl.style.padding = '12px';
-  };
-  
-  // Show loading state for screens
-  elements.screensLoading.style.display = 'flex';
-  const grid = document.getElementById('detail-grid');
-  grid.innerHTML = '';
-  grid.style.display = 'none';
-  
-  // Simulate async loading (in real app, this could be progressive image loading)
-  await new Promise(resolve => setTimeout(resolve, 100));
+/**
+ * Snippet of the matching note on an app card, when the name doesn't match
+ */
+function renderNoteMatch(app) {
+  if (searchTerms().length === 0 || nameMatchesSearch(app)) return '';
   
-  // Render screens
-  renderScreens(app.screens);
+  const text = findNoteMatch(app.id);
+  if (!text) return '';
   
-  elements.screensLoading.style.display = 'none';
-  grid.style.display = 'grid';
+  return `<div class="app-note-match" title="${sanitizeText(text)}">✎ ${sanitizeText(searchSnippet(text))}</div>`;
 }
 
 /**
- * Render screens grid
+ * Part of `text` around the search, with some context
  */
-function renderScreens(screens) {
-  const grid = document.getElementById('detail-grid');
-  
-  screens.forEach((url, index) => {
-    const item = document.createElement('div');
-    item.className = 'screen-item';
-    
-    const img = document.createElement('img');
-    img.src = sanitizeUrl(url);
-    img.loading = "lazy";
-    img.alt = `Screen ${index + 1}`;
-    
-    // Handle image load errors
-    img.onerror = () => {
-      item.classList.add('error');
-      img.src = 'https://via.placeholder.com/400x800?text=Failed+to+Load';
-    };
-    
-    item.appendChild(img);
-    item.addEventListener('click', () => openSidebar(url));
-    grid.appendChild(item);
-  });
+function searchSnippet(text) {
+  const term = findSearchTerm(text) || '';
+  const index = text.toLowerCase().indexOf(term);
+  const start = Math.max(0, index - 30);
+  const end = Math.min(text.length, index + term.length + 30);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
 }
 
 /**
- * Open preview sidebar
+ * First screen of an app whose text contains the search: { screenId, text }
+ * or null
  */
-function openSidebar(url) {
-  currentImage = url;
-  document.getElementById('sidebar-image').src = sanitizeUrl(url);
-  elements.sidebar.classList.add('open');
-  elements.overlay.classList.add('visible');
+function findTextMatch(appId) {
+  if (searchTerms().length === 0) return null;
+  return (screenTextByApp.get(appId) || []).find(entry => findSearchTerm(entry.text) !== null) || null;
 }
 
 /**
- * Close preview sidebar
+ * Snippet of the matching screen text on an app card, when neither the
+ * name nor a note matches
  */
-function closeSidebar() {
-  elements.sidebar.classList.remove('open');
-  elements.overlay.classList.remove('visible');
+function renderTextMatch(app) {
+  if (searchTerms().length === 0 || nameMatchesSearch(app) || findNoteMatch(app.id)) return '';
+  
+  const match = findTextMatch(app.id);
+  if (!match) return '';
+  
+  return `<button class="app-text-match" title="Show the screen with this text">❝ ${sanitizeText(searchSnippet(match.text))}</button>`;
 }
 
 /**
- * Handle clear all data
+ * Open an app filtered to the search and preview the matching screen,
+ * with the text it matched highlighted. `match` is from findTextMatch.
  */
-async function handleClearAll() {
-  const confirmed = confirm(
-    `Are you sure you want to delete all ${appsData.length} apps?\n\nThis cannot be undone.`
-  );
+async function openScreenMatch(app, { screenId, text }) {
+  const query = findSearchTerm(text);
+  await openDetail(app);
   
-  if (!confirmed) return;
+  screenFilters.text = query;
+  elements.screenSearch.value = query;
+  await applyScreenFilters();
   
-  try {
-    await chrome.storage.local.clear();
-    appsData = [];
-    filteredApps = [];
-    renderLibrary();
-    updateStorageInfo();
-    showToast('All data cleared', 'success');
-  } catch (error) {
-    console.error('Failed to clear data:', error);
-    showToast('Failed to clear data', 'error');
+  const screen = currentScreens.find(s => s.id === screenId);
+  if (!screen) return;
+  
+  const item = document.querySelector(`#detail-grid .screen-item[data-screen-id="${CSS.escape(screenId)}"]`);
+  if (item) {
+    item.scrollIntoView({ block: 'center' });
+    item.classList.add('search-hit');
   }
+  openSidebar(screen);
 }
 
 /**
- * Handle delete current app
+ * Reload the screen text used by the library search, and show how much
+ * of the vault has been read
  */
-async function handleDeleteApp() {
-  if (!currentApp) return;
+async function refreshTextIndex() {
+  try {
+    screenTextByApp = await ScreenText.getTextByApp();
+  } catch (error) {
+    console.warn('Could not load screen text:', error);
+  }
+  updateTextStatus();
+}
+
+async function updateTextStatus() {
+  const [engine, counts] = await Promise.all([
+    ScreenText.getEngine(),
+    ScreenText.getUnreadCounts().catch(() => new Map())
+  ]);
+  const unread = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+  
+  if (!engine) {
+    elements.textStatus.textContent = 'Screen text search unavailable';
+    elements.textStatus.title = 'No text recognition engine could be loaded in this browser';
+  } else {
+    elements.textStatus.textContent = unread 
+      ? `${unread} screen${unread !== 1 ? 's' : ''} without searchable text` 
+      : 'All screen text searchable';
+    elements.textStatus.title = `Read on this device with ${engine.label}`;
+  }
+  elements.btnReadText.classList.toggle('hidden', !engine || unread === 0);
+  elements.btnReadText.disabled = false;
+}
+
+/**
+ * Read the text of screens saved before text search, or whose reading failed
+ */
+async function handleReadText() {
+  const button = elements.btnReadText;
+  button.disabled = true;
+  
+  try {
+    const counts = await ScreenText.getUnreadCounts();
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    let done = 0;
+    let failed = 0;
+    
+    for (const appId of counts.keys()) {
+      const base = done;
+      const result = await ScreenText.recognizeApp(appId, progress => {
+        elements.textStatus.textContent = `Reading screen ${base + progress.done} of ${total}...`;
+      }, { retryFailed: true });
+      done += counts.get(appId);
+      failed += result.failed;
+    }
+    
+    showToast(failed 
+      ? `Read ${total - failed} screens, ${failed} could not be read` 
+      : `Read ${total} screens`, failed ? 'warning' : 'success');
+  } catch (error) {
+    console.error('Failed to read screen text:', error);
+    showToast('Failed to read screen text', 'error');
+  }
+  
+  await refreshTextIndex();
+  applySortAndFilter();
+  if (!elements.views.library.classList.contains('hidden')) renderLibrary();
+}
+
+/**
+ * Outline the lines of the previewed screen matching the screen filter
+ */
+function renderTextHighlights(screen) {
+  elements.textHighlights.innerHTML = '';
+  const query = currentApp && screen.appId === currentApp.id ? screenFilters.text : '';
+  
+  ScreenText.findLines(screen, query).forEach(({ box }) => {
+    const highlight = document.createElement('div');
+    highlight.className = 'text-highlight';
+    highlight.style.left = `${box.x * 100}%`;
+    highlight.style.top = `${box.y * 100}%`;
+    highlight.style.width = `${box.width * 100}%`;
+    highlight.style.height = `${box.height * 100}%`;
+    elements.textHighlights.appendChild(highlight);
+  });
+}
+
+/**
+ * Ids of an app's screens with a color close to the color filter
+ */
+function findColorMatches(appId, hex = colorFilter) {
+  return LibrarySearch.findColorMatches(palettesByApp, appId, hex);
+}
+
+/**
+ * Whether any screen of an app, or its logo, has a color close to `hex`
+ */
+function appMatchesColor(app, hex) {
+  return LibrarySearch.appMatchesColor(palettesByApp, app, hex);
+}
+
+/**
+ * "● 4 screens" under an app card while filtering by color
+ */
+function renderColorMatch(app) {
+  if (!colorFilter) return '';
+  const count = findColorMatches(app.id).length;
+  const parts = [];
+  if (count) parts.push(`${count} screen${count !== 1 ? 's' : ''}`);
+  if (ImagePalette.matches(app.logoPalette, colorFilter).length) parts.push('logo');
+  
+  return `<div class="app-color-match"><span class="color-dot" style="background:${colorFilter}"></span>${parts.join(' · ')}</div>`;
+}
+
+/**
+ * Reload the screen palettes used by the color filter
+ */
+async function refreshPaletteIndex() {
+  try {
+    palettesByApp = await VaultStore.getPalettesByApp();
+  } catch (error) {
+    console.warn('Could not load screen palettes:', error);
+  }
+}
+
+/**
+ * Fill `container` with clickable swatches of a palette
+ */
+function renderPaletteStrip(container, palette) {
+  container.innerHTML = '';
+  container.classList.toggle('hidden', !palette || palette.length === 0);
+  
+  (palette || []).forEach(({ hex, share }) => {
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) return;
+    
+    const swatch = document.createElement('button');
+    swatch.className = 'palette-swatch';
+    swatch.style.background = hex;
+    swatch.style.flexGrow = Math.max(share, 0.05);
+    swatch.title = `${hex} (${Math.round(share * 100)}%), click to copy`;
+    swatch.addEventListener('click', (e) => {
+      e.stopPropagation();
+      copyColor(hex);
+    });
+    container.appendChild(swatch);
+  });
+}
+
+async function copyColor(hex) {
+  try {
+    await navigator.clipboard.writeText(hex);
+    showToast(`Copied ${hex}`, 'success');
+  } catch (error) {
+    console.error('Failed to copy color:', error);
+    showToast('Failed to copy color', 'error');
+  }
+}
+
+/**
+ * Reload the note texts used by the library search
+ */
+async function refreshNoteIndex() {
+  try {
+    notesByApp = await VaultStore.getNotesByApp();
+  } catch (error) {
+    console.warn('Could not load screen notes:', error);
+  }
+}
+
+/**
+ * Enter or leave multi-select mode in the library
+ */
+function setSelectionMode(enabled) {
+  selectionMode = enabled;
+  selectedAppIds.clear();
+  
+  elements.selectionBar.classList.toggle('hidden', !enabled);
+  document.getElementById('btn-select').classList.toggle('active', enabled);
+  updateSelectionCount();
+  renderLibrary();
+}
+
+/**
+ * Toggle one app in the selection
+ */
+function toggleAppSelection(appId, card) {
+  if (selectedAppIds.has(appId)) {
+    selectedAppIds.delete(appId);
+  } else {
+    selectedAppIds.add(appId);
+  }
+  
+  card.classList.toggle('selected', selectedAppIds.has(appId));
+  updateSelectionCount();
+}
+
+/**
+ * Select every app matching the current search
+ */
+function selectAllVisible() {
+  filteredApps.forEach(app => selectedAppIds.add(app.id));
+  updateSelectionCount();
+  renderLibrary();
+}
+
+/**
+ * Update selection counter and export button
+ */
+function updateSelectionCount() {
+  const count = selectedAppIds.size;
+  elements.selectionCount.textContent = `${count} selected`;
+  document.getElementById('btn-export-selected').disabled = count === 0;
+  document.getElementById('btn-export-selected-site').disabled = count === 0;
+}
+
+/**
+ * Cache badge for an app card
+ */
+function renderCacheBadge(app) {
+  const cached = cacheCounts.get(app.id) || 0;
+  if (cached === 0) return '';
+  
+  if (cached >= app.screenCount) {
+    return '<div class="cache-badge complete" title="All screens available offline">Offline</div>';
+  }
+  
+  return `<div class="cache-badge" title="Some screens available offline">${cached}/${app.screenCount} cached</div>`;
+}
+
+/**
+ * Show one of the main views ('library', 'detail' or 'collection') with its
+ * header controls, and mark the matching nav item
+ */
+function setActiveView(name) {
+  Object.entries(elements.views).forEach(([key, view]) => {
+    view.classList.toggle('hidden', key !== name);
+  });
+  elements.libraryControls.classList.toggle('hidden', name !== 'library');
+  elements.detailActions.classList.toggle('hidden', name !== 'detail');
+  elements.collectionActions.classList.toggle('hidden', name !== 'collection');
+  elements.duplicatesActions.classList.toggle('hidden', name !== 'duplicates');
+  elements.similarActions.classList.toggle('hidden', name !== 'similar');
+  elements.compareActions.classList.toggle('hidden', name !== 'compare');
+  elements.boardActions.classList.toggle('hidden', name !== 'board');
+  elements.storageActions.classList.toggle('hidden', name !== 'storage');
+  elements.selectorsActions.classList.toggle('hidden', name !== 'selectors');
+  elements.appCount.style.display = name === 'detail' ? 'none' : 'inline';
+  
+  document.getElementById('nav-library').classList.toggle('active', name === 'library');
+  document.getElementById('nav-duplicates').classList.toggle('active', name === 'duplicates');
+  document.getElementById('nav-storage').classList.toggle('active', name === 'storage');
+  document.getElementById('nav-selectors').classList.toggle('active', name === 'selectors');
+  elements.collectionNav.querySelectorAll('.nav-item').forEach(item => {
+    item.classList.toggle('active', name === 'collection' && item.dataset.id === currentCollection?.id);
+  });
+  elements.boardNav.querySelectorAll('.nav-item').forEach(item => {
+    item.classList.toggle('active', name === 'board' && item.dataset.id === currentBoard?.id);
+  });
+  renderCompareTray();
+  
+  // Leaving a board: store its last changes
+  if (name !== 'board' && currentBoard) {
+    saveBoardNow();
+    currentBoard = null;
+  }
+}
+
+/**
+ * Show library view
+ */
+function showLibrary() {
+  currentCollection = null;
+  setActiveView('library');
+  elements.title.textContent = "Library";
+  renderLibrary();
+  
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  ImageCache.revokeObjectUrls();
+}
+
+/**
+ * Open detail view
+ */
+async function openDetail(app) {
+  currentApp = app;
+  
+  // Update header
+  setActiveView('detail');
+  elements.title.textContent = "App Details";
+  closeSidebar();
+
+  // Update detail view metadata
+  document.getElementById('detail-name').textContent = sanitizeText(app.name);
+  document.getElementById('detail-count').textContent = 
+    `${app.screenCount} screen${app.screenCount !== 1 ? 's' : ''}`;
+  document.getElementById('detail-date').textContent = 
+    `Added ${formatDate(app.dateAdded)}`;
+  renderStarButton(app);
+  
+  // The storage policy can evict apps that are not opened for a while
+  VaultStore.markAppOpened(app.id).then(time => {
+    app.lastOpened = time;
+  }).catch(error => console.debug('Could not note app opened:', error));
+  
+  renderPaletteStrip(elements.detailPalette, []);
+  
+  renderTagEditor(elements.detailTags, app.tags || [], async (tags) => {
+    app.tags = await VaultStore.setAppTags(app.id, tags);
+    refreshTagSuggestions();
+    return app.tags;
+  });
+  
+  // Use placeholder as fallback with better styling
+  const logoSrc = (app.logo && !app.logo.includes('placeholder')) 
+    ? app.logo 
+    : `https://via.placeholder.com/100/1a1a1a/666?text=${encodeURIComponent(app.name.charAt(0))}`;
+  
+  const logoEl = document.getElementById('detail-logo');
+  logoEl.src = sanitizeUrl(logoSrc);
+  
+  // Handle logo load error
+  logoEl.onerror = () => {
+    logoEl.onerror = null;
+    logoEl.src = `https://via.placeholder.com/100/1a1a1a/666?text=${encodeURIComponent(app.name.charAt(0))}`;
+    logoEl.style.objectFit = 'contain';
+    logoEl.style.padding = '12px';
+  };
+  
+  // Show loading state for screens
+  elements.screensLoading.style.display = 'flex';
+  const grid = document.getElementById('detail-grid');
+  grid.innerHTML = '';
+  grid.style.display = 'none';
+  
+  try {
+    [currentScreens, currentFlows, currentSnapshots] = await Promise.all([
+      VaultStore.getScreens(app.id),
+      VaultStore.getFlows(app.id),
+      VaultStore.getSnapshots(app.id)
+    ]);
+  } catch (error) {
+    console.error('Failed to load screens:', error);
+    showToast('Failed to load screens', 'error');
+    currentScreens = [];
+    currentFlows = [];
+    currentSnapshots = [];
+  }
+  
+  document.getElementById('tab-screens-count').textContent = currentScreens.length;
+  document.getElementById('tab-flows-count').textContent = currentFlows.length;
+  document.getElementById('tab-history-count').textContent = currentSnapshots.length;
+  closeFlow();
+  closeSnapshot();
+  showDetailTab('screens');
+  updateScanChanges();
+  
+  renderPaletteStrip(elements.detailPalette, getAppPalette(app));
+  
+  // Render screens, preferring the offline cache
+  resetScreenFilters();
+  await renderScreens(getFilteredScreens());
+  renderFlowsList();
+  renderHistoryList();
+  updateCacheStatus();
+  
+  elements.screensLoading.style.display = 'none';
+  grid.style.display = 'grid';
+}
+
+/**
+ * Leave the detail view, returning to the collection it was opened from
+ */
+function goBack() {
+  if (currentCollection) {
+    openCollection(currentCollection.id);
+  } else {
+    showLibrary();
+  }
+}
+
+/**
+ * Colors of an app: its logo's, then those most used across its screens
+ */
+function getAppPalette(app) {
+  const screenSwatches = currentScreens.flatMap(screen => screen.palette || []);
+  const screenPalette = ImagePalette.merge(screenSwatches, 8);
+  const logoPalette = (app.logoPalette || []).slice(0, 2)
+    .filter(swatch => screenPalette.every(color => color.hex !== swatch.hex));
+  return [...logoPalette, ...screenPalette];
+}
+
+/**
+ * Reset screen filters and fill their options from the current screens.
+ * A library color filter carries over.
+ */
+function resetScreenFilters() {
+  screenFilters = { text: '', platform: '', pattern: '', element: '', color: colorFilter };
+  elements.screenSearch.value = '';
+  
+  const collect = (field) => {
+    const values = new Set();
+    currentScreens.forEach(screen => {
+      const value = screen[field];
+      (Array.isArray(value) ? value : [value]).forEach(v => v && values.add(v));
+    });
+    return Array.from(values).sort((a, b) => a.localeCompare(b));
+  };
+  
+  fillFilterSelect(elements.filterPlatform, 'All platforms', collect('platform'), 
+    value => PLATFORM_LABELS[value] || value);
+  fillFilterSelect(elements.filterPattern, 'All patterns', collect('patterns'));
+  fillFilterSelect(elements.filterElement, 'All UI elements', collect('elements'));
+  
+  updateScreenFilterCount(getFilteredScreens().length);
+}
+
+/**
+ * Fill a filter select; hidden when there is nothing to choose
+ */
+function fillFilterSelect(select, allLabel, values, formatLabel = value => value) {
+  select.innerHTML = '';
+  select.appendChild(new Option(allLabel, ''));
+  values.forEach(value => select.appendChild(new Option(formatLabel(value), value)));
+  select.value = '';
+  select.classList.toggle('hidden', values.length === 0);
+}
+
+/**
+ * Screens of the current app matching the active filters
+ */
+function getFilteredScreens() {
+  const { text, platform, pattern, element, color } = screenFilters;
+  
+  return currentScreens.filter(screen => {
+    if (platform && screen.platform !== platform) return false;
+    if (color && ImagePalette.matches(screen.palette, color).length === 0) return false;
+    if (pattern && !(screen.patterns || []).includes(pattern)) return false;
+    if (element && !(screen.elements || []).includes(element)) return false;
+    
+    if (text) {
+      const haystack = [
+        screen.title, 
+        screen.note, 
+        ...(screen.patterns || []), 
+        ...(screen.elements || []), 
+        ...(screen.tags || []), 
+        ...(screen.annotations || []).map(annotation => annotation.text),
+        screen.ocr?.text.replace(/\s+/g, ' ')
+      ]
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(text)) return false;
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Re-render the detail grid with the active filters
+ */
+async function applyScreenFilters() {
+  const screens = getFilteredScreens();
+  document.getElementById('detail-grid').innerHTML = '';
+  updateScreenFilterCount(screens.length);
+  await renderScreens(screens);
+}
+
+/**
+ * Set a single filter (from a metadata chip) and re-render
+ */
+function setScreenFilter(key, value) {
+  const select = { platform: elements.filterPlatform, pattern: elements.filterPattern, element: elements.filterElement }[key];
+  screenFilters[key] = value;
+  select.value = value;
+  closeSidebar();
+  showDetailTab('screens');
+  applyScreenFilters();
+}
+
+/**
+ * Show "12 of 40 screens" while filtering
+ */
+function updateScreenFilterCount(visible) {
+  const total = currentScreens.length;
+  const { color } = screenFilters;
+  elements.filterColor.classList.toggle('hidden', !color);
+  if (color) {
+    elements.filterColor.querySelector('.color-dot').style.background = color;
+    elements.filterColor.querySelector('.filter-color-label').textContent = color;
+  }
+  
+  elements.screenFilterCount.textContent = visible === total 
+    ? '' 
+    : `${visible} of ${total} screens`;
+}
+
+/**
+ * Render screens grid
+ */
+async function renderScreens(screens) {
+  const grid = document.getElementById('detail-grid');
+  const cachedUrls = await ImageCache.getObjectUrlsForApp(currentApp.id).catch(() => new Map());
+  
+  screens.forEach((screen) => {
+    grid.appendChild(createScreenItem(screen, cachedUrls.get(screen.url)));
+  });
+}
+
+/**
+ * Create a screen grid item. `cachedUrl` is the offline copy, if any;
+ * `label` replaces the "Screen N" fallback caption.
+ */
+function createScreenItem(screen, cachedUrl, label = '', onClick = () => openSidebar(screen)) {
+  const url = screen.url;
+  const index = screen.position;
+  const item = document.createElement('div');
+  item.className = 'screen-item';
+  
+  const img = document.createElement('img');
+  img.src = sanitizeUrl(cachedUrl || url);
+  img.loading = "lazy";
+  img.alt = `Screen ${index + 1}`;
+  
+  if (cachedUrl) {
+    item.classList.add('cached');
+  }
+  
+  // Handle image load errors
+  img.onerror = () => {
+    img.onerror = null;
+    item.classList.add('error');
+    img.src = 'https://via.placeholder.com/400x800?text=Failed+to+Load';
+  };
+  
+  const caption = document.createElement('div');
+  caption.className = 'screen-caption';
+  caption.innerHTML = renderScreenCaption(screen, label);
+  item.dataset.screenId = screen.id;
+  item.dataset.label = label;
+  screenItemData.set(item, screen);
+  
+  item.appendChild(img);
+  item.appendChild(caption);
+  if (onClick) {
+    item.addEventListener('click', onClick);
+  } else {
+    item.classList.add('static');
+  }
+  return item;
+}
+
+/**
+ * Caption of a screen grid item: title, note count and platform
+ */
+function renderScreenCaption(screen, label = '') {
+  const noteCount = (screen.note ? 1 : 0) + (screen.annotations?.length || 0);
+  const isNew = currentApp && screen.appId === currentApp.id && newScreenUrls.has(screen.url);
+  
+  return `
+    <span class="screen-title">${screen.title ? sanitizeText(screen.title) : (sanitizeText(label) || `Screen ${screen.position + 1}`)}</span>
+    ${isNew ? '<span class="diff-badge added" title="New since the previous scan">New</span>' : ''}
+    ${screen.duplicateOf ? '<span class="duplicate-badge" title="Looks the same as an earlier screen of this app">Duplicate</span>' : ''}
+    ${noteCount ? `<span class="note-badge" title="Has notes">✎ ${noteCount}</span>` : ''}
+    ${screen.platform ? `<span class="platform-badge">${PLATFORM_LABELS[screen.platform] || sanitizeText(screen.platform)}</span>` : ''}
+  `;
+}
+
+/**
+ * Switch between the Screens and Flows tabs of the detail view
+ */
+function showDetailTab(name) {
+  elements.detailTabs.forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.tab === name);
+  });
+  document.getElementById('detail-panel-screens').classList.toggle('hidden', name !== 'screens');
+  document.getElementById('detail-panel-flows').classList.toggle('hidden', name !== 'flows');
+  document.getElementById('detail-panel-history').classList.toggle('hidden', name !== 'history');
+  
+  if (name !== 'flows') closeFlow();
+  if (name !== 'history') closeSnapshot();
+}
+
+/**
+ * Date and time of a scan, e.g. "Mar 3, 2025, 14:05"
+ */
+function formatScanDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Show what changed in the latest scan (or that an older snapshot is shown)
+ * and mark screens that are new since the previous scan
+ */
+function updateScanChanges() {
+  const banner = document.getElementById('scan-changes');
+  const text = document.getElementById('scan-changes-text');
+  newScreenUrls = new Set();
+  
+  const restored = currentSnapshots.find(s => s.id === currentApp.restoredSnapshotId);
+  if (restored) {
+    text.textContent = `Showing the snapshot from ${formatScanDate(restored.dateScanned)}. The next scan will replace it.`;
+    banner.classList.remove('hidden');
+    return;
+  }
+  
+  const [latest, previous] = currentSnapshots;
+  if (!latest || !previous) {
+    banner.classList.add('hidden');
+    return;
+  }
+  
+  const { added, removed } = VaultStore.diffScreens(previous.screens, latest.screens);
+  added.forEach(screen => newScreenUrls.add(screen.url));
+  
+  const changes = [];
+  if (added.length) changes.push(`${added.length} new screen${added.length !== 1 ? 's' : ''}`);
+  if (removed.length) changes.push(`${removed.length} removed`);
+  
+  text.textContent = changes.length 
+    ? `Since the scan of ${formatScanDate(previous.dateScanned)}: ${changes.join(', ')}`
+    : `No changes since the scan of ${formatScanDate(previous.dateScanned)}`;
+  banner.classList.remove('hidden');
+}
+
+/**
+ * List every scan of the current app with its changes
+ */
+function renderHistoryList() {
+  const list = document.getElementById('history-list');
+  list.innerHTML = '';
+  
+  if (currentSnapshots.length === 0) {
+    list.innerHTML = '<div class="empty-inline">No scans recorded yet. History starts with the next scan of this app.</div>';
+    return;
+  }
+  
+  const currentId = currentApp.restoredSnapshotId || currentSnapshots[0].id;
+  currentSnapshots.forEach((snapshot, index) => {
+    const previous = currentSnapshots[index + 1];
+    const diff = previous && VaultStore.diffScreens(previous.screens, snapshot.screens);
+    
+    const row = document.createElement('div');
+    row.className = 'history-row';
+    row.innerHTML = `
+      <span class="history-date">${formatScanDate(snapshot.dateScanned)}</span>
+      <span class="subtitle">${snapshot.screenCount} screen${snapshot.screenCount !== 1 ? 's' : ''}</span>
+      <span class="history-diff">
+        ${diff 
+          ? `<span class="diff-badge added">+${diff.added.length}</span><span class="diff-badge removed">−${diff.removed.length}</span>` 
+          : '<span class="subtitle">First scan</span>'}
+      </span>
+      ${snapshot.id === currentId ? '<span class="cache-status complete">Current</span>' : ''}
+    `;
+    row.addEventListener('click', () => openSnapshot(snapshot));
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Browse one snapshot: its screens, with additions and removals since the
+ * previous scan marked
+ */
+async function openSnapshot(snapshot) {
+  currentSnapshot = snapshot;
+  document.getElementById('history-list').classList.add('hidden');
+  document.getElementById('snapshot-view').classList.remove('hidden');
+  
+  const index = currentSnapshots.indexOf(snapshot);
+  const previous = currentSnapshots[index + 1];
+  const diff = previous 
+    ? VaultStore.diffScreens(previous.screens, snapshot.screens) 
+    : { added: [], removed: [] };
+  const addedUrls = new Set(diff.added.map(screen => screen.url));
+  
+  document.getElementById('snapshot-title').textContent = formatScanDate(snapshot.dateScanned);
+  document.getElementById('snapshot-summary').textContent = previous
+    ? `${snapshot.screenCount} screens • ${diff.added.length} new • ${diff.removed.length} removed`
+    : `${snapshot.screenCount} screens • first scan`;
+  
+  const currentId = currentApp.restoredSnapshotId || currentSnapshots[0].id;
+  document.getElementById('btn-restore-snapshot').classList.toggle('hidden', snapshot.id === currentId);
+  
+  const grid = document.getElementById('snapshot-grid');
+  grid.innerHTML = '';
+  const cachedUrls = await ImageCache.getObjectUrlsForApp(currentApp.id).catch(() => new Map());
+  const liveByUrl = new Map(currentScreens.map(screen => [screen.url, screen]));
+  
+  // Screens of the snapshot, then the ones the previous scan had
+  const entries = [
+    ...snapshot.screens.map(screen => ({ screen, state: addedUrls.has(screen.url) ? 'added' : '' })),
+    ...diff.removed.map(screen => ({ screen, state: 'removed' }))
+  ];
+  
+  entries.forEach(({ screen, state }) => {
+    // Screens still in the vault open in the preview
+    const live = liveByUrl.get(screen.url);
+    const item = createScreenItem(screen, cachedUrls.get(screen.url), '', live ? () => openSidebar(live) : null);
+    
+    if (state) {
+      item.classList.add(`diff-${state}`);
+      item.querySelector('.screen-caption').insertAdjacentHTML('beforeend', 
+        `<span class="diff-badge ${state}">${state === 'added' ? 'New' : 'Removed'}</span>`);
+    }
+    grid.appendChild(item);
+  });
+}
+
+/**
+ * Return from a snapshot to the list of scans
+ */
+function closeSnapshot() {
+  currentSnapshot = null;
+  document.getElementById('snapshot-view').classList.add('hidden');
+  document.getElementById('history-list').classList.remove('hidden');
+}
+
+/**
+ * Make an older snapshot the app's current screens
+ */
+async function handleRestoreSnapshot(snapshot) {
+  const confirmed = confirm(
+    `Restore the snapshot from ${formatScanDate(snapshot.dateScanned)}?\n\n` +
+    'Screens that are not in this snapshot will be removed, with their notes and tags.'
+  );
+  
+  if (!confirmed) return;
+  
+  try {
+    const app = await VaultStore.restoreSnapshot(currentApp.id, snapshot.id);
+    appsData = appsData.map(a => a.id === app.id ? app : a);
+    applySortAndFilter();
+    await openDetail(app);
+    showToast('Snapshot restored', 'success');
+  } catch (error) {
+    console.error('Failed to restore snapshot:', error);
+    showToast('Failed to restore snapshot', 'error');
+  }
+}
+
+/**
+ * Image source for a flow step, preferring the offline cache
+ */
+async function getFlowStepSrc(step) {
+  const cachedUrl = await ImageCache.getObjectUrl(step.url).catch(() => null);
+  return sanitizeUrl(cachedUrl || step.url);
+}
+
+/**
+ * Render the list of flows of the current app
+ */
+async function renderFlowsList() {
+  elements.flowsList.innerHTML = '';
+  elements.flowsEmpty.classList.toggle('hidden', currentFlows.length > 0);
+  
+  for (const flow of currentFlows) {
+    const card = document.createElement('div');
+    card.className = 'flow-card';
+    card.innerHTML = `
+      <div class="flow-card-header">
+        <span class="flow-card-name">${sanitizeText(flow.name)}</span>
+        <span class="subtitle">${flow.steps.length} step${flow.steps.length !== 1 ? 's' : ''}</span>
+      </div>
+      <div class="flow-card-strip"></div>
+    `;
+    
+    const strip = card.querySelector('.flow-card-strip');
+    for (const step of flow.steps) {
+      const img = document.createElement('img');
+      img.src = await getFlowStepSrc(step);
+      img.loading = 'lazy';
+      img.alt = step.title || flow.name;
+      strip.appendChild(img);
+    }
+    
+    card.addEventListener('click', () => openFlow(flow));
+    elements.flowsList.appendChild(card);
+  }
+}
+
+/**
+ * Open a flow in the step-by-step player
+ */
+async function openFlow(flow) {
+  currentFlow = flow;
+  elements.flowsList.classList.add('hidden');
+  elements.flowPlayer.classList.remove('hidden');
+  document.getElementById('flow-player-name').textContent = sanitizeText(flow.name);
+  
+  elements.flowPlayerSteps.innerHTML = '';
+  for (let index = 0; index < flow.steps.length; index++) {
+    const thumb = document.createElement('img');
+    thumb.src = await getFlowStepSrc(flow.steps[index]);
+    thumb.alt = `Step ${index + 1}`;
+    thumb.addEventListener('click', () => showFlowStep(index));
+    elements.flowPlayerSteps.appendChild(thumb);
+  }
+  
+  showFlowStep(0);
+}
+
+/**
+ * Show one step of the open flow
+ */
+async function showFlowStep(index) {
+  if (!currentFlow) return;
+  
+  const steps = currentFlow.steps;
+  currentFlowStep = Math.max(0, Math.min(index, steps.length - 1));
+  const step = steps[currentFlowStep];
+  
+  document.getElementById('flow-player-step').textContent = 
+    `Step ${currentFlowStep + 1} of ${steps.length}`;
+  document.getElementById('flow-player-caption').textContent = step.title || '';
+  document.getElementById('btn-flow-prev').disabled = currentFlowStep === 0;
+  document.getElementById('btn-flow-next').disabled = currentFlowStep === steps.length - 1;
+  
+  // Steps linked to a saved screen open its preview when clicked
+  elements.flowPlayerImage.classList.toggle('linked', Boolean(step.screenId));
+  elements.flowPlayerImage.src = await getFlowStepSrc(step);
+  
+  elements.flowPlayerSteps.querySelectorAll('img').forEach((thumb, i) => {
+    thumb.classList.toggle('active', i === currentFlowStep);
+  });
+  elements.flowPlayerSteps.children[currentFlowStep]?.scrollIntoView({ block: 'nearest', inline: 'center' });
+}
+
+/**
+ * Start or stop stepping through the flow automatically
+ */
+function toggleFlowPlayback() {
+  if (flowPlayTimer) {
+    stopFlowPlayback();
+    return;
+  }
+  
+  // Playing from the last step starts over
+  if (currentFlowStep === currentFlow.steps.length - 1) showFlowStep(0);
+  
+  elements.btnFlowPlay.textContent = 'Pause';
+  flowPlayTimer = setInterval(() => {
+    if (currentFlowStep >= currentFlow.steps.length - 1) {
+      stopFlowPlayback();
+    } else {
+      showFlowStep(currentFlowStep + 1);
+    }
+  }, FLOW_PLAY_INTERVAL);
+}
+
+/**
+ * Stop automatic playback
+ */
+function stopFlowPlayback() {
+  clearInterval(flowPlayTimer);
+  flowPlayTimer = null;
+  elements.btnFlowPlay.textContent = 'Play';
+}
+
+/**
+ * Close the player and return to the list of flows
+ */
+function closeFlow() {
+  stopFlowPlayback();
+  currentFlow = null;
+  elements.flowPlayer.classList.add('hidden');
+  elements.flowsList.classList.remove('hidden');
+}
+
+/**
+ * Open preview sidebar
+ */
+async function openSidebar(screen) {
+  // Keep an unsaved note of the previous screen
+  await saveScreenNote();
+  
+  const url = screen.url;
+  currentImage = url;
+  currentScreen = screen;
+  pendingAnnotation = null;
+  elements.screenNote.value = screen.note || '';
+  renderAnnotations(screen);
+  renderSidebarMeta(screen);
+  renderPaletteStrip(elements.sidebarPalette, screen.palette);
+  renderTextHighlights(screen);
+  updateCompareButton();
+  renderTagEditor(elements.sidebarTags, screen.tags || [], async (tags) => {
+    screen.tags = await VaultStore.setScreenTags(screen.id, tags);
+    refreshTagSuggestions();
+    return screen.tags;
+  });
+  const cachedUrl = await ImageCache.getObjectUrl(url).catch(() => null);
+  document.getElementById('sidebar-image').src = sanitizeUrl(cachedUrl || url);
+  elements.sidebar.classList.add('open');
+  elements.overlay.classList.add('visible');
+}
+
+/**
+ * Render a screen's metadata under the preview
+ */
+function renderSidebarMeta(screen) {
+  // Outside the detail view (e.g. in a collection) name the app instead
+  const app = !currentApp && appsData.find(a => a.id === screen.appId);
+  const facts = [app 
+    ? sanitizeText(app.name) 
+    : `Screen ${screen.position + 1} of ${currentScreens.length}`];
+  if (screen.width && screen.height) facts.push(`${screen.width}×${screen.height}`);
+  if (screen.platform) facts.push(PLATFORM_LABELS[screen.platform] || sanitizeText(screen.platform));
+  
+  const chips = (labels, key) => labels.map(label => 
+    `<button class="meta-chip" data-filter="${key}" data-value="${sanitizeText(label)}"${currentApp ? '' : ' disabled'}>${sanitizeText(label)}</button>`
+  ).join('');
+  
+  elements.sidebarMeta.innerHTML = `
+    ${screen.title ? `<div class="sidebar-meta-title">${sanitizeText(screen.title)}</div>` : ''}
+    <div class="sidebar-meta-facts">${facts.join('<span class="separator">•</span>')}</div>
+    ${screen.patterns?.length ? `<div class="sidebar-meta-group"><span class="meta-label">Patterns</span>${chips(screen.patterns, 'pattern')}</div>` : ''}
+    ${screen.elements?.length ? `<div class="sidebar-meta-group"><span class="meta-label">UI elements</span>${chips(screen.elements, 'element')}</div>` : ''}
+  `;
+  
+  // Clicking a chip filters the detail grid by it
+  if (!currentApp) return;
+  elements.sidebarMeta.querySelectorAll('.meta-chip').forEach(chip => {
+    chip.addEventListener('click', () => setScreenFilter(chip.dataset.filter, chip.dataset.value));
+  });
+}
+
+/**
+ * Update the offline cache status of the current app
+ */
+async function updateCacheStatus() {
+  if (!currentApp) return;
+  
+  try {
+    const status = await ImageCache.getStatus(currentApp.id, currentScreens.map(screen => screen.url));
+    cacheCounts.set(currentApp.id, status.cached);
+    renderCacheStatus(status);
+  } catch (error) {
+    console.debug('Could not read cache status:', error);
+  }
+}
+
+/**
+ * Render cache status text and button state
+ */
+function renderCacheStatus(status, inProgress = false) {
+  const complete = status.cached >= status.total;
+  
+  if (inProgress) {
+    elements.detailCache.textContent = `Caching ${status.cached}/${status.total}...`;
+  } else if (complete) {
+    elements.detailCache.textContent = `Offline (${formatBytes(status.bytes)})`;
+  } else {
+    elements.detailCache.textContent = `${status.cached}/${status.total} cached offline`;
+  }
+  
+  elements.detailCache.classList.toggle('complete', complete && !inProgress);
+  elements.btnCacheApp.classList.toggle('hidden', complete && !inProgress);
+  elements.btnCacheApp.disabled = inProgress;
+}
+
+/**
+ * Ask the background to cache the current app's missing images
+ */
+async function handleCacheApp() {
+  if (!currentApp) return;
+  
+  // Under "starred apps only" the images would not be cached
+  const policy = await VaultStorage.getPolicy();
+  if (policy.starredOnly && !currentApp.starred) {
+    const confirmed = confirm(
+      `Only starred apps keep offline images.\n\nStar "${currentApp.name}" and cache it?`
+    );
+    if (!confirmed) return;
+    await toggleAppStar(currentApp);
+  }
+  
+  try {
+    elements.btnCacheApp.disabled = true;
+    await chrome.runtime.sendMessage({
+      action: 'cache_images',
+      appId: currentApp.id,
+      urls: currentScreens.map(screen => screen.url)
+    });
+    showToast(`Caching "${currentApp.name}" for offline use`, 'info');
+  } catch (error) {
+    console.error('Failed to start caching:', error);
+    elements.btnCacheApp.disabled = false;
+    showToast('Failed to start caching', 'error');
+  }
+}
+
+/**
+ * Handle cache progress broadcast by the background
+ */
+function handleCacheProgress(progress) {
+  cacheCounts.set(progress.appId, progress.cached || cacheCounts.get(progress.appId) || 0);
+  
+  if (!currentApp || currentApp.id !== progress.appId) {
+    if (progress.done && !elements.views.library.classList.contains('hidden')) {
+      renderLibrary();
+    }
+    return;
+  }
+  
+  if (progress.done) {
+    if (progress.error || progress.failed > 0) {
+      showToast(`Could not cache ${progress.failed || 'some'} images`, 'warning');
+    }
+    updateCacheStatus();
+    updateStorageInfo();
+  } else {
+    renderCacheStatus(progress, true);
+  }
+}
+
+/**
+ * Close preview sidebar
+ */
+function closeSidebar() {
+  saveScreenNote();
+  if (pendingAnnotation) {
+    pendingAnnotation = null;
+    if (currentScreen) renderAnnotations(currentScreen);
+  }
+  
+  elements.sidebar.classList.remove('open');
+  elements.overlay.classList.remove('visible');
+}
+
+/**
+ * Screens the lightbox steps through when opened on `screen`: the grid it
+ * is shown in, filtered and ordered as there, or else the app's screens
+ */
+function getLightboxScreens(screen) {
+  const view = Object.values(elements.views).find(v => !v.classList.contains('hidden'));
+  const item = view && Array.from(view.querySelectorAll('.screen-item'))
+    .find(el => el.dataset.screenId === screen.id && screenItemData.has(el));
+  
+  if (item) {
+    return Array.from(item.parentElement.children)
+      .filter(el => screenItemData.has(el))
+      .map(el => screenItemData.get(el));
+  }
+  
+  const index = currentScreens.findIndex(s => s.id === screen.id);
+  return index !== -1 ? currentScreens : [screen];
+}
+
+/**
+ * Open a screen full screen, with arrow keys and a filmstrip for the
+ * screens around it
+ */
+function openLightbox(screen) {
+  const screens = getLightboxScreens(screen);
+  const previewOpen = elements.sidebar.classList.contains('open');
+  if (previewOpen) closeSidebar();
+  
+  lightbox = {
+    screens,
+    index: Math.max(0, screens.findIndex(s => s.id === screen.id)),
+    previewOpen
+  };
+  
+  elements.lightbox.classList.remove('hidden');
+  elements.lightboxFilmstrip.classList.toggle('hidden', screens.length < 2);
+  renderLightboxFilmstrip();
+  showLightboxScreen(lightbox.index);
+}
+
+/**
+ * Close the lightbox. The preview opens on the screen last shown if it was
+ * open before, or when `showPreview` is set.
+ */
+function closeLightbox(showPreview = false) {
+  if (!lightbox) return;
+  
+  const screen = lightbox.screens[lightbox.index];
+  const reopen = showPreview || lightbox.previewOpen;
+  lightbox = null;
+  lightboxPan = null;
+  elements.lightbox.classList.add('hidden');
+  elements.lightboxImage.removeAttribute('src');
+  elements.lightboxFilmstrip.innerHTML = '';
+  
+  if (reopen && screen) openSidebar(screen);
+}
+
+/**
+ * Show the screen at `index` of the lightbox set
+ */
+async function showLightboxScreen(index) {
+  if (!lightbox) return;
+  
+  const { screens } = lightbox;
+  lightbox.index = Math.max(0, Math.min(index, screens.length - 1));
+  const screen = screens[lightbox.index];
+  
+  elements.lightboxCounter.textContent = `${lightbox.index + 1} of ${screens.length}`;
+  elements.lightboxTitle.textContent = getLightboxLabel(screen);
+  document.getElementById('lightbox-prev').disabled = lightbox.index === 0;
+  document.getElementById('lightbox-next').disabled = lightbox.index === screens.length - 1;
+  
+  elements.lightboxFilmstrip.querySelectorAll('.lightbox-thumb').forEach((thumb, i) => {
+    thumb.classList.toggle('active', i === lightbox.index);
+    if (i === lightbox.index) thumb.scrollIntoView({ block: 'nearest', inline: 'center' });
+  });
+  
+  const requested = lightbox;
+  const cachedUrl = await ImageCache.getObjectUrl(screen.url).catch(() => null);
+  // Stepped on, or closed, while reading the cache
+  if (lightbox !== requested || screens[lightbox.index] !== screen) return;
+  
+  elements.lightboxImage.alt = getLightboxLabel(screen);
+  elements.lightboxImage.src = sanitizeUrl(cachedUrl || screen.url);
+  
+  // Warm up the neighbours so stepping is instant
+  [screens[lightbox.index - 1], screens[lightbox.index + 1]].forEach(neighbour => {
+    if (neighbour) ImageCache.getObjectUrl(neighbour.url).catch(() => null);
+  });
+}
+
+function getLightboxLabel(screen) {
+  // Outside the detail view screens come from several apps
+  const app = !currentApp && appsData.find(a => a.id === screen.appId);
+  return [app && app.name, screen.title || `Screen ${screen.position + 1}`].filter(Boolean).join(' · ');
+}
+
+/**
+ * Thumbnails of the lightbox set; offline copies are filled in as read
+ */
+async function renderLightboxFilmstrip() {
+  const strip = elements.lightboxFilmstrip;
+  const { screens } = lightbox;
+  strip.innerHTML = '';
+  
+  const images = screens.map((screen, index) => {
+    const thumb = document.createElement('button');
+    thumb.className = 'lightbox-thumb';
+    thumb.title = getLightboxLabel(screen);
+    thumb.addEventListener('click', () => showLightboxScreen(index));
+    
+    const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.alt = '';
+    thumb.appendChild(img);
+    strip.appendChild(thumb);
+    return img;
+  });
+  
+  const cachedUrls = await Promise.all(screens.map(screen => ImageCache.getObjectUrl(screen.url).catch(() => null)));
+  images.forEach((img, index) => {
+    img.src = sanitizeUrl(cachedUrls[index] || screens[index].url);
+  });
+}
+
+/**
+ * Keys while the lightbox is open: arrows, Home and End step, + - 0 and 1
+ * zoom, ESC closes
+ */
+function handleLightboxKey(e) {
+  const actions = {
+    Escape: () => closeLightbox(),
+    ArrowLeft: () => showLightboxScreen(lightbox.index - 1),
+    ArrowRight: () => showLightboxScreen(lightbox.index + 1),
+    Home: () => showLightboxScreen(0),
+    End: () => showLightboxScreen(lightbox.screens.length - 1),
+    '+': () => zoomLightbox(lightboxView.scale * LIGHTBOX_ZOOM_STEP),
+    '=': () => zoomLightbox(lightboxView.scale * LIGHTBOX_ZOOM_STEP),
+    '-': () => zoomLightbox(lightboxView.scale / LIGHTBOX_ZOOM_STEP),
+    '0': fitLightboxImage,
+    '1': () => zoomLightbox(getNativeScale())
+  };
+  
+  const action = actions[e.key];
+  if (!action || e.ctrlKey || e.metaKey || e.altKey) return;
+  e.preventDefault();
+  action();
+}
+
+/**
+ * Scale showing one image pixel per device pixel
+ */
+function getNativeScale() {
+  return 1 / (window.devicePixelRatio || 1);
+}
+
+/**
+ * Scale fitting the whole image in the stage, never enlarging it
+ */
+function getFitScale() {
+  const img = elements.lightboxImage;
+  const stage = elements.lightboxStage;
+  if (!img.naturalWidth || !img.naturalHeight) return 1;
+  return Math.min(stage.clientWidth / img.naturalWidth, stage.clientHeight / img.naturalHeight, 1);
+}
+
+function fitLightboxImage() {
+  lightboxView = { scale: getFitScale(), x: 0, y: 0, fit: true };
+  applyLightboxTransform();
+}
+
+/**
+ * Zoom to `scale`, keeping the image point under `point` (relative to the
+ * stage center) in place
+ */
+function zoomLightbox(scale, point = { x: 0, y: 0 }) {
+  const minScale = Math.min(getFitScale(), getNativeScale());
+  const next = Math.max(minScale, Math.min(scale, LIGHTBOX_MAX_ZOOM));
+  const ratio = next / lightboxView.scale;
+  
+  lightboxView = {
+    scale: next,
+    x: point.x - (point.x - lightboxView.x) * ratio,
+    y: point.y - (point.y - lightboxView.y) * ratio,
+    fit: false
+  };
+  applyLightboxTransform();
+}
+
+/**
+ * Size the image at its natural resolution and place it by the current
+ * zoom and pan, kept from drifting off the stage
+ */
+function applyLightboxTransform() {
+  const img = elements.lightboxImage;
+  const stage = elements.lightboxStage;
+  if (!img.naturalWidth) return;
+  
+  const width = img.naturalWidth * lightboxView.scale;
+  const height = img.naturalHeight * lightboxView.scale;
+  const maxX = Math.max(0, (width - stage.clientWidth) / 2);
+  const maxY = Math.max(0, (height - stage.clientHeight) / 2);
+  lightboxView.x = Math.max(-maxX, Math.min(lightboxView.x, maxX));
+  lightboxView.y = Math.max(-maxY, Math.min(lightboxView.y, maxY));
+  
+  img.style.width = `${img.naturalWidth}px`;
+  img.style.height = `${img.naturalHeight}px`;
+  img.style.transform = `translate(-50%, -50%) translate(${lightboxView.x}px, ${lightboxView.y}px) scale(${lightboxView.scale})`;
+  
+  elements.lightboxZoomLevel.textContent = lightboxView.fit
+    ? 'Fit'
+    : `${Math.round((lightboxView.scale / getNativeScale()) * 100)}%`;
+  stage.classList.toggle('pannable', maxX > 0 || maxY > 0);
+}
+
+/**
+ * Position of a pointer event relative to the stage center
+ */
+function getStagePoint(e) {
+  const rect = elements.lightboxStage.getBoundingClientRect();
+  return { x: e.clientX - rect.left - rect.width / 2, y: e.clientY - rect.top - rect.height / 2 };
+}
+
+function handleLightboxWheel(e) {
+  e.preventDefault();
+  zoomLightbox(lightboxView.scale * Math.exp(-e.deltaY * 0.002), getStagePoint(e));
+}
+
+// Double-click zooms to native resolution where clicked, or back to fit
+function handleLightboxDoubleClick(e) {
+  if (lightboxView.fit || lightboxView.scale < getNativeScale()) {
+    zoomLightbox(getNativeScale(), getStagePoint(e));
+  } else {
+    fitLightboxImage();
+  }
+}
+
+function startLightboxPan(e) {
+  if (e.button !== 0 || e.target.closest('button') || !elements.lightboxStage.classList.contains('pannable')) return;
+  
+  lightboxPan = { pointerId: e.pointerId, x: e.clientX - lightboxView.x, y: e.clientY - lightboxView.y };
+  elements.lightboxStage.setPointerCapture(e.pointerId);
+  elements.lightboxStage.classList.add('panning');
+}
+
+function moveLightboxPan(e) {
+  if (!lightboxPan || e.pointerId !== lightboxPan.pointerId) return;
+  
+  lightboxView.x = e.clientX - lightboxPan.x;
+  lightboxView.y = e.clientY - lightboxPan.y;
+  applyLightboxTransform();
+}
+
+function endLightboxPan(e) {
+  if (!lightboxPan || e.pointerId !== lightboxPan.pointerId) return;
+  
+  lightboxPan = null;
+  elements.lightboxStage.classList.remove('panning');
+}
+
+/**
+ * Save the note of the previewed screen if it changed
+ */
+async function saveScreenNote() {
+  clearTimeout(noteSaveTimer);
+  
+  const screen = currentScreen;
+  if (!screen) return;
+  
+  const note = elements.screenNote.value.trim();
+  if (note === (screen.note || '')) return;
+  
+  try {
+    screen.note = await VaultStore.setScreenNote(screen.id, note);
+    handleScreenNotesChanged(screen);
+  } catch (error) {
+    console.error('Failed to save note:', error);
+    showToast('Failed to save note', 'error');
+  }
+}
+
+/**
+ * Draw annotation markers over the preview image and list their comments
+ */
+function renderAnnotations(screen) {
+  const annotations = screen.annotations || [];
+  elements.annotationMarkers.innerHTML = '';
+  elements.annotationList.innerHTML = '';
+  
+  const addMarker = (annotation, label, className = '') => {
+    const marker = document.createElement('button');
+    marker.className = `annotation-marker ${className}`;
+    marker.style.left = `${annotation.x * 100}%`;
+    marker.style.top = `${annotation.y * 100}%`;
+    marker.textContent = label;
+    elements.annotationMarkers.appendChild(marker);
+    return marker;
+  };
+  
+  annotations.forEach((annotation, index) => {
+    const marker = addMarker(annotation, index + 1);
+    marker.title = annotation.text;
+    
+    const item = document.createElement('li');
+    item.className = 'annotation-item';
+    item.innerHTML = `
+      <span class="annotation-number">${index + 1}</span>
+      <span class="annotation-text">${sanitizeText(annotation.text)}</span>
+      <button class="tag-remove" title="Delete annotation">✕</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => {
+      saveAnnotations(screen, annotations.filter(a => a.id !== annotation.id));
+    });
+    
+    // Link marker and comment
+    const highlight = (on) => {
+      marker.classList.toggle('highlight', on);
+      item.classList.toggle('highlight', on);
+    };
+    [marker, item].forEach(el => {
+      el.addEventListener('mouseenter', () => highlight(true));
+      el.addEventListener('mouseleave', () => highlight(false));
+    });
+    marker.addEventListener('click', () => item.scrollIntoView({ block: 'nearest' }));
+    
+    elements.annotationList.appendChild(item);
+  });
+  
+  if (pendingAnnotation) {
+    addMarker(pendingAnnotation, annotations.length + 1, 'pending');
+    
+    const item = document.createElement('li');
+    item.className = 'annotation-item editing';
+    item.innerHTML = `
+      <span class="annotation-number">${annotations.length + 1}</span>
+      <textarea class="note-input" rows="2" placeholder="Comment (Enter to save, Esc to cancel)"></textarea>
+    `;
+    
+    const input = item.querySelector('textarea');
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        if (!input.value.trim()) return;
+        const annotation = { ...pendingAnnotation, text: input.value };
+        pendingAnnotation = null;
+        saveAnnotations(screen, [...annotations, annotation]);
+      } else if (e.key === 'Escape') {
+        // Cancel the comment without closing the sidebar
+        e.stopPropagation();
+        pendingAnnotation = null;
+        renderAnnotations(screen);
+      }
+    });
+    
+    elements.annotationList.appendChild(item);
+    input.focus();
+  }
+}
+
+/**
+ * Start a new annotation where the preview image was clicked
+ */
+function handleAnnotationClick(e) {
+  if (!currentScreen || e.target.closest('.annotation-marker')) return;
+  
+  const rect = document.getElementById('sidebar-image').getBoundingClientRect();
+  const x = (e.clientX - rect.left) / rect.width;
+  const y = (e.clientY - rect.top) / rect.height;
+  if (x < 0 || x > 1 || y < 0 || y > 1) return;
+  
+  pendingAnnotation = { x, y };
+  renderAnnotations(currentScreen);
+}
+
+/**
+ * Store a screen's annotations and redraw them
+ */
+async function saveAnnotations(screen, annotations) {
+  try {
+    screen.annotations = await VaultStore.setScreenAnnotations(screen.id, annotations);
+    handleScreenNotesChanged(screen);
+  } catch (error) {
+    console.error('Failed to save annotation:', error);
+    showToast('Failed to save annotation', 'error');
+  }
+  
+  if (currentScreen === screen) renderAnnotations(screen);
+}
+
+/**
+ * Update grid captions and the library search after notes changed
+ */
+function handleScreenNotesChanged(screen) {
+  document.querySelectorAll(`.screen-item[data-screen-id="${CSS.escape(screen.id)}"]`).forEach(item => {
+    item.querySelector('.screen-caption').innerHTML = renderScreenCaption(screen, item.dataset.label);
+  });
+  refreshNoteIndex();
+}
+
+/**
+ * Render an editable list of tags. `onChange(tags)` saves them and resolves
+ * with the stored tags, which are then shown.
+ */
+function renderTagEditor(container, tags, onChange) {
+  container.innerHTML = '';
+  
+  const save = async (next) => {
+    try {
+      renderTagEditor(container, await onChange(next), onChange);
+    } catch (error) {
+      console.error('Failed to save tags:', error);
+      showToast('Failed to save tags', 'error');
+    }
+  };
+  
+  tags.forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = 'tag';
+    chip.textContent = tag;
+    
+    const remove = document.createElement('button');
+    remove.className = 'tag-remove';
+    remove.title = `Remove "${tag}"`;
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => save(tags.filter(t => t !== tag)));
+    
+    chip.appendChild(remove);
+    container.appendChild(chip);
+  });
+  
+  const input = document.createElement('input');
+  input.className = 'tag-input';
+  input.placeholder = tags.length ? 'Add tag' : 'Add tags...';
+  input.setAttribute('list', 'tag-suggestions');
+  input.addEventListener('keydown', (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && input.value.trim()) {
+      e.preventDefault();
+      save([...tags, input.value]);
+    } else if (e.key === 'Backspace' && !input.value && tags.length) {
+      save(tags.slice(0, -1));
+    }
+  });
+  container.appendChild(input);
+}
+
+/**
+ * Offer every tag in use as autocomplete suggestions
+ */
+async function refreshTagSuggestions() {
+  try {
+    const tags = await VaultStore.getAllTags();
+    tagList = tags;
+    elements.tagSuggestions.innerHTML = '';
+    tags.forEach(tag => elements.tagSuggestions.appendChild(new Option(tag)));
+  } catch (error) {
+    console.warn('Could not load tags:', error);
+  }
+}
+
+/**
+ * Reload collections and the sidebar list
+ */
+async function refreshCollections() {
+  try {
+    collectionsData = await VaultCollections.getCollections();
+  } catch (error) {
+    console.error('Failed to load collections:', error);
+    collectionsData = [];
+  }
+  renderCollectionNav();
+}
+
+/**
+ * List collections in the sidebar navigation
+ */
+function renderCollectionNav() {
+  const nav = elements.collectionNav;
+  nav.innerHTML = '';
+  
+  if (collectionsData.length === 0) {
+    nav.innerHTML = '<div class="nav-empty">No collections yet</div>';
+    return;
+  }
+  
+  const collectionVisible = !elements.views.collection.classList.contains('hidden');
+  collectionsData.forEach(collection => {
+    const item = document.createElement('button');
+    item.className = 'nav-item collection-nav-item';
+    item.dataset.id = collection.id;
+    item.classList.toggle('active', collectionVisible && currentCollection?.id === collection.id);
+    
+    // Smart collections count the apps matching their search right now
+    const icon = collection.smart
+      ? '<circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line>'
+      : '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>';
+    const count = collection.smart ? getSmartMatches(collection).length : collection.itemCount;
+    item.classList.toggle('smart', Boolean(collection.smart));
+    item.title = collection.smart ? 'Saved search' : '';
+    item.innerHTML = `
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        ${icon}
+      </svg>
+      <span class="nav-label">${sanitizeText(collection.name)}</span>
+      <span class="nav-count">${count}</span>
+    `;
+    item.addEventListener('click', () => openCollection(collection.id));
+    nav.appendChild(item);
+  });
+}
+
+/**
+ * Open a collection view
+ */
+async function openCollection(collectionId) {
+  const collection = await VaultCollections.getCollection(collectionId).catch(() => null);
+  if (!collection) {
+    showToast('Collection not found', 'error');
+    showLibrary();
+    return;
+  }
+  
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = collection;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  setActiveView('collection');
+  elements.title.textContent = sanitizeText(collection.name);
+  
+  const smart = Boolean(collection.smart);
+  elements.smartNotifyLabel.classList.toggle('hidden', !smart);
+  elements.btnEditSearch.classList.toggle('hidden', !smart);
+  if (smart) {
+    elements.smartNotify.checked = collection.smart.notify;
+    await renderSmartCollection(collection);
+    return;
+  }
+  
+  let items = [];
+  try {
+    items = await VaultCollections.getItems(collectionId);
+  } catch (error) {
+    console.error('Failed to load collection:', error);
+    showToast('Failed to load collection', 'error');
+  }
+  
+  await renderCollection(items);
+}
+
+/**
+ * Render the apps and screens of the open collection
+ */
+async function renderCollection(items) {
+  const apps = items.filter(item => item.type === 'app');
+  const screens = items.filter(item => item.type === 'screen');
+  
+  elements.appCount.textContent = `${items.length} item${items.length !== 1 ? 's' : ''}`;
+  document.getElementById('collection-empty').classList.toggle('hidden', items.length > 0);
+  document.getElementById('smart-empty').classList.add('hidden');
+  document.getElementById('smart-query').classList.add('hidden');
+  document.getElementById('collection-apps-section').classList.toggle('hidden', apps.length === 0);
+  document.getElementById('collection-screens-section').classList.toggle('hidden', screens.length === 0);
+  
+  const appsGrid = document.getElementById('collection-apps');
+  appsGrid.innerHTML = '';
+  apps.forEach(item => {
+    const card = createAppCard(item.app);
+    card.appendChild(createRemoveButton(item));
+    appsGrid.appendChild(card);
+  });
+  
+  const screensGrid = document.getElementById('collection-screens');
+  screensGrid.innerHTML = '';
+  for (const item of screens) {
+    const cachedUrl = await ImageCache.getObjectUrl(item.screen.url).catch(() => null);
+    const screenItem = createScreenItem(item.screen, cachedUrl, item.app.name);
+    screenItem.appendChild(createRemoveButton(item));
+    screensGrid.appendChild(screenItem);
+  }
+}
+
+/**
+ * Apps matching a smart collection's search, in its sort order
+ */
+function getSmartMatches(collection) {
+  return librarySearch.filter(appsData, collection.smart);
+}
+
+/**
+ * Render the apps matching the open smart collection, under its search
+ */
+async function renderSmartCollection(collection) {
+  const apps = getSmartMatches(collection);
+  const { query, sort, color } = collection.smart;
+  
+  elements.appCount.textContent = `${apps.length} app${apps.length !== 1 ? 's' : ''}`;
+  document.getElementById('collection-empty').classList.add('hidden');
+  document.getElementById('smart-empty').classList.toggle('hidden', apps.length > 0);
+  document.getElementById('collection-apps-section').classList.toggle('hidden', apps.length === 0);
+  document.getElementById('collection-screens-section').classList.add('hidden');
+  
+  const sortLabel = elements.sortSelect.querySelector(`option[value="${sort}"]`)?.textContent || sort;
+  const queryEl = document.getElementById('smart-query');
+  queryEl.classList.remove('hidden');
+  queryEl.innerHTML = `
+    <span class="smart-query-label">Search</span>
+    ${query ? `<code>${sanitizeText(query)}</code>` : ''}
+    ${color ? `<span class="smart-query-color"><span class="color-dot" style="background:${sanitizeText(color)}"></span>${sanitizeText(color)}</span>` : ''}
+    <span class="separator">•</span>
+    <span>${sanitizeText(sortLabel)}</span>
+  `;
+  
+  const appsGrid = document.getElementById('collection-apps');
+  appsGrid.innerHTML = '';
+  apps.forEach(app => appsGrid.appendChild(createAppCard(app)));
+}
+
+/**
+ * Save the library search, sort and color filter as a smart collection,
+ * or update the saved search being edited
+ */
+function handleSaveSearch() {
+  if (!currentSearch && !colorFilter) return;
+  
+  const search = { query: currentSearch, sort: currentSort, color: colorFilter };
+  const matchedIds = filteredApps.map(app => app.id);
+  const editing = editingSearch && collectionsData.find(collection => collection.id === editingSearch.id);
+  
+  if (!editing) {
+    promptSmartCollectionName(search, matchedIds);
+    return;
+  }
+  
+  openModal({
+    title: 'Save Search',
+    body: `<p class="modal-text">Update "${sanitizeText(editing.name)}" with this search, or save it as a new smart collection?</p>`,
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      {
+        label: 'Save as New',
+        className: 'btn-outline',
+        onClick: () => {
+          closeModal();
+          promptSmartCollectionName(search, matchedIds);
+        }
+      },
+      {
+        label: 'Update',
+        className: 'btn-primary',
+        onClick: async (button) => {
+          button.disabled = true;
+          try {
+            const collection = await VaultCollections.updateSmartCollection(editing.id, search, matchedIds);
+            editingSearch = null;
+            closeModal();
+            await refreshCollections();
+            openCollection(collection.id);
+            showToast(`Updated "${collection.name}"`, 'success');
+          } catch (error) {
+            console.error('Failed to update saved search:', error);
+            showToast('Failed to update saved search', 'error');
+            button.disabled = false;
+          }
+        }
+      }
+    ]
+  });
+}
+
+function promptSmartCollectionName(search, matchedIds) {
+  openNameDialog({
+    title: 'Save Search',
+    value: (search.query || search.color).slice(0, 80),
+    confirmLabel: 'Save',
+    onSubmit: async (name) => {
+      const collection = await VaultCollections.createSmartCollection(name, search, matchedIds);
+      editingSearch = null;
+      await refreshCollections();
+      openCollection(collection.id);
+      showToast(`Saved "${collection.name}"`, 'success');
+    }
+  });
+}
+
+/**
+ * Load the open smart collection's search into the library to change it
+ */
+function handleEditSearch() {
+  if (!currentCollection?.smart) return;
+  
+  const { query, sort, color } = currentCollection.smart;
+  editingSearch = currentCollection;
+  showLibrary();
+  
+  currentSort = sort;
+  elements.sortSelect.value = sort;
+  if (color) {
+    elements.colorFilterInput.value = color;
+    setColorFilter(color);
+  } else {
+    clearColorFilter();
+  }
+  elements.searchInput.value = query;
+  handleSearch({ target: elements.searchInput });
+  elements.searchInput.focus();
+}
+
+/**
+ * Turn notifications for new matches of the open smart collection on or off
+ */
+async function handleSmartNotify() {
+  if (!currentCollection?.smart) return;
+  
+  const notify = elements.smartNotify.checked;
+  try {
+    // Apps matching now aren't news; only later scans are announced
+    const matchedIds = getSmartMatches(currentCollection).map(app => app.id);
+    currentCollection = await VaultCollections.updateSmartCollection(currentCollection.id, { notify }, matchedIds);
+    if (notify) showToast(`You'll be notified when a scan matches "${currentCollection.name}"`, 'success');
+  } catch (error) {
+    console.error('Failed to update saved search:', error);
+    showToast('Failed to update saved search', 'error');
+    elements.smartNotify.checked = !notify;
+  }
+}
+
+/**
+ * Open the collection named in the page address
+ * (dashboard.html#collection=<id>), e.g. from a saved search notification
+ */
+function openLinkedCollection() {
+  const match = /^#collection=(.+)$/.exec(location.hash);
+  if (!match) return;
+  
+  history.replaceState(null, '', location.pathname);
+  openCollection(decodeURIComponent(match[1]));
+}
+
+/**
+ * Show the selector profiles when linked to (dashboard.html#selectors),
+ * e.g. from a page diagnosis
+ */
+function openLinkedSelectors() {
+  if (location.hash !== '#selectors') return;
+  
+  history.replaceState(null, '', location.pathname);
+  showSelectors();
+}
+
+/**
+ * Button that takes an item out of the open collection
+ */
+function createRemoveButton(item) {
+  const button = document.createElement('button');
+  button.className = 'item-remove';
+  button.title = 'Remove from collection';
+  button.textContent = '✕';
+  button.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    try {
+      await VaultCollections.removeItem(item.collectionId, item.itemId);
+      await refreshCollections();
+      openCollection(item.collectionId);
+    } catch (error) {
+      console.error('Failed to remove from collection:', error);
+      showToast('Failed to remove from collection', 'error');
+    }
+  });
+  return button;
+}
+
+/**
+ * Choose the collections an app or screen belongs to.
+ * `item` is { type: 'app' | 'screen', itemId, appId }.
+ */
+async function openCollectionPicker(item, label) {
+  let membership;
+  try {
+    membership = await VaultCollections.getMembership(item.itemId);
+  } catch (error) {
+    console.error('Failed to load collections:', error);
+    showToast('Failed to load collections', 'error');
+    return;
+  }
+  
+  const body = document.createElement('div');
+  body.className = 'collection-picker';
+  body.innerHTML = `
+    <div class="collection-picker-list"></div>
+    <form class="collection-picker-create">
+      <input type="text" class="filter-input" placeholder="New collection name" maxlength="80">
+      <button type="submit" class="btn-outline">Create</button>
+    </form>
+  `;
+  const list = body.querySelector('.collection-picker-list');
+  
+  const renderList = () => {
+    // Smart collections fill from their search
+    const collections = collectionsData.filter(collection => !collection.smart);
+    list.innerHTML = collections.length 
+      ? '' 
+      : '<p class="modal-text">No collections yet. Create one below.</p>';
+    
+    collections.forEach(collection => {
+      const row = document.createElement('label');
+      row.className = 'checkbox-row';
+      row.innerHTML = `
+        <input type="checkbox" ${membership.has(collection.id) ? 'checked' : ''}>
+        <span>${sanitizeText(collection.name)}</span>
+      `;
+      
+      const checkbox = row.querySelector('input');
+      checkbox.addEventListener('change', async () => {
+        try {
+          if (checkbox.checked) {
+            await VaultCollections.addItem(collection.id, item);
+            membership.add(collection.id);
+          } else {
+            await VaultCollections.removeItem(collection.id, item.itemId);
+            membership.delete(collection.id);
+          }
+          await refreshCollections();
+        } catch (error) {
+          console.error('Failed to update collection:', error);
+          showToast('Failed to update collection', 'error');
+          checkbox.checked = !checkbox.checked;
+        }
+      });
+      
+      list.appendChild(row);
+    });
+  };
+  
+  body.querySelector('form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = body.querySelector('input[type="text"]');
+    if (!input.value.trim()) return;
+    
+    try {
+      const collection = await VaultCollections.createCollection(input.value);
+      await VaultCollections.addItem(collection.id, item);
+      membership.add(collection.id);
+      input.value = '';
+      await refreshCollections();
+      renderList();
+    } catch (error) {
+      console.error('Failed to create collection:', error);
+      showToast('Failed to create collection', 'error');
+    }
+  });
+  
+  renderList();
+  openModal({
+    title: `Collections for "${label}"`,
+    body,
+    actions: [{ label: 'Done', className: 'btn-primary', onClick: closeModal }]
+  });
+}
+
+/**
+ * Ask for a name in the modal dialog, e.g. for a new collection
+ */
+function openNameDialog({ title, value = '', confirmLabel, onSubmit }) {
+  const body = document.createElement('form');
+  body.innerHTML = `
+    <input type="text" class="filter-input full-width" placeholder="Collection name" maxlength="80">
+  `;
+  const input = body.querySelector('input');
+  input.value = value;
+  
+  const submit = async () => {
+    if (!input.value.trim()) {
+      input.focus();
+      return;
+    }
+    try {
+      await onSubmit(input.value);
+      closeModal();
+    } catch (error) {
+      console.error(`${title} failed:`, error);
+      showToast(`${title} failed`, 'error');
+    }
+  };
+  body.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit();
+  });
+  
+  openModal({
+    title,
+    body,
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      { label: confirmLabel, className: 'btn-primary', onClick: submit }
+    ]
+  });
+  input.focus();
+}
+
+/**
+ * Rename the open collection
+ */
+function handleRenameCollection() {
+  if (!currentCollection) return;
+  
+  openNameDialog({
+    title: 'Rename Collection',
+    value: currentCollection.name,
+    confirmLabel: 'Rename',
+    onSubmit: async (name) => {
+      currentCollection = await VaultCollections.renameCollection(currentCollection.id, name);
+      elements.title.textContent = sanitizeText(currentCollection.name);
+      await refreshCollections();
+    }
+  });
+}
+
+/**
+ * Delete the open collection (its apps and screens stay in the vault)
+ */
+async function handleDeleteCollection() {
+  if (!currentCollection) return;
+  
+  const collection = currentCollection;
+  const confirmed = confirm(
+    `Delete the collection "${collection.name}"?\n\nThe apps and screens in it stay in your vault.`
+  );
+  
+  if (!confirmed) return;
+  
+  try {
+    await VaultCollections.deleteCollection(collection.id);
+    await refreshCollections();
+    showLibrary();
+    showToast(`Deleted "${collection.name}"`, 'success');
+  } catch (error) {
+    console.error('Failed to delete collection:', error);
+    showToast('Failed to delete collection', 'error');
+  }
+}
+
+/**
+ * Show the duplicates report
+ */
+function showDuplicates() {
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = null;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  setActiveView('duplicates');
+  elements.title.textContent = "Duplicates";
+  loadDuplicates();
+}
+
+/**
+ * Group the vault's screens by look at the chosen threshold
+ */
+async function loadDuplicates() {
+  const threshold = VaultDuplicates.THRESHOLDS[elements.duplicatesThreshold.value];
+  
+  let result;
+  try {
+    result = await VaultDuplicates.findDuplicates(threshold);
+  } catch (error) {
+    console.error('Failed to find duplicates:', error);
+    showToast('Failed to find duplicates', 'error');
+    return;
+  }
+  
+  duplicateGroups = result.groups;
+  
+  const button = elements.btnHashRemaining;
+  button.classList.toggle('hidden', result.unhashed === 0);
+  button.disabled = false;
+  button.textContent = `Check ${result.unhashed} more screen${result.unhashed !== 1 ? 's' : ''}`;
+  button.title = 'Screens are compared once their image has been checked';
+  
+  await renderDuplicates();
+}
+
+/**
+ * Render the duplicate groups, each with a screen picked to keep
+ */
+async function renderDuplicates() {
+  const copies = duplicateGroups.reduce((sum, group) => sum + group.screens.length - 1, 0);
+  elements.appCount.textContent = `${duplicateGroups.length} group${duplicateGroups.length !== 1 ? 's' : ''}, ${copies} extra`;
+  document.getElementById('duplicates-empty').classList.toggle('hidden', duplicateGroups.length > 0);
+  
+  const list = document.getElementById('duplicates-list');
+  list.innerHTML = '';
+  
+  for (const group of duplicateGroups) {
+    list.appendChild(await createDuplicateGroup(group));
+  }
+}
+
+async function createDuplicateGroup(group) {
+  const section = document.createElement('section');
+  section.className = 'duplicate-group';
+  
+  // The first screen (with the most notes, else in app order) is kept by default
+  let keep = group.screens.reduce((best, screen) => 
+    (screen.note || screen.annotations?.length) && !(best.note || best.annotations?.length) ? screen : best
+  );
+  
+  const header = document.createElement('div');
+  header.className = 'duplicate-group-header';
+  header.innerHTML = `
+    <span>${group.screens.length} copies${group.appCount > 1 ? ` across ${group.appCount} apps` : ''}</span>
+  `;
+  
+  const mergeButton = document.createElement('button');
+  mergeButton.className = 'btn-outline';
+  mergeButton.textContent = 'Merge into Kept Screen';
+  mergeButton.title = 'Keep the marked screen with the tags, notes and collections of all copies';
+  mergeButton.addEventListener('click', () => handleMergeDuplicates(group, keep));
+  header.appendChild(mergeButton);
+  
+  const grid = document.createElement('div');
+  grid.className = 'grid-screens';
+  
+  const markKept = () => {
+    grid.querySelectorAll('.screen-item').forEach(item => {
+      item.classList.toggle('kept', item.dataset.screenId === keep.id);
+    });
+  };
+  
+  for (const screen of group.screens) {
+    const cachedUrl = await ImageCache.getObjectUrl(screen.url).catch(() => null);
+    const { app, ...record } = screen;
+    const item = createScreenItem(record, cachedUrl, app.name);
+    
+    const keepButton = document.createElement('button');
+    keepButton.className = 'duplicate-keep';
+    keepButton.textContent = 'Keep';
+    keepButton.title = 'Keep this copy when merging';
+    keepButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      keep = screen;
+      markKept();
+    });
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'item-remove';
+    removeButton.title = 'Delete this screen';
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleDeleteDuplicate(screen);
+    });
+    
+    item.append(keepButton, removeButton);
+    grid.appendChild(item);
+  }
+  
+  section.append(header, grid);
+  markKept();
+  return section;
+}
+
+/**
+ * Fold a group's copies into the kept screen
+ */
+async function handleMergeDuplicates(group, keep) {
+  const others = group.screens.filter(screen => screen.id !== keep.id);
+  const confirmed = confirm(
+    `Delete ${others.length} cop${others.length !== 1 ? 'ies' : 'y'} and keep the marked screen?\n\n` +
+    'Their tags, notes and collections move to the kept screen. ' +
+    'Screens removed from an app may come back when it is scanned again.'
+  );
+  if (!confirmed) return;
+  
+  try {
+    await VaultStore.mergeScreens(keep.id, others.map(screen => screen.id));
+    await refreshAfterDuplicateChange(group.screens.map(screen => screen.appId));
+    showToast(`Merged ${others.length + 1} screens`, 'success');
+  } catch (error) {
+    console.error('Failed to merge screens:', error);
+    showToast('Failed to merge screens', 'error');
+  }
+}
+
+/**
+ * Delete one copy from a duplicate group
+ */
+async function handleDeleteDuplicate(screen) {
+  const confirmed = confirm(
+    `Delete this screen from ${screen.app.name}?\n\n` +
+    'Its tags, notes and collection entries are deleted with it.'
+  );
+  if (!confirmed) return;
+  
+  try {
+    await VaultStore.deleteScreens([screen.id]);
+    await refreshAfterDuplicateChange([screen.appId]);
+    showToast('Screen deleted', 'success');
+  } catch (error) {
+    console.error('Failed to delete screen:', error);
+    showToast('Failed to delete screen', 'error');
+  }
+}
+
+/**
+ * Update duplicate flags of the changed apps, then the report and library
+ */
+async function refreshAfterDuplicateChange(appIds) {
+  for (const appId of new Set(appIds)) {
+    await VaultDuplicates.scanApp(appId);
+  }
+  
+  appsData = await VaultStore.getApps();
+  applySortAndFilter();
+  await refreshCollections();
+  updateStorageInfo();
+  await loadDuplicates();
+}
+
+/**
+ * Hash the screens that haven't been checked yet (e.g. saved before
+ * duplicate detection, or whose images weren't cached), with progress
+ * on `button`
+ */
+async function checkRemainingScreens(button) {
+  button.disabled = true;
+  
+  try {
+    const counts = await VaultDuplicates.getUnhashedCounts();
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    let done = 0;
+    let failed = 0;
+    
+    for (const appId of counts.keys()) {
+      const base = done;
+      const result = await VaultDuplicates.scanApp(appId, progress => {
+        button.textContent = `Checking ${base + progress.done} of ${total}...`;
+      });
+      done += counts.get(appId);
+      failed += result.failed;
+    }
+    
+    showToast(failed 
+      ? `Checked ${total - failed} screens, ${failed} images could not be loaded` 
+      : `Checked ${total} screens`, failed ? 'warning' : 'success');
+  } catch (error) {
+    console.error('Failed to check screens:', error);
+    showToast('Failed to check screens', 'error');
+  }  
+  await refreshPaletteIndex();
+}
+
+/**
+ * Show the vault's screens that look like `screen`
+ */
+function showSimilar(screen) {
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = null;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  const app = appsData.find(a => a.id === screen.appId);
+  similarSource = { id: screen.id, appId: screen.appId, label: describeScreen(screen, app) };
+  
+  setActiveView('similar');
+  elements.title.textContent = "Similar Screens";
+  loadSimilar();
+}
+
+/**
+ * "Sign up, Airbnb" or "Screen 3, Airbnb"
+ */
+function describeScreen(screen, app) {
+  const title = screen.title || `Screen ${screen.position + 1}`;
+  return app ? `${title}, ${app.name}` : title;
+}
+
+/**
+ * Rank the vault's screens against the source screen
+ */
+async function loadSimilar() {
+  if (!similarSource) return;
+  
+  let result;
+  try {
+    result = await VaultSimilar.findSimilar(similarSource.id, { otherApps: !elements.similarSameApp.checked });
+  } catch (error) {
+    console.error('Failed to find similar screens:', error);
+    showToast(`Failed to find similar screens: ${error.message}`, 'error');
+    return;
+  }
+  
+  similarResults = result.results;
+  
+  const button = elements.btnSimilarRemaining;
+  button.classList.toggle('hidden', result.unhashed === 0);
+  button.disabled = false;
+  button.textContent = `Check ${result.unhashed} more screen${result.unhashed !== 1 ? 's' : ''}`;
+  button.title = 'Screens are compared once their image has been checked';
+  
+  await renderSimilar(result.screen);
+}
+
+/**
+ * Render the source screen and its matches, best first
+ */
+async function renderSimilar(source) {
+  elements.appCount.textContent = `${similarResults.length} match${similarResults.length !== 1 ? 'es' : ''}`;
+  document.getElementById('similar-empty').classList.toggle('hidden', similarResults.length > 0);
+  document.getElementById('btn-save-similar').disabled = similarResults.length === 0;
+  
+  const sourceGrid = document.getElementById('similar-source');
+  const sourceUrl = await ImageCache.getObjectUrl(source.url).catch(() => null);
+  sourceGrid.replaceChildren(createScreenItem(source, sourceUrl, similarSource.label));
+  document.getElementById('similar-source-label').textContent = similarSource.label;
+  
+  const grid = document.getElementById('similar-screens');
+  grid.innerHTML = '';
+  for (const screen of similarResults) {
+    const cachedUrl = await ImageCache.getObjectUrl(screen.url).catch(() => null);
+    const { app, score, ...record } = screen;
+    const item = createScreenItem(record, cachedUrl, app.name);
+    
+    const badge = document.createElement('span');
+    badge.className = 'similarity-score';
+    badge.title = 'Similarity';
+    badge.textContent = `${Math.round(score * 100)}%`;
+    item.appendChild(badge);
+    
+    grid.appendChild(item);
+  }
+}
+
+/**
+ * Save the source screen and its matches as a new collection
+ */
+function handleSaveSimilar() {
+  if (!similarSource || similarResults.length === 0) return;
+  
+  openNameDialog({
+    title: 'Save as Collection',
+    value: `Like ${similarSource.label}`.slice(0, 80),
+    confirmLabel: 'Save',
+    onSubmit: async (name) => {
+      const collection = await VaultCollections.createCollection(name);
+      const screens = [similarSource, ...similarResults];
+      await VaultCollections.addItems(collection.id, screens.map(screen => ({
+        type: 'screen',
+        itemId: screen.id,
+        appId: screen.appId
+      })));
+      await refreshCollections();
+      openCollection(collection.id);
+      showToast(`Saved ${screens.length} screens to "${collection.name}"`, 'success');
+    }
+  });
+}
+
+/**
+ * Reload boards and the sidebar list
+ */
+async function refreshBoards() {
+  try {
+    boardsData = await VaultBoards.getBoards();
+  } catch (error) {
+    console.error('Failed to load boards:', error);
+    boardsData = [];
+  }
+  renderBoardNav();
+}
+
+/**
+ * List boards in the sidebar navigation
+ */
+function renderBoardNav() {
+  const nav = elements.boardNav;
+  nav.innerHTML = '';
+  
+  if (boardsData.length === 0) {
+    nav.innerHTML = '<div class="nav-empty">No boards yet</div>';
+    return;
+  }
+  
+  const boardVisible = !elements.views.board.classList.contains('hidden');
+  boardsData.forEach(board => {
+    const item = document.createElement('button');
+    item.className = 'nav-item collection-nav-item';
+    item.dataset.id = board.id;
+    item.classList.toggle('active', boardVisible && currentBoard?.id === board.id);
+    item.innerHTML = `
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="3" y="3" width="7" height="9" rx="1"></rect>
+        <rect x="14" y="3" width="7" height="5" rx="1"></rect>
+        <rect x="14" y="12" width="7" height="9" rx="1"></rect>
+        <rect x="3" y="16" width="7" height="5" rx="1"></rect>
+      </svg>
+      <span class="nav-label">${sanitizeText(board.name)}</span>
+      <span class="nav-count">${board.screenCount}</span>
+    `;
+    item.addEventListener('click', () => openBoard(board.id));
+    nav.appendChild(item);
+  });
+}
+
+/**
+ * Open a moodboard
+ */
+async function openBoard(boardId) {
+  const board = await VaultBoards.getBoard(boardId).catch(() => null);
+  if (!board) {
+    showToast('Board not found', 'error');
+    showLibrary();
+    return;
+  }
+  
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = null;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  // Store the board that was open before switching
+  if (currentBoard) saveBoardNow();
+  currentBoard = board;
+  boardSelection = new Set();
+  setBoardArrowMode(false);
+  
+  setActiveView('board');
+  elements.title.textContent = sanitizeText(board.name);
+  updateBoardCount();
+  
+  renderBoardShelfApps();
+  renderBoardShelf();
+  renderBoard();
+  applyBoardView();
+}
+
+function updateBoardCount() {
+  const count = currentBoard.items.filter(item => item.type === 'screen').length;
+  elements.appCount.textContent = `${count} screen${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Apps to take screens from, in the shelf next to the board
+ */
+function renderBoardShelfApps() {
+  const select = elements.boardShelfApp;
+  const selected = select.value;
+  select.innerHTML = '';
+  
+  [...appsData]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(app => select.appendChild(new Option(`${app.name} (${app.screenCount})`, app.id)));
+  
+  if (appsData.some(app => app.id === selected)) select.value = selected;
+}
+
+/**
+ * Screens of the shelf's app, to drag onto the board
+ */
+async function renderBoardShelf() {
+  const appId = elements.boardShelfApp.value;
+  const container = elements.boardShelfScreens;
+  if (!appId) {
+    container.innerHTML = '<p class="nav-empty">No apps in the vault yet</p>';
+    return;
+  }
+  
+  const filter = elements.boardShelfFilter.value.trim().toLowerCase();
+  const [screens, cachedUrls] = await Promise.all([
+    VaultStore.getScreens(appId),
+    ImageCache.getObjectUrlsForApp(appId).catch(() => new Map())
+  ]);
+  // Changed apps while loading
+  if (elements.boardShelfApp.value !== appId) return;
+  
+  const matching = screens.filter(screen => !filter ||
+    [screen.title, ...(screen.patterns || []), ...(screen.elements || []), ...(screen.tags || []), screen.note]
+      .join(' ')
+      .toLowerCase()
+      .includes(filter));
+  
+  container.innerHTML = matching.length ? '' : '<p class="nav-empty">No matching screens</p>';
+  matching.forEach(screen => {
+    const thumb = document.createElement('button');
+    thumb.className = 'board-shelf-screen';
+    thumb.draggable = true;
+    thumb.title = screen.title || `Screen ${screen.position + 1}`;
+    thumb.innerHTML = `<img src="${sanitizeUrl(cachedUrls.get(screen.url) || screen.url)}" loading="lazy" alt="">`;
+    
+    thumb.addEventListener('dragstart', (e) => {
+      boardShelfDrag = screen;
+      e.dataTransfer.effectAllowed = 'copy';
+      e.dataTransfer.setData('text/plain', screen.url);
+    });
+    thumb.addEventListener('dragend', () => {
+      boardShelfDrag = null;
+    });
+    thumb.addEventListener('click', () => {
+      const center = getBoardCenter();
+      addBoardScreen(screen, center.x, center.y);
+    });
+    container.appendChild(thumb);
+  });
+}
+
+/**
+ * Draw every item of the open board
+ */
+function renderBoard() {
+  const world = elements.boardWorld;
+  world.querySelectorAll('.board-item').forEach(el => el.remove());
+  
+  // Groups sit behind the items in them
+  const items = currentBoard.items.filter(item => item.type !== 'arrow');
+  [...items.filter(item => item.type === 'group'), ...items.filter(item => item.type !== 'group')]
+    .forEach(item => world.insertBefore(createBoardItem(item), elements.boardArrows));
+  
+  renderBoardArrows();
+  updateBoardSelection();
+  elements.boardEmpty.classList.toggle('hidden', currentBoard.items.length > 0);
+}
+
+function createBoardItem(item) {
+  const el = document.createElement('div');
+  el.className = `board-item board-${item.type}`;
+  el.dataset.id = item.id;
+  
+  if (item.type === 'screen') {
+    const screenApp = appsData.find(app => app.id === item.appId);
+    el.title = screenApp ? screenApp.name : '';
+    const img = document.createElement('img');
+    img.alt = '';
+    img.draggable = false;
+    img.src = sanitizeUrl(item.url);
+    ImageCache.getObjectUrl(item.url).then(cachedUrl => {
+      if (cachedUrl) img.src = cachedUrl;
+    }).catch(() => {});
+    el.appendChild(img);
+  } else {
+    // Notes and group labels are edited in place after a double-click
+    const text = document.createElement('div');
+    text.className = item.type === 'note' ? 'board-note-text' : 'board-group-label';
+    text.textContent = item.type === 'note' ? item.text : item.label;
+    text.addEventListener('dblclick', () => editBoardText(text, item));
+    el.appendChild(text);
+  }
+  
+  if (item.type !== 'group') {
+    const handle = document.createElement('div');
+    handle.className = 'board-resize';
+    el.appendChild(handle);
+  }
+  
+  positionBoardItem(el, item);
+  return el;
+}
+
+function positionBoardItem(el, item) {
+  el.style.left = `${item.x}px`;
+  el.style.top = `${item.y}px`;
+  el.style.width = `${item.width}px`;
+  el.style.height = `${item.height}px`;
+}
+
+function getBoardElement(itemId) {
+  return elements.boardWorld.querySelector(`.board-item[data-id="${CSS.escape(itemId)}"]`);
+}
+
+/**
+ * Type into a sticky note or group label
+ */
+function editBoardText(el, item) {
+  el.contentEditable = 'plaintext-only';
+  el.focus();
+  document.getSelection().selectAllChildren(el);
+  
+  el.addEventListener('blur', () => {
+    el.contentEditable = 'false';
+    const value = el.innerText.trim();
+    if (item.type === 'note') {
+      item.text = value;
+    } else {
+      item.label = value.replace(/\s+/g, ' ').slice(0, 80);
+      el.textContent = item.label;
+    }
+    scheduleBoardSave();
+  }, { once: true });
+}
+
+/**
+ * Redraw the arrows between items
+ */
+function renderBoardArrows() {
+  const svg = elements.boardArrows;
+  svg.querySelectorAll('g').forEach(el => el.remove());
+  const byId = new Map(currentBoard.items.map(item => [item.id, item]));
+  
+  currentBoard.items.filter(item => item.type === 'arrow').forEach(arrow => {
+    const from = byId.get(arrow.from);
+    const to = byId.get(arrow.to);
+    if (!from || !to) return;
+    
+    const { x1, y1, x2, y2 } = VaultBoards.getArrowPoints(from, to);
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.dataset.id = arrow.id;
+    group.classList.toggle('selected', boardSelection.has(arrow.id));
+    group.innerHTML = `
+      <line class="board-arrow-hit" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"></line>
+      <line class="board-arrow" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#board-arrowhead)"></line>
+    `;
+    svg.appendChild(group);
+  });
+}
+
+/**
+ * Select the items with the given ids
+ */
+function selectBoardItems(ids) {
+  boardSelection = new Set(ids);
+  updateBoardSelection();
+}
+
+function updateBoardSelection() {
+  elements.boardWorld.querySelectorAll('.board-item').forEach(el => {
+    el.classList.toggle('selected', boardSelection.has(el.dataset.id));
+  });
+  elements.boardArrows.querySelectorAll('g').forEach(el => {
+    el.classList.toggle('selected', boardSelection.has(el.dataset.id));
+  });
+  
+  const selected = currentBoard.items.filter(item => boardSelection.has(item.id));
+  const groups = selected.filter(item => item.type === 'group');
+  const groupable = selected.filter(item => item.type === 'screen' || item.type === 'note');
+  elements.btnBoardGroup.textContent = groups.length === 1 && selected.length === 1 ? 'Ungroup' : 'Group';
+  elements.btnBoardGroup.disabled = !(groupable.length >= 2 || (groups.length === 1 && selected.length === 1));
+  elements.btnBoardDelete.disabled = selected.length === 0;
+}
+
+function setBoardArrowMode(enabled) {
+  boardArrowMode = enabled;
+  boardArrowStart = null;
+  elements.btnBoardArrow.classList.toggle('active', enabled);
+  elements.boardCanvas.classList.toggle('connecting', enabled);
+  elements.boardWorld.querySelectorAll('.arrow-start').forEach(el => el.classList.remove('arrow-start'));
+}
+
+/**
+ * Board position of a pointer event
+ */
+function getBoardPoint(e) {
+  const rect = elements.boardCanvas.getBoundingClientRect();
+  const { x, y, zoom } = currentBoard.view;
+  return { x: (e.clientX - rect.left - x) / zoom, y: (e.clientY - rect.top - y) / zoom };
+}
+
+function getBoardCenter() {
+  const canvas = elements.boardCanvas;
+  const { x, y, zoom } = currentBoard.view;
+  return { x: (canvas.clientWidth / 2 - x) / zoom, y: (canvas.clientHeight / 2 - y) / zoom };
+}
+
+function applyBoardView() {
+  const { x, y, zoom } = currentBoard.view;
+  elements.boardWorld.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+  elements.boardZoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+  // Keep the dot grid moving with the board
+  elements.boardCanvas.style.backgroundPosition = `${x}px ${y}px`;
+  elements.boardCanvas.style.backgroundSize = `${24 * zoom}px ${24 * zoom}px`;
+}
+
+/**
+ * Zoom to `zoom`, keeping the canvas point `anchor` (default: the center) in place
+ */
+function zoomBoard(zoom, anchor = null) {
+  const view = currentBoard.view;
+  const point = anchor || { x: elements.boardCanvas.clientWidth / 2, y: elements.boardCanvas.clientHeight / 2 };
+  const next = Math.max(BOARD_MIN_ZOOM, Math.min(zoom, BOARD_MAX_ZOOM));
+  
+  view.x = point.x - (point.x - view.x) * (next / view.zoom);
+  view.y = point.y - (point.y - view.y) * (next / view.zoom);
+  view.zoom = next;
+  applyBoardView();
+  scheduleBoardSave();
+}
+
+/**
+ * Zoom and scroll so every item is in view
+ */
+function fitBoard() {
+  const bounds = VaultBoards.getBounds(currentBoard.items);
+  const canvas = elements.boardCanvas;
+  if (!bounds) {
+    currentBoard.view = { x: 0, y: 0, zoom: 1 };
+  } else {
+    const margin = 48;
+    const zoom = Math.max(BOARD_MIN_ZOOM, Math.min(
+      (canvas.clientWidth - margin * 2) / bounds.width,
+      (canvas.clientHeight - margin * 2) / bounds.height,
+      1
+    ));
+    currentBoard.view = {
+      x: (canvas.clientWidth - bounds.width * zoom) / 2 - bounds.x * zoom,
+      y: (canvas.clientHeight - bounds.height * zoom) / 2 - bounds.y * zoom,
+      zoom
+    };
+  }
+  applyBoardView();
+  scheduleBoardSave();
+}
+
+function handleBoardWheel(e) {
+  e.preventDefault();
+  const rect = elements.boardCanvas.getBoundingClientRect();
+  
+  // Ctrl + wheel (and pinch) zooms; the wheel alone scrolls the board
+  if (e.ctrlKey || e.metaKey) {
+    zoomBoard(currentBoard.view.zoom * Math.exp(-e.deltaY * 0.002), { x: e.clientX - rect.left, y: e.clientY - rect.top });
+  } else {
+    currentBoard.view.x -= e.deltaX;
+    currentBoard.view.y -= e.deltaY;
+    applyBoardView();
+    scheduleBoardSave();
+  }
+}
+
+/**
+ * Start moving items, resizing one, connecting two, or panning the board
+ */
+function handleBoardPointerDown(e) {
+  if (e.button !== 0 || e.target.closest('.board-toolbar') || e.target.isContentEditable) return;
+  
+  const arrowEl = e.target.closest('#board-arrows g');
+  const itemEl = e.target.closest('.board-item');
+  const point = getBoardPoint(e);
+  
+  if (arrowEl) {
+    selectBoardItems(e.shiftKey ? toggleInSet(boardSelection, arrowEl.dataset.id) : [arrowEl.dataset.id]);
+    return;
+  }
+  
+  if (!itemEl) {
+    if (!e.shiftKey) selectBoardItems([]);
+    setBoardArrowMode(false);
+    boardDrag = { type: 'pan', pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, view: { ...currentBoard.view } };
+    elements.boardCanvas.setPointerCapture(e.pointerId);
+    elements.boardCanvas.classList.add('panning');
+    return;
+  }
+  
+  const item = currentBoard.items.find(i => i.id === itemEl.dataset.id);
+  if (!item) return;
+  
+  if (boardArrowMode) {
+    connectBoardItem(item, itemEl);
+    return;
+  }
+  
+  if (e.target.classList.contains('board-resize')) {
+    selectBoardItems([item.id]);
+    boardDrag = { type: 'resize', pointerId: e.pointerId, item, start: point, width: item.width, height: item.height };
+    elements.boardCanvas.setPointerCapture(e.pointerId);
+    return;
+  }
+  
+  if (e.shiftKey) {
+    selectBoardItems(toggleInSet(boardSelection, item.id));
+  } else if (!boardSelection.has(item.id)) {
+    selectBoardItems([item.id]);
+  }
+  if (!boardSelection.has(item.id)) return;
+  
+  // Groups carry their items along
+  const moving = currentBoard.items.filter(i => boardSelection.has(i.id) ||
+    (i.groupId && boardSelection.has(i.groupId)));
+  boardDrag = {
+    type: 'move',
+    pointerId: e.pointerId,
+    start: point,
+    moved: false,
+    items: moving.filter(i => i.type !== 'arrow').map(i => ({ item: i, x: i.x, y: i.y }))
+  };
+}
+
+function toggleInSet(set, value) {
+  const next = new Set(set);
+  if (next.has(value)) next.delete(value);
+  else next.add(value);
+  return next;
+}
+
+function handleBoardPointerMove(e) {
+  if (!boardDrag || e.pointerId !== boardDrag.pointerId) return;
+  
+  if (boardDrag.type === 'pan') {
+    currentBoard.view.x = boardDrag.view.x + e.clientX - boardDrag.startX;
+    currentBoard.view.y = boardDrag.view.y + e.clientY - boardDrag.startY;
+    applyBoardView();
+    return;
+  }
+  
+  const point = getBoardPoint(e);
+  const dx = point.x - boardDrag.start.x;
+  const dy = point.y - boardDrag.start.y;
+  
+  if (boardDrag.type === 'resize') {
+    const { item } = boardDrag;
+    item.width = Math.max(60, Math.round(boardDrag.width + dx));
+    // Screens keep their shape
+    item.height = item.type === 'screen'
+      ? Math.round(item.width * (boardDrag.height / boardDrag.width))
+      : Math.max(60, Math.round(boardDrag.height + dy));
+    positionBoardItem(getBoardElement(item.id), item);
+  } else {
+    // Captured once moving, so a click still reaches the item (e.g. to edit a note)
+    if (!boardDrag.moved) elements.boardCanvas.setPointerCapture(e.pointerId);
+    boardDrag.moved = true;
+    boardDrag.items.forEach(({ item, x, y }) => {
+      item.x = Math.round(x + dx);
+      item.y = Math.round(y + dy);
+      positionBoardItem(getBoardElement(item.id), item);
+    });
+  }
+  
+  fitBoardGroups();
+  renderBoardArrows();
+}
+
+function handleBoardPointerUp(e) {
+  if (!boardDrag || e.pointerId !== boardDrag.pointerId) return;
+  
+  const drag = boardDrag;
+  boardDrag = null;
+  elements.boardCanvas.classList.remove('panning');
+  if (drag.type !== 'move' || drag.moved) scheduleBoardSave();
+}
+
+/**
+ * In arrow mode: the first click picks where an arrow starts, the second
+ * where it ends
+ */
+function connectBoardItem(item, itemEl) {
+  if (!boardArrowStart) {
+    boardArrowStart = item.id;
+    itemEl.classList.add('arrow-start');
+    return;
+  }
+  
+  if (boardArrowStart !== item.id) {
+    const exists = currentBoard.items.some(i => i.type === 'arrow' && i.from === boardArrowStart && i.to === item.id);
+    if (!exists) {
+      currentBoard.items.push({ id: `item-${crypto.randomUUID()}`, type: 'arrow', from: boardArrowStart, to: item.id });
+      renderBoardArrows();
+      scheduleBoardSave();
+    }
+  }
+  setBoardArrowMode(false);
+}
+
+/**
+ * Fit each group's frame around its items
+ */
+function fitBoardGroups() {
+  currentBoard.items.filter(item => item.type === 'group').forEach(group => {
+    const bounds = VaultBoards.getBounds(currentBoard.items.filter(item => item.groupId === group.id));
+    if (!bounds) return;
+    
+    Object.assign(group, {
+      x: bounds.x - BOARD_GROUP_PADDING,
+      y: bounds.y - BOARD_GROUP_PADDING,
+      width: bounds.width + BOARD_GROUP_PADDING * 2,
+      height: bounds.height + BOARD_GROUP_PADDING * 2
+    });
+    const el = getBoardElement(group.id);
+    if (el) positionBoardItem(el, group);
+  });
+}
+
+/**
+ * Add a screen centered on a board point
+ */
+async function addBoardScreen(screen, x, y) {
+  if (!currentBoard) return;
+  
+  const board = currentBoard;
+  let { width, height } = screen;
+  if (!width || !height) {
+    // Older records lack the size; read it from the image
+    try {
+      const img = new Image();
+      img.src = (await ImageCache.getObjectUrl(screen.url).catch(() => null)) || screen.url;
+      await img.decode();
+      width = img.naturalWidth;
+      height = img.naturalHeight;
+    } catch (error) {
+      width = 9;
+      height = 19.5;
+    }
+  }
+  if (currentBoard !== board) return;
+  
+  const itemHeight = Math.round(BOARD_SCREEN_WIDTH * (height / width));
+  const item = {
+    id: `item-${crypto.randomUUID()}`,
+    type: 'screen',
+    screenId: screen.id,
+    appId: screen.appId,
+    url: screen.url,
+    x: Math.round(x - BOARD_SCREEN_WIDTH / 2),
+    y: Math.round(y - itemHeight / 2),
+    width: BOARD_SCREEN_WIDTH,
+    height: itemHeight,
+    groupId: null
+  };
+  
+  currentBoard.items.push(item);
+  renderBoard();
+  selectBoardItems([item.id]);
+  updateBoardCount();
+  scheduleBoardSave();
+}
+
+/**
+ * Add a sticky note in the middle of the view and start typing in it
+ */
+function addBoardNote() {
+  if (!currentBoard) return;
+  
+  const center = getBoardCenter();
+  const item = {
+    id: `item-${crypto.randomUUID()}`,
+    type: 'note',
+    text: '',
+    x: Math.round(center.x - 100),
+    y: Math.round(center.y - 70),
+    width: 200,
+    height: 140,
+    groupId: null
+  };
+  
+  currentBoard.items.push(item);
+  renderBoard();
+  selectBoardItems([item.id]);
+  editBoardText(getBoardElement(item.id).querySelector('.board-note-text'), item);
+  scheduleBoardSave();
+}
+
+/**
+ * Group the selected screens and notes, or ungroup the selected group
+ */
+function toggleBoardGroup() {
+  const selected = currentBoard.items.filter(item => boardSelection.has(item.id));
+  
+  if (selected.length === 1 && selected[0].type === 'group') {
+    const group = selected[0];
+    const members = currentBoard.items.filter(item => item.groupId === group.id);
+    members.forEach(item => {
+      item.groupId = null;
+    });
+    currentBoard.items = currentBoard.items.filter(item => item !== group);
+    renderBoard();
+    selectBoardItems(members.map(item => item.id));
+  } else {
+    const members = selected.filter(item => item.type === 'screen' || item.type === 'note');
+    if (members.length < 2) return;
+    
+    const group = { id: `item-${crypto.randomUUID()}`, type: 'group', label: 'Group', x: 0, y: 0, width: 0, height: 0 };
+    members.forEach(item => {
+      item.groupId = group.id;
+    });
+    currentBoard.items.unshift(group);
+    fitBoardGroups();
+    renderBoard();
+    selectBoardItems([group.id]);
+  }
+  scheduleBoardSave();
+}
+
+/**
+ * Remove the selected items; a group goes with its items, and arrows
+ * with the items they connect
+ */
+function deleteBoardSelection() {
+  if (boardSelection.size === 0) return;
+  
+  const removed = new Set(boardSelection);
+  currentBoard.items.forEach(item => {
+    if (item.groupId && removed.has(item.groupId)) removed.add(item.id);
+  });
+  currentBoard.items = currentBoard.items.filter(item => !removed.has(item.id) &&
+    !(item.type === 'arrow' && (removed.has(item.from) || removed.has(item.to))));
+  
+  boardSelection = new Set();
+  fitBoardGroups();
+  renderBoard();
+  updateBoardCount();
+  scheduleBoardSave();
+}
+
+/**
+ * N adds a note, A connects, G groups, Delete removes, + - 0 zoom
+ */
+function handleBoardKey(e) {
+  const actions = {
+    n: () => addBoardNote(),
+    a: () => setBoardArrowMode(!boardArrowMode),
+    g: () => {
+      if (!elements.btnBoardGroup.disabled) toggleBoardGroup();
+    },
+    Delete: deleteBoardSelection,
+    Backspace: deleteBoardSelection,
+    '+': () => zoomBoard(currentBoard.view.zoom * 1.25),
+    '=': () => zoomBoard(currentBoard.view.zoom * 1.25),
+    '-': () => zoomBoard(currentBoard.view.zoom / 1.25),
+    '0': fitBoard
+  };
+  
+  const action = actions[e.key];
+  if (!action) return;
+  e.preventDefault();
+  action();
+}
+
+/**
+ * Store the open board shortly after the last change
+ */
+function scheduleBoardSave() {
+  clearTimeout(boardSaveTimer);
+  boardSaveTimer = setTimeout(saveBoardNow, BOARD_SAVE_DELAY);
+}
+
+async function saveBoardNow() {
+  clearTimeout(boardSaveTimer);
+  boardSaveTimer = null;
+  if (!currentBoard) return;
+  
+  try {
+    await VaultBoards.saveBoard(currentBoard);
+    await refreshBoards();
+  } catch (error) {
+    console.error('Failed to save board:', error);
+    showToast('Failed to save board', 'error');
+  }
+}
+
+/**
+ * Rename the open board
+ */
+function handleRenameBoard() {
+  if (!currentBoard) return;
+  
+  openNameDialog({
+    title: 'Rename Board',
+    value: currentBoard.name,
+    confirmLabel: 'Rename',
+    onSubmit: async (name) => {
+      const { name: renamed } = await VaultBoards.renameBoard(currentBoard.id, name);
+      currentBoard.name = renamed;
+      elements.title.textContent = sanitizeText(renamed);
+      await refreshBoards();
+    }
+  });
+}
+
+/**
+ * Delete the open board (its screens stay in the vault)
+ */
+async function handleDeleteBoard() {
+  if (!currentBoard) return;
+  
+  const board = currentBoard;
+  const confirmed = confirm(
+    `Delete the board "${board.name}"?\n\nThe screens on it stay in your vault.`
+  );
+  
+  if (!confirmed) return;
+  
+  try {
+    clearTimeout(boardSaveTimer);
+    currentBoard = null;
+    await VaultBoards.deleteBoard(board.id);
+    await refreshBoards();
+    showLibrary();
+    showToast(`Deleted "${board.name}"`, 'success');
+  } catch (error) {
+    console.error('Failed to delete board:', error);
+    showToast('Failed to delete board', 'error');
+  }
+}
+
+/**
+ * Download the open board as a PNG image or a PDF
+ */
+function handleExportBoard() {
+  if (!currentBoard) return;
+  
+  if (!VaultBoards.getBounds(currentBoard.items)) {
+    showToast('Add something to the board first', 'warning');
+    return;
+  }
+  
+  const board = currentBoard;
+  const exportAs = (format) => async (button) => {
+    button.disabled = true;
+    button.textContent = 'Exporting...';
+    
+    try {
+      const blob = format === 'pdf' ? await BoardExport.toPdf(board) : await BoardExport.toPng(board);
+      await downloadBlob(blob, `${VaultExport.safeFileName(board.name, 'board')}.${format}`);
+      closeModal();
+      showToast(`Exported "${board.name}"`, 'success');
+    } catch (error) {
+      console.error('Board export failed:', error);
+      showToast('Could not export the board', 'error');
+      closeModal();
+    }
+  };
+  
+  openModal({
+    title: 'Export Board',
+    body: '<p class="modal-text">Export the whole board as an image, or as a one-page PDF for review decks.</p>',
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      { label: 'PDF', className: 'btn-outline', onClick: exportAs('pdf') },
+      { label: 'PNG', className: 'btn-primary', onClick: exportAs('png') }
+    ]
+  });
+}
+
+/**
+ * Put a screen in the compare tray, or take it out
+ */
+function toggleCompare(screen) {
+  if (isInCompare(screen.id)) {
+    removeFromCompare(screen.id);
+    return;
+  }
+  
+  if (compareTray.length >= ScreenCompare.MAX_SCREENS) {
+    showToast(`Compare up to ${ScreenCompare.MAX_SCREENS} screens at a time`, 'warning');
+    return;
+  }
+  
+  // Screens from grids outside the detail view carry their app
+  const { app, ...record } = screen;
+  compareTray.push(record);
+  renderCompareTray();
+  updateCompareButton();
+}
+
+function isInCompare(screenId) {
+  return compareTray.some(screen => screen.id === screenId);
+}
+
+function removeFromCompare(screenId) {
+  compareTray = compareTray.filter(screen => screen.id !== screenId);
+  renderCompareTray();
+  updateCompareButton();
+  
+  if (!elements.views.compare.classList.contains('hidden')) {
+    if (compareTray.length < ScreenCompare.MIN_SCREENS) {
+      showLibrary();
+    } else {
+      renderCompare();
+    }
+  }
+}
+
+function clearCompare() {
+  compareTray = [];
+  renderCompareTray();
+  updateCompareButton();
+}
+
+/**
+ * Label the preview's compare button for the previewed screen
+ */
+function updateCompareButton() {
+  if (!currentScreen) return;
+  elements.btnCompareScreen.textContent = isInCompare(currentScreen.id) ? 'Remove from Compare' : 'Add to Compare';
+}
+
+/**
+ * Thumbnails of the screens picked for comparing, shown outside the
+ * compare view
+ */
+async function renderCompareTray() {
+  const comparing = !elements.views.compare.classList.contains('hidden');
+  elements.compareTray.classList.toggle('hidden', compareTray.length === 0 || comparing);
+  if (compareTray.length === 0 || comparing) return;
+  
+  const count = compareTray.length;
+  elements.compareTrayHint.textContent = count < ScreenCompare.MIN_SCREENS
+    ? 'Add another screen to compare'
+    : `${count} of ${ScreenCompare.MAX_SCREENS} screens`;
+  document.getElementById('btn-open-compare').disabled = count < ScreenCompare.MIN_SCREENS;
+  
+  const items = elements.compareTrayItems;
+  const screens = [...compareTray];
+  const cachedUrls = await Promise.all(screens.map(screen => ImageCache.getObjectUrl(screen.url).catch(() => null)));
+  // Changed again while reading the cache
+  if (screens.some((screen, index) => compareTray[index] !== screen) || screens.length !== compareTray.length) return;
+  
+  items.innerHTML = '';
+  screens.forEach((screen, index) => {
+    const item = document.createElement('div');
+    item.className = 'compare-tray-item';
+    item.title = describeScreen(screen, appsData.find(a => a.id === screen.appId));
+    item.innerHTML = `
+      <img src="${sanitizeUrl(cachedUrls[index] || screen.url)}" alt="">
+      <button class="compare-tray-remove" title="Remove">✕</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => removeFromCompare(screen.id));
+    items.appendChild(item);
+  });
+}
+
+/**
+ * Show the screens in the compare tray next to each other
+ */
+function showCompare() {
+  if (compareTray.length < ScreenCompare.MIN_SCREENS) return;
+  
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = null;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  setActiveView('compare');
+  elements.title.textContent = "Compare";
+  renderCompare();
+}
+
+/**
+ * Render the compared screens: one pane each, or the onion skin of two
+ */
+async function renderCompare() {
+  const screens = [...compareTray];
+  const onion = compareSettings.mode === 'onion';
+  
+  elements.appCount.textContent = `${screens.length} screens`;
+  elements.compareMode.value = compareSettings.mode;
+  elements.compareOnionControls.classList.toggle('hidden', !onion);
+  
+  // Keep the onion skin's picks within the tray
+  if (compareSettings.base >= screens.length) compareSettings.base = 0;
+  if (compareSettings.overlay >= screens.length) compareSettings.overlay = compareSettings.base === 0 ? 1 : 0;
+  [elements.compareBase, elements.compareOverlay].forEach((select, i) => {
+    select.innerHTML = '';
+    screens.forEach((screen, index) => {
+      select.appendChild(new Option(describeScreen(screen, appsData.find(a => a.id === screen.appId)), index));
+    });
+    select.value = i === 0 ? compareSettings.base : compareSettings.overlay;
+  });
+  
+  const cachedUrls = await Promise.all(screens.map(screen => ImageCache.getObjectUrl(screen.url).catch(() => null)));
+  const imageUrl = index => sanitizeUrl(cachedUrls[index] || screens[index].url);
+  
+  const panes = elements.comparePanes;
+  panes.innerHTML = '';
+  panes.classList.toggle('onion', onion);
+  
+  if (onion) {
+    const pane = createComparePane();
+    pane.querySelector('.compare-pane-body').innerHTML = `
+      <div class="compare-onion">
+        <img class="compare-base" src="${imageUrl(compareSettings.base)}" alt="">
+        <img class="compare-overlay" src="${imageUrl(compareSettings.overlay)}" alt="">
+      </div>
+    `;
+    panes.appendChild(pane);
+  } else {
+    screens.forEach((screen, index) => {
+      const app = appsData.find(a => a.id === screen.appId);
+      const pane = createComparePane(screen, app);
+      pane.querySelector('.compare-pane-body').innerHTML = `<img src="${imageUrl(index)}" alt="">`;
+      panes.appendChild(pane);
+    });
+  }
+  
+  applyCompareZoom();
+  applyCompareOverlay();
+}
+
+/**
+ * A pane of the compare view, headed by its screen unless it's the onion skin
+ */
+function createComparePane(screen = null, app = null) {
+  const pane = document.createElement('div');
+  pane.className = 'compare-pane';
+  pane.innerHTML = `
+    ${screen ? `
+      <div class="compare-pane-header">
+        <div class="compare-pane-title">
+          <strong>${sanitizeText(screen.title || `Screen ${screen.position + 1}`)}</strong>
+          <span>${sanitizeText(app ? app.name : '')}</span>
+        </div>
+        <button class="btn-icon" title="Remove from comparison">✕</button>
+      </div>
+    ` : ''}
+    <div class="compare-pane-body"></div>
+  `;
+  
+  if (screen) {
+    pane.querySelector('.compare-pane-header button').addEventListener('click', () => removeFromCompare(screen.id));
+  }
+  
+  // Scroll every pane together, and zoom them together with Ctrl + wheel
+  const body = pane.querySelector('.compare-pane-body');
+  body.addEventListener('scroll', () => syncCompareScroll(body));
+  body.addEventListener('wheel', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    stepCompareZoom(e.deltaY < 0 ? 1 : -1);
+  }, { passive: false });
+  return pane;
+}
+
+function syncCompareScroll(source) {
+  // Ignore the scroll events this sets off in the other panes
+  if (compareScrollSource && compareScrollSource !== source) return;
+  compareScrollSource = source;
+  
+  elements.comparePanes.querySelectorAll('.compare-pane-body').forEach(body => {
+    if (body === source) return;
+    body.scrollTop = source.scrollTop;
+    body.scrollLeft = source.scrollLeft;
+  });
+  requestAnimationFrame(() => {
+    compareScrollSource = null;
+  });
+}
+
+/**
+ * Zoom all compared screens to `zoom` times the pane width
+ */
+function setCompareZoom(zoom) {
+  compareSettings.zoom = zoom;
+  applyCompareZoom();
+}
+
+function stepCompareZoom(direction) {
+  const levels = COMPARE_ZOOM_LEVELS;
+  const current = levels.findIndex(level => level >= compareSettings.zoom);
+  const index = Math.max(0, Math.min(levels.length - 1, (current === -1 ? levels.length - 1 : current) + direction));
+  setCompareZoom(levels[index]);
+}
+
+function applyCompareZoom() {
+  const { zoom } = compareSettings;
+  // Every screen gets the same width, so all are shown at the same scale
+  elements.comparePanes.querySelectorAll('.compare-pane-body > img, .compare-onion').forEach(el => {
+    el.style.width = `${zoom * 100}%`;
+  });
+  elements.compareZoomLevel.textContent = zoom === 1 ? 'Fit' : `${Math.round(zoom * 100)}%`;
+}
+
+function applyCompareOverlay() {
+  const overlay = elements.comparePanes.querySelector('.compare-overlay');
+  elements.compareOpacity.value = Math.round(compareSettings.opacity * 100);
+  elements.compareOpacity.disabled = compareSettings.difference;
+  elements.compareDifference.checked = compareSettings.difference;
+  if (!overlay) return;
+  
+  overlay.style.opacity = compareSettings.difference ? 1 : compareSettings.opacity;
+  overlay.style.mixBlendMode = compareSettings.difference ? 'difference' : 'normal';
+}
+
+/**
+ * Download the comparison, as shown, as one PNG
+ */
+async function handleExportCompare() {
+  const button = document.getElementById('btn-export-compare');
+  const toItem = screen => {
+    const app = appsData.find(a => a.id === screen.appId);
+    return {
+      url: screen.url,
+      title: screen.title || `Screen ${screen.position + 1}`,
+      subtitle: app ? app.name : ''
+    };
+  };
+  
+  button.disabled = true;
+  button.textContent = 'Exporting...';
+  try {
+    const blob = compareSettings.mode === 'onion'
+      ? await ScreenCompare.renderOnionSkin(
+        toItem(compareTray[compareSettings.base]),
+        toItem(compareTray[compareSettings.overlay]),
+        compareSettings
+      )
+      : await ScreenCompare.renderSideBySide(compareTray.map(toItem));
+    
+    await downloadBlob(blob, `mobbin-vault-compare-${compareTray.length}-screens.png`);
+    showToast('Comparison exported', 'success');
+  } catch (error) {
+    console.error('Compare export failed:', error);
+    showToast('Could not export the comparison', 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Export PNG';
+  }
+}
+
+/**
+ * Show the storage manager
+ */
+function showStorage() {
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = null;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  setActiveView('storage');
+  elements.title.textContent = "Storage";
+  loadStorage();
+}
+
+/**
+ * Read the vault's usage, each app's share and the storage policy
+ */
+async function loadStorage() {
+  let estimate;
+  let unlimited;
+  try {
+    [estimate, storageUsage, storagePolicy, unlimited] = await Promise.all([
+      VaultStorage.getEstimate(),
+      VaultStorage.getAppUsage(),
+      VaultStorage.getPolicy(),
+      chrome.permissions.contains({ permissions: ['unlimitedStorage'] })
+    ]);
+  } catch (error) {
+    console.error('Failed to read storage:', error);
+    showToast('Failed to read storage', 'error');
+    return;
+  }
+  
+  renderStorageOverview(estimate, unlimited);
+  renderStoragePolicy();
+  renderStorageApps();
+}
+
+/**
+ * Usage against the quota, and whether the browser may clear the vault
+ */
+function renderStorageOverview({ usage, quota, persisted }, unlimited) {
+  const share = quota ? usage / quota : 0;
+  const imageBytes = storageUsage.reduce((sum, entry) => sum + entry.imageBytes, 0);
+  const offlineApps = storageUsage.filter(entry => entry.imageCount > 0).length;
+  const starred = storageUsage.filter(entry => entry.app.starred).length;
+  
+  elements.storagePageUsed.textContent = formatBytes(usage);
+  elements.storagePageQuota.textContent = unlimited
+    ? 'used, unlimited storage allowed'
+    : `used of ${formatBytes(quota)} (${(share * 100).toFixed(1)}%)`;
+  elements.storagePageProgress.style.width = `${Math.min(100, share * 100)}%`;
+  elements.storagePageProgress.classList.toggle('near-limit', share > VaultStorage.NEAR_LIMIT);
+  
+  elements.storagePageDetails.textContent = [
+    `${formatBytes(imageBytes)} offline images of ${offlineApps} app${offlineApps !== 1 ? 's' : ''}`,
+    `${starred} starred`,
+    persisted ? 'Kept when the disk runs low' : 'May be cleared by the browser when the disk runs low'
+  ].join(' • ');
+  
+  elements.btnUnlimitedStorage.classList.toggle('hidden', unlimited && persisted);
+}
+
+/**
+ * Policy controls, and what applying it now would remove
+ */
+async function renderStoragePolicy() {
+  elements.policyStarredOnly.checked = storagePolicy.starredOnly;
+  elements.policyEvictDays.value = String(storagePolicy.evictAfterDays);
+  
+  try {
+    const result = await VaultStorage.applyPolicy({ dryRun: true, policy: storagePolicy });
+    const count = result.apps.length;
+    elements.policyPreview.textContent = count > 0
+      ? `Would remove ${formatBytes(result.bytes)} of offline images from ${count} app${count !== 1 ? 's' : ''}`
+      : 'Nothing to remove';
+    elements.btnApplyPolicy.disabled = count === 0;
+  } catch (error) {
+    console.debug('Could not preview storage policy:', error);
+  }
+}
+
+/**
+ * Save a policy change and show what it would remove
+ */
+async function updateStoragePolicy(changes) {
+  try {
+    storagePolicy = await VaultStorage.setPolicy(changes);
+    renderStoragePolicy();
+    renderStorageApps();
+  } catch (error) {
+    console.error('Failed to save storage policy:', error);
+    showToast('Failed to save storage policy', 'error');
+  }
+}
+
+/**
+ * Remove the offline images the policy doesn't keep, without waiting for
+ * the daily run
+ */
+async function handleApplyPolicy() {
+  const preview = await VaultStorage.applyPolicy({ dryRun: true, policy: storagePolicy });
+  if (preview.apps.length === 0) return;
+  
+  const confirmed = confirm(
+    `Remove ${formatBytes(preview.bytes)} of offline images from ${preview.apps.length} apps?\n\n` +
+    'Their screens stay in the vault and load from Mobbin again.'
+  );
+  if (!confirmed) return;
+  
+  try {
+    const result = await VaultStorage.applyPolicy({ policy: storagePolicy });
+    result.apps.forEach(entry => cacheCounts.set(entry.app.id, 0));
+    showToast(`Freed ${formatBytes(result.bytes)}`, 'success');
+  } catch (error) {
+    console.error('Failed to apply storage policy:', error);
+    showToast('Failed to remove offline images', 'error');
+  }
+  
+  updateStorageInfo();
+  loadStorage();
+}
+
+/**
+ * Ask for unlimited storage, and for the browser not to clear the vault
+ * when the disk runs low
+ */
+async function handleRequestUnlimited() {
+  let granted;
+  try {
+    granted = await chrome.permissions.request({ permissions: ['unlimitedStorage'] });
+  } catch (error) {
+    console.error('Failed to request unlimited storage:', error);
+    showToast('Failed to request unlimited storage', 'error');
+    return;
+  }
+  
+  if (!granted) {
+    showToast('Unlimited storage was not allowed', 'warning');
+    return;
+  }
+  
+  await navigator.storage.persist().catch(error => {
+    console.debug('Could not persist storage:', error);
+  });
+  showToast('Unlimited storage allowed', 'success');
+  updateStorageInfo();
+  loadStorage();
+}
+
+/**
+ * One row per app, largest first, with its cached images on demand
+ */
+function renderStorageApps() {
+  const tbody = elements.storageApps;
+  tbody.innerHTML = '';
+  elements.storageEmpty.classList.toggle('hidden', storageUsage.length > 0);
+  elements.storageTable.classList.toggle('hidden', storageUsage.length === 0);
+  
+  storageUsage.forEach(entry => {
+    const { app } = entry;
+    const reason = entry.imageCount > 0 ? VaultStorage.getEvictionReason(app, storagePolicy) : null;
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>
+        <button class="storage-star ${app.starred ? 'starred' : ''}" title="${app.starred ? 'Unstar' : 'Star'}">${app.starred ? '★' : '☆'}</button>
+      </td>
+      <td>
+        <button class="storage-app-name">${sanitizeText(app.name)}</button>
+        <div class="storage-sub">${app.screenCount} screen${app.screenCount !== 1 ? 's' : ''}</div>
+      </td>
+      <td>
+        ${entry.imageCount > 0 ? `${entry.imageCount} • ${formatBytes(entry.imageBytes)}` : '—'}
+        ${reason ? `<div class="storage-evict">${EVICTION_LABELS[reason]}</div>` : ''}
+      </td>
+      <td>${formatBytes(entry.dataBytes)}</td>
+      <td>${formatBytes(entry.totalBytes)}</td>
+      <td>${app.lastOpened ? formatDate(app.lastOpened) : 'Never'}</td>
+      <td class="storage-row-actions">
+        ${entry.imageCount > 0 ? `
+          <button class="btn-outline" data-action="images">${expandedStorageApp === app.id ? 'Hide Images' : 'Images'}</button>
+          <button class="btn-outline" data-action="clear">Remove</button>
+        ` : ''}
+      </td>
+    `;
+    
+    row.querySelector('.storage-star').addEventListener('click', async () => {
+      await toggleAppStar(app);
+      renderStorageApps();
+      renderStoragePolicy();
+    });
+    row.querySelector('.storage-app-name').addEventListener('click', () => {
+      openDetail(appsData.find(a => a.id === app.id) || app);
+    });
+    row.querySelector('[data-action="images"]')?.addEventListener('click', () => {
+      expandedStorageApp = expandedStorageApp === app.id ? null : app.id;
+      renderStorageApps();
+    });
+    row.querySelector('[data-action="clear"]')?.addEventListener('click', () => handleClearAppCache(entry));
+    tbody.appendChild(row);
+    
+    if (expandedStorageApp === app.id && entry.imageCount > 0) {
+      tbody.appendChild(createStorageImagesRow(app));
+    }
+  });
+}
+
+/**
+ * Row listing an app's cached images with their size, each removable
+ */
+function createStorageImagesRow(app) {
+  const row = document.createElement('tr');
+  row.className = 'storage-images-row';
+  row.innerHTML = '<td colspan="7"><div class="storage-images"></div></td>';
+  const list = row.querySelector('.storage-images');
+  
+  Promise.all([ImageCache.getEntriesForApp(app.id), VaultStore.getScreens(app.id)]).then(([images, screens]) => {
+    const screensByUrl = new Map(screens.map(screen => [screen.url, screen]));
+    
+    images.forEach(image => {
+      const screen = screensByUrl.get(image.url);
+      const item = document.createElement('div');
+      item.className = 'storage-image';
+      item.innerHTML = `
+        <img alt="" loading="lazy">
+        <div class="storage-image-info">
+          <span>${sanitizeText(screen ? (screen.title || `Screen ${screen.position + 1}`) : 'Not in the app anymore')}</span>
+          <span class="storage-sub">${formatBytes(image.size)}</span>
+        </div>
+        <button class="btn-icon" title="Remove offline image">✕</button>
+      `;
+      
+      ImageCache.getObjectUrl(image.url).then(url => {
+        if (url) item.querySelector('img').src = url;
+      });
+      item.querySelector('button').addEventListener('click', async () => {
+        try {
+          await ImageCache.remove(image.url);
+          cacheCounts.set(app.id, Math.max(0, (cacheCounts.get(app.id) || 0) - 1));
+          updateStorageInfo();
+          loadStorage();
+        } catch (error) {
+          console.error('Failed to remove image:', error);
+          showToast('Failed to remove image', 'error');
+        }
+      });
+      list.appendChild(item);
+    });
+  }).catch(error => {
+    console.error('Failed to list cached images:', error);
+    list.textContent = 'Could not list the offline images';
+  });
+  
+  return row;
+}
+
+/**
+ * Remove every offline image of an app
+ */
+async function handleClearAppCache(entry) {
+  const confirmed = confirm(
+    `Remove the offline images of "${entry.app.name}" (${formatBytes(entry.imageBytes)})?\n\n` +
+    'Its screens stay in the vault and load from Mobbin again.'
+  );
+  if (!confirmed) return;
+  
+  try {
+    await ImageCache.deleteForApp(entry.app.id);
+    cacheCounts.set(entry.app.id, 0);
+    if (expandedStorageApp === entry.app.id) expandedStorageApp = null;
+    showToast(`Freed ${formatBytes(entry.imageBytes)}`, 'success');
+  } catch (error) {
+    console.error('Failed to remove offline images:', error);
+    showToast('Failed to remove offline images', 'error');
+  }
+  
+  updateStorageInfo();
+  loadStorage();
+}
+
+/**
+ * Star or unstar an app; starred apps keep their offline images
+ */
+async function toggleAppStar(app) {
+  try {
+    const starred = await VaultStore.setAppStarred(app.id, !app.starred);
+    [app, appsData.find(a => a.id === app.id)].forEach(record => {
+      if (record) record.starred = starred;
+    });
+    if (currentApp && currentApp.id === app.id) renderStarButton(currentApp);
+    
+    if (!starred && (await VaultStorage.getPolicy()).starredOnly && (cacheCounts.get(app.id) || 0) > 0) {
+      showToast(`Offline images of "${app.name}" will be removed`, 'info');
+    }
+  } catch (error) {
+    console.error('Failed to star app:', error);
+    showToast('Failed to star app', 'error');
+  }
+}
+
+function renderStarButton(app) {
+  elements.btnStarApp.textContent = app.starred ? '★ Starred' : '☆ Star';
+  elements.btnStarApp.classList.toggle('starred', Boolean(app.starred));
+}
+
+/**
+ * Show the scanner's selector profiles
+ */
+function showSelectors() {
+  if (selectionMode) setSelectionMode(false);
+  currentCollection = null;
+  currentApp = null;
+  currentScreens = [];
+  currentFlows = [];
+  closeFlow();
+  closeSidebar();
+  
+  setActiveView('selectors');
+  elements.title.textContent = "Scanner Selectors";
+  loadSelectorProfiles();
+  refreshSelectorTabs();
+}
+
+/**
+ * Read the profiles and show `profileId`, else the one shown before, else
+ * the one scans use
+ */
+async function loadSelectorProfiles(profileId = null) {
+  let settings;
+  try {
+    [selectorProfiles, settings] = await Promise.all([
+      SelectorProfiles.getProfiles(),
+      SelectorProfiles.getSettings()
+    ]);
+  } catch (error) {
+    console.error('Failed to load selector profiles:', error);
+    showToast('Failed to load selector profiles', 'error');
+    return;
+  }
+  
+  const ids = selectorProfiles.map(profile => profile.id);
+  selectorProfileId = [profileId, selectorProfileId].find(id => ids.includes(id)) ||
+    selectorProfiles.find(profile => profile.active).id;
+  elements.selectorFallback.checked = settings.fallback;
+  
+  renderSelectorProfileList();
+  renderSelectorEditor();
+}
+
+function getSelectorProfile() {
+  return selectorProfiles.find(profile => profile.id === selectorProfileId) || null;
+}
+
+/**
+ * Profile list, marking built-in profiles and the one scans use
+ */
+function renderSelectorProfileList() {
+  elements.selectorProfileList.innerHTML = '';
+  
+  selectorProfiles.forEach(profile => {
+    const item = document.createElement('button');
+    item.className = 'selector-profile';
+    item.classList.toggle('active', profile.id === selectorProfileId);
+    item.innerHTML = `
+      <span class="selector-profile-name">${sanitizeText(profile.name)}</span>
+      ${profile.active ? '<span class="selector-badge in-use">Used for scans</span>' : ''}
+      ${profile.builtIn ? '<span class="selector-badge">Built-in</span>' : ''}
+    `;
+    item.addEventListener('click', () => {
+      if (profile.id === selectorProfileId) return;
+      if (selectorsEdited && !confirm('Discard the unsaved changes to this profile?')) return;
+      selectorProfileId = profile.id;
+      renderSelectorProfileList();
+      renderSelectorEditor();
+    });
+    elements.selectorProfileList.appendChild(item);
+  });
+}
+
+/**
+ * One list of selectors per key, one selector per line. Built-in profiles
+ * are read-only; empty keys of a user profile show the built-in selectors
+ * they fall back to.
+ */
+function renderSelectorEditor() {
+  const profile = getSelectorProfile();
+  if (!profile) return;
+  
+  selectorsEdited = false;
+  elements.selectorName.value = profile.name;
+  elements.selectorName.readOnly = profile.builtIn;
+  elements.btnSaveSelectors.disabled = profile.builtIn;
+  elements.btnDeleteSelectors.disabled = profile.builtIn;
+  elements.btnActivateSelectors.disabled = profile.active;
+  elements.btnActivateSelectors.textContent = profile.active ? 'Used for Scans' : 'Use for Scans';
+  elements.selectorHint.textContent = profile.builtIn
+    ? 'Built-in profiles can\'t be changed. Duplicate one to adjust its selectors.'
+    : 'One CSS selector per line. Empty lists use the built-in Mobbin selectors.';
+  elements.selectorDiagnoseStatus.textContent = '';
+  
+  const defaults = SelectorProfiles.BUILT_IN_PROFILES[0].selectors;
+  elements.selectorFields.innerHTML = '';
+  
+  SelectorProfiles.SELECTOR_KEYS.forEach(({ key, label }) => {
+    const field = document.createElement('div');
+    field.className = 'selector-field';
+    field.dataset.key = key;
+    field.innerHTML = `
+      <div class="selector-field-label">
+        <span>${sanitizeText(label)}</span>
+        <span class="selector-count"></span>
+      </div>
+      <textarea rows="3" spellcheck="false"></textarea>
+      <div class="selector-results"></div>
+    `;
+    
+    const textarea = field.querySelector('textarea');
+    textarea.value = (profile.selectors[key] || []).join('\n');
+    textarea.placeholder = defaults[key].join('\n');
+    textarea.readOnly = profile.builtIn;
+    textarea.addEventListener('input', () => {
+      selectorsEdited = true;
+      textarea.classList.remove('invalid');
+    });
+    elements.selectorFields.appendChild(field);
+  });
+}
+
+/**
+ * Selectors as currently typed in the editor
+ */
+function getEditorSelectors() {
+  return Object.fromEntries(Array.from(elements.selectorFields.querySelectorAll('.selector-field')).map(field => [
+    field.dataset.key,
+    field.querySelector('textarea').value.split('\n').map(line => line.trim()).filter(Boolean)
+  ]));
+}
+
+/**
+ * Save the edited profile, refusing selectors that don't parse
+ */
+async function handleSaveSelectorProfile() {
+  const profile = getSelectorProfile();
+  if (!profile || profile.builtIn) return;
+  
+  const selectors = getEditorSelectors();
+  const invalid = [];
+  elements.selectorFields.querySelectorAll('.selector-field').forEach(field => {
+    const bad = selectors[field.dataset.key].filter(selector => !SelectorProfiles.isValidSelector(selector));
+    field.querySelector('textarea').classList.toggle('invalid', bad.length > 0);
+    invalid.push(...bad);
+  });
+  if (invalid.length > 0) {
+    showToast(`Invalid selector: ${invalid[0]}`, 'error');
+    return;
+  }
+  
+  try {
+    await SelectorProfiles.saveProfile({ id: profile.id, name: elements.selectorName.value, selectors });
+    selectorsEdited = false;
+    showToast('Profile saved', 'success');
+    loadSelectorProfiles(profile.id);
+  } catch (error) {
+    console.error('Failed to save selector profile:', error);
+    showToast(error.message || 'Failed to save profile', 'error');
+  }
+}
+
+function handleNewSelectorProfile() {
+  openNameDialog({
+    title: 'New Selector Profile',
+    confirmLabel: 'Create',
+    onSubmit: async (name) => {
+      const profile = await SelectorProfiles.saveProfile({ name, selectors: {} });
+      selectorsEdited = false;
+      await loadSelectorProfiles(profile.id);
+    }
+  });
+}
+
+/**
+ * New user profile starting from the selectors shown
+ */
+function handleDuplicateSelectorProfile() {
+  const profile = getSelectorProfile();
+  if (!profile) return;
+  
+  const selectors = getEditorSelectors();
+  openNameDialog({
+    title: 'Duplicate Profile',
+    value: `${elements.selectorName.value.trim() || profile.name} copy`,
+    confirmLabel: 'Duplicate',
+    onSubmit: async (name) => {
+      const copy = await SelectorProfiles.saveProfile({ name, selectors });
+      selectorsEdited = false;
+      await loadSelectorProfiles(copy.id);
+    }
+  });
+}
+
+async function handleDeleteSelectorProfile() {
+  const profile = getSelectorProfile();
+  if (!profile || profile.builtIn) return;
+  
+  const confirmed = confirm(
+    `Delete the selector profile "${profile.name}"?` +
+    (profile.active ? '\n\nScans will use the built-in Mobbin selectors again.' : '')
+  );
+  if (!confirmed) return;
+  
+  try {
+    await SelectorProfiles.deleteProfile(profile.id);
+    selectorProfileId = null;
+    selectorsEdited = false;
+    showToast('Profile deleted', 'success');
+    loadSelectorProfiles();
+  } catch (error) {
+    console.error('Failed to delete selector profile:', error);
+    showToast('Failed to delete profile', 'error');
+  }
+}
+
+async function handleActivateSelectorProfile() {
+  const profile = getSelectorProfile();
+  if (!profile) return;
+  if (selectorsEdited && !profile.builtIn) {
+    showToast('Save the profile before using it for scans', 'warning');
+    return;
+  }
+  
+  try {
+    await SelectorProfiles.setActive(profile.id);
+    showToast(`Scans now use "${profile.name}"`, 'success');
+    loadSelectorProfiles(profile.id);
+  } catch (error) {
+    console.error('Failed to activate selector profile:', error);
+    showToast('Failed to change profile', 'error');
+  }
+}
+
+/**
+ * Download the profile shown, as edited, to share a fix
+ */
+async function handleExportSelectorProfile() {
+  const profile = getSelectorProfile();
+  if (!profile) return;
+  
+  const name = elements.selectorName.value.trim() || profile.name;
+  try {
+    const blob = SelectorProfiles.exportProfiles([{ name, selectors: getEditorSelectors() }]);
+    await downloadBlob(blob, `${VaultExport.safeFileName(name, 'selectors')}-selectors.json`);
+  } catch (error) {
+    console.error('Failed to export selector profile:', error);
+    showToast('Failed to export profile', 'error');
+  }
+}
+
+async function handleImportSelectorProfiles(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    const added = await SelectorProfiles.importProfiles(await file.text());
+    selectorsEdited = false;
+    showToast(`Imported ${added.length} profile${added.length !== 1 ? 's' : ''}`, 'success');
+    loadSelectorProfiles(added[0].id);
+  } catch (error) {
+    console.error('Failed to import selector profiles:', error);
+    showToast(error.message || 'Could not import profiles', 'error');
+  }
+}
+
+/**
+ * Open Mobbin tabs a diagnosis can run in
+ */
+async function refreshSelectorTabs() {
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query({ url: ['https://mobbin.com/*', 'https://*.mobbin.com/*'] });
+  } catch (error) {
+    console.debug('Could not list Mobbin tabs:', error);
+  }
+  
+  const selected = elements.selectorTab.value;
+  elements.selectorTab.innerHTML = tabs.length > 0
+    ? tabs.map(tab => `<option value="${tab.id}">${sanitizeText(tab.title || tab.url)}</option>`).join('')
+    : '<option value="">Open a Mobbin page to diagnose</option>';
+  if (tabs.some(tab => String(tab.id) === selected)) elements.selectorTab.value = selected;
+  elements.selectorTab.disabled = tabs.length === 0;
+  elements.btnDiagnoseSelectors.disabled = tabs.length === 0;
+}
+
+/**
+ * Count what the selectors shown match in the chosen Mobbin tab, and
+ * outline the matches there
+ */
+async function handleDiagnoseSelectors() {
+  const tabId = Number(elements.selectorTab.value);
+  if (!tabId) return;
+  
+  let result;
+  try {
+    result = await chrome.tabs.sendMessage(tabId, {
+      action: 'diagnose_selectors',
+      selectors: getEditorSelectors(),
+      name: elements.selectorName.value.trim() || 'Edited profile',
+      highlight: true
+    });
+    if (!result || result.error) throw new Error(result?.error || 'No response');
+  } catch (error) {
+    console.error('Diagnosis failed:', error);
+    elements.selectorDiagnoseStatus.textContent = 'Could not reach the page. Reload the Mobbin tab and try again.';
+    refreshSelectorTabs();
+    return;
+  }
+  
+  const [{ report, screens }] = result.profiles;
+  elements.selectorDiagnoseStatus.textContent = screens > 0
+    ? `${screens} screen images found. Matches are outlined on the page.`
+    : 'No screen images found on the page.';
+  
+  report.forEach(entry => {
+    const field = elements.selectorFields.querySelector(`.selector-field[data-key="${entry.key}"]`);
+    if (!field) return;
+    
+    const count = field.querySelector('.selector-count');
+    count.textContent = `${entry.count} match${entry.count !== 1 ? 'es' : ''}`;
+    count.classList.toggle('none', entry.count === 0);
+    
+    field.querySelector('.selector-results').innerHTML = entry.selectors.map(item => `
+      <div class="selector-result ${item.error || item.count === 0 ? 'none' : ''}">
+        <span>${item.error ? sanitizeText(item.error) : item.count}</span>
+        <code>${sanitizeText(item.selector)}</code>
+      </div>
+    `).join('');
+  });
+}
+
+async function handleClearHighlight() {
+  const tabId = Number(elements.selectorTab.value);
+  if (!tabId) return;
+  
+  await chrome.tabs.sendMessage(tabId, { action: 'clear_highlight' }).catch(() => {});
+  elements.selectorFields.querySelectorAll('.selector-count, .selector-results').forEach(el => {
+    el.textContent = '';
+  });
+  elements.selectorDiagnoseStatus.textContent = '';
+}
+
+/**
+ * Refresh after the background saved an app
+ */
+async function handleVaultChanged(message) {
+  try {
+    appsData = await VaultStore.getApps();
+    
+    // The storage policy may have removed offline images
+    cacheCounts = await ImageCache.getCountsByApp().catch(() => cacheCounts);
+    await refreshPaletteIndex();
+    await refreshTextIndex();
+    applySortAndFilter();
+    
+    if (currentApp && currentApp.id === message.appId) {
+      const app = appsData.find(a => a.id === message.appId);
+      if (app) openDetail(app);
+    } else if (currentCollection && !elements.views.collection.classList.contains('hidden')) {
+      openCollection(currentCollection.id);
+    } else if (!elements.views.duplicates.classList.contains('hidden')) {
+      loadDuplicates();
+    } else if (!elements.views.similar.classList.contains('hidden')) {
+      loadSimilar();
+    } else if (currentBoard) {
+      renderBoardShelfApps();
+      renderBoardShelf();
+    } else if (!elements.views.storage.classList.contains('hidden')) {
+      loadStorage();
+    } else if (!currentApp) {
+      renderLibrary();
+    }
+    
+    refreshTagSuggestions();
+    refreshCollections();
+    updateStorageInfo();
+  } catch (error) {
+    console.error('Failed to refresh vault:', error);
+  }
+}
+
+/**
+ * Open a modal dialog.
+ * Actions are { label, className, onClick(button) } rendered in the footer.
+ */
+function openModal({ title, body, actions = [] }) {
+  document.getElementById('modal-title').textContent = title;
+  
+  const bodyEl = document.getElementById('modal-body');
+  bodyEl.innerHTML = '';
+  if (typeof body === 'string') {
+    bodyEl.innerHTML = body;
+  } else if (body) {
+    bodyEl.appendChild(body);
+  }
+  
+  const footer = document.getElementById('modal-footer');
+  footer.innerHTML = '';
+  actions.forEach(action => {
+    const button = document.createElement('button');
+    button.className = action.className || 'btn-outline';
+    button.textContent = action.label;
+    button.addEventListener('click', () => action.onClick(button));
+    footer.appendChild(button);
+  });
+  
+  elements.modal.classList.remove('hidden');
+}
+
+/**
+ * Close the modal dialog
+ */
+function closeModal() {
+  elements.modal.classList.add('hidden');
+  document.getElementById('modal-body').innerHTML = '';
+}
+
+/**
+ * Handle back up vault
+ */
+function handleBackup() {
+  const body = document.createElement('div');
+  body.innerHTML = `
+    <p class="modal-text">
+      Save every app, screen and your own data (tags, notes, ordering, settings)
+      to a backup file you can restore later or on another machine.
+    </p>
+    <label class="checkbox-row">
+      <input type="checkbox" id="backup-include-images" checked>
+      <span>Include offline images (larger file)</span>
+    </label>
+  `;
+  
+  openModal({
+    title: 'Back Up Vault',
+    body,
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      {
+        label: 'Create Backup',
+        className: 'btn-primary',
+        onClick: async (button) => {
+          const includeImages = body.querySelector('#backup-include-images').checked;
+          button.disabled = true;
+          button.textContent = 'Creating...';
+          
+          try {
+            const { blob, fileName, counts } = await VaultBackup.create({ includeImages });
+            await downloadBlob(blob, fileName);
+            closeModal();
+            showToast(`Backed up ${counts.apps} apps and ${counts.screens} screens`, 'success');
+          } catch (error) {
+            console.error('Backup failed:', error);
+            showToast('Backup failed', 'error');
+            button.disabled = false;
+            button.textContent = 'Create Backup';
+          }
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Handle a backup file picked for restore
+ */
+async function handleRestoreFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    const backup = await VaultBackup.read(file);
+    const preview = await VaultBackup.preview(backup);
+    showRestorePreview(backup, preview);
+  } catch (error) {
+    console.error('Failed to read backup:', error);
+    showToast(error.message || 'Could not read backup', 'error');
+  }
+}
+
+/**
+ * Show what a restore will do, and let the user pick merge/replace
+ * and how to resolve apps that exist on both sides
+ */
+function showRestorePreview(backup, preview) {
+  const created = preview.createdAt ? new Date(preview.createdAt).toLocaleString() : 'unknown date';
+  
+  const body = document.createElement('div');
+  body.innerHTML = `
+    <p class="modal-text">Backup from ${sanitizeText(created)}${preview.extensionVersion ? ` (v${sanitizeText(preview.extensionVersion)})` : ''}</p>
+    <div class="restore-summary">
+      <div><strong>${preview.appCount}</strong><span>apps</span></div>
+      <div><strong>${preview.screenCount}</strong><span>screens</span></div>
+      <div><strong>${preview.imageCount}</strong><span>offline images</span></div>
+    </div>
+    <label class="radio-row">
+      <input type="radio" name="restore-mode" value="merge" checked>
+      <span><strong>Merge</strong> with current vault: adds ${preview.newApps.length} new app${preview.newApps.length !== 1 ? 's' : ''}</span>
+    </label>
+    <label class="radio-row">
+      <input type="radio" name="restore-mode" value="replace">
+      <span><strong>Replace</strong> current vault: removes your ${preview.localAppCount} app${preview.localAppCount !== 1 ? 's' : ''} first</span>
+    </label>
+  `;
+  
+  // Conflicts only matter when merging
+  const conflictsEl = document.createElement('div');
+  conflictsEl.className = 'restore-conflicts';
+  
+  if (preview.conflicts.length > 0) {
+    const heading = document.createElement('h4');
+    heading.textContent = `${preview.conflicts.length} app${preview.conflicts.length !== 1 ? 's are' : ' is'} already in your vault`;
+    conflictsEl.appendChild(heading);
+    
+    preview.conflicts.forEach(conflict => {
+      const row = document.createElement('div');
+      row.className = 'conflict-row';
+      row.innerHTML = `
+        <div class="conflict-info">
+          <div class="conflict-name">${sanitizeText(conflict.name)}</div>
+          <div class="conflict-meta">
+            Current: ${conflict.local.screenCount} screens, ${formatDate(conflict.local.dateUpdated)}
+            <span class="separator">•</span>
+            Backup: ${conflict.backup.screenCount} screens, ${formatDate(conflict.backup.dateUpdated)}
+          </div>
+        </div>
+        <select class="sort-select" data-app-id="${sanitizeText(conflict.id)}">
+          <option value="keep">Keep current${conflict.newer === 'local' ? ' (newer)' : ''}</option>
+          <option value="backup">Use backup${conflict.newer === 'backup' ? ' (newer)' : ''}</option>
+        </select>
+      `;
+      row.querySelector('select').value = conflict.newer === 'backup' ? 'backup' : 'keep';
+      conflictsEl.appendChild(row);
+    });
+    
+    body.appendChild(conflictsEl);
+  }
+  
+  body.querySelectorAll('input[name="restore-mode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      conflictsEl.classList.toggle('hidden', radio.value === 'replace' && radio.checked);
+    });
+  });
+  
+  openModal({
+    title: 'Restore Backup',
+    body,
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      {
+        label: 'Restore',
+        className: 'btn-primary',
+        onClick: async (button) => {
+          const mode = body.querySelector('input[name="restore-mode"]:checked').value;
+          
+          if (mode === 'replace' && !confirm(
+            `Replace your ${preview.localAppCount} apps with the backup?\n\nThis cannot be undone.`
+          )) return;
+          
+          const resolutions = {};
+          conflictsEl.querySelectorAll('select[data-app-id]').forEach(select => {
+            resolutions[select.dataset.appId] = select.value;
+          });
+          
+          button.disabled = true;
+          button.textContent = 'Restoring...';
+          
+          try {
+            const result = await VaultBackup.restore(backup, { mode, resolutions });
+            closeModal();
+            showLibrary();
+            await loadData();
+            updateStorageInfo();
+            const restored = `Restored ${result.restoredApps} app${result.restoredApps !== 1 ? 's' : ''}`;
+            if (result.settingsRestored) {
+              showToast(restored, 'success');
+            } else {
+              showToast(`${restored}, but the settings could not be restored`, 'warning');
+            }
+          } catch (error) {
+            console.error('Restore failed:', error);
+            showToast('Restore failed, your vault was not changed', 'error');
+            button.disabled = false;
+            button.textContent = 'Restore';
+          }
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Handle clear all data
+ */
+async function handleClearAll() {
+  const confirmed = confirm(
+    `Are you sure you want to delete all ${appsData.length} apps?\n\nThis cannot be undone.`
+  );
+  
+  if (!confirmed) return;
+  
+  try {
+    // An open board would otherwise be saved back after it is deleted
+    clearTimeout(boardSaveTimer);
+    currentBoard = null;
+    await VaultStore.clearAll();
+    cacheCounts.clear();
+    appsData = [];
+    filteredApps = [];
+    showLibrary();
+    await refreshCollections();
+    await refreshBoards();
+    refreshTagSuggestions();
+    updateStorageInfo();
+    showToast('All data cleared', 'success');
+  } catch (error) {
+    console.error('Failed to clear data:', error);
+    showToast('Failed to clear data', 'error');
+  }
+}
+
+/**
+ * Handle delete current app
+ */
+async function handleDeleteApp() {
+  if (!currentApp) return;
   
   const confirmed = confirm(
     `Delete "${currentApp.name}"?\n\nThis will remove ${currentApp.screenCount} screens.`
@@ -423,20 +5417,23 @@ async function handleDeleteApp() {
   
   if (!confirmed) return;
   
+  const app = currentApp;
+  
   try {
-    // Remove from array
-    appsData = appsData.filter(app => app.id !== currentApp.id);
-    
-    // Save to storage
-    await chrome.storage.local.set({ apps: appsData });
+    // Remove app, screens, cached images and collection entries in one transaction
+    await VaultStore.deleteApp(app.id);
+    appsData = appsData.filter(a => a.id !== app.id);
+    cacheCounts.delete(app.id);
     
     // Update UI
     filteredApps = [...appsData];
     applySortAndFilter();
-    showLibrary();
+    await refreshCollections();
+    goBack();
     updateStorageInfo();
+    refreshTagSuggestions();
     
-    showToast(`Deleted "${currentApp.name}"`, 'success');
+    showToast(`Deleted "${app.name}"`, 'success');
   } catch (error) {
     console.error('Failed to delete app:', error);
     showToast('Failed to delete app', 'error');
@@ -444,31 +5441,319 @@ async function handleDeleteApp() {
 }
 
 /**
- * Handle download all images
+ * Caption and notes of a screen in a contact sheet
  */
-function handleDownloadAll() {
-  if (!currentApp) return;
+function toSheetScreen(screen, detail) {
+  return {
+    url: screen.url,
+    width: screen.width,
+    height: screen.height,
+    caption: screen.title || `Screen ${screen.position + 1}`,
+    detail,
+    notes: [screen.note, ...(screen.annotations || []).map(annotation => annotation.text)].filter(Boolean)
+  };
+}
+
+/**
+ * Contact sheet of an app: what its detail view shows
+ */
+async function getAppSheet(app) {
+  const screens = await VaultStore.getScreens(app.id);
+  const platform = PLATFORM_LABELS[app.platform];
   
-  const confirmed = confirm(
-    `Download all ${currentApp.screens.length} images from "${currentApp.name}"?`
-  );
+  return {
+    title: app.name,
+    subtitle: [`${screens.length} screen${screens.length !== 1 ? 's' : ''}`, platform].filter(Boolean).join(' · '),
+    logo: app.logo && !app.logo.includes('placeholder') ? app.logo : null,
+    sourceUrl: app.sourceUrl || app.url || null,
+    date: app.dateUpdated || app.dateAdded,
+    dateLabel: 'Scanned',
+    details: (app.tags || []).length ? [`Tags: ${app.tags.join(', ')}`] : [],
+    screens: screens.map(screen => toSheetScreen(screen, (screen.patterns || []).join(', ')))
+  };
+}
+
+/**
+ * Contact sheet of a collection: its screens, and every screen of its
+ * apps (or of the apps a smart collection matches)
+ */
+async function getCollectionSheet(collection) {
+  let apps;
+  let screenItems = [];
   
-  if (!confirmed) return;
+  if (collection.smart) {
+    apps = getSmartMatches(collection);
+  } else {
+    const items = await VaultCollections.getItems(collection.id);
+    apps = items.filter(item => item.type === 'app').map(item => item.app);
+    screenItems = items.filter(item => item.type === 'screen');
+  }
+  
+  const screens = [];
+  for (const app of apps) {
+    const appScreens = await VaultStore.getScreens(app.id);
+    appScreens.forEach(screen => screens.push(toSheetScreen(screen, app.name)));
+  }
+  screenItems.forEach(item => screens.push(toSheetScreen(item.screen, item.app.name)));
+  
+  const appCount = new Set([...apps.map(app => app.id), ...screenItems.map(item => item.app.id)]).size;
+  return {
+    title: collection.name,
+    subtitle: `${screens.length} screen${screens.length !== 1 ? 's' : ''} from ${appCount} app${appCount !== 1 ? 's' : ''}`,
+    logo: null,
+    sourceUrl: null,
+    date: collection.dateCreated,
+    dateLabel: 'Created',
+    details: collection.smart?.query ? [`Search: ${collection.smart.query}`] : [],
+    screens
+  };
+}
+
+/**
+ * Ask for page size and grid, then build and download a PDF contact sheet.
+ * `getSheet` gathers the content once the export starts.
+ */
+function openPdfExport(getSheet, name) {
+  const body = document.createElement('div');
+  body.className = 'pdf-options';
+  body.innerHTML = `
+    <p class="modal-text">A cover page, then the screens in a grid with their captions and notes (up to ${ContactSheet.MAX_SCREENS} screens).</p>
+    <div class="pdf-options-grid">
+      <label>
+        <span>Page size</span>
+        <select class="sort-select" name="pageSize">
+          ${Object.entries(ContactSheet.PAGE_SIZES).map(([value, size]) => `<option value="${value}">${size.label}</option>`).join('')}
+        </select>
+      </label>
+      <label>
+        <span>Orientation</span>
+        <select class="sort-select" name="orientation">
+          <option value="portrait">Portrait</option>
+          <option value="landscape">Landscape</option>
+        </select>
+      </label>
+      <label>
+        <span>Columns</span>
+        <select class="sort-select" name="columns"></select>
+      </label>
+    </div>
+    <label class="checkbox-row">
+      <input type="checkbox" name="captions">
+      <span>Screen captions</span>
+    </label>
+    <label class="checkbox-row">
+      <input type="checkbox" name="notes">
+      <span>Notes and annotations</span>
+    </label>
+  `;
+  
+  const field = (fieldName) => body.querySelector(`[name="${fieldName}"]`);
+  for (let columns = ContactSheet.MIN_COLUMNS; columns <= ContactSheet.MAX_COLUMNS; columns++) {
+    field('columns').appendChild(new Option(String(columns), String(columns)));
+  }
+  field('pageSize').value = pdfOptions.pageSize;
+  field('orientation').value = pdfOptions.orientation;
+  field('columns').value = String(pdfOptions.columns);
+  field('captions').checked = pdfOptions.captions;
+  field('notes').checked = pdfOptions.notes;
+  
+  openModal({
+    title: 'Export PDF',
+    body,
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      {
+        label: 'Export PDF',
+        className: 'btn-primary',
+        onClick: async (button) => {
+          pdfOptions = ContactSheet.normalizeOptions({
+            pageSize: field('pageSize').value,
+            orientation: field('orientation').value,
+            columns: field('columns').value,
+            captions: field('captions').checked,
+            notes: field('notes').checked
+          });
+          button.disabled = true;
+          button.textContent = 'Preparing...';
+          
+          try {
+            const sheet = await getSheet();
+            const { blob, missing } = await ContactSheet.build(sheet, pdfOptions, (done, total) => {
+              button.textContent = `Rendering ${done}/${total}...`;
+            });
+            await downloadBlob(blob, `${VaultExport.safeFileName(name)}.pdf`);
+            closeModal();
+            
+            if (missing > 0) {
+              showToast(`Exported "${name}", ${missing} screens could not be loaded`, 'warning');
+            } else {
+              showToast(`Exported "${name}"`, 'success');
+            }
+          } catch (error) {
+            console.error('PDF export failed:', error);
+            showToast(`PDF export failed: ${error.message}`, 'error');
+            button.disabled = false;
+            button.textContent = 'Export PDF';
+          }
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Apps of a collection for a site export: whole apps with all their
+ * screens, then the apps of single screens with just those
+ */
+async function getCollectionSiteEntries(collection) {
+  if (collection.smart) {
+    return getSmartMatches(collection).map(app => ({ app, screens: null }));
+  }
+  
+  const items = await VaultCollections.getItems(collection.id);
+  const entries = items
+    .filter(item => item.type === 'app')
+    .map(item => ({ app: item.app, screens: null }));
+  
+  const screensByApp = new Map();
+  items.filter(item => item.type === 'screen').forEach(item => {
+    if (entries.some(entry => entry.app.id === item.app.id)) return;
+    if (!screensByApp.has(item.app.id)) {
+      screensByApp.set(item.app.id, { app: item.app, screens: [] });
+      entries.push(screensByApp.get(item.app.id));
+    }
+    screensByApp.get(item.app.id).screens.push(item.screen);
+  });
   
-  showToast(`Downloading ${currentApp.screens.length} images...`, 'info');
+  return entries;
+}
+
+/**
+ * Ask for the format, then build and download a static website of the
+ * apps `getEntries` gathers (see StaticSite.build)
+ */
+function openSiteExport(getEntries, title) {
+  const body = document.createElement('div');
+  body.innerHTML = `
+    <p class="modal-text">
+      A website with the library, a page per app, search and every screen, that opens
+      in any browser without the extension, even offline.
+    </p>
+    <label class="radio-row">
+      <input type="radio" name="site-format" value="folder" checked>
+      <span><strong>Folder</strong> (ZIP): unzip and open index.html. Best for large exports.</span>
+    </label>
+    <label class="radio-row">
+      <input type="radio" name="site-format" value="single">
+      <span><strong>Single HTML file</strong> with the images inside, easy to share. Best for a few apps.</span>
+    </label>
+  `;
   
-  currentApp.screens.forEach((url, index) => {
-    // Add small delay between downloads to avoid overwhelming browser
-    setTimeout(() => {
-      downloadImage(url, currentApp.name);
-    }, index * 100);
+  openModal({
+    title: 'Export as Website',
+    body,
+    actions: [
+      { label: 'Cancel', className: 'btn-outline', onClick: closeModal },
+      {
+        label: 'Export',
+        className: 'btn-primary',
+        onClick: async (button) => {
+          const singleFile = body.querySelector('input[name="site-format"]:checked').value === 'single';
+          button.disabled = true;
+          button.textContent = 'Preparing...';
+          
+          try {
+            const entries = await getEntries();
+            if (entries.length === 0) {
+              showToast('Nothing to export', 'warning');
+              closeModal();
+              return;
+            }
+            
+            const { blob, fileName, missing } = await StaticSite.build(entries, { title, singleFile }, (done, total) => {
+              button.textContent = `Exporting ${done}/${total}...`;
+            });
+            await downloadBlob(blob, fileName);
+            closeModal();
+            if (selectionMode) setSelectionMode(false);
+            
+            const label = entries.length === 1 ? `"${entries[0].app.name}"` : `${entries.length} apps`;
+            if (missing > 0) {
+              showToast(`Exported ${label}, ${missing} screens could not be loaded`, 'warning');
+            } else {
+              showToast(`Exported ${label} as a website`, 'success');
+            }
+          } catch (error) {
+            console.error('Site export failed:', error);
+            showToast('Site export failed', 'error');
+            button.disabled = false;
+            button.textContent = 'Export';
+          }
+        }
+      }
+    ]
   });
 }
 
 /**
- * Download single image
+ * Handle download all images (as one ZIP)
+ */
+function handleDownloadAll() {
+  if (!currentApp) return;
+  exportAppsAsZip([currentApp]);
+}
+
+/**
+ * Export apps as a single ZIP with a manifest
+ */
+async function exportAppsAsZip(apps) {
+  if (apps.length === 0 || isExporting) return;
+  
+  isExporting = true;
+  const label = apps.length === 1 ? `"${apps[0].name}"` : `${apps.length} apps`;
+  showToast(`Preparing ZIP for ${label}...`, 'info');
+  
+  try {
+    const { blob, fileName, missing } = await VaultExport.buildZip(apps);
+    await downloadBlob(blob, fileName);
+    
+    if (missing > 0) {
+      showToast(`Exported ${label}, ${missing} screens could not be loaded`, 'warning');
+    } else {
+      showToast(`Exported ${label}`, 'success');
+    }
+    
+    if (selectionMode) setSelectionMode(false);
+  } catch (error) {
+    console.error('Export failed:', error);
+    showToast('Export failed', 'error');
+  } finally {
+    isExporting = false;
+  }
+}
+
+/**
+ * Save a generated file through the downloads API
+ */
+async function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  
+  try {
+    await chrome.downloads.download({
+      url: url,
+      filename: fileName,
+      conflictAction: 'uniquify'
+    });
+  } finally {
+    // Give the download a moment to start reading the blob
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+}
+
+/**
+ * Download single image (from the offline cache when available)
  */
-function downloadImage(url, prefix = "") {
+async function downloadImage(url, prefix = "") {
   try {
     let filename = url.split('/').pop().split('?')[0];
     
@@ -483,8 +5768,10 @@ function downloadImage(url, prefix = "") {
       filename = `${safePrefix}/${filename}`;
     }
 
-    chrome.downloads.download({
-      url: url,
+    const cachedUrl = await ImageCache.getObjectUrl(url).catch(() => null);
+
+    await chrome.downloads.download({
+      url: cachedUrl || url,
       filename: filename,
       conflictAction: 'uniquify'
     });
@@ -507,6 +5794,7 @@ async function updateStorageInfo() {
     if (result && !result.error) {
       elements.storageUsed.textContent = `${result.mbInUse} MB`;
       elements.storageProgress.style.width = `${result.percentUsed}%`;
+      elements.storageCache.textContent = `${result.cacheMb} MB offline images`;
       
       // Change color if near limit
       if (result.nearLimit) {
@@ -573,6 +5861,15 @@ function formatDate(timestamp) {
   return date.toLocaleDateString();
 }
 
+/**
+ * Format byte count
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Sanitize text to prevent XSS
  */
@@ -588,7 +5885,8 @@ function sanitizeText(text) {
 function sanitizeUrl(url) {
   try {
     const urlObj = new URL(url);
-    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    // blob: URLs come from the offline image cache
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:' && urlObj.protocol !== 'blob:') {
       return 'about:blank';
     }
     return url;
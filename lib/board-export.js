@@ -0,0 +1,188 @@
+// board-export.js - v3
+// Draws a moodboard (see vault-boards.js) to a canvas, for PNG and PDF export
+
+const BoardExport = (() => {
+  // Board pixels around the items, and image pixels per board pixel
+  const PADDING = 48;
+  const SCALE = 2;
+  const MAX_SIDE = 8000;
+
+  // Board pixels are CSS pixels: 96 per inch, where a PDF point is 1/72 inch
+  const POINTS_PER_PIXEL = 0.75;
+
+  const COLORS = {
+    background: '#09090b',
+    groupFill: 'rgba(255, 255, 255, 0.03)',
+    groupStroke: 'rgba(255, 255, 255, 0.2)',
+    label: '#a1a1aa',
+    note: '#fde68a',
+    noteText: '#1c1917',
+    arrow: '#a1a1aa',
+    missing: '#27272a'
+  };
+  const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+  function roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, radius);
+  }
+
+  /**
+   * Lines of `text` wrapped to `width`, keeping its line breaks
+   */
+  function wrapText(ctx, text, width) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const next = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(next).width > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = next;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  function drawGroup(ctx, item) {
+    roundRect(ctx, item.x, item.y, item.width, item.height, 12);
+    ctx.fillStyle = COLORS.groupFill;
+    ctx.fill();
+    ctx.strokeStyle = COLORS.groupStroke;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    if (item.label) {
+      ctx.fillStyle = COLORS.label;
+      ctx.font = `600 13px ${FONT}`;
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(item.label, item.x + 4, item.y - 6);
+    }
+  }
+
+  function drawNote(ctx, item) {
+    roundRect(ctx, item.x, item.y, item.width, item.height, 6);
+    ctx.fillStyle = COLORS.note;
+    ctx.fill();
+
+    ctx.save();
+    ctx.clip();
+    ctx.fillStyle = COLORS.noteText;
+    ctx.font = `14px ${FONT}`;
+    ctx.textBaseline = 'top';
+    wrapText(ctx, item.text, item.width - 24).forEach((line, index) => {
+      ctx.fillText(line, item.x + 12, item.y + 12 + index * 20);
+    });
+    ctx.restore();
+  }
+
+  function drawScreen(ctx, item, bitmap) {
+    ctx.save();
+    roundRect(ctx, item.x, item.y, item.width, item.height, 8);
+    ctx.clip();
+    if (bitmap) {
+      ctx.drawImage(bitmap, item.x, item.y, item.width, item.height);
+    } else {
+      ctx.fillStyle = COLORS.missing;
+      ctx.fillRect(item.x, item.y, item.width, item.height);
+    }
+    ctx.restore();
+  }
+
+  function drawArrow(ctx, from, to) {
+    const { x1, y1, x2, y2 } = VaultBoards.getArrowPoints(from, to);
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = 10;
+
+    ctx.strokeStyle = COLORS.arrow;
+    ctx.fillStyle = COLORS.arrow;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * Canvas of the whole board; screens that can't be loaded are drawn as
+   * blank boxes
+   */
+  async function render(board) {
+    const bounds = VaultBoards.getBounds(board.items);
+    if (!bounds) throw new Error('The board is empty');
+
+    const width = bounds.width + PADDING * 2;
+    const height = bounds.height + PADDING * 2;
+    const scale = Math.min(SCALE, MAX_SIDE / Math.max(width, height));
+
+    const screens = board.items.filter(item => item.type === 'screen');
+    const bitmaps = new Map(await Promise.all(screens.map(async item => {
+      try {
+        return [item.id, await createImageBitmap(await ImageCache.getBlob(item.url))];
+      } catch (error) {
+        console.warn('Could not load board screen:', item.url, error);
+        return [item.id, null];
+      }
+    })));
+
+    try {
+      const canvas = new OffscreenCanvas(Math.ceil(width * scale), Math.ceil(height * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.scale(scale, scale);
+      ctx.translate(PADDING - bounds.x, PADDING - bounds.y);
+
+      const byId = new Map(board.items.map(item => [item.id, item]));
+      board.items.filter(item => item.type === 'group').forEach(item => drawGroup(ctx, item));
+      board.items.forEach(item => {
+        if (item.type === 'screen') drawScreen(ctx, item, bitmaps.get(item.id));
+        if (item.type === 'note') drawNote(ctx, item);
+      });
+      board.items.filter(item => item.type === 'arrow').forEach(item => {
+        if (byId.has(item.from) && byId.has(item.to)) drawArrow(ctx, byId.get(item.from), byId.get(item.to));
+      });
+
+      return { canvas, width, height };
+    } finally {
+      bitmaps.forEach(bitmap => bitmap && bitmap.close());
+    }
+  }
+
+  /**
+   * PNG of the board
+   */
+  async function toPng(board) {
+    const { canvas } = await render(board);
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /**
+   * One-page PDF of the board, the page sized to the board
+   */
+  async function toPdf(board) {
+    const { canvas, width, height } = await render(board);
+    const doc = Pdf.create();
+    const image = doc.addImage(await Pdf.jpegFromCanvas(canvas));
+    const page = doc.addPage(width * POINTS_PER_PIXEL, height * POINTS_PER_PIXEL);
+    page.drawImage(image, 0, 0, page.width, page.height);
+    return doc.toBlob();
+  }
+
+  return {
+    render,
+    toPng,
+    toPdf
+  };
+})();
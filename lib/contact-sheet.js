@@ -0,0 +1,300 @@
+// contact-sheet.js - v3
+// PDF contact sheets of an app or collection, for review decks
+//
+// A sheet is { title, subtitle, logo, sourceUrl, date, dateLabel, details,
+// screens }: the cover shows everything but the screens, which follow in a
+// grid with their `caption`, `detail` (e.g. the app) and `notes`.
+
+const ContactSheet = (() => {
+  // Page sizes in points, portrait
+  const PAGE_SIZES = {
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    letter: { label: 'Letter', width: 612, height: 792 }
+  };
+  const MIN_COLUMNS = 1;
+  const MAX_COLUMNS = 6;
+  const DEFAULT_OPTIONS = {
+    pageSize: 'a4',
+    orientation: 'portrait',
+    columns: 4,
+    captions: true,
+    notes: true
+  };
+
+  const MARGIN = 40;
+  const GAP = 16;
+  const HEADER_HEIGHT = 28;
+  const FOOTER_HEIGHT = 20;
+  const LOGO_SIZE = 96;
+  const MAX_NOTE_LINES = 6;
+
+  // Image pixels per point: sharp enough for print, small enough to share
+  const IMAGE_SCALE = 2;
+  const JPEG_QUALITY = 0.85;
+
+  // Every image stays in memory until the PDF is written, so a sheet is
+  // capped at a size a dashboard tab can hold
+  const MAX_SCREENS = 500;
+
+  const COLORS = {
+    text: '#18181b',
+    secondary: '#71717a',
+    link: '#2563eb',
+    rule: '#e4e4e7',
+    missing: '#f4f4f5',
+    background: '#ffffff'
+  };
+  const TEXT = {
+    caption: { size: 9, font: 'bold', lineHeight: 12 },
+    detail: { size: 8, font: 'regular', lineHeight: 11 },
+    note: { size: 8, font: 'regular', lineHeight: 11 }
+  };
+
+  /**
+   * JPEG of an image at most `maxWidth` pixels wide, on white (JPEG has no
+   * transparency), or null when it can't be loaded
+   */
+  async function loadJpeg(url, maxWidth) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(await ImageCache.getBlob(url));
+    } catch (error) {
+      console.warn('Could not load image for PDF:', url, error);
+      return null;
+    }
+
+    try {
+      const scale = Math.min(1, maxWidth / bitmap.width);
+      const canvas = new OffscreenCanvas(
+        Math.max(1, Math.round(bitmap.width * scale)),
+        Math.max(1, Math.round(bitmap.height * scale))
+      );
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      return await Pdf.jpegFromCanvas(canvas, JPEG_QUALITY);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  /**
+   * Options with defaults filled in and values kept in range
+   */
+  function normalizeOptions(options = {}) {
+    const merged = { ...DEFAULT_OPTIONS, ...options };
+    return {
+      pageSize: PAGE_SIZES[merged.pageSize] ? merged.pageSize : DEFAULT_OPTIONS.pageSize,
+      orientation: merged.orientation === 'landscape' ? 'landscape' : 'portrait',
+      columns: Math.max(MIN_COLUMNS, Math.min(MAX_COLUMNS, Math.round(Number(merged.columns)) || DEFAULT_OPTIONS.columns)),
+      captions: Boolean(merged.captions),
+      notes: Boolean(merged.notes)
+    };
+  }
+
+  function getPageSize({ pageSize, orientation }) {
+    const { width, height } = PAGE_SIZES[pageSize];
+    return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+  }
+
+  /**
+   * Text lines under a screen, each { text, style }
+   */
+  function getScreenLines(screen, width, options) {
+    const lines = [];
+    if (options.captions) {
+      lines.push({ text: Pdf.fitText(screen.caption, width, TEXT.caption.size, TEXT.caption.font), style: TEXT.caption });
+      if (screen.detail) {
+        lines.push({ text: Pdf.fitText(screen.detail, width, TEXT.detail.size), style: TEXT.detail });
+      }
+    }
+
+    if (options.notes && screen.notes.length > 0) {
+      const noteLines = screen.notes.flatMap(note => Pdf.wrapText(`• ${note}`, width, TEXT.note.size));
+      if (noteLines.length > MAX_NOTE_LINES) {
+        noteLines.length = MAX_NOTE_LINES;
+        noteLines[MAX_NOTE_LINES - 1] = Pdf.fitText(`${noteLines[MAX_NOTE_LINES - 1]}…`, width, TEXT.note.size);
+      }
+      noteLines.forEach(text => lines.push({ text, style: TEXT.note }));
+    }
+    return lines;
+  }
+
+  function linesHeight(lines) {
+    return lines.length ? 6 + lines.reduce((total, line) => total + line.style.lineHeight, 0) : 0;
+  }
+
+  /**
+   * Cover page: logo, name, source link, date and details
+   */
+  async function drawCover(doc, sheet, size) {
+    const page = doc.addPage(size.width, size.height);
+    const width = size.width - MARGIN * 2;
+    let y = MARGIN + 80;
+
+    if (sheet.logo) {
+      const logo = await loadJpeg(sheet.logo, LOGO_SIZE * IMAGE_SCALE);
+      if (logo) {
+        const scale = Math.min(LOGO_SIZE / logo.width, LOGO_SIZE / logo.height);
+        page.drawImage(doc.addImage(logo), MARGIN, y, logo.width * scale, logo.height * scale);
+        y += logo.height * scale + 28;
+      }
+    }
+
+    Pdf.wrapText(sheet.title, width, 32, 'bold').forEach(line => {
+      page.drawText(line, MARGIN, y, { size: 32, font: 'bold', color: COLORS.text });
+      y += 38;
+    });
+    if (sheet.subtitle) {
+      page.drawText(Pdf.fitText(sheet.subtitle, width, 14), MARGIN, y + 4, { size: 14, color: COLORS.secondary });
+      y += 30;
+    }
+
+    y += 12;
+    page.fillRect(MARGIN, y, width, 0.75, COLORS.rule);
+    y += 20;
+
+    if (sheet.sourceUrl) {
+      const text = Pdf.fitText(sheet.sourceUrl, width, 11);
+      page.drawText(text, MARGIN, y, { size: 11, color: COLORS.link });
+      page.addLink(MARGIN, y - 2, Pdf.measureText(text, 11), 14, sheet.sourceUrl);
+      y += 20;
+    }
+    if (sheet.date) {
+      page.drawText(`${sheet.dateLabel || 'Date'}: ${formatDate(sheet.date)}`, MARGIN, y, { size: 11, color: COLORS.text });
+      y += 20;
+    }
+    (sheet.details || []).forEach(detail => {
+      Pdf.wrapText(detail, width, 11).forEach(line => {
+        page.drawText(line, MARGIN, y, { size: 11, color: COLORS.secondary });
+        y += 16;
+      });
+    });
+
+    page.drawText(`Exported ${formatDate(Date.now())}`, MARGIN, size.height - MARGIN - 8, {
+      size: 9,
+      color: COLORS.secondary
+    });
+  }
+
+  /**
+   * Title at the top of grid pages, and the page number at the bottom
+   */
+  function drawPageFrame(page, sheet, number, size) {
+    const width = size.width - MARGIN * 2;
+    page.drawText(Pdf.fitText(sheet.title, width * 0.7, 9, 'bold'), MARGIN, MARGIN, {
+      size: 9,
+      font: 'bold',
+      color: COLORS.secondary
+    });
+    page.fillRect(MARGIN, MARGIN + 16, width, 0.5, COLORS.rule);
+
+    const label = String(number);
+    page.drawText(label, size.width - MARGIN - Pdf.measureText(label, 9), size.height - MARGIN, {
+      size: 9,
+      color: COLORS.secondary
+    });
+  }
+
+  /**
+   * Build the PDF. Returns { blob, missing }, `missing` counting screens
+   * whose image couldn't be loaded (drawn as blank boxes).
+   * `onProgress(done, total)` follows the screens. Throws for sheets of
+   * more than MAX_SCREENS screens.
+   */
+  async function build(sheet, options = {}, onProgress = null) {
+    if (sheet.screens.length > MAX_SCREENS) {
+      throw new Error(`A PDF holds up to ${MAX_SCREENS} screens, this one has ${sheet.screens.length}`);
+    }
+
+    const settings = normalizeOptions(options);
+    const size = getPageSize(settings);
+    const doc = Pdf.create();
+
+    await drawCover(doc, sheet, size);
+
+    const contentWidth = size.width - MARGIN * 2;
+    const cellWidth = (contentWidth - GAP * (settings.columns - 1)) / settings.columns;
+    const top = MARGIN + HEADER_HEIGHT;
+    const bottom = size.height - MARGIN - FOOTER_HEIGHT;
+
+    let page = null;
+    let pageNumber = 1;
+    let y = bottom;
+    let missing = 0;
+    let done = 0;
+
+    for (let start = 0; start < sheet.screens.length; start += settings.columns) {
+      const row = sheet.screens.slice(start, start + settings.columns);
+
+      const cells = [];
+      for (const screen of row) {
+        const image = await loadJpeg(screen.url, cellWidth * IMAGE_SCALE);
+        if (!image) missing++;
+
+        // Missing images keep the screen's shape when it's known
+        const ratio = image
+          ? image.height / image.width
+          : (screen.width && screen.height ? screen.height / screen.width : 19.5 / 9);
+        const lines = getScreenLines(screen, cellWidth, settings);
+        cells.push({ image, ratio, lines });
+
+        if (onProgress) onProgress(++done, sheet.screens.length);
+      }
+
+      // Screens taller than a page are scaled down to fit one
+      const textHeight = Math.max(...cells.map(cell => linesHeight(cell.lines)));
+      const maxImageHeight = bottom - top - textHeight;
+      cells.forEach(cell => {
+        cell.height = Math.min(cellWidth * cell.ratio, maxImageHeight);
+        cell.width = cell.height / cell.ratio;
+      });
+      const rowHeight = Math.max(...cells.map(cell => cell.height)) + textHeight;
+
+      if (!page || y + rowHeight > bottom) {
+        page = doc.addPage(size.width, size.height);
+        drawPageFrame(page, sheet, ++pageNumber, size);
+        y = top;
+      }
+
+      cells.forEach((cell, index) => {
+        const x = MARGIN + index * (cellWidth + GAP);
+        const imageX = x + (cellWidth - cell.width) / 2;
+        if (cell.image) {
+          page.drawImage(doc.addImage(cell.image), imageX, y, cell.width, cell.height);
+        } else {
+          page.fillRect(imageX, y, cell.width, cell.height, COLORS.missing);
+        }
+
+        let lineY = y + cell.height + 6;
+        cell.lines.forEach(line => {
+          page.drawText(line.text, x, lineY, {
+            size: line.style.size,
+            font: line.style.font,
+            color: line.style === TEXT.caption ? COLORS.text : COLORS.secondary
+          });
+          lineY += line.style.lineHeight;
+        });
+      });
+
+      y += rowHeight + GAP;
+    }
+
+    return { blob: doc.toBlob(), missing };
+  }
+
+  return {
+    PAGE_SIZES,
+    MIN_COLUMNS,
+    MAX_COLUMNS,
+    MAX_SCREENS,
+    DEFAULT_OPTIONS,
+    normalizeOptions,
+    build
+  };
+})();
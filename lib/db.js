@@ -0,0 +1,242 @@
+// db.js - v3
+// Shared IndexedDB wrapper used by the dashboard and the service worker
+
+const VaultDB = (() => {
+  const DB_NAME = 'mobbin-vault';
+  const DB_VERSION = 8;
+
+  let dbPromise = null;
+
+  /**
+   * Open the database (once per context), running upgrades as needed
+   */
+  function open() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        upgrade(request.result, event.oldVersion, request.transaction);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let newer versions (e.g. after an extension update) take over
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+
+      request.onblocked = () => {
+        console.warn('Vault database upgrade blocked by another open page');
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Schema migrations, applied in order from the stored version
+   */
+  function upgrade(db, oldVersion, tx) {
+    if (oldVersion < 1) {
+      const images = db.createObjectStore('images', { keyPath: 'url' });
+      images.createIndex('appId', 'appId', { unique: false });
+    }
+
+    if (oldVersion < 2) {
+      const apps = db.createObjectStore('apps', { keyPath: 'id' });
+      apps.createIndex('name', 'name', { unique: false });
+      apps.createIndex('dateAdded', 'dateAdded', { unique: false });
+      apps.createIndex('dateUpdated', 'dateUpdated', { unique: false });
+      apps.createIndex('screenCount', 'screenCount', { unique: false });
+
+      const screens = db.createObjectStore('screens', { keyPath: 'id' });
+      screens.createIndex('appId', 'appId', { unique: false });
+      screens.createIndex('url', 'url', { unique: false });
+    }
+
+    if (oldVersion >= 2 && oldVersion < 3) {
+      // Screens gained metadata fields; fill defaults on existing records
+      const screens = tx.objectStore('screens');
+      screens.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const screen = cursor.value;
+        cursor.update({
+          width: null,
+          height: null,
+          platform: null,
+          title: '',
+          patterns: [],
+          elements: [],
+          ...screen
+        });
+        cursor.continue();
+      };
+    }
+
+    if (oldVersion < 4) {
+      const flows = db.createObjectStore('flows', { keyPath: 'id' });
+      flows.createIndex('appId', 'appId', { unique: false });
+    }
+
+    if (oldVersion < 5) {
+      const collections = db.createObjectStore('collections', { keyPath: 'id' });
+      collections.createIndex('name', 'name', { unique: false });
+
+      // One record per app or screen in a collection
+      const items = db.createObjectStore('collectionItems', { keyPath: 'id' });
+      items.createIndex('collectionId', 'collectionId', { unique: false });
+      items.createIndex('itemId', 'itemId', { unique: false });
+      items.createIndex('appId', 'appId', { unique: false });
+
+      tx.objectStore('apps').createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      tx.objectStore('screens').createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    }
+
+    if (oldVersion < 6) {
+      // One record per scan of an app
+      const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+      snapshots.createIndex('appId', 'appId', { unique: false });
+    }
+
+    if (oldVersion < 7) {
+      // Moodboards, each holding its items in the record
+      const boards = db.createObjectStore('boards', { keyPath: 'id' });
+      boards.createIndex('dateUpdated', 'dateUpdated', { unique: false });
+    }
+
+    if (oldVersion < 8) {
+      // Image sizes per app, read from the index without loading the blobs
+      tx.objectStore('images').createIndex('appSize', ['appId', 'size'], { unique: false });
+    }
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a callback inside a transaction and resolve once it commits.
+   * The callback may be async, but must only await IndexedDB requests.
+   */
+  async function transaction(storeNames, mode, callback) {
+    const db = await open();
+    const tx = db.transaction(storeNames, mode);
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    done.catch(() => {});
+
+    let result;
+    try {
+      result = await callback(tx);
+    } catch (error) {
+      try {
+        tx.abort();
+      } catch {
+        // Already finished
+      }
+      throw error;
+    }
+
+    await done;
+    return result;
+  }
+
+  function get(storeName, key) {
+    return transaction(storeName, 'readonly', tx =>
+      promisify(tx.objectStore(storeName).get(key))
+    );
+  }
+
+  function getAll(storeName, query) {
+    return transaction(storeName, 'readonly', tx =>
+      promisify(tx.objectStore(storeName).getAll(query))
+    );
+  }
+
+  function getAllByIndex(storeName, indexName, query) {
+    return transaction(storeName, 'readonly', tx =>
+      promisify(tx.objectStore(storeName).index(indexName).getAll(query))
+    );
+  }
+
+  function getAllKeysByIndex(storeName, indexName, query) {
+    return transaction(storeName, 'readonly', tx =>
+      promisify(tx.objectStore(storeName).index(indexName).getAllKeys(query))
+    );
+  }
+
+  function put(storeName, value) {
+    return transaction(storeName, 'readwrite', tx =>
+      promisify(tx.objectStore(storeName).put(value))
+    );
+  }
+
+  function remove(storeName, key) {
+    return transaction(storeName, 'readwrite', tx =>
+      promisify(tx.objectStore(storeName).delete(key))
+    );
+  }
+
+  function clear(storeName) {
+    return transaction(storeName, 'readwrite', tx =>
+      promisify(tx.objectStore(storeName).clear())
+    );
+  }
+
+  /**
+   * Count records per index key without loading the records
+   */
+  function countByIndex(storeName, indexName) {
+    return transaction(storeName, 'readonly', tx => new Promise((resolve, reject) => {
+      const counts = new Map();
+      const request = tx.objectStore(storeName).index(indexName).openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  return {
+    open,
+    promisify,
+    transaction,
+    get,
+    getAll,
+    getAllByIndex,
+    getAllKeysByIndex,
+    put,
+    remove,
+    clear,
+    countByIndex
+  };
+})();
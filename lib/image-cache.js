@@ -0,0 +1,247 @@
+// image-cache.js - v3
+// Offline copies of screen images, stored as blobs in IndexedDB
+
+const ImageCache = (() => {
+  const STORE = 'images';
+  const FETCH_CONCURRENCY = 4;
+
+  // url -> object URL, so repeated renders reuse the same blob URL
+  const objectUrls = new Map();
+
+  /**
+   * Download and store every image of an app that is not cached yet
+   */
+  async function cacheImages(appId, urls, onProgress) {
+    const cachedKeys = new Set(await VaultDB.getAllKeysByIndex(STORE, 'appId', appId));
+    const pending = urls.filter(url => !cachedKeys.has(url));
+
+    let cached = urls.length - pending.length;
+    let failed = 0;
+    const total = urls.length;
+
+    const report = () => {
+      if (onProgress) onProgress({ appId, cached, failed, total });
+    };
+    report();
+
+    // Simple worker pool so large apps don't open hundreds of requests at once
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const url = pending[next++];
+        try {
+          await cacheImage(appId, url);
+          cached++;
+        } catch (error) {
+          console.warn('Failed to cache image:', url, error);
+          failed++;
+        }
+        report();
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(FETCH_CONCURRENCY, pending.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return { appId, cached, failed, total };
+  }
+
+  /**
+   * Fetch a single image and store it
+   */
+  async function cacheImage(appId, url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`Unexpected content type: ${blob.type || 'unknown'}`);
+    }
+
+    await VaultDB.put(STORE, {
+      url,
+      appId,
+      blob,
+      size: blob.size,
+      type: blob.type,
+      dateCached: Date.now()
+    });
+  }
+
+  /**
+   * Get a cached record ({ url, appId, blob, size, type, dateCached }) or null
+   */
+  async function get(url) {
+    return (await VaultDB.get(STORE, url)) || null;
+  }
+
+  /**
+   * Image bytes from the cache, or downloaded (without storing them) when
+   * not cached
+   */
+  async function getBlob(url) {
+    const record = await get(url);
+    if (record) return record.blob;
+
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.blob();
+  }
+
+  /**
+   * Get an object URL for a cached image, or null when not cached
+   */
+  async function getObjectUrl(url) {
+    if (objectUrls.has(url)) return objectUrls.get(url);
+
+    const record = await get(url);
+    if (!record) return null;
+
+    const objectUrl = URL.createObjectURL(record.blob);
+    objectUrls.set(url, objectUrl);
+    return objectUrl;
+  }
+
+  /**
+   * Get object URLs for all cached images of an app (url -> object URL)
+   */
+  async function getObjectUrlsForApp(appId) {
+    const records = await VaultDB.getAllByIndex(STORE, 'appId', appId);
+    const result = new Map();
+
+    records.forEach(record => {
+      if (!objectUrls.has(record.url)) {
+        objectUrls.set(record.url, URL.createObjectURL(record.blob));
+      }
+      result.set(record.url, objectUrls.get(record.url));
+    });
+
+    return result;
+  }
+
+  /**
+   * Release object URLs created by this page
+   */
+  function revokeObjectUrls() {
+    objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    objectUrls.clear();
+  }
+
+  /**
+   * Cache status for one app: how many of its screens are stored, and their size
+   */
+  async function getStatus(appId, urls) {
+    const records = await VaultDB.getAllByIndex(STORE, 'appId', appId);
+    const wanted = new Set(urls);
+    const matching = records.filter(record => wanted.has(record.url));
+
+    return {
+      cached: matching.length,
+      total: urls.length,
+      bytes: matching.reduce((sum, record) => sum + (record.size || 0), 0)
+    };
+  }
+
+  /**
+   * Number of cached images per app id
+   */
+  function getCountsByApp() {
+    return VaultDB.countByIndex(STORE, 'appId');
+  }
+
+  /**
+   * Total bytes of all cached images
+   */
+  async function getTotalBytes() {
+    const usage = await getUsageByApp();
+    return Array.from(usage.values()).reduce((sum, entry) => sum + entry.bytes, 0);
+  }
+
+  /**
+   * Count and bytes of cached images per app id: appId -> { count, bytes }.
+   * Read from the appSize index keys, so no blob is loaded.
+   */
+  function getUsageByApp() {
+    return VaultDB.transaction(STORE, 'readonly', tx => new Promise((resolve, reject) => {
+      const usage = new Map();
+      const request = tx.objectStore(STORE).index('appSize').openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(usage);
+          return;
+        }
+        const [appId, size] = cursor.key;
+        const entry = usage.get(appId) || { count: 0, bytes: 0 };
+        entry.count++;
+        entry.bytes += size;
+        usage.set(appId, entry);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Cached images of an app without their blobs, largest first:
+   * [{ url, size, type, dateCached }]
+   */
+  async function getEntriesForApp(appId) {
+    const records = await VaultDB.getAllByIndex(STORE, 'appId', appId);
+    return records
+      .map(({ url, size = 0, type, dateCached }) => ({ url, size, type, dateCached }))
+      .sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Remove one cached image
+   */
+  function remove(url) {
+    if (objectUrls.has(url)) {
+      URL.revokeObjectURL(objectUrls.get(url));
+      objectUrls.delete(url);
+    }
+    return VaultDB.remove(STORE, url);
+  }
+
+  /**
+   * Remove all cached images of an app
+   */
+  async function deleteForApp(appId) {
+    const keys = await VaultDB.getAllKeysByIndex(STORE, 'appId', appId);
+    await VaultDB.transaction(STORE, 'readwrite', tx => {
+      const store = tx.objectStore(STORE);
+      keys.forEach(key => store.delete(key));
+    });
+  }
+
+  /**
+   * Remove every cached image
+   */
+  function clear() {
+    return VaultDB.clear(STORE);
+  }
+
+  return {
+    cacheImages,
+    get,
+    getBlob,
+    getObjectUrl,
+    getObjectUrlsForApp,
+    revokeObjectUrls,
+    getStatus,
+    getCountsByApp,
+    getTotalBytes,
+    getUsageByApp,
+    getEntriesForApp,
+    remove,
+    deleteForApp,
+    clear
+  };
+})();
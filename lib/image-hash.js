@@ -0,0 +1,241 @@
+// image-hash.js - v3
+// Perceptual hashes and visual features of screen images, computed locally
+//
+// A hash is the sign pattern of the lowest 8x8 DCT frequencies of the
+// image scaled to 32x32 grayscale (pHash), as 16 hex characters. Images
+// that look the same have hashes a few bits apart, whatever their URL,
+// size or compression.
+//
+// Features describe an image more loosely, to find screens that are alike
+// rather than the same: `layout` is its brightness on a coarse grid and
+// `colors` a histogram of its colors. Its dominant colors come from
+// image-palette.js.
+
+const ImageHash = (() => {
+  const SIZE = 32;
+  const LOW = 8;
+
+  // Layout grid, taller than wide like a phone screen
+  const LAYOUT_COLUMNS = 8;
+  const LAYOUT_ROWS = 16;
+
+  // Color histogram: 4 levels per RGB channel
+  const COLOR_LEVELS = 4;
+
+  // COSINES[u][x] = cos((2x + 1) * u * PI / (2 * SIZE))
+  const COSINES = Array.from({ length: LOW }, (_, u) =>
+    Float64Array.from({ length: SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SIZE)))
+  );
+
+  // Set bits in every 4-bit value
+  const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+  /**
+   * Hash an image blob
+   */
+  async function fromBlob(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(SIZE, SIZE);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, SIZE, SIZE);
+    bitmap.close();
+
+    return fromPixels(ctx.getImageData(0, 0, SIZE, SIZE).data);
+  }
+
+  /**
+   * Hash, features and palette of an image blob:
+   * { phash, features: { layout, colors }, palette }
+   */
+  async function describe(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(SIZE, SIZE);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, SIZE, SIZE);
+    const pixels = ctx.getImageData(0, 0, SIZE, SIZE).data;
+
+    ctx.clearRect(0, 0, SIZE, SIZE);
+    ctx.drawImage(bitmap, 0, 0, LAYOUT_COLUMNS, LAYOUT_ROWS);
+    const grid = ctx.getImageData(0, 0, LAYOUT_COLUMNS, LAYOUT_ROWS).data;
+    bitmap.close();
+
+    return {
+      phash: fromPixels(pixels),
+      features: {
+        layout: layoutFromPixels(grid),
+        colors: colorsFromPixels(pixels)
+      },
+      palette: ImagePalette.fromPixels(pixels)
+    };
+  }
+
+  /**
+   * Brightness (0-255) of each cell of the layout grid, row by row
+   */
+  function layoutFromPixels(data) {
+    const layout = [];
+    for (let i = 0; i < LAYOUT_COLUMNS * LAYOUT_ROWS; i++) {
+      layout.push(Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]));
+    }
+    return layout;
+  }
+
+  /**
+   * Share of pixels in each color bin, in thousandths
+   */
+  function colorsFromPixels(data) {
+    const bins = new Array(COLOR_LEVELS ** 3).fill(0);
+    const step = 256 / COLOR_LEVELS;
+    const count = data.length / 4;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const r = Math.floor(data[i] / step);
+      const g = Math.floor(data[i + 1] / step);
+      const b = Math.floor(data[i + 2] / step);
+      bins[(r * COLOR_LEVELS + g) * COLOR_LEVELS + b]++;
+    }
+
+    return bins.map(value => Math.round((value / count) * 1000));
+  }
+
+  /**
+   * How alike two images' features are: { layout, colors }, each from 0 to 1
+   */
+  function compareFeatures(a, b) {
+    return {
+      layout: compareLayouts(a.layout, b.layout),
+      colors: compareColors(a.colors, b.colors)
+    };
+  }
+
+  // 1 minus the average brightness difference per cell
+  function compareLayouts(a, b) {
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) difference += Math.abs(a[i] - b[i]);
+    return 1 - difference / (a.length * 255);
+  }
+
+  // Histogram intersection: the share of pixels both images have in common
+  function compareColors(a, b) {
+    let shared = 0;
+    for (let i = 0; i < a.length; i++) shared += Math.min(a[i], b[i]);
+    return shared / 1000;
+  }
+
+  /**
+   * Hash SIZE x SIZE RGBA pixels
+   */
+  function fromPixels(data) {
+    const gray = new Float64Array(SIZE * SIZE);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    // Only the low frequencies are needed, so compute just those
+    const coefficients = [];
+    for (let v = 0; v < LOW; v++) {
+      for (let u = 0; u < LOW; u++) {
+        let sum = 0;
+        for (let y = 0; y < SIZE; y++) {
+          const cosY = COSINES[v][y];
+          const row = y * SIZE;
+          for (let x = 0; x < SIZE; x++) {
+            sum += gray[row + x] * COSINES[u][x] * cosY;
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The first coefficient is the average brightness; leave it out of the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    let hex = '';
+    for (let i = 0; i < coefficients.length; i += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Number of differing bits between two hashes
+   */
+  function distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      bits += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return bits;
+  }
+
+  /**
+   * Group items whose hashes are at most `threshold` bits apart (0-7).
+   * `getHash(item)` returns an item's hash. Returns groups of two or more
+   * items, in the order the items were given.
+   *
+   * Two hashes under 8 bits apart share at least one of their 8 bytes, so
+   * only items sharing a byte are compared.
+   */
+  function group(items, getHash, threshold) {
+    const parent = items.map((_, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    };
+
+    const hashes = items.map(getHash);
+
+    for (let byte = 0; byte < 8; byte++) {
+      const buckets = new Map();
+      hashes.forEach((hash, index) => {
+        const key = hash.substr(byte * 2, 2);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      });
+
+      buckets.forEach(indexes => {
+        for (let i = 0; i < indexes.length; i++) {
+          for (let j = i + 1; j < indexes.length; j++) {
+            const a = indexes[i];
+            const b = indexes[j];
+            // Pairs sharing several bytes come up more than once
+            if (find(a) === find(b)) continue;
+
+            if (distance(hashes[a], hashes[b]) <= threshold) union(a, b);
+          }
+        }
+      });
+    }
+
+    const groups = new Map();
+    items.forEach((item, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(item);
+    });
+
+    return Array.from(groups.values()).filter(members => members.length > 1);
+  }
+
+  return {
+    fromBlob,
+    fromPixels,
+    describe,
+    compareFeatures,
+    distance,
+    group
+  };
+})();
@@ -0,0 +1,130 @@
+// image-palette.js - v3
+// Dominant colors of images, computed locally
+//
+// A palette is a list of up to MAX_COLORS swatches { hex, share }, most
+// common first, where `share` is the part of the image (0-1) in that color.
+
+const ImagePalette = (() => {
+  const SIZE = 48;
+  const MAX_COLORS = 6;
+
+  // Colors are first counted in 8 levels per channel, then bins closer
+  // than MERGE_DISTANCE to a more common swatch are folded into it
+  const LEVELS = 8;
+  const MERGE_DISTANCE = 48;
+  const MIN_SHARE = 0.02;
+
+  // Distance within which a color counts as matching a picked color
+  const MATCH_DISTANCE = 60;
+
+  /**
+   * Palette of an image blob, e.g. an app logo
+   */
+  async function fromBlob(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(SIZE, SIZE);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, SIZE, SIZE);
+    bitmap.close();
+
+    return fromPixels(ctx.getImageData(0, 0, SIZE, SIZE).data);
+  }
+
+  /**
+   * Palette of RGBA pixels; transparent pixels are left out
+   */
+  function fromPixels(data) {
+    const bins = new Map();
+    const step = 256 / LEVELS;
+    let count = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+      const key = (Math.floor(data[i] / step) * LEVELS + Math.floor(data[i + 1] / step)) * LEVELS +
+        Math.floor(data[i + 2] / step);
+
+      let bin = bins.get(key);
+      if (!bin) {
+        bin = { r: 0, g: 0, b: 0, count: 0 };
+        bins.set(key, bin);
+      }
+      bin.r += data[i];
+      bin.g += data[i + 1];
+      bin.b += data[i + 2];
+      bin.count++;
+      count++;
+    }
+
+    if (count === 0) return [];
+
+    const swatches = Array.from(bins.values()).map(bin => ({
+      rgb: [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count],
+      share: bin.count / count
+    }));
+    return merge(swatches);
+  }
+
+  /**
+   * Combine swatches (e.g. the palettes of all of an app's screens) into
+   * one palette. Each swatch is { hex or rgb, share }.
+   */
+  function merge(swatches, limit = MAX_COLORS) {
+    const total = swatches.reduce((sum, swatch) => sum + swatch.share, 0);
+    if (total === 0) return [];
+
+    const sorted = swatches
+      .map(swatch => ({ rgb: swatch.rgb || parseHex(swatch.hex), share: swatch.share }))
+      .sort((a, b) => b.share - a.share);
+
+    const palette = [];
+    sorted.forEach(swatch => {
+      const near = palette.find(color => rgbDistance(color.rgb, swatch.rgb) < MERGE_DISTANCE);
+      if (near) {
+        near.share += swatch.share;
+      } else {
+        palette.push({ rgb: swatch.rgb, share: swatch.share });
+      }
+    });
+
+    return palette
+      .filter(color => color.share / total >= MIN_SHARE)
+      .sort((a, b) => b.share - a.share)
+      .slice(0, limit)
+      .map(color => ({ hex: toHex(color.rgb), share: Math.round((color.share / total) * 1000) / 1000 }));
+  }
+
+  /**
+   * Swatches of `palette` within MATCH_DISTANCE of the color `hex`
+   */
+  function matches(palette, hex) {
+    const target = parseHex(hex);
+    return (palette || []).filter(swatch => rgbDistance(parseHex(swatch.hex), target) <= MATCH_DISTANCE);
+  }
+
+  /**
+   * Perceived distance between two colors ("redmean" weighting of RGB)
+   */
+  function rgbDistance([r1, g1, b1], [r2, g2, b2]) {
+    const redMean = (r1 + r2) / 2;
+    const dr = r1 - r2;
+    const dg = g1 - g2;
+    const db = b1 - b2;
+    return Math.sqrt((2 + redMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - redMean) / 256) * db * db) / 3;
+  }
+
+  function toHex(rgb) {
+    return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+  }
+
+  function parseHex(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  return {
+    fromBlob,
+    fromPixels,
+    merge,
+    matches
+  };
+})();
@@ -0,0 +1,125 @@
+// library-search.js - v3
+// The library's search fields and sorting, shared by the dashboard and the
+// saved searches (smart collections) checked after each scan
+//
+// Fields read what isn't on the app record through `sources`:
+//   { notes(appId), text(appId), color(app, hex), tags() }
+// The dashboard passes its loaded indexes; loadSources() reads them from
+// the vault for the service worker.
+
+const LibrarySearch = (() => {
+  const PLATFORMS = ['ios', 'android', 'web'];
+
+  /**
+   * Search over app records (see lib/search-query.js); free text is ranked
+   * on name, tags, notes and screen text, in that order of weight. Adds
+   * filter(apps, options) to the search.
+   */
+  function create(sources) {
+    const search = SearchQuery.createSearch({
+      name: { type: 'text', get: app => app.name, description: 'App name' },
+      tag: { type: 'text', get: app => app.tags || [], values: () => sources.tags(), description: 'App tag' },
+      platform: { type: 'keyword', get: app => app.platform, values: () => PLATFORMS, description: 'ios, android or web' },
+      screens: { type: 'number', get: app => app.screenCount, description: 'Screen count, e.g. >40 or 10..40' },
+      added: { type: 'date', get: app => app.dateAdded, description: 'Date added, e.g. <30d or 2024-05' },
+      updated: { type: 'date', get: app => app.dateUpdated, description: 'Date last scanned, e.g. >6m' },
+      note: { type: 'text', get: app => sources.notes(app.id), description: 'Screen notes and annotations' },
+      text: { type: 'text', get: app => sources.text(app.id), description: 'Text inside screens' },
+      color: {
+        type: 'custom',
+        validate: value => /^#?[0-9a-f]{6}$/.test(value) ? null : 'Colors are hex values like #ff5a5f',
+        match: (app, value) => sources.color(app, value.startsWith('#') ? value : `#${value}`),
+        description: 'Screens with a color, e.g. #ff5a5f'
+      }
+    }, [
+      { get: app => app.name, weight: 10, fuzzy: true },
+      { get: app => app.tags || [], weight: 5, fuzzy: true },
+      { get: app => sources.notes(app.id), weight: 2 },
+      { get: app => sources.text(app.id), weight: 1 }
+    ]);
+
+    /**
+     * Apps matching `query` (parsed, a query string, or empty) and `color`
+     * (a hex value, or null), sorted by `sort`
+     */
+    function filter(apps, { query = null, sort = 'relevance', color = null } = {}) {
+      const parsed = typeof query === 'string' ? (query.trim() ? search.parse(query) : null) : query;
+
+      // Filter, scoring free text for the "Best Match" sort
+      const scores = new Map();
+      let matching = apps.filter(app => {
+        if (!parsed) return true;
+        const { matches, score } = search.evaluate(parsed, app);
+        scores.set(app.id, score);
+        return matches;
+      });
+
+      if (color) {
+        matching = matching.filter(app => sources.color(app, color));
+      }
+
+      return matching.sort((a, b) => {
+        switch (sort) {
+          case 'name':
+            return a.name.localeCompare(b.name);
+          case 'screens':
+            return b.screenCount - a.screenCount;
+          case 'relevance':
+            // Without free text this is the same as newest first
+            return (scores.get(b.id) || 0) - (scores.get(a.id) || 0) || (b.dateAdded || 0) - (a.dateAdded || 0);
+          case 'recent':
+          default:
+            return (b.dateAdded || 0) - (a.dateAdded || 0);
+        }
+      });
+    }
+
+    return { ...search, filter };
+  }
+
+  /**
+   * Ids of an app's screens whose palette has a color close to `hex`
+   * (`palettes` is appId -> [{ screenId, palette }])
+   */
+  function findColorMatches(palettes, appId, hex) {
+    if (!hex) return [];
+    return (palettes.get(appId) || [])
+      .filter(entry => ImagePalette.matches(entry.palette, hex).length > 0)
+      .map(entry => entry.screenId);
+  }
+
+  /**
+   * Whether any screen of an app, or its logo, has a color close to `hex`
+   */
+  function appMatchesColor(palettes, app, hex) {
+    return findColorMatches(palettes, app.id, hex).length > 0 ||
+      ImagePalette.matches(app.logoPalette, hex).length > 0;
+  }
+
+  /**
+   * Sources read from the vault, for searching outside the dashboard
+   */
+  async function loadSources() {
+    const [notes, texts, palettes, tags] = await Promise.all([
+      VaultStore.getNotesByApp(),
+      ScreenText.getTextByApp(),
+      VaultStore.getPalettesByApp(),
+      VaultStore.getAllTags()
+    ]);
+
+    return {
+      notes: appId => (notes.get(appId) || []).map(note => note.text),
+      text: appId => (texts.get(appId) || []).map(entry => entry.text),
+      color: (app, hex) => appMatchesColor(palettes, app, hex),
+      tags: () => tags
+    };
+  }
+
+  return {
+    PLATFORMS,
+    create,
+    findColorMatches,
+    appMatchesColor,
+    loadSources
+  };
+})();
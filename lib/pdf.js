@@ -0,0 +1,334 @@
+// pdf.js - v3
+// Minimal PDF writer for documents made inside the extension
+//
+// Positions on a page are in points (1/72 inch) from its top-left corner,
+// like a canvas; the writer flips them to PDF's bottom-left origin.
+// Images are embedded as JPEG, e.g. from jpegFromCanvas(). Text uses the
+// standard Helvetica fonts, which every reader has, so only characters of
+// the Windows-1252 (WinAnsi) set can be shown; others print as "?".
+
+const Pdf = (() => {
+  /**
+   * Latin-1 bytes of a string, as used by PDF syntax
+   */
+  function toBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+
+  // Numbers with at most two decimals, as PDF operands
+  function num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  // Glyph widths (1/1000 of the font size) of the printable ASCII characters
+  const FONTS = {
+    regular: {
+      name: 'F1',
+      baseFont: 'Helvetica',
+      widths: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+      ]
+    },
+    bold: {
+      name: 'F2',
+      baseFont: 'Helvetica-Bold',
+      widths: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+      ]
+    }
+  };
+  // Width of characters outside printable ASCII, and the height of capitals
+  const DEFAULT_WIDTH = 556;
+  const ASCENT = 0.718;
+
+  // Characters WinAnsi places in 0x80-0x9F; Latin-1 covers 0xA0-0xFF
+  const WIN_ANSI = new Map([
+    ['€', 0x80], ['‚', 0x82], ['ƒ', 0x83], ['„', 0x84], ['…', 0x85], ['†', 0x86], ['‡', 0x87],
+    ['ˆ', 0x88], ['‰', 0x89], ['Š', 0x8a], ['‹', 0x8b], ['Œ', 0x8c], ['Ž', 0x8e], ['‘', 0x91],
+    ['’', 0x92], ['“', 0x93], ['”', 0x94], ['•', 0x95], ['–', 0x96], ['—', 0x97], ['˜', 0x98],
+    ['™', 0x99], ['š', 0x9a], ['›', 0x9b], ['œ', 0x9c], ['ž', 0x9e], ['Ÿ', 0x9f]
+  ]);
+
+  /**
+   * Text as WinAnsi character codes, one per character
+   */
+  function encodeText(text) {
+    return Array.from(String(text || '').replace(/[\r\n\t]+/g, ' '), char => {
+      const code = char.codePointAt(0);
+      if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) return code;
+      return WIN_ANSI.get(char) || 0x3f;
+    });
+  }
+
+  /**
+   * Width in points of `text` at `size` in `font` ('regular' or 'bold')
+   */
+  function measureText(text, size, font = 'regular') {
+    const { widths } = FONTS[font];
+    const units = encodeText(text).reduce((total, code) => (
+      total + (code >= 0x20 && code < 0x7f ? widths[code - 0x20] : DEFAULT_WIDTH)
+    ), 0);
+    return units * size / 1000;
+  }
+
+  /**
+   * `text` cut to fit `width`, ending in an ellipsis when cut
+   */
+  function fitText(text, width, size, font = 'regular') {
+    const value = String(text || '');
+    if (measureText(value, size, font) <= width) return value;
+
+    let cut = value;
+    while (cut && measureText(`${cut}…`, size, font) > width) cut = cut.slice(0, -1);
+    return `${cut.trimEnd()}…`;
+  }
+
+  /**
+   * Lines of `text` wrapped to `width`, keeping its line breaks. Words
+   * longer than a line are cut.
+   */
+  function wrapText(text, width, size, font = 'regular') {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const next = line ? `${line} ${word}` : word;
+        if (measureText(next, size, font) <= width) {
+          line = next;
+          return;
+        }
+        if (line) lines.push(line);
+        line = fitText(word, width, size, font);
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * A PDF string literal of WinAnsi text
+   */
+  function textLiteral(text) {
+    const escaped = encodeText(text).map(code => {
+      const char = String.fromCharCode(code);
+      return char === '(' || char === ')' || char === '\\' ? `\\${char}` : char;
+    }).join('');
+    return `(${escaped})`;
+  }
+
+  /**
+   * Fill color operator of a hex color like "#1c1917"
+   */
+  function fillColor(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+    const channels = [value >> 16, (value >> 8) & 0xff, value & 0xff];
+    return `${channels.map(channel => num(channel / 255)).join(' ')} rg`;
+  }
+
+  /**
+   * JPEG of a canvas (OffscreenCanvas), ready for addImage(). JPEG has no
+   * transparency, so the canvas should have a background.
+   */
+  async function jpegFromCanvas(canvas, quality = 0.92) {
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+    return {
+      bytes: new Uint8Array(await blob.arrayBuffer()),
+      width: canvas.width,
+      height: canvas.height
+    };
+  }
+
+  /**
+   * Writes numbered objects and the cross-reference table
+   */
+  function createWriter() {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = bytes => {
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    // The comment of high bytes marks the file as binary
+    write(toBytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'));
+
+    return {
+      object(id, dictionary, stream = null) {
+        offsets[id] = length;
+        write(toBytes(`${id} 0 obj\n${dictionary}\n`));
+        if (stream) {
+          write(toBytes('stream\n'));
+          write(stream);
+          write(toBytes('\nendstream\n'));
+        }
+        write(toBytes('endobj\n'));
+      },
+
+      finish(rootId) {
+        const xrefOffset = length;
+        const size = offsets.length;
+        let table = `xref\n0 ${size}\n0000000000 65535 f \n`;
+        for (let id = 1; id < size; id++) {
+          table += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        table += `trailer\n<< /Size ${size} /Root ${rootId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        write(toBytes(table));
+
+        return new Blob(chunks, { type: 'application/pdf' });
+      }
+    };
+  }
+
+  /**
+   * A new document. Add images with addImage({ bytes, width, height }) and
+   * pages with addPage(width, height), then draw on the pages; toBlob()
+   * writes the file.
+   */
+  function create() {
+    const images = [];
+    const pages = [];
+
+    function addImage({ bytes, width, height }) {
+      const image = { name: `Im${images.length + 1}`, bytes, width, height };
+      images.push(image);
+      return image;
+    }
+
+    function addPage(width, height) {
+      const page = {
+        width,
+        height,
+        operations: [],
+        images: new Set(),
+        fonts: new Set(),
+        links: [],
+
+        /**
+         * Draw an image added to the document into the box at x, y
+         */
+        drawImage(image, x, y, boxWidth, boxHeight) {
+          page.images.add(image);
+          page.operations.push(
+            `q ${num(boxWidth)} 0 0 ${num(boxHeight)} ${num(x)} ${num(height - y - boxHeight)} cm /${image.name} Do Q`
+          );
+        },
+
+        /**
+         * Fill the box at x, y with a hex color
+         */
+        fillRect(x, y, boxWidth, boxHeight, color) {
+          page.operations.push(
+            `q ${fillColor(color)} ${num(x)} ${num(height - y - boxHeight)} ${num(boxWidth)} ${num(boxHeight)} re f Q`
+          );
+        },
+
+        /**
+         * Write one line of text with its top at x, y. Options: size
+         * (points), font ('regular' or 'bold') and color (hex).
+         */
+        drawText(text, x, y, { size = 12, font = 'regular', color = '#000000' } = {}) {
+          const { name } = FONTS[font];
+          page.fonts.add(font);
+          page.operations.push(
+            `BT /${name} ${num(size)} Tf ${fillColor(color)} ${num(x)} ${num(height - y - size * ASCENT)} Td ${textLiteral(text)} Tj ET`
+          );
+        },
+
+        /**
+         * Make the box at x, y open `url` when clicked
+         */
+        addLink(x, y, boxWidth, boxHeight, url) {
+          page.links.push({ x, y, width: boxWidth, height: boxHeight, url });
+        }
+      };
+
+      pages.push(page);
+      return page;
+    }
+
+    function toBlob() {
+      const writer = createWriter();
+
+      // 1 is the catalog and 2 the page tree; fonts, images, then pages and their contents follow
+      let next = 3;
+      const fontIds = {};
+      Object.keys(FONTS).forEach(font => {
+        fontIds[font] = next++;
+      });
+      images.forEach(image => {
+        image.id = next++;
+      });
+      pages.forEach(page => {
+        page.id = next++;
+        page.contentsId = next++;
+      });
+
+      writer.object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      writer.object(2, `<< /Type /Pages /Kids [${pages.map(page => `${page.id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+      Object.entries(FONTS).forEach(([font, { baseFont }]) => {
+        writer.object(fontIds[font], `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+      });
+
+      images.forEach(image => {
+        writer.object(image.id, [
+          '<< /Type /XObject /Subtype /Image',
+          `/Width ${image.width} /Height ${image.height}`,
+          '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+          `/Length ${image.bytes.length} >>`
+        ].join(' '), image.bytes);
+      });
+
+      pages.forEach(page => {
+        const xObjects = Array.from(page.images).map(image => `/${image.name} ${image.id} 0 R`).join(' ');
+        const fonts = Array.from(page.fonts).map(font => `/${FONTS[font].name} ${fontIds[font]} 0 R`).join(' ');
+        const links = page.links.map(link => [
+          '<< /Type /Annot /Subtype /Link /Border [0 0 0]',
+          `/Rect [${[link.x, page.height - link.y - link.height, link.x + link.width, page.height - link.y].map(num).join(' ')}]`,
+          `/A << /S /URI /URI ${textLiteral(link.url)} >> >>`
+        ].join(' '));
+
+        writer.object(page.id, [
+          '<< /Type /Page /Parent 2 0 R',
+          `/MediaBox [0 0 ${num(page.width)} ${num(page.height)}]`,
+          `/Resources << /XObject << ${xObjects} >> /Font << ${fonts} >> >>`,
+          links.length ? `/Annots [${links.join(' ')}]` : '',
+          `/Contents ${page.contentsId} 0 R >>`
+        ].filter(Boolean).join(' '));
+
+        const contents = toBytes(page.operations.join('\n'));
+        writer.object(page.contentsId, `<< /Length ${contents.length} >>`, contents);
+      });
+
+      return writer.finish(1);
+    }
+
+    return {
+      addImage,
+      addPage,
+      toBlob
+    };
+  }
+
+  return {
+    create,
+    jpegFromCanvas,
+    measureText,
+    fitText,
+    wrapText
+  };
+})();
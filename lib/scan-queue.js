@@ -0,0 +1,385 @@
+// scan-queue.js - v3
+// Batch scan queue run by the background service worker
+//
+// Each job opens its Mobbin URL in a managed window, scans it as a
+// ScanSessions scan and closes the window. The queue is kept in
+// chrome.storage.local so it survives service worker restarts, and
+// retries are woken by an alarm, as a timer dies with the worker.
+
+const ScanQueue = (() => {
+  const STORAGE_KEY = 'scanQueue';
+  const MAX_CONCURRENCY = 5;
+  const MAX_ATTEMPTS = 3;
+  const RETRY_DELAY = 5000;
+  const RETRY_ALARM = 'scan-queue-retry';
+  const PAGE_LOAD_TIMEOUT = 30000;
+  const SCAN_TIMEOUT = 300000;
+
+  // Scans need a visible page: hidden tabs don't lazy-load their screens
+  const WINDOW_OPTIONS = { focused: false, width: 1280, height: 900 };
+
+  let state = null;
+  let ready = null;
+  let callbacks = {};
+
+  /**
+   * Load the saved queue and pick up where it left off.
+   * `onChange(state)` runs after every change, `onFinished(summary)` when
+   * the last queued job ends.
+   */
+  function init({ onChange, onFinished } = {}) {
+    callbacks = { onChange, onFinished };
+    if (ready) return ready;
+
+    ready = chrome.storage.local.get(STORAGE_KEY).then(async stored => {
+      state = {
+        jobs: [],
+        concurrency: 1,
+        paused: false,
+        ...stored[STORAGE_KEY]
+      };
+
+      // Jobs interrupted by a service worker restart start over
+      for (const job of state.jobs.filter(job => job.status === 'running')) {
+        if (job.windowId) await chrome.windows.remove(job.windowId).catch(() => {});
+        Object.assign(job, { status: 'pending', windowId: null, tabId: null, progress: '' });
+      }
+
+      await save();
+      pump();
+    });
+
+    return ready;
+  }
+
+  /**
+   * Resolves once the saved queue is loaded
+   */
+  function whenReady() {
+    return ready || Promise.reject(new Error('Scan queue not initialized'));
+  }
+
+  function save() {
+    return chrome.storage.local.set({ [STORAGE_KEY]: state });
+  }
+
+  /**
+   * `persist` is false for progress text, which changes too often to store
+   */
+  function changed(persist = true) {
+    if (persist) save().catch(error => console.error('Failed to save scan queue:', error));
+    if (callbacks.onChange) callbacks.onChange(getState());
+  }
+
+  /**
+   * Current queue: { jobs, concurrency, paused, counts }
+   */
+  function getState() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    state.jobs.forEach(job => counts[job.status]++);
+    return {
+      jobs: state.jobs,
+      concurrency: state.concurrency,
+      maxConcurrency: MAX_CONCURRENCY,
+      paused: state.paused,
+      counts
+    };
+  }
+
+  /**
+   * Canonical form of a Mobbin URL, or null for anything else
+   */
+  function normalizeUrl(text) {
+    let url;
+    try {
+      url = new URL(String(text).trim());
+    } catch {
+      return null;
+    }
+
+    if (url.protocol !== 'https:' || !/(^|\.)mobbin\.com$/.test(url.hostname)) return null;
+    return url.origin + url.pathname.replace(/\/+$/, '');
+  }
+
+  /**
+   * Queue URLs; ones already waiting or running are skipped.
+   * Returns { added, duplicates, invalid }.
+   */
+  async function addUrls(urls) {
+    await ready;
+
+    const active = new Set(state.jobs
+      .filter(job => job.status === 'pending' || job.status === 'running')
+      .map(job => job.url));
+    const result = { added: 0, duplicates: 0, invalid: 0 };
+
+    urls.forEach(text => {
+      const url = normalizeUrl(text);
+      if (!url) {
+        result.invalid++;
+        return;
+      }
+      if (active.has(url)) {
+        result.duplicates++;
+        return;
+      }
+
+      active.add(url);
+      state.jobs.push({
+        id: crypto.randomUUID(),
+        url,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        progress: '',
+        dateAdded: Date.now()
+      });
+      result.added++;
+    });
+
+    changed();
+    pump();
+    return result;
+  }
+
+  /**
+   * Remove a job, stopping it if it is running
+   */
+  async function remove(jobId) {
+    await ready;
+
+    const job = state.jobs.find(j => j.id === jobId);
+    if (!job) return;
+
+    state.jobs = state.jobs.filter(j => j !== job);
+    if (job.status === 'running') {
+      job.status = 'cancelled';
+      if (job.windowId) chrome.windows.remove(job.windowId).catch(() => {});
+    }
+
+    changed();
+    pump();
+  }
+
+  /**
+   * Queue a failed job again with fresh attempts
+   */
+  async function retry(jobId) {
+    await ready;
+
+    const job = state.jobs.find(j => j.id === jobId);
+    if (!job || job.status !== 'failed') return;
+
+    Object.assign(job, { status: 'pending', attempts: 0, error: null, retryAt: null });
+    changed();
+    pump();
+  }
+
+  /**
+   * Drop finished and failed jobs from the list
+   */
+  async function clearFinished() {
+    await ready;
+    state.jobs = state.jobs.filter(job => job.status === 'pending' || job.status === 'running');
+    changed();
+  }
+
+  /**
+   * Number of scans run side by side (1 to MAX_CONCURRENCY)
+   */
+  async function setConcurrency(value) {
+    await ready;
+    state.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(value, 10) || 1));
+    changed();
+    pump();
+  }
+
+  /**
+   * Pause or resume starting new jobs; running ones finish either way
+   */
+  async function setPaused(paused) {
+    await ready;
+    state.paused = Boolean(paused);
+    changed();
+    pump();
+  }
+
+  /**
+   * Show a content script's progress message on its job
+   */
+  function handleProgress(tabId, text) {
+    const job = state && state.jobs.find(j => j.status === 'running' && j.tabId === tabId);
+    if (!job) return;
+
+    job.progress = text;
+    changed(false);
+  }
+
+  /**
+   * Pass on chrome.alarms events; the retry alarm starts jobs now due
+   */
+  function handleAlarm(alarm) {
+    if (alarm.name !== RETRY_ALARM || !ready) return;
+    ready.then(pump);
+  }
+
+  /**
+   * Start as many waiting jobs as the concurrency allows
+   */
+  function pump() {
+    if (!state || state.paused) return;
+
+    const now = Date.now();
+    let slots = state.concurrency - state.jobs.filter(job => job.status === 'running').length;
+    let nextRetry = Infinity;
+
+    for (const job of state.jobs) {
+      if (slots <= 0) break;
+      if (job.status !== 'pending') continue;
+
+      if (job.retryAt && job.retryAt > now) {
+        nextRetry = Math.min(nextRetry, job.retryAt);
+        continue;
+      }
+
+      slots--;
+      runJob(job);
+    }
+
+    // Come back for jobs waiting to be retried
+    if (slots > 0 && nextRetry !== Infinity) {
+      chrome.alarms.create(RETRY_ALARM, { when: nextRetry });
+    } else {
+      chrome.alarms.clear(RETRY_ALARM);
+    }
+
+    const active = state.jobs.some(job => job.status === 'pending' || job.status === 'running');
+    if (!active && state.finishPending) {
+      state.finishPending = false;
+      changed();
+      if (callbacks.onFinished) callbacks.onFinished(getState().counts);
+    }
+  }
+
+  /**
+   * Scan one job's URL in its own window
+   */
+  async function runJob(job) {
+    Object.assign(job, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      error: null,
+      retryAt: null,
+      progress: 'Opening page...',
+      dateStarted: Date.now()
+    });
+    state.finishPending = true;
+    changed();
+
+    try {
+      const win = await chrome.windows.create({ ...WINDOW_OPTIONS, url: job.url });
+      job.windowId = win.id;
+      job.tabId = win.tabs[0].id;
+      if (job.status === 'cancelled') return;
+
+      await waitForTabComplete(job.tabId);
+      await ScanSessions.waitForPage(job.tabId);
+
+      job.progress = 'Scanning...';
+      changed(false);
+
+      await ScanSessions.start(job.tabId);
+      const result = await withTimeout(
+        ScanSessions.whenFinished(job.tabId),
+        SCAN_TIMEOUT,
+        'Scan timed out'
+      );
+      if (!result || result.status !== 'success') {
+        throw new Error(result?.message || 'Scan failed');
+      }
+
+      Object.assign(job, {
+        status: 'done',
+        appId: result.appId,
+        appName: result.appName,
+        screenCount: result.count,
+        changes: result.changes || null,
+        progress: '',
+        dateFinished: Date.now()
+      });
+    } catch (error) {
+      if (job.status === 'cancelled') return;
+
+      console.warn(`Scan of ${job.url} failed (attempt ${job.attempts}):`, error);
+      job.error = error.message || 'Scan failed';
+      job.progress = '';
+
+      if (job.attempts < MAX_ATTEMPTS) {
+        job.status = 'pending';
+        job.retryAt = Date.now() + RETRY_DELAY * job.attempts;
+      } else {
+        job.status = 'failed';
+        job.dateFinished = Date.now();
+      }
+    } finally {
+      if (job.windowId) chrome.windows.remove(job.windowId).catch(() => {});
+      job.windowId = null;
+      job.tabId = null;
+
+      if (job.status !== 'cancelled') {
+        changed();
+        pump();
+      }
+    }
+  }
+
+  /**
+   * Resolve once a tab has finished loading
+   */
+  function waitForTabComplete(tabId) {
+    return new Promise((resolve, reject) => {
+      const listener = (id, info) => {
+        if (id === tabId && info.status === 'complete') finish();
+      };
+      const finish = (error) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        error ? reject(error) : resolve();
+      };
+      const timer = setTimeout(() => finish(new Error('Page took too long to load')), PAGE_LOAD_TIMEOUT);
+
+      chrome.tabs.onUpdated.addListener(listener);
+      chrome.tabs.get(tabId)
+        .then(tab => {
+          if (tab.status === 'complete') finish();
+        })
+        .catch(finish);
+    });
+  }
+
+  function withTimeout(promise, ms, message) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  return {
+    STORAGE_KEY,
+    init,
+    whenReady,
+    getState,
+    normalizeUrl,
+    addUrls,
+    remove,
+    retry,
+    clearFinished,
+    setConcurrency,
+    setPaused,
+    handleProgress,
+    handleAlarm
+  };
+})();
@@ -0,0 +1,383 @@
+// scan-sessions.js - v3
+// Scans of a single tab, owned by the background service worker
+//
+// The content script reports its progress here and checkpoints the screens
+// found so far with its scroll position. Sessions are kept in
+// chrome.storage.local, so closing the popup or restarting the service
+// worker loses nothing, and a scan whose tab reloads resumes from its last
+// checkpoint.
+
+const ScanSessions = (() => {
+  const STORAGE_KEY = 'scanSessions';
+  const MAX_RESUMES = 3;
+  const PAGE_READY_TIMEOUT = 15000;
+  const POLL_INTERVAL = 500;
+  const BADGE_COLORS = { scanning: '#3b82f6', error: '#ef4444' };
+
+  let sessions = null;
+  let ready = null;
+  let onChange = null;
+
+  // tabId -> callbacks waiting for that tab's scan to end
+  const waiters = new Map();
+
+  // Tabs waiting for their page before a resume
+  const resuming = new Set();
+
+  /**
+   * Load saved sessions and start following tab reloads.
+   * `onChange(session)` runs after every change.
+   */
+  function init(options = {}) {
+    onChange = options.onChange || null;
+    if (ready) return ready;
+
+    chrome.tabs.onUpdated.addListener(handleTabUpdated);
+    chrome.tabs.onRemoved.addListener(handleTabRemoved);
+
+    ready = chrome.storage.local.get(STORAGE_KEY).then(async stored => {
+      sessions = stored[STORAGE_KEY] || {};
+
+      // Forget tabs closed while the service worker was stopped
+      for (const tabId of Object.keys(sessions)) {
+        const exists = await chrome.tabs.get(Number(tabId)).then(() => true, () => false);
+        if (!exists) delete sessions[tabId];
+      }
+
+      await save();
+      Object.values(sessions).forEach(updateTabBadge);
+      updateBadge();
+    });
+
+    return ready;
+  }
+
+  function save() {
+    return chrome.storage.local.set({ [STORAGE_KEY]: sessions });
+  }
+
+  function isActive(session) {
+    return session.status === 'scanning' || session.status === 'interrupted';
+  }
+
+  /**
+   * A session without its checkpoint, for the popup
+   */
+  function summary(session) {
+    if (!session) return null;
+    const { checkpoint, run, ...rest } = session;
+    return rest;
+  }
+
+  /**
+   * `persist` is false for progress text, which changes too often to store
+   */
+  function changed(session, persist = true) {
+    session.dateUpdated = Date.now();
+    if (persist) save().catch(error => console.error('Failed to save scan sessions:', error));
+
+    updateTabBadge(session);
+    updateBadge();
+    if (onChange) onChange(summary(session));
+  }
+
+  /**
+   * Current scan of a tab, or null
+   */
+  async function get(tabId) {
+    await ready;
+    return summary(sessions[tabId]);
+  }
+
+  /**
+   * Number of scans running in any tab
+   */
+  function getActiveCount() {
+    return sessions ? Object.values(sessions).filter(isActive).length : 0;
+  }
+
+  /**
+   * Start scanning a tab whose content script is loaded. `options` are
+   * passed on to the content script (e.g. { collectionName }).
+   */
+  async function start(tabId, options = {}) {
+    await ready;
+
+    const current = sessions[tabId];
+    if (current && isActive(current)) {
+      throw new Error('A scan is already running in this tab');
+    }
+
+    const ping = await chrome.tabs.sendMessage(tabId, { action: 'ping' }).catch(() => null);
+    if (!ping) throw new Error('Lost connection to page. Try refreshing.');
+    if (ping.scraping) throw new Error('A scan is already running in this tab');
+
+    const tab = await chrome.tabs.get(tabId);
+    const now = Date.now();
+    const session = {
+      tabId,
+      url: tab.url,
+      options,
+      basePath: null,
+      status: 'scanning',
+      progress: 'Initializing scan...',
+      count: 0,
+      checkpoint: null,
+      result: null,
+      error: null,
+      resumes: 0,
+      run: 0,
+      dateStarted: now,
+      dateUpdated: now,
+      dateFinished: null
+    };
+
+    sessions[tabId] = session;
+    changed(session);
+    sendScrape(session, null);
+    return summary(session);
+  }
+
+  /**
+   * Resolves with the content script's result when the tab's scan ends
+   */
+  function whenFinished(tabId) {
+    return new Promise(resolve => {
+      if (!waiters.has(tabId)) waiters.set(tabId, []);
+      waiters.get(tabId).push(resolve);
+    });
+  }
+
+  /**
+   * Ask the content script to scrape, from `resume` if given. The result
+   * arrives as a separate scan_finished message, so it isn't lost if the
+   * service worker restarts meanwhile.
+   */
+  function sendScrape(session, resume) {
+    const run = ++session.run;
+
+    chrome.tabs.sendMessage(session.tabId, { action: 'start_scrape', resume, options: session.options })
+      .catch(() => {
+        // Superseded by a resume, or already over
+        if (sessions[session.tabId] !== session || session.run !== run || !isActive(session)) return;
+        recover(session);
+      });
+  }
+
+  /**
+   * The page went away mid-scan: wait for a reload, or carry on now if the
+   * tab has already loaded again
+   */
+  async function recover(session) {
+    const tab = await chrome.tabs.get(session.tabId).catch(() => null);
+    if (!tab) {
+      finish(session.tabId, { status: 'error', message: 'The tab was closed during the scan' });
+      return;
+    }
+
+    if (tab.status === 'loading') {
+      session.status = 'interrupted';
+      session.progress = 'Page reloaded, waiting to resume...';
+      changed(session);
+      return;
+    }
+
+    resume(session, tab);
+  }
+
+  /**
+   * Continue an interrupted scan from its last checkpoint
+   */
+  async function resume(session, tab) {
+    if (resuming.has(session.tabId)) return;
+
+    if (session.basePath && new URL(tab.url).pathname.indexOf(session.basePath) !== 0) {
+      finish(session.tabId, { status: 'error', message: 'The page changed during the scan' });
+      return;
+    }
+
+    if (session.resumes >= MAX_RESUMES) {
+      finish(session.tabId, { status: 'error', message: 'The scan was interrupted too many times' });
+      return;
+    }
+
+    const run = ++session.run;
+    session.resumes++;
+    session.status = 'scanning';
+    session.progress = session.checkpoint
+      ? `Resuming scan from ${session.checkpoint.screens.length} screens...`
+      : 'Restarting scan...';
+    changed(session);
+
+    resuming.add(session.tabId);
+    try {
+      await waitForPage(session.tabId);
+    } catch (error) {
+      if (session.run === run) finish(session.tabId, { status: 'error', message: error.message });
+      return;
+    } finally {
+      resuming.delete(session.tabId);
+    }
+
+    if (sessions[session.tabId] === session && session.run === run) {
+      sendScrape(session, session.checkpoint);
+    }
+  }
+
+  /**
+   * Progress message from a tab's content script
+   */
+  function handleProgress(tabId, { text, count, checkpoint }) {
+    const session = sessions && sessions[tabId];
+    if (!session || session.status !== 'scanning') return;
+
+    session.progress = text;
+    if (count !== undefined) session.count = count;
+    if (checkpoint) {
+      session.checkpoint = checkpoint;
+      session.basePath = checkpoint.basePath;
+    }
+
+    changed(session, Boolean(checkpoint));
+  }
+
+  /**
+   * Result message from a tab's content script
+   */
+  async function handleFinished(tabId, result) {
+    await ready;
+    if (sessions[tabId] && isActive(sessions[tabId])) finish(tabId, result);
+  }
+
+  function finish(tabId, result) {
+    const session = sessions[tabId];
+    const success = result.status === 'success';
+
+    Object.assign(session, {
+      status: success ? 'done' : result.status === 'aborted' ? 'aborted' : 'error',
+      progress: '',
+      checkpoint: null,
+      error: success ? null : result.message || 'Scan failed',
+      result: success
+        ? {
+          appId: result.appId,
+          appName: result.appName,
+          count: result.count,
+          isUpdate: result.isUpdate,
+          changes: result.changes || null,
+          // Pages listing many apps are saved as a collection
+          collectionId: result.collectionId || null,
+          collectionName: result.collectionName || null,
+          appCount: result.appCount || 1,
+          skipped: result.skipped || 0
+        }
+        : null,
+      dateFinished: Date.now()
+    });
+    if (success) session.count = result.count;
+    session.run++;
+
+    changed(session);
+    resolveWaiters(tabId, result);
+  }
+
+  function resolveWaiters(tabId, result) {
+    (waiters.get(tabId) || []).forEach(resolve => resolve(result));
+    waiters.delete(tabId);
+  }
+
+  /**
+   * A loaded page with an unfinished scan that its content script no
+   * longer runs was reloaded
+   */
+  async function handleTabUpdated(tabId, info, tab) {
+    if (info.status !== 'complete') return;
+    await ready;
+
+    const session = sessions[tabId];
+    if (!session || !isActive(session)) return;
+
+    // Navigating between an app's tabs also completes; the scan goes on
+    const ping = await chrome.tabs.sendMessage(tabId, { action: 'ping' }).catch(() => null);
+    if (ping && ping.scraping) return;
+
+    resume(session, tab);
+  }
+
+  async function handleTabRemoved(tabId) {
+    await ready;
+    if (!sessions[tabId]) return;
+
+    delete sessions[tabId];
+    save().catch(() => {});
+    updateBadge();
+    resolveWaiters(tabId, { status: 'error', message: 'The tab was closed during the scan' });
+  }
+
+  /**
+   * Toolbar badge: the number of scans running
+   */
+  function updateBadge() {
+    const count = getActiveCount();
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.scanning }).catch(() => {});
+    chrome.action.setBadgeText({ text: count ? String(count) : '' }).catch(() => {});
+  }
+
+  /**
+   * Badge on a scanned tab: screens found so far, or "!" when it failed.
+   * Finished tabs fall back to the toolbar badge.
+   */
+  function updateTabBadge(session) {
+    const { tabId } = session;
+    let text = null;
+    let color = BADGE_COLORS.scanning;
+
+    if (isActive(session)) {
+      text = session.count ? String(session.count) : '…';
+    } else if (session.status === 'error') {
+      text = '!';
+      color = BADGE_COLORS.error;
+    }
+
+    chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  }
+
+  /**
+   * Wait until a tab's content script answers and the app has rendered
+   */
+  async function waitForPage(tabId) {
+    const deadline = Date.now() + PAGE_READY_TIMEOUT;
+    let injected = false;
+
+    while (Date.now() < deadline) {
+      try {
+        const meta = await chrome.tabs.sendMessage(tabId, { action: 'get_meta' });
+        if (meta && meta.name) return meta;
+      } catch (error) {
+        // Content script not there yet; inject it once in case the page
+        // was opened before the extension loaded
+        if (!injected) {
+          injected = true;
+          await chrome.scripting.executeScript({ target: { tabId }, files: ['lib/selector-profiles.js', 'content.js'] })
+            .catch(() => {});
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    throw new Error('Could not read the app on this page');
+  }
+
+  return {
+    STORAGE_KEY,
+    init,
+    get,
+    getActiveCount,
+    start,
+    whenFinished,
+    handleProgress,
+    handleFinished,
+    waitForPage
+  };
+})();
@@ -0,0 +1,123 @@
+// screen-compare.js - v3
+// Renders a comparison of screens from any apps as one PNG
+//
+// Side by side, every screen is scaled to the same width and top aligned,
+// so screens captured at different resolutions line up. As an onion skin,
+// one screen is drawn over another at the base's width.
+
+const ScreenCompare = (() => {
+  const MIN_SCREENS = 2;
+  const MAX_SCREENS = 4;
+
+  // Columns are as wide as the narrowest screen, up to this, so nothing is enlarged
+  const MAX_COLUMN_WIDTH = 720;
+  const PADDING = 48;
+  const GAP = 32;
+  const CAPTION_HEIGHT = 56;
+  const COLORS = { background: '#000000', title: '#ffffff', subtitle: '#a1a1aa' };
+  const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+  function loadBitmaps(items) {
+    return Promise.all(items.map(async item => createImageBitmap(await ImageCache.getBlob(item.url))));
+  }
+
+  /**
+   * Title and subtitle of a screen, cut to fit `width`
+   */
+  function drawCaption(ctx, { title, subtitle }, x, y, width) {
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = COLORS.title;
+    ctx.font = `600 18px ${FONT}`;
+    ctx.fillText(fitText(ctx, title || '', width), x, y);
+
+    ctx.fillStyle = COLORS.subtitle;
+    ctx.font = `14px ${FONT}`;
+    ctx.fillText(fitText(ctx, subtitle || '', width), x, y + 26);
+  }
+
+  function fitText(ctx, text, width) {
+    if (ctx.measureText(text).width <= width) return text;
+    let cut = text;
+    while (cut && ctx.measureText(`${cut}…`).width > width) cut = cut.slice(0, -1);
+    return `${cut}…`;
+  }
+
+  /**
+   * PNG of screens side by side. `items` are { url, title, subtitle }.
+   */
+  async function renderSideBySide(items) {
+    const bitmaps = await loadBitmaps(items);
+    try {
+      const columnWidth = Math.min(MAX_COLUMN_WIDTH, ...bitmaps.map(bitmap => bitmap.width));
+      const heights = bitmaps.map(bitmap => Math.round(bitmap.height * (columnWidth / bitmap.width)));
+
+      const canvas = new OffscreenCanvas(
+        PADDING * 2 + columnWidth * items.length + GAP * (items.length - 1),
+        PADDING * 2 + CAPTION_HEIGHT + Math.max(...heights)
+      );
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      items.forEach((item, index) => {
+        const x = PADDING + index * (columnWidth + GAP);
+        drawCaption(ctx, item, x, PADDING, columnWidth);
+        ctx.drawImage(bitmaps[index], x, PADDING + CAPTION_HEIGHT, columnWidth, heights[index]);
+      });
+
+      return canvas.convertToBlob({ type: 'image/png' });
+    } finally {
+      bitmaps.forEach(bitmap => bitmap.close());
+    }
+  }
+
+  /**
+   * PNG of `overlay` drawn over `base` at `opacity` (0-1), or as the
+   * difference of the two
+   */
+  async function renderOnionSkin(base, overlay, { opacity = 0.5, difference = false } = {}) {
+    const [baseBitmap, overlayBitmap] = await loadBitmaps([base, overlay]);
+    try {
+      const width = Math.min(baseBitmap.width, MAX_COLUMN_WIDTH * 2);
+      const baseHeight = Math.round(baseBitmap.height * (width / baseBitmap.width));
+      const overlayHeight = Math.round(overlayBitmap.height * (width / overlayBitmap.width));
+
+      const canvas = new OffscreenCanvas(
+        PADDING * 2 + width,
+        PADDING * 2 + CAPTION_HEIGHT + Math.max(baseHeight, overlayHeight)
+      );
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      const mode = difference ? 'difference' : `${Math.round(opacity * 100)}% over`;
+      drawCaption(ctx, {
+        title: `${overlay.title} (${mode})`,
+        subtitle: base.title
+      }, PADDING, PADDING, width);
+
+      const top = PADDING + CAPTION_HEIGHT;
+      ctx.drawImage(baseBitmap, PADDING, top, width, baseHeight);
+      ctx.save();
+      if (difference) {
+        ctx.globalCompositeOperation = 'difference';
+      } else {
+        ctx.globalAlpha = opacity;
+      }
+      ctx.drawImage(overlayBitmap, PADDING, top, width, overlayHeight);
+      ctx.restore();
+
+      return canvas.convertToBlob({ type: 'image/png' });
+    } finally {
+      baseBitmap.close();
+      overlayBitmap.close();
+    }
+  }
+
+  return {
+    MIN_SCREENS,
+    MAX_SCREENS,
+    renderSideBySide,
+    renderOnionSkin
+  };
+})();
@@ -0,0 +1,262 @@
+// screen-text.js - v3
+// Text visible in screen images, read on this device so it can be searched
+//
+// Recognition goes through an engine adapter. The default engine is
+// Tesseract (WASM, bundled under lib/vendor/tesseract), which works offline
+// in any Chrome; the browser's TextDetector is the fallback where
+// Tesseract isn't loaded. More engines can be added with register().
+//
+// Each read screen gets `ocr: { engine, text, lines, dateRead }`, where
+// every line is { text, box: { x, y, width, height } } in fractions of the
+// image size. Screens without text get an empty `text`, so they aren't
+// read again. Screens that can't be read get `textError` and
+// `textErrorAt`, and are only tried again when asked (retryFailed).
+
+const ScreenText = (() => {
+  const { promisify } = VaultDB;
+
+  /**
+   * TextDetector engine. Available in windows and dedicated workers only,
+   * so the service worker reads screens through an offscreen document.
+   */
+  const textDetectorEngine = {
+    id: 'text-detector',
+    label: 'Built-in text detection',
+
+    async isAvailable() {
+      if (typeof TextDetector === 'undefined') return false;
+      // Some builds define the class without a working implementation
+      try {
+        await new TextDetector().detect(new ImageData(1, 1));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async recognize(bitmap) {
+      const detected = await new TextDetector().detect(bitmap);
+      return detected
+        .map(block => ({
+          text: block.rawValue.trim(),
+          box: {
+            x: block.boundingBox.x / bitmap.width,
+            y: block.boundingBox.y / bitmap.height,
+            width: block.boundingBox.width / bitmap.width,
+            height: block.boundingBox.height / bitmap.height
+          }
+        }))
+        .filter(line => line.text)
+        // Reading order: top to bottom, then left to right
+        .sort((a, b) => (Math.abs(a.box.y - b.box.y) < 0.01 ? a.box.x - b.box.x : a.box.y - b.box.y));
+    }
+  };
+
+  const TESSERACT_DIR = 'lib/vendor/tesseract';
+
+  // Lines Tesseract is less sure of are mostly icons read as letters
+  const MIN_CONFIDENCE = 50;
+
+  let tesseractWorker = null;
+
+  /**
+   * The Tesseract worker, started on first use with the bundled files
+   */
+  function getTesseractWorker() {
+    if (!tesseractWorker) {
+      const fileUrl = file => chrome.runtime.getURL(`${TESSERACT_DIR}/${file}`);
+      tesseractWorker = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+        workerPath: fileUrl('worker.min.js'),
+        // Every Chrome with offscreen documents has WASM SIMD, so only that
+        // build is bundled
+        corePath: fileUrl('tesseract-core-simd-lstm.wasm.js'),
+        langPath: chrome.runtime.getURL(TESSERACT_DIR),
+        workerBlobURL: false,
+        cacheMethod: 'none'
+      });
+      tesseractWorker.catch(() => {
+        tesseractWorker = null;
+      });
+    }
+    return tesseractWorker;
+  }
+
+  /**
+   * Tesseract engine. Runs in a web worker, so like TextDetector it needs a
+   * window or offscreen document.
+   */
+  const tesseractEngine = {
+    id: 'tesseract',
+    label: 'Tesseract',
+
+    async isAvailable() {
+      return typeof Tesseract !== 'undefined' && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    },
+
+    async start() {
+      await getTesseractWorker();
+    },
+
+    async recognize(bitmap) {
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+      const worker = await getTesseractWorker();
+      const { data } = await worker.recognize(canvas, {}, { blocks: true });
+
+      // Blocks are already in reading order
+      return (data.blocks || [])
+        .flatMap(block => block.paragraphs)
+        .flatMap(paragraph => paragraph.lines)
+        .filter(line => line.confidence >= MIN_CONFIDENCE)
+        .map(line => ({
+          text: line.text.trim(),
+          box: {
+            x: line.bbox.x0 / bitmap.width,
+            y: line.bbox.y0 / bitmap.height,
+            width: (line.bbox.x1 - line.bbox.x0) / bitmap.width,
+            height: (line.bbox.y1 - line.bbox.y0) / bitmap.height
+          }
+        }))
+        .filter(line => line.text);
+    }
+  };
+
+  const engines = [tesseractEngine, textDetectorEngine];
+  let enginePromise = null;
+
+  /**
+   * Add an engine { id, label, isAvailable(), start?(), recognize(bitmap) },
+   * tried before the bundled ones. `start` loads the engine before the
+   * first screen, so an engine that can't load fails the whole run instead
+   * of every screen.
+   */
+  function register(engine) {
+    engines.unshift(engine);
+    enginePromise = null;
+  }
+
+  /**
+   * First available engine, or null
+   */
+  function getEngine() {
+    if (!enginePromise) {
+      enginePromise = (async () => {
+        for (const engine of engines) {
+          if (await engine.isAvailable().catch(() => false)) return engine;
+        }
+        return null;
+      })();
+    }
+    return enginePromise;
+  }
+
+  /**
+   * Read the screens of an app that haven't been read yet, leaving out
+   * ones that failed before unless `retryFailed`. Returns
+   * { recognized, failed, unavailable } where `unavailable` means no engine
+   * works in this context.
+   */
+  async function recognizeApp(appId, onProgress, { retryFailed = false } = {}) {
+    const engine = await getEngine();
+    if (!engine) return { recognized: 0, failed: 0, unavailable: true };
+
+    const screens = await VaultStore.getScreens(appId);
+    const unread = screens.filter(screen => !screen.ocr && (retryFailed || !screen.textError));
+    let recognized = 0;
+    let failed = 0;
+
+    if (unread.length > 0 && engine.start) await engine.start();
+
+    for (let index = 0; index < unread.length; index++) {
+      const screen = unread[index];
+      try {
+        const bitmap = await createImageBitmap(await ImageCache.getBlob(screen.url));
+        let lines;
+        try {
+          lines = await engine.recognize(bitmap);
+        } finally {
+          bitmap.close();
+        }
+
+        await saveResult(screen.id, {
+          ocr: {
+            engine: engine.id,
+            text: lines.map(line => line.text).join('\n'),
+            lines,
+            dateRead: Date.now()
+          }
+        });
+        recognized++;
+      } catch (error) {
+        console.warn('Could not read screen text:', screen.url, error);
+        await saveResult(screen.id, {
+          textError: error.message || 'Could not read screen text',
+          textErrorAt: Date.now()
+        }).catch(() => {});
+        failed++;
+      }
+      if (onProgress) onProgress({ appId, done: index + 1, total: unread.length });
+    }
+
+    return { recognized, failed, unavailable: false };
+  }
+
+  // Re-read the record so edits made meanwhile (notes, tags) are kept; a
+  // new result replaces any earlier failure
+  function saveResult(screenId, changes) {
+    return VaultDB.transaction('screens', 'readwrite', async tx => {
+      const store = tx.objectStore('screens');
+      const record = await promisify(store.get(screenId));
+      if (!record) return;
+      const { textError, textErrorAt, ...rest } = record;
+      store.put({ ...rest, ...changes });
+    });
+  }
+
+  /**
+   * Number of screens not read yet, per app id, including ones that failed
+   */
+  async function getUnreadCounts() {
+    const screens = await VaultDB.getAll('screens');
+    const counts = new Map();
+    screens.forEach(screen => {
+      if (!screen.ocr) counts.set(screen.appId, (counts.get(screen.appId) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * Text read from screens, per app id: [{ screenId, text }] in page order
+   */
+  async function getTextByApp() {
+    const screens = await VaultDB.getAll('screens');
+    const texts = new Map();
+    screens
+      .filter(screen => screen.ocr && screen.ocr.text)
+      .sort((a, b) => a.position - b.position)
+      .forEach(screen => {
+        if (!texts.has(screen.appId)) texts.set(screen.appId, []);
+        // One line, so phrases broken over lines still match
+        texts.get(screen.appId).push({ screenId: screen.id, text: screen.ocr.text.replace(/\s+/g, ' ') });
+      });
+    return texts;
+  }
+
+  /**
+   * Lines of a screen containing `query` (lowercase)
+   */
+  function findLines(screen, query) {
+    if (!query || !screen.ocr) return [];
+    return screen.ocr.lines.filter(line => line.text.toLowerCase().includes(query));
+  }
+
+  return {
+    register,
+    getEngine,
+    recognizeApp,
+    getUnreadCounts,
+    getTextByApp,
+    findLines
+  };
+})();
@@ -0,0 +1,472 @@
+// search-query.js - v3
+// Query language of the library search
+//
+//   screens:>40 added:<30d platform:ios tag:fintech "onboarding"
+//
+// - Words and "quoted phrases" are free text, matched against the fields
+//   the caller ranks by (words also fuzzily, e.g. "spotfy" finds Spotify)
+// - field:value filters by a field; numbers and dates take >, >=, <, <=
+//   and ranges (screens:10..40). Dates are YYYY-MM-DD, YYYY-MM or an age
+//   such as 12h, 30d, 6w, 3m or 1y (added:<30d = added in the last 30 days)
+// - Terms must all match; OR (or |) between terms matches either
+// - -term or NOT term leaves matches out; (parentheses) group terms
+//
+// Fields are defined by the caller: createSearch(fields, textFields).
+
+const SearchQuery = (() => {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const AGE_UNITS = { h: HOUR, d: DAY, w: 7 * DAY, m: 30 * DAY, y: 365 * DAY };
+
+  const SYNTAX_HELP = 'field:value · screens:>40 · added:<30d · -exclude · a OR b · "exact phrase"';
+
+  /**
+   * Split a query into tokens with their positions. Unclosed quotes are
+   * reported in `errors` and run to the end.
+   */
+  function tokenize(input, errors) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+      const open = i;
+      const close = input.indexOf('"', i + 1);
+      if (close === -1) {
+        errors.push({ start: open, end: input.length, message: 'Missing closing quote' });
+        i = input.length;
+        return input.slice(open + 1);
+      }
+      i = close + 1;
+      return input.slice(open + 1, close);
+    };
+
+    while (i < input.length) {
+      const char = input[i];
+      const start = i;
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, start, end: ++i });
+      } else if (char === '|') {
+        tokens.push({ type: 'or', start, end: ++i });
+      } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        tokens.push({ type: 'not', start, end: ++i });
+      } else if (char === '"') {
+        const value = readQuoted();
+        tokens.push({ type: 'term', value, phrase: true, start, end: i });
+      } else {
+        while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+        const word = input.slice(start, i);
+        const field = /^([a-z]+):(.*)$/i.exec(word);
+
+        if (word === 'OR') {
+          tokens.push({ type: 'or', start, end: i });
+        } else if (word === 'NOT') {
+          tokens.push({ type: 'not', start, end: i });
+        } else if (word === 'AND') {
+          // Terms are joined by AND anyway
+        } else if (field) {
+          // field:"quoted value"
+          let value = field[2];
+          if (value === '' && input[i] === '"') value = readQuoted();
+          tokens.push({ type: 'field', field: field[1].toLowerCase(), value, start, end: i, valueStart: start + field[1].length + 1 });
+        } else {
+          tokens.push({ type: 'term', value: word, phrase: false, start, end: i });
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a numeric or date comparison: { min, max } (either may be null),
+   * or a string describing what is wrong
+   */
+  function parseRange(value, parseValue) {
+    const range = /^(.+)\.\.(.+)$/.exec(value);
+    if (range) {
+      const from = parseValue(range[1], 'from');
+      const to = parseValue(range[2], 'to');
+      if (typeof from === 'string') return from;
+      if (typeof to === 'string') return to;
+      return { min: Math.min(from.min, to.min), max: Math.max(from.max, to.max) };
+    }
+
+    const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+    const op = match[1] || '=';
+    const parsed = parseValue(match[2], op);
+    if (typeof parsed === 'string') return parsed;
+
+    switch (op) {
+      case '>': return { min: parsed.max, max: null, exclusive: true };
+      case '>=': return { min: parsed.min, max: null };
+      case '<': return { min: null, max: parsed.min, exclusive: true };
+      case '<=': return { min: null, max: parsed.max };
+      default: return parsed;
+    }
+  }
+
+  function parseNumber(text) {
+    if (!/^\d+(\.\d+)?$/.test(text)) return `"${text}" is not a number`;
+    const number = Number(text);
+    return { min: number, max: number };
+  }
+
+  /**
+   * A date or age as a span of timestamps. Ages count back from now, so
+   * their comparisons flip: <30d means less than 30 days ago.
+   */
+  function parseDate(text, op) {
+    const age = /^(\d+)([hdwmy])$/i.exec(text);
+    if (age) {
+      const time = Date.now() - Number(age[1]) * AGE_UNITS[age[2].toLowerCase()];
+      // added:30d alone means within the last 30 days
+      if (op === '=') return { min: time, max: Date.now() };
+      return { min: time, max: time };
+    }
+
+    const date = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(text);
+    if (date) {
+      const [, year, month, day] = date.map(Number);
+
+      // Date rolls invalid parts over (2024-02-31 is March 2), so check them
+      const hasDay = date[3] !== undefined;
+      if (month < 1 || month > 12 || (hasDay && (day < 1 || day > new Date(year, month, 0).getDate()))) {
+        return `"${text}" is not a date`;
+      }
+
+      const start = new Date(year, month - 1, day || 1).getTime();
+      const end = day ? new Date(year, month - 1, day + 1).getTime() - 1 : new Date(year, month, 1).getTime() - 1;
+      if (Number.isNaN(start)) return `"${text}" is not a date`;
+      return { min: start, max: end };
+    }
+
+    return `"${text}" is not a date (use 2024-05-01, 2024-05 or an age like 30d)`;
+  }
+
+  function parseDateRange(value) {
+    // Flip the comparison for ages: <30d is newer than 30 days ago
+    const flipped = value.replace(/^(>=|<=|>|<)(?=\d+[hdwmy]$)/i, op => ({ '>': '<', '<': '>', '>=': '<=', '<=': '>=' })[op]);
+    return parseRange(flipped, parseDate);
+  }
+
+  function inRange(value, range) {
+    if (value === null || value === undefined) return false;
+    if (range.min !== null && (range.exclusive ? value <= range.min : value < range.min)) return false;
+    if (range.max !== null && (range.exclusive ? value >= range.max : value > range.max)) return false;
+    return true;
+  }
+
+  /**
+   * Edit distance between two words, stopping early past `limit`
+   */
+  function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > limit) return limit + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Typos allowed in a word of this length
+  function allowedTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 7 ? 1 : 2;
+  }
+
+  /**
+   * How well a free text term matches one value: exact 4, prefix 3, word
+   * start 2, inside 1, fuzzy 0.5, else 0
+   */
+  function matchValue(value, term, fuzzy) {
+    if (value === term) return 4;
+    if (value.startsWith(term)) return 3;
+
+    const index = value.indexOf(term);
+    if (index > 0) return /[^a-z0-9]/.test(value[index - 1]) ? 2 : 1;
+
+    const typos = allowedTypos(term);
+    if (fuzzy && typos > 0) {
+      const words = value.split(/[^a-z0-9]+/);
+      if (words.some(word => editDistance(word, term, typos) <= typos)) return 0.5;
+    }
+    return 0;
+  }
+
+  /**
+   * A search over documents with the given fields:
+   *
+   *   fields: { name: { type, get(doc), values?, match?(doc, value), validate?(value), description } }
+   *     type 'text' (substring), 'keyword' (exact), 'number', 'date' or
+   *     'custom' (match decides); get returns a value or an array of them
+   *   textFields: [{ get(doc), weight, fuzzy }] that free text is ranked on
+   */
+  function createSearch(fields, textFields) {
+    const fieldNames = Object.keys(fields);
+
+    /**
+     * Parse a query: { root, errors: [{ start, end, message }], terms,
+     * tokens }. `terms` are the lowercase texts searched for, e.g. for
+     * highlighting.
+     */
+    function parse(input) {
+      const errors = [];
+      const tokens = tokenize(input, errors);
+      const terms = [];
+      let index = 0;
+
+      const peek = () => tokens[index];
+
+      // Each parse step returns a node, or null when it holds no terms
+      const parseOr = (depth) => {
+        const children = [];
+        let left = parseAnd(depth);
+        if (left) children.push(left);
+
+        while (peek() && peek().type === 'or') {
+          const or = tokens[index++];
+          const right = parseAnd(depth);
+          if (!left || !right) {
+            errors.push({ start: or.start, end: or.end, message: 'OR needs a term on both sides' });
+          }
+          if (right) children.push(right);
+          left = right;
+        }
+
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : { type: 'or', children };
+      };
+
+      // Inside parentheses, stop at the closing one
+      const parseAnd = (depth) => {
+        const children = [];
+        while (peek() && peek().type !== 'or' && !(peek().type === ')' && depth > 0)) {
+          const node = parseUnary(depth, false);
+          if (node) children.push(node);
+        }
+
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : { type: 'and', children };
+      };
+
+      const parseUnary = (depth, negated) => {
+        const token = tokens[index++];
+
+        if (token.type === 'not') {
+          if (!peek() || peek().type === 'or' || peek().type === ')') {
+            errors.push({ start: token.start, end: token.end, message: 'Nothing to exclude' });
+            return null;
+          }
+          const child = parseUnary(depth, !negated);
+          return child && { type: 'not', child };
+        }
+
+        if (token.type === '(') {
+          const child = parseOr(depth + 1);
+          if (peek() && peek().type === ')') {
+            index++;
+          } else {
+            errors.push({ start: token.start, end: token.end, message: 'Missing closing parenthesis' });
+          }
+          return child;
+        }
+
+        if (token.type === ')') {
+          errors.push({ start: token.start, end: token.end, message: 'Unexpected closing parenthesis' });
+          return null;
+        }
+
+        if (token.type === 'field') return parseField(token, negated);
+
+        const value = token.value.toLowerCase();
+        if (!value) return null;
+        if (!negated) terms.push(value);
+        return { type: 'term', value, phrase: token.phrase };
+      };
+
+      const parseField = (token, negated) => {
+        const definition = fields[token.field];
+        const valueError = message => {
+          errors.push({ start: token.valueStart, end: token.end, message });
+          return null;
+        };
+
+        if (!definition) {
+          const suggestion = fieldNames.find(name => editDistance(name, token.field, 2) <= 2);
+          errors.push({
+            start: token.start,
+            end: token.valueStart - 1,
+            message: `Unknown field "${token.field}"` + (suggestion ? `, did you mean ${suggestion}?` : '')
+          });
+          return null;
+        }
+
+        if (!token.value) return valueError(`${token.field}: needs a value`);
+        const value = token.value.toLowerCase();
+
+        if (definition.type === 'number' || definition.type === 'date') {
+          const range = definition.type === 'number' ? parseRange(value, parseNumber) : parseDateRange(value);
+          if (typeof range === 'string') return valueError(range);
+          return { type: 'field', field: token.field, range };
+        }
+
+        if (definition.validate) {
+          const problem = definition.validate(value);
+          if (problem) return valueError(problem);
+        }
+        if (definition.type === 'text' && !negated) terms.push(value);
+        return { type: 'field', field: token.field, value };
+      };
+
+      const root = parseOr(0);
+      return { root, errors, terms, tokens };
+    }
+
+    function values(doc, get) {
+      const value = get(doc);
+      return (Array.isArray(value) ? value : [value]).filter(v => v !== null && v !== undefined && v !== '');
+    }
+
+    /**
+     * Relevance of a free text term for a document, 0 if it doesn't match
+     */
+    function scoreTerm(doc, node) {
+      let best = 0;
+      textFields.forEach(({ get, weight, fuzzy }) => {
+        values(doc, get).forEach(value => {
+          const text = String(value).toLowerCase();
+          const score = node.phrase
+            ? (text.includes(node.value) ? 1 : 0)
+            : matchValue(text, node.value, fuzzy);
+          best = Math.max(best, score * weight);
+        });
+      });
+      return best;
+    }
+
+    function matchField(doc, node) {
+      const definition = fields[node.field];
+      if (definition.type === 'custom') return definition.match(doc, node.value);
+
+      const docValues = values(doc, definition.get);
+      switch (definition.type) {
+        case 'number':
+        case 'date':
+          return docValues.some(value => inRange(value, node.range));
+        case 'keyword':
+          return docValues.some(value => String(value).toLowerCase() === node.value);
+        default:
+          return docValues.some(value => String(value).toLowerCase().includes(node.value));
+      }
+    }
+
+    /**
+     * Whether a document matches, and its relevance: { matches, score }
+     */
+    function evaluate(node, doc) {
+      if (!node) return { matches: true, score: 0 };
+
+      switch (node.type) {
+        case 'term': {
+          const score = scoreTerm(doc, node);
+          return { matches: score > 0, score };
+        }
+        case 'field':
+          return { matches: matchField(doc, node), score: 0 };
+        case 'not':
+          return { matches: !evaluate(node.child, doc).matches, score: 0 };
+        case 'and': {
+          let score = 0;
+          for (const child of node.children) {
+            const result = evaluate(child, doc);
+            if (!result.matches) return { matches: false, score: 0 };
+            score += result.score;
+          }
+          return { matches: true, score };
+        }
+        case 'or': {
+          let matches = false;
+          let score = 0;
+          node.children.forEach(child => {
+            const result = evaluate(child, doc);
+            if (result.matches) {
+              matches = true;
+              score = Math.max(score, result.score);
+            }
+          });
+          return { matches, score };
+        }
+        default:
+          return { matches: true, score: 0 };
+      }
+    }
+
+    /**
+     * Completions for the word at `cursor`: field names, or a field's known
+     * values. Each is { label, description, replace: { start, end }, text }.
+     */
+    function suggest(input, cursor) {
+      let start = cursor;
+      while (start > 0 && !/[\s()]/.test(input[start - 1])) start--;
+      let end = cursor;
+      while (end < input.length && !/[\s()]/.test(input[end])) end++;
+
+      let word = input.slice(start, cursor);
+      if (word.startsWith('-')) {
+        word = word.slice(1);
+        start++;
+      }
+
+      const field = /^([a-z]+):(.*)$/i.exec(word);
+      if (field) {
+        const definition = fields[field[1].toLowerCase()];
+        if (!definition || !definition.values) return [];
+        const prefix = field[2].toLowerCase();
+        return definition.values()
+          .filter(value => value.toLowerCase().startsWith(prefix) && value.toLowerCase() !== prefix)
+          .slice(0, 8)
+          .map(value => ({
+            label: `${field[1]}:${value}`,
+            description: '',
+            replace: { start, end },
+            text: `${field[1]}:${/\s/.test(value) ? `"${value}"` : value} `
+          }));
+      }
+
+      if (!word || word.includes('"')) return [];
+      const prefix = word.toLowerCase();
+      return fieldNames
+        .filter(name => name.startsWith(prefix))
+        .map(name => ({
+          label: `${name}:`,
+          description: fields[name].description || '',
+          replace: { start, end },
+          text: `${name}:`
+        }));
+    }
+
+    return {
+      fields,
+      parse,
+      evaluate: (query, doc) => evaluate(query.root, doc),
+      suggest
+    };
+  }
+
+  return {
+    SYNTAX_HELP,
+    createSearch
+  };
+})();
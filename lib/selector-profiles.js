@@ -0,0 +1,367 @@
+// selector-profiles.js - v3
+// CSS selectors the content script reads Mobbin pages with, grouped in
+// profiles so a Mobbin DOM change can be fixed without a new release
+//
+// A profile is { id, name, selectors }, `selectors` mapping each key of
+// SELECTOR_KEYS to a list of CSS selectors tried together. Keys a user
+// profile leaves empty use the built-in Mobbin selectors. The built-in
+// profiles are fixed; user profiles live in chrome.storage.local under
+// `selectorProfiles` as { activeId, fallback, profiles }. With `fallback`
+// on, a scan that finds no screens with the active profile tries the
+// others in order.
+
+const SelectorProfiles = (() => {
+  const STORAGE_KEY = 'selectorProfiles';
+  const EXPORT_FORMAT = 'mobbin-vault-selectors';
+  const EXPORT_VERSION = 1;
+  const MAX_NAME_LENGTH = 60;
+
+  const SELECTOR_KEYS = [
+    { key: 'logo', label: 'App logo' },
+    { key: 'screens', label: 'Screen images' },
+    { key: 'screenCell', label: 'Screen cells' },
+    { key: 'screenTitle', label: 'Screen titles' },
+    { key: 'screenPatterns', label: 'Pattern tags' },
+    { key: 'screenElements', label: 'Element tags' },
+    { key: 'flowSection', label: 'Flow sections' },
+    { key: 'flowTitle', label: 'Flow titles' },
+    { key: 'flowScreens', label: 'Flow screen images' },
+    { key: 'sourceAppLink', label: 'App links' }
+  ];
+
+  const DEFAULT_ID = 'mobbin';
+
+  const BUILT_IN_PROFILES = [
+    {
+      id: DEFAULT_ID,
+      name: 'Mobbin (built-in)',
+      builtIn: true,
+      selectors: {
+        logo: [
+          'img[data-sentry-component="AppLogoImage"]',
+          'img[data-sentry-source-file="AppLogoImage.tsx"]',
+          'div[data-sentry-component="AppLogo"] img',
+          'h1 + img',
+          'header img'
+        ],
+        screens: [
+          'div[data-sentry-component="ScreenCell"] img',
+          'div[data-sentry-component="ScreenCellImage"] img'
+        ],
+        screenCell: [
+          'div[data-sentry-component="ScreenCell"]',
+          'div[data-sentry-component="ScreenCellImage"]'
+        ],
+        screenTitle: [
+          '[data-sentry-component="ScreenCellTitle"]',
+          '[data-sentry-component="ScreenTitle"]',
+          'figcaption'
+        ],
+        screenPatterns: [
+          '[data-sentry-component="ScreenPatternTag"]',
+          'a[href*="screenPatterns"]',
+          'a[href*="/patterns/"]'
+        ],
+        screenElements: [
+          '[data-sentry-component="ScreenElementTag"]',
+          'a[href*="screenElements"]',
+          'a[href*="/ui-elements/"]'
+        ],
+        flowSection: [
+          '[data-sentry-component="FlowCell"]',
+          '[data-sentry-component="FlowSection"]',
+          '[data-sentry-component="FlowRow"]'
+        ],
+        flowTitle: [
+          '[data-sentry-component="FlowTitle"]',
+          '[data-sentry-component="FlowName"]',
+          'h2',
+          'h3'
+        ],
+        flowScreens: [
+          '[data-sentry-component="FlowScreenCell"] img',
+          '[data-sentry-component="ScreenCell"] img',
+          '[data-sentry-component="ScreenCellImage"] img'
+        ],
+        sourceAppLink: [
+          'a[data-sentry-component="AppLink"]',
+          'a[href*="/apps/"]'
+        ]
+      }
+    },
+    {
+      // Page structure and URLs only, for when component names change
+      id: 'generic',
+      name: 'Generic (page structure)',
+      builtIn: true,
+      selectors: {
+        logo: [
+          'main h1 ~ img',
+          'main img[alt*="logo" i]',
+          'h1 + img'
+        ],
+        screens: [
+          'main img[src*="app_screens"]',
+          'main a[href*="/screens/"] img',
+          'main figure img'
+        ],
+        screenCell: [
+          'a[href*="/screens/"]',
+          'figure'
+        ],
+        screenTitle: [
+          'figcaption',
+          '[class*="title" i]'
+        ],
+        screenPatterns: [
+          'a[href*="screenPatterns"]',
+          'a[href*="/patterns/"]'
+        ],
+        screenElements: [
+          'a[href*="screenElements"]',
+          'a[href*="/ui-elements/"]'
+        ],
+        flowSection: [
+          'main section',
+          'main [role="region"]'
+        ],
+        flowTitle: [
+          'h2',
+          'h3'
+        ],
+        flowScreens: [
+          'img[src*="app_screens"]',
+          'a[href*="/flows/"] img'
+        ],
+        sourceAppLink: [
+          'a[href*="/apps/"]'
+        ]
+      }
+    }
+  ];
+
+  const DEFAULT_SETTINGS = { activeId: DEFAULT_ID, fallback: true, profiles: [] };
+
+  /**
+   * Whether a selector parses; always true where there is no DOM to check
+   * it against
+   */
+  function isValidSelector(selector) {
+    if (typeof document === 'undefined') return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Selector lists of a profile with blanks and duplicates dropped, one
+   * list per known key
+   */
+  function cleanSelectors(selectors = {}) {
+    return Object.fromEntries(SELECTOR_KEYS.map(({ key }) => {
+      const list = Array.isArray(selectors[key]) ? selectors[key] : [];
+      const cleaned = list.map(selector => String(selector || '').trim()).filter(Boolean);
+      return [key, Array.from(new Set(cleaned))];
+    }));
+  }
+
+  /**
+   * A user profile as stored: trimmed name, known keys only
+   */
+  function normalizeProfile(profile) {
+    const name = String(profile?.name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) throw new Error('Profile name is required');
+
+    return {
+      id: typeof profile.id === 'string' && profile.id ? profile.id : `profile-${crypto.randomUUID()}`,
+      name,
+      selectors: cleanSelectors(profile.selectors)
+    };
+  }
+
+  /**
+   * Selectors a profile scans with: its own where set, else the built-in
+   * ones, leaving out any that don't parse unless `validOnly` is false
+   */
+  function resolveSelectors(profile, validOnly = true) {
+    const defaults = BUILT_IN_PROFILES[0].selectors;
+    const own = cleanSelectors(profile.selectors);
+
+    return Object.fromEntries(SELECTOR_KEYS.map(({ key }) => {
+      const list = own[key].length > 0 ? own[key] : defaults[key];
+      return [key, validOnly ? list.filter(isValidSelector) : list];
+    }));
+  }
+
+  async function getSettings() {
+    const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    settings.profiles = Array.isArray(settings.profiles) ? settings.profiles : [];
+    return settings;
+  }
+
+  async function saveSettings(changes) {
+    const settings = { ...(await getSettings()), ...changes };
+    await chrome.storage.local.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Built-in profiles, then the user's, each with `builtIn` and `active`
+   */
+  async function getProfiles() {
+    const settings = await getSettings();
+    const profiles = [...BUILT_IN_PROFILES, ...settings.profiles.map(profile => ({ ...profile, builtIn: false }))];
+    const activeId = profiles.some(profile => profile.id === settings.activeId) ? settings.activeId : DEFAULT_ID;
+
+    return profiles.map(profile => ({ ...profile, active: profile.id === activeId }));
+  }
+
+  /**
+   * Profiles a scan tries, the active one first, with resolved selectors.
+   * Without fallback only the active profile is tried.
+   */
+  async function getScanOrder() {
+    const [profiles, settings] = await Promise.all([getProfiles(), getSettings()]);
+    const active = profiles.find(profile => profile.active);
+    const others = settings.fallback ? profiles.filter(profile => profile !== active) : [];
+
+    return [active, ...others].map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      selectors: resolveSelectors(profile)
+    }));
+  }
+
+  /**
+   * Create or update a user profile; returns it as stored
+   */
+  async function saveProfile(profile) {
+    if (BUILT_IN_PROFILES.some(builtIn => builtIn.id === profile.id)) {
+      throw new Error('Built-in profiles cannot be changed');
+    }
+
+    const saved = normalizeProfile(profile);
+    const settings = await getSettings();
+    const index = settings.profiles.findIndex(existing => existing.id === saved.id);
+    const profiles = [...settings.profiles];
+    if (index === -1) {
+      profiles.push(saved);
+    } else {
+      profiles[index] = saved;
+    }
+
+    await saveSettings({ profiles });
+    return saved;
+  }
+
+  /**
+   * Delete a user profile; the built-in one becomes active if it was
+   */
+  async function deleteProfile(profileId) {
+    const settings = await getSettings();
+    await saveSettings({
+      profiles: settings.profiles.filter(profile => profile.id !== profileId),
+      activeId: settings.activeId === profileId ? DEFAULT_ID : settings.activeId
+    });
+  }
+
+  async function setActive(profileId) {
+    await saveSettings({ activeId: profileId });
+  }
+
+  async function setFallback(fallback) {
+    await saveSettings({ fallback: Boolean(fallback) });
+  }
+
+  /**
+   * JSON file of the given profiles, for sharing a fix
+   */
+  function exportProfiles(profiles) {
+    const data = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: profiles.map(({ name, selectors }) => ({ name, selectors: cleanSelectors(selectors) }))
+    };
+    return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  }
+
+  /**
+   * Add the profiles of an exported file as new user profiles; names
+   * already taken get a number. Returns the profiles added.
+   */
+  async function importProfiles(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a selector profile file');
+    }
+
+    const incoming = data && data.format === EXPORT_FORMAT ? data.profiles : null;
+    if (!Array.isArray(incoming) || incoming.length === 0) {
+      throw new Error('Not a selector profile file');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('This file was exported by a newer version');
+    }
+
+    const settings = await getSettings();
+    const names = new Set([...BUILT_IN_PROFILES, ...settings.profiles].map(profile => profile.name));
+    const added = incoming.map(profile => {
+      const imported = normalizeProfile({ name: profile.name, selectors: profile.selectors });
+
+      let name = imported.name;
+      for (let n = 2; names.has(name); n++) name = `${imported.name} (${n})`;
+      names.add(name);
+      return { ...imported, name };
+    });
+
+    await saveSettings({ profiles: [...settings.profiles, ...added] });
+    return added;
+  }
+
+  /**
+   * How many elements of `root` each selector matches:
+   * [{ key, label, count, selectors: [{ selector, count, error }] }],
+   * `count` being the elements matched by any of the key's selectors
+   */
+  function diagnose(selectors, root = document) {
+    return SELECTOR_KEYS.map(({ key, label }) => {
+      const results = (selectors[key] || []).map(selector => {
+        try {
+          return { selector, count: root.querySelectorAll(selector).length, error: null };
+        } catch {
+          return { selector, count: 0, error: 'Invalid selector' };
+        }
+      });
+
+      const valid = results.filter(result => !result.error).map(result => result.selector);
+      const count = valid.length > 0 ? root.querySelectorAll(valid.join(',')).length : 0;
+      return { key, label, count, selectors: results };
+    });
+  }
+
+  return {
+    STORAGE_KEY,
+    SELECTOR_KEYS,
+    DEFAULT_ID,
+    BUILT_IN_PROFILES,
+    isValidSelector,
+    resolveSelectors,
+    getSettings,
+    getProfiles,
+    getScanOrder,
+    saveProfile,
+    deleteProfile,
+    setActive,
+    setFallback,
+    exportProfiles,
+    importProfiles,
+    diagnose
+  };
+})();
@@ -0,0 +1,482 @@
+// static-site.js - v3
+// Exports apps as a static website that works offline without the
+// extension: a library page with search, and a page per app with its
+// screens, flows and notes
+//
+// The site is one HTML file with the vault data embedded as JSON, and
+// either the images embedded too (single file) or next to it in a ZIP
+// (folder). viewer() renders it in the browser; it is serialized into the
+// page, so it must not use anything outside its own body.
+
+const StaticSite = (() => {
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  /**
+   * JSON that can sit inside a <script> element
+   */
+  function scriptJson(data) {
+    return JSON.stringify(data)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+  }
+
+  const STYLES = `
+    :root { --bg: #09090b; --card: #18181b; --card-hover: #27272a; --border: #27272a; --text: #fafafa; --text-2: #a1a1aa; --text-3: #71717a; }
+    * { box-sizing: border-box; }
+    body { margin: 0; background: var(--bg); color: var(--text); font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    a { color: inherit; }
+    header { position: sticky; top: 0; z-index: 1; display: flex; align-items: center; gap: 16px; padding: 16px 32px; background: rgba(9, 9, 11, 0.9); backdrop-filter: blur(8px); border-bottom: 1px solid var(--border); }
+    header h1 { margin: 0; font-size: 18px; }
+    header .count { color: var(--text-3); }
+    header input { margin-left: auto; width: 320px; padding: 8px 12px; border: 1px solid var(--border); border-radius: 8px; background: var(--card); color: var(--text); font: inherit; }
+    main { padding: 32px; }
+    .grid-apps { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 20px; }
+    .app-card { display: block; padding: 16px; border: 1px solid var(--border); border-radius: 12px; background: var(--card); text-decoration: none; }
+    .app-card:hover { background: var(--card-hover); }
+    .logo { width: 56px; height: 56px; border-radius: 12px; object-fit: cover; background: var(--card-hover); display: flex; align-items: center; justify-content: center; font-size: 22px; font-weight: 600; color: var(--text-2); }
+    .app-title { margin-top: 12px; font-weight: 600; }
+    .meta { color: var(--text-3); font-size: 13px; }
+    .tags { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px; }
+    .tag { padding: 2px 8px; border-radius: 999px; background: var(--card-hover); color: var(--text-2); font-size: 12px; }
+    .empty { padding: 64px 0; color: var(--text-3); text-align: center; }
+    .detail-header { display: flex; gap: 20px; align-items: center; margin-bottom: 24px; }
+    .detail-header .logo { width: 80px; height: 80px; border-radius: 16px; font-size: 32px; }
+    .detail-header h2 { margin: 0 0 4px; font-size: 24px; }
+    .back { display: inline-block; margin-bottom: 20px; color: var(--text-2); text-decoration: none; }
+    .back:hover { color: var(--text); }
+    h3 { margin: 32px 0 12px; font-size: 15px; }
+    .grid-screens { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 16px; }
+    .screen { padding: 0; border: 1px solid var(--border); border-radius: 10px; background: var(--card); color: inherit; font: inherit; text-align: left; overflow: hidden; cursor: zoom-in; }
+    .screen img, .screen .missing { display: block; width: 100%; aspect-ratio: 9 / 19.5; object-fit: cover; object-position: top; background: var(--card-hover); }
+    .screen .caption { padding: 8px 10px; font-size: 12px; color: var(--text-2); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .flow { margin-bottom: 20px; }
+    .flow-steps { display: flex; gap: 12px; overflow-x: auto; padding-bottom: 8px; }
+    .flow-steps .screen { flex: 0 0 120px; }
+    .lightbox { position: fixed; inset: 0; z-index: 2; display: flex; background: rgba(0, 0, 0, 0.92); }
+    .lightbox[hidden] { display: none; }
+    .lightbox-stage { flex: 1; display: flex; align-items: center; justify-content: center; padding: 24px; min-width: 0; }
+    .lightbox-stage img { max-width: 100%; max-height: 100%; object-fit: contain; }
+    .lightbox-info { width: 320px; padding: 24px; overflow-y: auto; border-left: 1px solid var(--border); background: var(--bg); }
+    .lightbox-info h4 { margin: 0 0 8px; font-size: 16px; }
+    .lightbox-info p { color: var(--text-2); white-space: pre-wrap; }
+    .lightbox-nav { display: flex; gap: 8px; margin-bottom: 16px; }
+    .lightbox-nav button { padding: 6px 12px; border: 1px solid var(--border); border-radius: 8px; background: var(--card); color: var(--text); font: inherit; cursor: pointer; }
+    footer { padding: 24px 32px; color: var(--text-3); font-size: 12px; }
+    @media (max-width: 720px) { header { flex-wrap: wrap; padding: 16px; } header input { width: 100%; } main { padding: 16px; } .lightbox { flex-direction: column; } .lightbox-info { width: auto; max-height: 40%; border-left: none; border-top: 1px solid var(--border); } }
+  `;
+
+  /**
+   * Renders the site from its data. Runs in the exported page.
+   */
+  function viewer(data) {
+    const app = document.getElementById('app');
+    const search = document.getElementById('search');
+    const count = document.getElementById('count');
+    const lightbox = document.getElementById('lightbox');
+    let lightboxScreens = [];
+    let lightboxIndex = 0;
+
+    const el = (tag, className, text) => {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text !== undefined && text !== null) node.textContent = text;
+      return node;
+    };
+
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const formatDate = timestamp => (timestamp ? new Date(timestamp).toLocaleDateString() : '');
+
+    const logo = (item) => {
+      if (item.logo) {
+        const img = el('img', 'logo');
+        img.src = item.logo;
+        img.alt = '';
+        return img;
+      }
+      return el('div', 'logo', item.name.charAt(0).toUpperCase());
+    };
+
+    const screenLabel = (screen, index) => screen.title || `Screen ${index + 1}`;
+
+    // Everything search looks through, lowercased once
+    data.apps.forEach(item => {
+      item.screens.forEach(screen => {
+        screen.haystack = [screen.title, ...screen.patterns, ...screen.elements, screen.note, ...screen.annotations, screen.text]
+          .join(' ')
+          .toLowerCase();
+      });
+      item.haystack = [item.name, item.platform, ...item.tags, ...item.screens.map(screen => screen.haystack)]
+        .join(' ')
+        .toLowerCase();
+    });
+
+    const matches = (haystack, query) => query.split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+
+    function screenButton(screen, index, screens) {
+      const button = el('button', 'screen');
+      button.type = 'button';
+      if (screen.src) {
+        const img = el('img');
+        img.src = screen.src;
+        img.loading = 'lazy';
+        img.alt = screenLabel(screen, index);
+        button.appendChild(img);
+      } else {
+        button.appendChild(el('div', 'missing'));
+      }
+      button.appendChild(el('div', 'caption', screenLabel(screen, index)));
+      button.addEventListener('click', () => openLightbox(screens, screens.indexOf(screen)));
+      return button;
+    }
+
+    function showLibrary() {
+      const query = search.value.trim().toLowerCase();
+      const apps = data.apps.filter(item => !query || matches(item.haystack, query));
+      count.textContent = query ? `${apps.length} of ${plural(data.apps.length, 'app')}` : plural(data.apps.length, 'app');
+      app.replaceChildren();
+
+      if (apps.length === 0) {
+        app.appendChild(el('div', 'empty', 'No apps match your search'));
+        return;
+      }
+
+      const grid = el('div', 'grid-apps');
+      apps.forEach(item => {
+        const card = el('a', 'app-card');
+        card.href = `#/app/${encodeURIComponent(item.slug)}`;
+        card.appendChild(logo(item));
+        card.appendChild(el('div', 'app-title', item.name));
+        card.appendChild(el('div', 'meta', `${plural(item.screens.length, 'screen')} • ${formatDate(item.dateUpdated || item.dateAdded)}`));
+        if (item.tags.length) {
+          const tags = el('div', 'tags');
+          item.tags.forEach(tag => tags.appendChild(el('span', 'tag', tag)));
+          card.appendChild(tags);
+        }
+        grid.appendChild(card);
+      });
+      app.appendChild(grid);
+    }
+
+    function showApp(item) {
+      const query = search.value.trim().toLowerCase();
+      const screens = item.screens.filter(screen => !query || matches(screen.haystack, query));
+      count.textContent = query ? `${screens.length} of ${plural(item.screens.length, 'screen')}` : plural(item.screens.length, 'screen');
+      app.replaceChildren();
+
+      const back = el('a', 'back', '← All apps');
+      back.href = '#/';
+      app.appendChild(back);
+
+      const header = el('div', 'detail-header');
+      header.appendChild(logo(item));
+      const info = el('div');
+      info.appendChild(el('h2', '', item.name));
+      const meta = [plural(item.screens.length, 'screen'), item.platform, `Scanned ${formatDate(item.dateUpdated || item.dateAdded)}`];
+      info.appendChild(el('div', 'meta', meta.filter(Boolean).join(' • ')));
+      if (item.sourceUrl) {
+        const link = el('a', 'meta', item.sourceUrl);
+        link.href = item.sourceUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        info.appendChild(link);
+      }
+      if (item.tags.length) {
+        const tags = el('div', 'tags');
+        item.tags.forEach(tag => tags.appendChild(el('span', 'tag', tag)));
+        info.appendChild(tags);
+      }
+      header.appendChild(info);
+      app.appendChild(header);
+
+      app.appendChild(el('h3', '', 'Screens'));
+      if (screens.length) {
+        const grid = el('div', 'grid-screens');
+        screens.forEach(screen => grid.appendChild(screenButton(screen, item.screens.indexOf(screen), screens)));
+        app.appendChild(grid);
+      } else {
+        app.appendChild(el('div', 'empty', 'No screens match your search'));
+      }
+
+      if (item.flows.length && !query) {
+        app.appendChild(el('h3', '', 'Flows'));
+        item.flows.forEach(flow => {
+          const section = el('div', 'flow');
+          section.appendChild(el('div', 'meta', `${flow.name} • ${plural(flow.steps.length, 'step')}`));
+          const steps = el('div', 'flow-steps');
+          flow.steps.forEach((step, index) => steps.appendChild(screenButton(step, index, flow.steps)));
+          section.appendChild(steps);
+          app.appendChild(section);
+        });
+      }
+    }
+
+    function openLightbox(screens, index) {
+      lightboxScreens = screens;
+      lightboxIndex = index;
+      lightbox.hidden = false;
+      showLightboxScreen();
+    }
+
+    function showLightboxScreen() {
+      const screen = lightboxScreens[lightboxIndex];
+      const stage = lightbox.querySelector('.lightbox-stage');
+      const info = lightbox.querySelector('.lightbox-info');
+      stage.replaceChildren();
+      info.replaceChildren();
+
+      if (screen.src) {
+        const img = el('img');
+        img.src = screen.src;
+        img.alt = '';
+        stage.appendChild(img);
+      } else {
+        stage.appendChild(el('div', 'empty', 'Image not available'));
+      }
+
+      const nav = el('div', 'lightbox-nav');
+      [['←', -1], ['→', 1], ['Close', 0]].forEach(([label, step]) => {
+        const button = el('button', '', label);
+        button.type = 'button';
+        button.addEventListener('click', () => (step ? stepLightbox(step) : closeLightbox()));
+        nav.appendChild(button);
+      });
+      info.appendChild(nav);
+      info.appendChild(el('h4', '', screenLabel(screen, lightboxIndex)));
+      info.appendChild(el('div', 'meta', `${lightboxIndex + 1} of ${lightboxScreens.length}`));
+      if (screen.patterns.length || screen.elements.length) {
+        const tags = el('div', 'tags');
+        [...screen.patterns, ...screen.elements].forEach(tag => tags.appendChild(el('span', 'tag', tag)));
+        info.appendChild(tags);
+      }
+      [screen.note, ...screen.annotations].filter(Boolean).forEach(note => info.appendChild(el('p', '', note)));
+    }
+
+    function stepLightbox(step) {
+      lightboxIndex = (lightboxIndex + step + lightboxScreens.length) % lightboxScreens.length;
+      showLightboxScreen();
+    }
+
+    function closeLightbox() {
+      lightbox.hidden = true;
+    }
+
+    function route() {
+      closeLightbox();
+      const match = location.hash.match(/^#\/app\/(.+)$/);
+      const item = match && data.apps.find(entry => entry.slug === decodeURIComponent(match[1]));
+      search.placeholder = item ? `Search ${item.name}...` : 'Search apps, screens, notes and text...';
+      if (item) {
+        showApp(item);
+      } else {
+        showLibrary();
+      }
+      window.scrollTo(0, 0);
+    }
+
+    search.addEventListener('input', () => {
+      const match = location.hash.match(/^#\/app\/(.+)$/);
+      const item = match && data.apps.find(entry => entry.slug === decodeURIComponent(match[1]));
+      if (item) {
+        showApp(item);
+      } else {
+        showLibrary();
+      }
+    });
+    window.addEventListener('hashchange', () => {
+      search.value = '';
+      route();
+    });
+    lightbox.addEventListener('click', (e) => {
+      if (e.target === lightbox || e.target.classList.contains('lightbox-stage')) closeLightbox();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (lightbox.hidden) return;
+      if (e.key === 'Escape') closeLightbox();
+      if (e.key === 'ArrowLeft') stepLightbox(-1);
+      if (e.key === 'ArrowRight') stepLightbox(1);
+    });
+
+    route();
+  }
+
+  /**
+   * The site's HTML page around its data
+   */
+  function renderPage(data) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(data.title)}</h1>
+  <span id="count" class="count"></span>
+  <input type="search" id="search" autocomplete="off">
+</header>
+<main id="app"></main>
+<div id="lightbox" class="lightbox" hidden>
+  <div class="lightbox-stage"></div>
+  <aside class="lightbox-info"></aside>
+</div>
+<footer>${escapeHtml(data.subtitle)}</footer>
+<script type="application/json" id="vault-data">${scriptJson(data)}</script>
+<script>(${viewer})(JSON.parse(document.getElementById('vault-data').textContent));</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build the site. `entries` are { app, screens } with `screens` null for
+   * all of the app's screens (with its flows), or the screens to include.
+   * Options: title, and singleFile to embed the images in the page instead
+   * of a ZIP folder. Returns { blob, fileName, missing }.
+   * `onProgress(done, total)` follows the images.
+   */
+  async function build(entries, { title, singleFile = false } = {}, onProgress = null) {
+    const folder = VaultExport.safeFileName(title, 'vault');
+    const files = [];
+    const usedSlugs = new Set();
+    const texts = await ScreenText.getTextByApp().catch(() => new Map());
+    let missing = 0;
+
+    // Image src in the page: a data URL, or the path nameFor(extension)
+    // inside the folder
+    const sources = new Map();
+    async function addImage(url, nameFor) {
+      if (!url) return null;
+      if (sources.has(url)) return sources.get(url);
+
+      let src = null;
+      try {
+        const blob = await ImageCache.getBlob(url);
+        if (singleFile) {
+          src = await blobToDataUrl(blob);
+        } else {
+          src = nameFor(VaultExport.extensionFor(blob, url));
+          files.push({ name: `${folder}/${src}`, data: blob });
+        }
+      } catch (error) {
+        console.warn('Could not export image:', url, error);
+      }
+      sources.set(url, src);
+      return src;
+    }
+
+    // All screens of the app entries, plus their flows' extra steps
+    const loaded = [];
+    for (const { app, screens } of entries) {
+      const appScreens = screens || await VaultStore.getScreens(app.id);
+      const flows = screens ? [] : await VaultStore.getFlows(app.id);
+      loaded.push({ app, screens: appScreens, flows });
+    }
+    const total = loaded.reduce((sum, { screens, flows }) => (
+      sum + screens.length + flows.reduce((steps, flow) => steps + flow.steps.length, 0)
+    ), 0);
+    let done = 0;
+    const progress = () => {
+      if (onProgress) onProgress(++done, total);
+    };
+
+    const apps = [];
+    for (const { app, screens, flows } of loaded) {
+      let slug = VaultExport.safeFileName(app.name, 'app');
+      while (usedSlugs.has(slug)) slug += '_';
+      usedSlugs.add(slug);
+
+      const textById = new Map((texts.get(app.id) || []).map(entry => [entry.screenId, entry.text]));
+      const exportedScreens = [];
+      for (let index = 0; index < screens.length; index++) {
+        const screen = screens[index];
+        const src = await addImage(screen.url, extension =>
+          `images/${slug}/${VaultExport.screenFileName(screen, index, screens.length, extension)}`);
+        if (!src) missing++;
+        progress();
+
+        exportedScreens.push({
+          src,
+          title: screen.title || '',
+          platform: screen.platform || null,
+          patterns: screen.patterns || [],
+          elements: screen.elements || [],
+          note: screen.note || '',
+          annotations: (screen.annotations || []).map(annotation => annotation.text),
+          text: textById.get(screen.id) || ''
+        });
+      }
+
+      const byUrl = new Map(screens.map((screen, index) => [screen.url, exportedScreens[index]]));
+      const exportedFlows = [];
+      for (const flow of flows) {
+        const steps = [];
+        for (let index = 0; index < flow.steps.length; index++) {
+          const step = flow.steps[index];
+          const known = byUrl.get(step.url);
+          steps.push(known || {
+            src: await addImage(step.url, extension =>
+              `images/${slug}/flow_${VaultExport.safeFileName(flow.name, 'flow')}_${index + 1}.${extension}`),
+            title: step.title || '',
+            platform: null,
+            patterns: [],
+            elements: [],
+            note: '',
+            annotations: [],
+            text: ''
+          });
+          progress();
+        }
+        exportedFlows.push({ name: flow.name, steps });
+      }
+
+      const logoUrl = app.logo && !app.logo.includes('placeholder') ? app.logo : null;
+      const sourceUrl = app.sourceUrl || app.url || null;
+      apps.push({
+        slug,
+        name: app.name,
+        logo: await addImage(logoUrl, extension => `images/${slug}/logo.${extension}`),
+        sourceUrl: /^https?:\/\//i.test(sourceUrl || '') ? sourceUrl : null,
+        platform: app.platform || null,
+        dateAdded: app.dateAdded || null,
+        dateUpdated: app.dateUpdated || null,
+        tags: app.tags || [],
+        screens: exportedScreens,
+        flows: exportedFlows
+      });
+    }
+
+    const screenCount = apps.reduce((sum, app) => sum + app.screens.length, 0);
+    const html = renderPage({
+      title,
+      subtitle: `${apps.length} app${apps.length !== 1 ? 's' : ''}, ${screenCount} screen${screenCount !== 1 ? 's' : ''}. ` +
+        `Exported from Mobbin Vault on ${new Date().toLocaleDateString()}.`,
+      apps
+    });
+
+    if (singleFile) {
+      return { blob: new Blob([html], { type: 'text/html' }), fileName: `${folder}.html`, missing };
+    }
+
+    files.unshift({ name: `${folder}/index.html`, data: html });
+    return { blob: await Zip.create(files), fileName: `${folder}.zip`, missing };
+  }
+
+  return {
+    build
+  };
+})();
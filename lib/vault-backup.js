@@ -0,0 +1,299 @@
+// vault-backup.js - v3
+// Versioned backup files of the whole vault, and restoring them
+//
+// A backup is a ZIP holding backup.json (every database store plus
+// extension settings) and, optionally, the cached images under images/.
+
+const VaultBackup = (() => {
+  const FORMAT = 'mobbin-vault-backup';
+  const FORMAT_VERSION = 1;
+  const DATA_FILE = 'backup.json';
+  const IMAGE_STORE = 'images';
+  const ITEM_STORE = 'collectionItems';
+
+  // chrome.storage.local keys holding run state rather than settings
+  const TRANSIENT_SETTINGS = ['scanQueue', 'scanSessions'];
+
+  const { promisify } = VaultDB;
+
+  async function getStoreNames() {
+    const db = await VaultDB.open();
+    return Array.from(db.objectStoreNames);
+  }
+
+  /**
+   * Create a backup file. Returns { blob, fileName, counts }.
+   */
+  async function create({ includeImages = true } = {}) {
+    const storeNames = await getStoreNames();
+    const stores = {};
+    const images = [];
+    const entries = [];
+
+    for (const name of storeNames) {
+      if (name === IMAGE_STORE) continue;
+      stores[name] = await VaultDB.getAll(name);
+    }
+
+    if (includeImages) {
+      const records = await VaultDB.getAll(IMAGE_STORE);
+      records.forEach((record, index) => {
+        const { blob, ...meta } = record;
+        const extension = VaultExport.extensionFor(blob, record.url);
+        const file = `images/${String(index + 1).padStart(6, '0')}.${extension}`;
+
+        images.push({ ...meta, file });
+        entries.push({ name: file, data: blob });
+      });
+    }
+
+    const settings = await chrome.storage.local.get(null);
+    TRANSIENT_SETTINGS.forEach(key => delete settings[key]);
+
+    const counts = {
+      apps: (stores.apps || []).length,
+      screens: (stores.screens || []).length,
+      images: images.length
+    };
+
+    entries.unshift({
+      name: DATA_FILE,
+      data: JSON.stringify({
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        counts,
+        stores,
+        images,
+        settings
+      })
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      blob: await Zip.create(entries),
+      fileName: `mobbin-vault-backup-${date}.zip`,
+      counts
+    };
+  }
+
+  /**
+   * Read and validate a backup file
+   */
+  async function read(file) {
+    let entries;
+    try {
+      entries = await Zip.read(file);
+    } catch (error) {
+      throw new Error('Not a Mobbin Vault backup file');
+    }
+
+    const byName = new Map(entries.map(entry => [entry.name, entry.data]));
+    const dataFile = byName.get(DATA_FILE);
+    if (!dataFile) {
+      throw new Error('Not a Mobbin Vault backup file');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await dataFile.text());
+    } catch (error) {
+      throw new Error('Backup data is corrupt');
+    }
+
+    if (data.format !== FORMAT) {
+      throw new Error('Not a Mobbin Vault backup file');
+    }
+    if (!Number.isInteger(data.version) || data.version > FORMAT_VERSION) {
+      throw new Error('This backup was made by a newer version of Mobbin Vault');
+    }
+
+    // Re-attach image files; entries whose file is missing are dropped
+    const images = (data.images || [])
+      .filter(image => byName.has(image.file))
+      .map(({ file, ...meta }) => ({
+        ...meta,
+        blob: new Blob([byName.get(file)], { type: meta.type || '' })
+      }));
+
+    return {
+      version: data.version,
+      createdAt: data.createdAt,
+      extensionVersion: data.extensionVersion,
+      stores: data.stores || {},
+      images,
+      settings: data.settings || {}
+    };
+  }
+
+  /**
+   * Compare a backup against the current vault before restoring
+   */
+  async function preview(backup) {
+    const localApps = await VaultDB.getAll('apps');
+    const localById = new Map(localApps.map(app => [app.id, app]));
+    const backupApps = backup.stores.apps || [];
+
+    const newApps = [];
+    const conflicts = [];
+
+    backupApps.forEach(app => {
+      const local = localById.get(app.id);
+      if (!local) {
+        newApps.push(app);
+        return;
+      }
+
+      conflicts.push({
+        id: app.id,
+        name: app.name,
+        local,
+        backup: app,
+        newer: (app.dateUpdated || 0) > (local.dateUpdated || 0) ? 'backup' : 'local'
+      });
+    });
+
+    return {
+      createdAt: backup.createdAt,
+      extensionVersion: backup.extensionVersion,
+      appCount: backupApps.length,
+      screenCount: (backup.stores.screens || []).length,
+      imageCount: backup.images.length,
+      localAppCount: localApps.length,
+      newApps,
+      conflicts
+    };
+  }
+
+  /**
+   * Whether the app or screen a collection item points to is in the vault
+   */
+  async function hasItemTarget(tx, item) {
+    const store = tx.objectStore(item.type === 'app' ? 'apps' : 'screens');
+    return (await promisify(store.count(item.itemId))) > 0;
+  }
+
+  /**
+   * Primary key of a record in a store
+   */
+  function recordKey(store, record) {
+    const keyPath = store.keyPath;
+    return Array.isArray(keyPath)
+      ? keyPath.map(path => record[path])
+      : record[keyPath];
+  }
+
+  /**
+   * Apply a backup.
+   *   mode 'replace' - wipe the vault and load the backup
+   *   mode 'merge'   - add the backup to the vault; for apps that exist in
+   *                    both, `resolutions[appId]` picks 'keep' (default) or 'backup'
+   * Records tied to an app (with an appId) follow that app's resolution,
+   * except collection items, which follow their collection; other records
+   * are added unless the vault already has the same key.
+   * Returns { restoredApps, settingsRestored }; settings are applied after
+   * the vault, so they can fail on their own.
+   */
+  async function restore(backup, { mode = 'merge', resolutions = {} } = {}) {
+    const storeNames = await getStoreNames();
+    const merging = mode === 'merge';
+
+    const localAppIds = new Set(await VaultDB.transaction('apps', 'readonly', tx =>
+      promisify(tx.objectStore('apps').getAllKeys())
+    ));
+    const localCollectionIds = new Set(await VaultDB.transaction('collections', 'readonly', tx =>
+      promisify(tx.objectStore('collections').getAllKeys())
+    ));
+    const useBackup = appId => !merging || !localAppIds.has(appId) || resolutions[appId] === 'backup';
+
+    // Unknown stores (from a newer schema) are skipped. Collection items go
+    // last, once the collections, apps and screens they point to are in.
+    const incoming = Object.entries(backup.stores)
+      .filter(([name]) => name !== IMAGE_STORE && storeNames.includes(name))
+      .sort(([a], [b]) => (a === ITEM_STORE) - (b === ITEM_STORE));
+    incoming.push([IMAGE_STORE, backup.images]);
+
+    let restoredApps = 0;
+
+    await VaultDB.transaction(storeNames, 'readwrite', async tx => {
+      if (!merging) {
+        storeNames.forEach(name => tx.objectStore(name).clear());
+      } else {
+        // Remove local data of apps the backup version replaces
+        const replaced = [...localAppIds].filter(appId => resolutions[appId] === 'backup');
+        for (const name of storeNames) {
+          const store = tx.objectStore(name);
+          if (!store.indexNames.contains('appId')) continue;
+
+          for (const appId of replaced) {
+            const keys = await promisify(store.index('appId').getAllKeys(appId));
+            keys.forEach(key => store.delete(key));
+          }
+        }
+      }
+
+      for (const [name, records] of incoming) {
+        const store = tx.objectStore(name);
+
+        for (const record of records) {
+          const appId = name === 'apps' ? record.id : record.appId;
+
+          if (name === ITEM_STORE) {
+            // Items follow their collection: a new collection gets all of
+            // them, one the vault has only those of apps taken from the backup
+            if (merging && localCollectionIds.has(record.collectionId) && !useBackup(appId)) continue;
+            if (!(await hasItemTarget(tx, record))) continue;
+          } else if (appId !== undefined) {
+            if (!useBackup(appId)) continue;
+          } else if (merging) {
+            const exists = await promisify(store.count(recordKey(store, record)));
+            if (exists) continue;
+          }
+
+          // Older backups may hold screens in a previous shape
+          store.put(name === 'screens' ? VaultStore.normalizeScreen(record, record.position || 0) : record);
+          if (name === 'apps') restoredApps++;
+        }
+      }
+    });
+
+    // The vault is committed by now, so a settings failure is reported
+    // alongside it rather than thrown as a failed restore
+    let settingsRestored = true;
+    try {
+      await restoreSettings(backup.settings, merging);
+    } catch (error) {
+      console.error('Failed to restore settings:', error);
+      settingsRestored = false;
+    }
+
+    return { restoredApps, settingsRestored };
+  }
+
+  /**
+   * Apply the extension settings of a backup: missing keys only when
+   * merging, otherwise all of them. Run state such as a scan in progress
+   * is kept either way.
+   */
+  async function restoreSettings(settings, merging) {
+    const current = await chrome.storage.local.get(null);
+    const incoming = Object.fromEntries(Object.entries(settings)
+      .filter(([key]) => !TRANSIENT_SETTINGS.includes(key))
+      .filter(([key]) => !merging || !(key in current)));
+
+    await chrome.storage.local.set(incoming);
+    if (merging) return;
+
+    // Settings the backup doesn't have go back to their defaults
+    const stale = Object.keys(current).filter(key => !(key in incoming) && !TRANSIENT_SETTINGS.includes(key));
+    await chrome.storage.local.remove(stale);
+  }
+
+  return {
+    create,
+    read,
+    preview,
+    restore
+  };
+})();
@@ -0,0 +1,158 @@
+// vault-boards.js - v3
+// Moodboards: freeform canvases of screens from any app, sticky notes,
+// groups and arrows
+//
+// A board keeps its items in its own record, in drawing order:
+//   screen: { id, type: 'screen', screenId, appId, url, x, y, width, height, groupId }
+//   note:   { id, type: 'note', text, x, y, width, height, groupId }
+//   group:  { id, type: 'group', label, x, y, width, height }
+//   arrow:  { id, type: 'arrow', from, to }  (ids of the items it connects)
+// Positions are in board pixels. `view` is the last { x, y, zoom } shown.
+
+const VaultBoards = (() => {
+  const { promisify } = VaultDB;
+
+  function cleanName(name) {
+    const cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+    if (!cleaned) throw new Error('Board name is required');
+    return cleaned.slice(0, 80);
+  }
+
+  /**
+   * Every board with its item counts, most recently changed first
+   */
+  async function getBoards() {
+    const boards = await VaultDB.getAll('boards');
+    return boards
+      .map(({ items, ...board }) => ({
+        ...board,
+        screenCount: items.filter(item => item.type === 'screen').length,
+        itemCount: items.filter(item => item.type !== 'arrow').length
+      }))
+      .sort((a, b) => b.dateUpdated - a.dateUpdated);
+  }
+
+  /**
+   * Get one board, or null
+   */
+  async function getBoard(boardId) {
+    return (await VaultDB.get('boards', boardId)) || null;
+  }
+
+  /**
+   * Create an empty board
+   */
+  async function createBoard(name) {
+    const now = Date.now();
+    const board = {
+      id: `board-${crypto.randomUUID()}`,
+      name: cleanName(name),
+      items: [],
+      view: { x: 0, y: 0, zoom: 1 },
+      dateCreated: now,
+      dateUpdated: now
+    };
+
+    await VaultDB.put('boards', board);
+    return board;
+  }
+
+  /**
+   * Store a board's items and view. Arrows to items that are gone and
+   * group ids of removed groups are dropped.
+   */
+  function saveBoard(board) {
+    const ids = new Set(board.items.map(item => item.id));
+    const groupIds = new Set(board.items.filter(item => item.type === 'group').map(item => item.id));
+    const items = board.items
+      .filter(item => item.type !== 'arrow' || (ids.has(item.from) && ids.has(item.to)))
+      .map(item => (item.groupId && !groupIds.has(item.groupId) ? { ...item, groupId: null } : item));
+
+    return VaultDB.transaction('boards', 'readwrite', async tx => {
+      const store = tx.objectStore('boards');
+      const stored = await promisify(store.get(board.id));
+      if (!stored) throw new Error('Board no longer exists');
+
+      // The name is changed with renameBoard only
+      const updated = { ...stored, items, view: board.view, dateUpdated: Date.now() };
+      store.put(updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Rename a board
+   */
+  function renameBoard(boardId, name) {
+    const cleaned = cleanName(name);
+
+    return VaultDB.transaction('boards', 'readwrite', async tx => {
+      const store = tx.objectStore('boards');
+      const board = await promisify(store.get(boardId));
+      if (!board) throw new Error('Board no longer exists');
+
+      const updated = { ...board, name: cleaned, dateUpdated: Date.now() };
+      store.put(updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a board; its screens stay in the vault
+   */
+  function deleteBoard(boardId) {
+    return VaultDB.remove('boards', boardId);
+  }
+
+  /**
+   * Box around every item of a board, or null when it is empty
+   */
+  function getBounds(items) {
+    const boxes = items.filter(item => item.type !== 'arrow');
+    if (boxes.length === 0) return null;
+
+    const left = Math.min(...boxes.map(item => item.x));
+    const top = Math.min(...boxes.map(item => item.y));
+    const right = Math.max(...boxes.map(item => item.x + item.width));
+    const bottom = Math.max(...boxes.map(item => item.y + item.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Ends of an arrow between two items: on their edges, along the line
+   * joining their centers. Returns { x1, y1, x2, y2 }.
+   */
+  function getArrowPoints(from, to) {
+    const start = { x: from.x + from.width / 2, y: from.y + from.height / 2 };
+    const end = { x: to.x + to.width / 2, y: to.y + to.height / 2 };
+
+    // How far along the center line (0-1) it leaves a box
+    const exit = (box, dx, dy) => {
+      const tx = dx ? (box.width / 2) / Math.abs(dx) : Infinity;
+      const ty = dy ? (box.height / 2) / Math.abs(dy) : Infinity;
+      return Math.min(tx, ty, 1);
+    };
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const t1 = exit(from, dx, dy);
+    const t2 = 1 - exit(to, dx, dy);
+    return {
+      x1: start.x + dx * t1,
+      y1: start.y + dy * t1,
+      x2: start.x + dx * Math.max(t1, t2),
+      y2: start.y + dy * Math.max(t1, t2)
+    };
+  }
+
+  return {
+    getBoards,
+    getBoard,
+    createBoard,
+    saveBoard,
+    renameBoard,
+    deleteBoard,
+    getBounds,
+    getArrowPoints
+  };
+})();
@@ -0,0 +1,256 @@
+// vault-collections.js - v3
+// User collections (boards) holding whole apps or single screens from any app
+//
+// Smart collections hold no items: they are saved library searches with
+// `smart: { query, sort, color, notify }`, listing the apps that match at
+// any time (see lib/library-search.js). `matchedIds` keeps the apps seen
+// matching, so a scan that brings in a new match can raise a notification.
+
+const VaultCollections = (() => {
+  const { promisify } = VaultDB;
+
+  /**
+   * Id of the record linking an app or screen to a collection
+   */
+  function itemKey(collectionId, itemId) {
+    return `${collectionId}|${itemId}`;
+  }
+
+  function cleanName(name) {
+    const cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+    if (!cleaned) throw new Error('Collection name is required');
+    return cleaned.slice(0, 80);
+  }
+
+  /**
+   * Every collection with its item count, sorted by name
+   */
+  async function getCollections() {
+    const [collections, counts] = await Promise.all([
+      VaultDB.getAll('collections'),
+      VaultDB.countByIndex('collectionItems', 'collectionId')
+    ]);
+
+    return collections
+      .map(collection => ({ ...collection, itemCount: counts.get(collection.id) || 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get one collection, or null
+   */
+  async function getCollection(collectionId) {
+    return (await VaultDB.get('collections', collectionId)) || null;
+  }
+
+  /**
+   * Create an empty collection
+   */
+  async function createCollection(name) {
+    const now = Date.now();
+    const collection = {
+      id: `collection-${crypto.randomUUID()}`,
+      name: cleanName(name),
+      dateCreated: now,
+      dateUpdated: now
+    };
+
+    await VaultDB.put('collections', collection);
+    return collection;
+  }
+
+  /**
+   * Save a library search as a smart collection. `matchedIds` are the apps
+   * matching it now, which won't be announced.
+   */
+  async function createSmartCollection(name, { query = '', sort = 'relevance', color = null }, matchedIds = []) {
+    const now = Date.now();
+    const collection = {
+      id: `collection-${crypto.randomUUID()}`,
+      name: cleanName(name),
+      smart: { query: String(query).trim(), sort, color, notify: false },
+      matchedIds,
+      dateCreated: now,
+      dateUpdated: now
+    };
+
+    await VaultDB.put('collections', collection);
+    return collection;
+  }
+
+  /**
+   * Change a smart collection's search or notify setting; `changes` is
+   * merged into `smart`. `matchedIds` replaces the apps seen matching
+   * when given.
+   */
+  function updateSmartCollection(collectionId, changes, matchedIds = null) {
+    return VaultDB.transaction('collections', 'readwrite', async tx => {
+      const store = tx.objectStore('collections');
+      const collection = await promisify(store.get(collectionId));
+      if (!collection || !collection.smart) throw new Error('Smart collection no longer exists');
+
+      const updated = {
+        ...collection,
+        smart: { ...collection.smart, ...changes },
+        matchedIds: matchedIds || collection.matchedIds || [],
+        dateUpdated: Date.now()
+      };
+      store.put(updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Record whether an app matches each of the given smart collections.
+   * Returns the collections it newly matches.
+   */
+  function updateMatches(appId, matchingIds) {
+    return VaultDB.transaction('collections', 'readwrite', async tx => {
+      const store = tx.objectStore('collections');
+      const collections = await promisify(store.getAll());
+      const newlyMatched = [];
+
+      collections.filter(collection => collection.smart).forEach(collection => {
+        const seen = new Set(collection.matchedIds || []);
+        const matches = matchingIds.has(collection.id);
+        if (matches === seen.has(appId)) return;
+
+        if (matches) {
+          seen.add(appId);
+          newlyMatched.push(collection);
+        } else {
+          // Forget apps that stop matching, so they are announced if they match again
+          seen.delete(appId);
+        }
+        store.put({ ...collection, matchedIds: Array.from(seen) });
+      });
+
+      return newlyMatched;
+    });
+  }
+
+  /**
+   * Rename a collection
+   */
+  function renameCollection(collectionId, name) {
+    const cleaned = cleanName(name);
+
+    return VaultDB.transaction('collections', 'readwrite', async tx => {
+      const store = tx.objectStore('collections');
+      const collection = await promisify(store.get(collectionId));
+      if (!collection) throw new Error('Collection no longer exists');
+
+      const updated = { ...collection, name: cleaned, dateUpdated: Date.now() };
+      store.put(updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a collection; the apps and screens in it are kept
+   */
+  function deleteCollection(collectionId) {
+    return VaultDB.transaction(['collections', 'collectionItems'], 'readwrite', async tx => {
+      tx.objectStore('collections').delete(collectionId);
+
+      const items = tx.objectStore('collectionItems');
+      const keys = await promisify(items.index('collectionId').getAllKeys(collectionId));
+      keys.forEach(key => items.delete(key));
+    });
+  }
+
+  /**
+   * Add an app ({ type: 'app', itemId: appId, appId }) or a screen
+   * ({ type: 'screen', itemId: screenId, appId }) to a collection
+   */
+  function addItem(collectionId, item) {
+    return addItems(collectionId, [item]);
+  }
+
+  /**
+   * Add several apps or screens to a collection, keeping their order
+   */
+  function addItems(collectionId, items) {
+    return VaultDB.transaction(['collections', 'collectionItems'], 'readwrite', async tx => {
+      const collections = tx.objectStore('collections');
+      const collection = await promisify(collections.get(collectionId));
+      if (!collection) throw new Error('Collection no longer exists');
+      if (collection.smart) throw new Error('Smart collections fill from their search');
+
+      const now = Date.now();
+      const itemsStore = tx.objectStore('collectionItems');
+      items.forEach(({ type, itemId, appId }, index) => {
+        itemsStore.put({
+          id: itemKey(collectionId, itemId),
+          collectionId,
+          type,
+          itemId,
+          appId,
+          // Distinct times keep the order when listed by dateAdded
+          dateAdded: now + index
+        });
+      });
+      collections.put({ ...collection, dateUpdated: now });
+    });
+  }
+
+  /**
+   * Remove an app or screen from a collection
+   */
+  function removeItem(collectionId, itemId) {
+    return VaultDB.remove('collectionItems', itemKey(collectionId, itemId));
+  }
+
+  /**
+   * Ids of the collections an app or screen belongs to
+   */
+  async function getMembership(itemId) {
+    const items = await VaultDB.getAllByIndex('collectionItems', 'itemId', itemId);
+    return new Set(items.map(item => item.collectionId));
+  }
+
+  /**
+   * Items of a collection with their app (and screen) records, in the order
+   * they were added. Screens removed by a later rescan are skipped.
+   */
+  function getItems(collectionId) {
+    return VaultDB.transaction(['collectionItems', 'apps', 'screens'], 'readonly', async tx => {
+      const items = await promisify(
+        tx.objectStore('collectionItems').index('collectionId').getAll(collectionId)
+      );
+      items.sort((a, b) => a.dateAdded - b.dateAdded);
+
+      const result = [];
+      for (const item of items) {
+        const app = await promisify(tx.objectStore('apps').get(item.appId));
+        if (!app) continue;
+
+        if (item.type === 'screen') {
+          const screen = await promisify(tx.objectStore('screens').get(item.itemId));
+          if (!screen) continue;
+          result.push({ ...item, app, screen });
+        } else {
+          result.push({ ...item, app });
+        }
+      }
+
+      return result;
+    });
+  }
+
+  return {
+    getCollections,
+    getCollection,
+    createCollection,
+    createSmartCollection,
+    updateSmartCollection,
+    updateMatches,
+    renameCollection,
+    deleteCollection,
+    addItem,
+    addItems,
+    removeItem,
+    getMembership,
+    getItems
+  };
+})();
@@ -0,0 +1,176 @@
+// vault-duplicates.js - v3
+// Finds screens stored more than once, by perceptual hash (see image-hash.js)
+//
+// Each screen gets a `phash`, visual `features` (see vault-similar.js) and
+// a color `palette` once its image is available, and each app a
+// `logoPalette`. Within an app, later screens that look like an earlier
+// one get `duplicateOf` set to that screen's id; across the vault,
+// duplicates are grouped on demand.
+
+const VaultDuplicates = (() => {
+  const { promisify } = VaultDB;
+
+  // Bits two hashes may differ by and still count as the same screen
+  const THRESHOLDS = { exact: 0, close: 4, similar: 7 };
+  const DEFAULT_THRESHOLD = THRESHOLDS.close;
+
+  /**
+   * duplicateOf for each screen of one app: the id of the first screen (in
+   * page order) it looks like, or null
+   */
+  function duplicateFlags(screens) {
+    const flags = new Map(screens.map(screen => [screen.id, null]));
+    const hashed = screens
+      .filter(screen => screen.phash)
+      .sort((a, b) => a.position - b.position);
+
+    ImageHash.group(hashed, screen => screen.phash, DEFAULT_THRESHOLD).forEach(([original, ...copies]) => {
+      copies.forEach(copy => flags.set(copy.id, original.id));
+    });
+
+    return flags;
+  }
+
+  function isDescribed(screen) {
+    return Boolean(screen.phash && screen.features && screen.palette);
+  }
+
+  /**
+   * Store the palette of an app's logo if it has none yet. Returns whether
+   * it was stored.
+   */
+  async function describeLogo(appId) {
+    const app = await VaultDB.get('apps', appId);
+    if (!app || !app.logo || app.logoPalette || app.logo.includes('placeholder')) return false;
+
+    const logoPalette = await ImagePalette.fromBlob(await ImageCache.getBlob(app.logo));
+
+    return VaultDB.transaction('apps', 'readwrite', async tx => {
+      const store = tx.objectStore('apps');
+      const record = await promisify(store.get(appId));
+      // The logo may have changed with a rescan meanwhile
+      if (!record || record.logo !== app.logo) return false;
+
+      record.logoPalette = logoPalette;
+      store.put(record);
+      return true;
+    });
+  }
+
+  /**
+   * Hash an app's screens that have no hash yet, then flag its duplicates.
+   * Returns { hashed, failed, duplicates, changed, logo } where `changed`
+   * counts screens whose duplicate flag changed and `logo` tells whether
+   * the logo's palette was stored.
+   */
+  async function scanApp(appId, onProgress) {
+    const screens = await VaultStore.getScreens(appId);
+    const missing = screens.filter(screen => !isDescribed(screen));
+    const descriptions = new Map();
+    let failed = 0;
+
+    for (let index = 0; index < missing.length; index++) {
+      const screen = missing[index];
+      try {
+        descriptions.set(screen.id, await ImageHash.describe(await ImageCache.getBlob(screen.url)));
+      } catch (error) {
+        console.warn('Could not hash screen:', screen.url, error);
+        failed++;
+      }
+      if (onProgress) onProgress({ appId, done: index + 1, total: missing.length });
+    }
+
+    screens.forEach(screen => {
+      if (descriptions.has(screen.id)) screen.phash = descriptions.get(screen.id).phash;
+    });
+    const flags = duplicateFlags(screens);
+
+    // Re-read each record so edits made meanwhile (notes, tags) are kept
+    const changed = await VaultDB.transaction('screens', 'readwrite', async tx => {
+      const store = tx.objectStore('screens');
+      let flagChanges = 0;
+
+      for (const screen of screens) {
+        const duplicateOf = flags.get(screen.id);
+        const flagChanged = (screen.duplicateOf || null) !== duplicateOf;
+        const description = descriptions.get(screen.id);
+        if (!description && !flagChanged) continue;
+
+        const record = await promisify(store.get(screen.id));
+        if (!record) continue;
+
+        if (description) Object.assign(record, description);
+        record.duplicateOf = duplicateOf;
+        store.put(record);
+        if (flagChanged) flagChanges++;
+      }
+
+      return flagChanges;
+    });
+
+    const logo = await describeLogo(appId).catch(error => {
+      console.warn('Could not read app logo:', appId, error);
+      return false;
+    });
+
+    return {
+      hashed: descriptions.size,
+      failed,
+      duplicates: Array.from(flags.values()).filter(Boolean).length,
+      changed,
+      logo
+    };
+  }
+
+  /**
+   * Number of screens without a hash or features, per app id
+   */
+  async function getUnhashedCounts() {
+    const screens = await VaultDB.getAll('screens');
+    const counts = new Map();
+    screens.forEach(screen => {
+      if (!isDescribed(screen)) counts.set(screen.appId, (counts.get(screen.appId) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * Groups of screens across the vault that look the same, largest first.
+   * Each group is { screens: [{ ...screen, app }], appCount }, its screens
+   * ordered by app name and position. `unhashed` counts screens that
+   * could not be compared yet.
+   */
+  async function findDuplicates(threshold = DEFAULT_THRESHOLD) {
+    const [screens, apps] = await Promise.all([
+      VaultDB.getAll('screens'),
+      VaultDB.getAll('apps')
+    ]);
+    const appsById = new Map(apps.map(app => [app.id, app]));
+
+    const hashed = screens
+      .filter(screen => screen.phash && appsById.has(screen.appId))
+      .map(screen => ({ ...screen, app: appsById.get(screen.appId) }))
+      .sort((a, b) => a.app.name.localeCompare(b.app.name) || a.position - b.position);
+
+    const groups = ImageHash.group(hashed, screen => screen.phash, threshold)
+      .map(members => ({
+        screens: members,
+        appCount: new Set(members.map(screen => screen.appId)).size
+      }))
+      .sort((a, b) => b.screens.length - a.screens.length);
+
+    return {
+      groups,
+      unhashed: screens.length - hashed.length
+    };
+  }
+
+  return {
+    THRESHOLDS,
+    DEFAULT_THRESHOLD,
+    isDescribed,
+    scanApp,
+    getUnhashedCounts,
+    findDuplicates
+  };
+})();
@@ -0,0 +1,186 @@
+// vault-export.js - v3
+// Builds ZIP exports of one or more apps with a metadata manifest
+
+const VaultExport = (() => {
+  const FORMAT = 'mobbin-vault-export';
+  const FORMAT_VERSION = 1;
+
+  const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif'
+  };
+
+  /**
+   * Make a string safe to use as a file or folder name
+   */
+  function safeFileName(text, fallback = 'untitled') {
+    const cleaned = String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 60);
+    return cleaned || fallback;
+  }
+
+  /**
+   * Short label used in a screen's file name
+   */
+  function screenLabel(screen) {
+    return screen.title || 'screen';
+  }
+
+  /**
+   * Ordered, zero-padded file name, e.g. "01_login.png"
+   */
+  function screenFileName(screen, index, total, extension) {
+    const width = Math.max(2, String(total).length);
+    const number = String(index + 1).padStart(width, '0');
+    return `${number}_${safeFileName(screenLabel(screen), 'screen')}.${extension}`;
+  }
+
+  /**
+   * File extension for an image blob (falls back to the URL)
+   */
+  function extensionFor(blob, url) {
+    if (blob && EXTENSIONS[blob.type]) return EXTENSIONS[blob.type];
+
+    const match = String(url).split('?')[0].match(/\.(png|jpe?g|webp|gif|avif)$/i);
+    if (match) return match[1].toLowerCase().replace('jpeg', 'jpg');
+
+    return 'png';
+  }
+
+  /**
+   * ISO date string for a timestamp, or null
+   */
+  function toIsoDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+
+  /**
+   * Metadata kept for each screen in the manifest
+   */
+  function screenManifest(screen, file) {
+    return {
+      file,
+      url: screen.url,
+      position: screen.position,
+      title: screen.title || null,
+      platform: screen.platform || null,
+      width: screen.width || null,
+      height: screen.height || null,
+      patterns: screen.patterns || [],
+      elements: screen.elements || [],
+      tags: screen.tags || [],
+      note: screen.note || null,
+      annotations: (screen.annotations || []).map(({ x, y, text }) => ({ x, y, text }))
+    };
+  }
+
+  /**
+   * Build a ZIP of the given apps. One app is exported at the archive root;
+   * several apps each get their own folder.
+   * Returns { blob, fileName, missing }.
+   */
+  async function buildZip(apps, onProgress) {
+    const entries = [];
+    const manifestApps = [];
+    const usedFolders = new Set();
+    const multiple = apps.length > 1;
+    let missing = 0;
+
+    for (let appIndex = 0; appIndex < apps.length; appIndex++) {
+      const app = apps[appIndex];
+      const screens = await VaultStore.getScreens(app.id);
+
+      let folder = '';
+      if (multiple) {
+        folder = safeFileName(app.name, app.id);
+        while (usedFolders.has(folder)) folder += '_';
+        usedFolders.add(folder);
+        folder += '/';
+      }
+
+      const manifestScreens = [];
+      for (let index = 0; index < screens.length; index++) {
+        const screen = screens[index];
+        if (onProgress) onProgress({ app, appIndex, screenIndex: index, screenCount: screens.length });
+
+        try {
+          const blob = await ImageCache.getBlob(screen.url);
+          const file = screenFileName(screen, index, screens.length, extensionFor(blob, screen.url));
+          entries.push({ name: folder + file, data: blob });
+          manifestScreens.push(screenManifest(screen, folder + file));
+        } catch (error) {
+          console.warn('Could not export screen:', screen.url, error);
+          manifestScreens.push({ ...screenManifest(screen, null), missing: true });
+          missing++;
+        }
+      }
+
+      // Logo is optional: keep the URL even when it can't be downloaded
+      let logoFile = null;
+      if (app.logo && !app.logo.includes('placeholder')) {
+        try {
+          const blob = await ImageCache.getBlob(app.logo);
+          logoFile = `${folder}logo.${extensionFor(blob, app.logo)}`;
+          entries.push({ name: logoFile, data: blob });
+        } catch (error) {
+          console.debug('Could not export logo:', error);
+        }
+      }
+
+      // Flows reference the exported files of their steps
+      const fileByUrl = new Map(manifestScreens.map(screen => [screen.url, screen.file]));
+      const flows = (await VaultStore.getFlows(app.id)).map(flow => ({
+        name: flow.name,
+        steps: flow.steps.map(step => ({
+          url: step.url,
+          title: step.title || null,
+          file: fileByUrl.get(step.url) || null
+        }))
+      }));
+
+      manifestApps.push({
+        id: app.id,
+        name: app.name,
+        sourceUrl: app.sourceUrl || null,
+        logo: app.logo || null,
+        logoFile,
+        dateAdded: toIsoDate(app.dateAdded),
+        dateUpdated: toIsoDate(app.dateUpdated),
+        tags: app.tags || [],
+        screenCount: screens.length,
+        screens: manifestScreens,
+        flows
+      });
+    }
+
+    entries.push({
+      name: 'manifest.json',
+      data: JSON.stringify({
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        generator: `Mobbin Vault ${chrome.runtime.getManifest().version}`,
+        exportedAt: new Date().toISOString(),
+        apps: manifestApps
+      }, null, 2)
+    });
+
+    const fileName = multiple
+      ? `mobbin-vault-${apps.length}-apps.zip`
+      : `${safeFileName(apps[0].name, apps[0].id)}.zip`;
+
+    return { blob: await Zip.create(entries), fileName, missing };
+  }
+
+  return {
+    buildZip,
+    safeFileName,
+    screenFileName,
+    extensionFor
+  };
+})();
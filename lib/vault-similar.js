@@ -0,0 +1,69 @@
+// vault-similar.js - v3
+// Ranks the vault's screens by how much they look like a given screen
+//
+// Scores combine the layout, colors and perceptual hash stored with each
+// screen (see image-hash.js), so screens of other apps that solve the same
+// problem (a paywall, an empty state) rank high even if they aren't copies.
+
+const VaultSimilar = (() => {
+  // Share of each feature in a score; layout says the most about a screen's purpose
+  const WEIGHTS = { layout: 0.5, colors: 0.25, phash: 0.25 };
+  const DEFAULT_LIMIT = 48;
+
+  /**
+   * How alike two described screens are, from 0 to 1
+   */
+  function score(a, b) {
+    const { layout, colors } = ImageHash.compareFeatures(a.features, b.features);
+    const phash = 1 - ImageHash.distance(a.phash, b.phash) / 64;
+    return WEIGHTS.layout * layout + WEIGHTS.colors * colors + WEIGHTS.phash * phash;
+  }
+
+  /**
+   * Screens most like the screen `screenId`, best first. Options:
+   * `otherApps` leaves out the screen's own app (default true), `limit`
+   * caps the results. Returns { screen, results: [{ ...screen, app, score }],
+   * unhashed } where `unhashed` counts screens that could not be compared.
+   */
+  async function findSimilar(screenId, { otherApps = true, limit = DEFAULT_LIMIT } = {}) {
+    let screen = await VaultDB.get('screens', screenId);
+    if (!screen) throw new Error('Screen not found');
+
+    // Describe the screen now if its image wasn't checked yet
+    if (!VaultDuplicates.isDescribed(screen)) {
+      await VaultDuplicates.scanApp(screen.appId);
+      screen = await VaultDB.get('screens', screenId);
+      if (!VaultDuplicates.isDescribed(screen)) throw new Error('Could not load the screen image');
+    }
+
+    const [screens, apps] = await Promise.all([
+      VaultDB.getAll('screens'),
+      VaultDB.getAll('apps')
+    ]);
+    const appsById = new Map(apps.map(app => [app.id, app]));
+
+    const candidates = screens.filter(other =>
+      other.id !== screen.id &&
+      appsById.has(other.appId) &&
+      !(otherApps && other.appId === screen.appId)
+    );
+    const described = candidates.filter(VaultDuplicates.isDescribed);
+
+    const results = described
+      .map(other => ({ ...other, app: appsById.get(other.appId), score: score(screen, other) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return {
+      screen,
+      results,
+      unhashed: candidates.length - described.length
+    };
+  }
+
+  return {
+    DEFAULT_LIMIT,
+    score,
+    findSimilar
+  };
+})();
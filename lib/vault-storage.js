@@ -0,0 +1,202 @@
+// vault-storage.js - v3
+// Storage use of the vault per app, and the policy deciding which apps
+// keep offline images
+//
+// The policy lives in chrome.storage.local under `storagePolicy`:
+//   starredOnly     - only starred apps keep their offline images
+//   evictAfterDays  - drop the images of apps not opened for this many
+//                     days (0 keeps them); starred apps are never evicted
+// Scans don't cache the images of apps it leaves out, and the service worker
+// applies it once a day to clean up after policy changes.
+
+const VaultStorage = (() => {
+  const POLICY_KEY = 'storagePolicy';
+  const DEFAULT_POLICY = { starredOnly: false, evictAfterDays: 0 };
+  const EVICT_DAY_OPTIONS = [0, 30, 90, 180, 365];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Above this share of the quota the vault counts as nearly full
+  const NEAR_LIMIT = 0.8;
+
+  // Size of a scan when the vault has nothing to average yet
+  const DEFAULT_APP_BYTES = 20 * 1024 * 1024;
+
+  // Images are measured by their recorded size, not as JSON
+  const IMAGE_STORE = 'images';
+
+  /**
+   * The storage policy, with defaults for anything unset
+   */
+  async function getPolicy() {
+    const { [POLICY_KEY]: stored } = await chrome.storage.local.get(POLICY_KEY);
+    return { ...DEFAULT_POLICY, ...stored };
+  }
+
+  /**
+   * Change part of the storage policy; returns the new policy
+   */
+  async function setPolicy(changes) {
+    const policy = { ...(await getPolicy()), ...changes };
+    policy.starredOnly = Boolean(policy.starredOnly);
+    policy.evictAfterDays = EVICT_DAY_OPTIONS.includes(Number(policy.evictAfterDays))
+      ? Number(policy.evictAfterDays)
+      : 0;
+
+    await chrome.storage.local.set({ [POLICY_KEY]: policy });
+    return policy;
+  }
+
+  /**
+   * Usage and quota of the extension's storage, and whether the browser
+   * keeps it under storage pressure (persisted)
+   */
+  async function getEstimate() {
+    const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+      navigator.storage.estimate(),
+      navigator.storage.persisted ? navigator.storage.persisted() : false
+    ]);
+    return { usage, quota, persisted };
+  }
+
+  /**
+   * Approximate bytes of everything but images per app id, measured as
+   * the records' JSON
+   */
+  async function getDataBytesByApp() {
+    const db = await VaultDB.open();
+    const storeNames = Array.from(db.objectStoreNames).filter(name => name !== IMAGE_STORE);
+
+    return VaultDB.transaction(storeNames, 'readonly', tx => Promise.all(storeNames.map(name => (
+      new Promise((resolve, reject) => {
+        const bytes = [];
+        const request = tx.objectStore(name).openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(bytes);
+            return;
+          }
+          const record = cursor.value;
+          const appId = name === 'apps' ? record.id : record.appId;
+          if (appId) bytes.push([appId, JSON.stringify(record).length]);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      })
+    )))).then(results => {
+      const totals = new Map();
+      results.flat().forEach(([appId, size]) => totals.set(appId, (totals.get(appId) || 0) + size));
+      return totals;
+    });
+  }
+
+  /**
+   * Storage of each app, largest first: [{ app, imageCount, imageBytes,
+   * dataBytes, totalBytes }]
+   */
+  async function getAppUsage() {
+    const [apps, images, data] = await Promise.all([
+      VaultStore.getApps(),
+      ImageCache.getUsageByApp(),
+      getDataBytesByApp()
+    ]);
+
+    return apps
+      .map(app => {
+        const { count = 0, bytes = 0 } = images.get(app.id) || {};
+        const dataBytes = data.get(app.id) || 0;
+        return { app, imageCount: count, imageBytes: bytes, dataBytes, totalBytes: bytes + dataBytes };
+      })
+      .sort((a, b) => b.totalBytes - a.totalBytes);
+  }
+
+  /**
+   * Why the policy drops an app's offline images ('not-starred' or
+   * 'not-opened'), or null when it keeps them
+   */
+  function getEvictionReason(app, policy, now = Date.now()) {
+    if (app.starred) return null;
+    if (policy.starredOnly) return 'not-starred';
+
+    const lastOpened = app.lastOpened || app.dateAdded || 0;
+    if (policy.evictAfterDays > 0 && now - lastOpened > policy.evictAfterDays * DAY_MS) {
+      return 'not-opened';
+    }
+    return null;
+  }
+
+  /**
+   * Whether the policy lets an app keep offline images; scans check this
+   * before caching any
+   */
+  async function allowsImages(appId) {
+    const [policy, app] = await Promise.all([getPolicy(), VaultStore.getApp(appId)]);
+    return Boolean(app) && !getEvictionReason(app, policy);
+  }
+
+  /**
+   * Drop the offline images the policy doesn't keep. With `dryRun`, only
+   * report them. Returns { apps: [{ app, reason, imageCount, imageBytes }], bytes }.
+   */
+  async function applyPolicy({ dryRun = false, policy = null } = {}) {
+    const rules = policy || await getPolicy();
+    const [apps, images] = await Promise.all([VaultStore.getApps(), ImageCache.getUsageByApp()]);
+    const now = Date.now();
+
+    const evicted = apps
+      .filter(app => images.has(app.id))
+      .map(app => ({
+        app,
+        reason: getEvictionReason(app, rules, now),
+        imageCount: images.get(app.id).count,
+        imageBytes: images.get(app.id).bytes
+      }))
+      .filter(entry => entry.reason);
+
+    if (!dryRun) {
+      for (const entry of evicted) await ImageCache.deleteForApp(entry.app.id);
+    }
+
+    return { apps: evicted, bytes: evicted.reduce((sum, entry) => sum + entry.imageBytes, 0) };
+  }
+
+  /**
+   * Whether scanning `appCount` more apps likely fits: the estimate is the
+   * browser's usage figure spread over the apps with offline images, which
+   * take nearly all of it. Returns { estimatedBytes, available, usage,
+   * quota, wouldExceed, nearLimit }.
+   */
+  async function estimateScan(appCount = 1) {
+    const [{ usage, quota }, imageCounts] = await Promise.all([getEstimate(), ImageCache.getCountsByApp()]);
+
+    const perApp = imageCounts.size > 0 && usage > 0
+      ? usage / imageCounts.size
+      : DEFAULT_APP_BYTES;
+    const estimatedBytes = Math.round(perApp * appCount);
+    const available = Math.max(0, quota - usage);
+
+    return {
+      estimatedBytes,
+      available,
+      usage,
+      quota,
+      wouldExceed: quota > 0 && estimatedBytes > available,
+      nearLimit: quota > 0 && (usage + estimatedBytes) / quota > NEAR_LIMIT
+    };
+  }
+
+  return {
+    DEFAULT_POLICY,
+    EVICT_DAY_OPTIONS,
+    NEAR_LIMIT,
+    getPolicy,
+    setPolicy,
+    getEstimate,
+    getAppUsage,
+    getEvictionReason,
+    allowsImages,
+    applyPolicy,
+    estimateScan
+  };
+})();
@@ -0,0 +1,715 @@
+// vault-store.js - v3
+// Apps and screens stored as individual IndexedDB records
+
+const VaultStore = (() => {
+  const MAX_TAG_LENGTH = 40;
+  const MAX_SNAPSHOTS = 50;
+
+  // Scraped screen fields kept in snapshots (user fields like notes are not)
+  const SNAPSHOT_FIELDS = ['url', 'position', 'width', 'height', 'platform', 'title', 'patterns', 'elements'];
+
+  const { promisify } = VaultDB;
+
+  /**
+   * Stable id of a screen record
+   */
+  function screenId(appId, url) {
+    return `${appId}|${url}`;
+  }
+
+  /**
+   * Upgrade a screen (a bare URL string from older versions, or a partial
+   * object) to the full screen shape. Unknown fields are kept.
+   */
+  function normalizeScreen(screen, position) {
+    const data = typeof screen === 'string' ? { url: screen } : { ...screen };
+
+    return {
+      ...data,
+      url: data.url,
+      position: Number.isInteger(data.position) ? data.position : position,
+      width: data.width || null,
+      height: data.height || null,
+      platform: data.platform || null,
+      title: data.title || '',
+      patterns: Array.isArray(data.patterns) ? data.patterns : [],
+      elements: Array.isArray(data.elements) ? data.elements : []
+    };
+  }
+
+  /**
+   * Merge a fresh scrape into an existing screen record: scraped values win
+   * unless they are empty, and fields the scraper doesn't know are kept
+   */
+  function mergeScreen(existing, scraped) {
+    if (!existing) return scraped;
+
+    const merged = { ...existing, ...scraped };
+    ['width', 'height', 'platform', 'title'].forEach(field => {
+      if (!scraped[field] && existing[field]) merged[field] = existing[field];
+    });
+    ['patterns', 'elements'].forEach(field => {
+      if (scraped[field].length === 0 && existing[field]) merged[field] = existing[field];
+    });
+
+    return merged;
+  }
+
+  /**
+   * Most common platform among screens, or null
+   */
+  function dominantPlatform(screens) {
+    const counts = {};
+    screens.forEach(screen => {
+      if (screen.platform) counts[screen.platform] = (counts[screen.platform] || 0) + 1;
+    });
+
+    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return sorted.length > 0 ? sorted[0][0] : null;
+  }
+
+  /**
+   * Get every app record
+   */
+  function getApps() {
+    return VaultDB.getAll('apps');
+  }
+
+  /**
+   * Get one app record, or null
+   */
+  async function getApp(appId) {
+    return (await VaultDB.get('apps', appId)) || null;
+  }
+
+  /**
+   * Get an app's screens in their original order
+   */
+  async function getScreens(appId) {
+    const screens = await VaultDB.getAllByIndex('screens', 'appId', appId);
+    return screens.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Get an app's flows in page order
+   */
+  async function getFlows(appId) {
+    const flows = await VaultDB.getAllByIndex('flows', 'appId', appId);
+    return flows.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Get an app's snapshots, newest first
+   */
+  async function getSnapshots(appId) {
+    const snapshots = await VaultDB.getAllByIndex('snapshots', 'appId', appId);
+    return snapshots.sort((a, b) => b.dateScanned - a.dateScanned);
+  }
+
+  /**
+   * Screens added and removed between two snapshots (or screen lists)
+   */
+  function diffScreens(olderScreens, newerScreens) {
+    const olderUrls = new Set(olderScreens.map(screen => screen.url));
+    const newerUrls = new Set(newerScreens.map(screen => screen.url));
+
+    return {
+      added: newerScreens.filter(screen => !olderUrls.has(screen.url)),
+      removed: olderScreens.filter(screen => !newerUrls.has(screen.url)),
+      unchanged: newerScreens.filter(screen => olderUrls.has(screen.url)).length
+    };
+  }
+
+  /**
+   * Snapshot record of an app's screens (and flows) at a point in time
+   */
+  function createSnapshot(appId, dateScanned, screens, flows) {
+    return {
+      id: `${appId}|snapshot:${dateScanned}`,
+      appId,
+      dateScanned,
+      screenCount: screens.length,
+      screens: screens.map(screen => Object.fromEntries(
+        SNAPSHOT_FIELDS.map(field => [field, screen[field]])
+      )),
+      flows: Array.isArray(flows)
+        ? flows.map(flow => ({
+          name: flow.name,
+          steps: flow.steps.map(step => ({ url: step.url, title: step.title || '' }))
+        }))
+        : null
+    };
+  }
+
+  /**
+   * Replace an app's screen records inside a transaction. Screens no longer
+   * listed go with their collection entries and cached images.
+   * Returns the ids of the screens written.
+   */
+  async function writeScreens(tx, appId, screens) {
+    const screensStore = tx.objectStore('screens');
+    const oldScreens = await promisify(screensStore.index('appId').getAll(appId));
+    const oldById = new Map(oldScreens.map(screen => [screen.id, screen]));
+    const keep = new Set();
+
+    screens.forEach(screen => {
+      const id = screenId(appId, screen.url);
+      keep.add(id);
+      screensStore.put(mergeScreen(oldById.get(id), { ...screen, id, appId }));
+    });
+
+    await removeScreenRecords(tx, oldScreens.filter(screen => !keep.has(screen.id)));
+    return keep;
+  }
+
+  /**
+   * Replace an app's flow records inside a transaction
+   */
+  async function writeFlows(tx, appId, flows, screenIds) {
+    const flowsStore = tx.objectStore('flows');
+    const oldFlowKeys = await promisify(flowsStore.index('appId').getAllKeys(appId));
+    oldFlowKeys.forEach(key => flowsStore.delete(key));
+
+    flows.forEach((flow, position) => {
+      flowsStore.put({
+        id: `${appId}|flow:${position}`,
+        appId,
+        name: flow.name,
+        position,
+        // Link steps to saved screens of this app where possible
+        steps: flow.steps.map(step => {
+          const id = screenId(appId, step.url);
+          return {
+            url: step.url,
+            title: step.title || '',
+            screenId: screenIds.has(id) ? id : null
+          };
+        })
+      });
+    });
+  }
+
+  /**
+   * Keep an app's newest snapshots only; returns the kept ones, newest first
+   */
+  async function pruneSnapshots(tx, appId) {
+    const store = tx.objectStore('snapshots');
+    const snapshots = await promisify(store.index('appId').getAll(appId));
+    snapshots.sort((a, b) => b.dateScanned - a.dateScanned);
+
+    snapshots.slice(MAX_SNAPSHOTS).forEach(snapshot => store.delete(snapshot.id));
+    return snapshots.slice(0, MAX_SNAPSHOTS);
+  }
+
+  /**
+   * Insert or update an app and replace its screen list in one transaction.
+   * Screens are objects (see normalizeScreen) or URL strings, in page order.
+   * Existing screen records keep any extra fields they already have.
+   * Flows ({ name, steps: [{ url, title }] }) replace the app's flows when
+   * given; pass null to keep the existing ones.
+   * Every save is also kept as a snapshot of the scan; `changes` holds the
+   * number of screens added and removed since the previous one, if any.
+   */
+  function saveApp(appData, scrapedScreens, scrapedFlows = null) {
+    const screens = scrapedScreens.map((screen, position) => ({
+      ...normalizeScreen(screen, position),
+      position
+    }));
+
+    return VaultDB.transaction(['apps', 'screens', 'flows', 'snapshots', 'collectionItems', 'images'], 'readwrite', async tx => {
+      const appsStore = tx.objectStore('apps');
+      const snapshotsStore = tx.objectStore('snapshots');
+
+      // Match by id first, then by name (same app scanned from another URL)
+      let existing = await promisify(appsStore.get(appData.id));
+      if (!existing) {
+        existing = await promisify(appsStore.index('name').get(appData.name));
+      }
+
+      const now = Date.now();
+      const app = {
+        ...existing,
+        ...appData,
+        id: existing ? existing.id : appData.id,
+        platform: dominantPlatform(screens) || appData.platform || (existing && existing.platform) || null,
+        screenCount: screens.length,
+        restoredSnapshotId: null,
+        dateAdded: existing ? existing.dateAdded : now,
+        dateUpdated: now
+      };
+      // A new logo needs its colors read again
+      if (existing && app.logo !== existing.logo) app.logoPalette = null;
+
+      // Apps scanned before history was kept get their previous state as
+      // the first snapshot, so the new scan can be compared against it
+      if (existing) {
+        const snapshotCount = await promisify(snapshotsStore.index('appId').count(app.id));
+        if (snapshotCount === 0) {
+          const [oldScreens, oldFlows] = await Promise.all([
+            promisify(tx.objectStore('screens').index('appId').getAll(app.id)),
+            promisify(tx.objectStore('flows').index('appId').getAll(app.id))
+          ]);
+          oldScreens.sort((a, b) => a.position - b.position);
+          oldFlows.sort((a, b) => a.position - b.position);
+
+          const dateScanned = Math.min(existing.dateUpdated || existing.dateAdded || now, now - 1);
+          snapshotsStore.put(createSnapshot(app.id, dateScanned, oldScreens, oldFlows));
+        }
+      }
+
+      appsStore.put(app);
+      const screenIds = await writeScreens(tx, app.id, screens);
+
+      if (Array.isArray(scrapedFlows)) {
+        await writeFlows(tx, app.id, scrapedFlows, screenIds);
+      }
+
+      const snapshot = createSnapshot(app.id, now, screens, scrapedFlows);
+      snapshotsStore.put(snapshot);
+      const snapshots = await pruneSnapshots(tx, app.id);
+
+      let changes = null;
+      const previous = snapshots.find(s => s.id !== snapshot.id);
+      if (previous) {
+        const { added, removed } = diffScreens(previous.screens, snapshot.screens);
+        changes = { added: added.length, removed: removed.length };
+      }
+
+      return { app, isUpdate: Boolean(existing), changes };
+    });
+  }
+
+  /**
+   * Add screens found on a page listing many apps (search results, pattern
+   * or collection pages) to one app, creating the app if it is new.
+   * Unlike saveApp this only adds: the page shows a few of the app's
+   * screens, so nothing is removed and no snapshot is taken.
+   * Returns { app, isNew, added } with the number of screens not seen before.
+   */
+  function addScreens(appData, scrapedScreens) {
+    return VaultDB.transaction(['apps', 'screens'], 'readwrite', async tx => {
+      const appsStore = tx.objectStore('apps');
+      const screensStore = tx.objectStore('screens');
+
+      // Match by id first, then by name, as saveApp does
+      let existing = await promisify(appsStore.get(appData.id));
+      if (!existing) {
+        existing = await promisify(appsStore.index('name').get(appData.name));
+      }
+
+      const appId = existing ? existing.id : appData.id;
+      const oldScreens = await promisify(screensStore.index('appId').getAll(appId));
+      const oldById = new Map(oldScreens.map(screen => [screen.id, screen]));
+      let nextPosition = oldScreens.reduce((max, screen) => Math.max(max, screen.position + 1), 0);
+      let added = 0;
+
+      scrapedScreens.forEach(scraped => {
+        const id = screenId(appId, scraped.url);
+        const old = oldById.get(id);
+        const screen = normalizeScreen(scraped, old ? old.position : nextPosition);
+        screen.position = old ? old.position : nextPosition++;
+
+        if (!old) added++;
+        oldById.set(id, mergeScreen(old, { ...screen, id, appId }));
+        screensStore.put(oldById.get(id));
+      });
+
+      const now = Date.now();
+      const app = existing
+        ? { ...existing, screenCount: oldById.size, dateUpdated: now }
+        : {
+          ...appData,
+          platform: dominantPlatform([...oldById.values()]) || appData.platform || null,
+          screenCount: oldById.size,
+          dateAdded: now,
+          dateUpdated: now
+        };
+      appsStore.put(app);
+
+      return { app, isNew: !existing, added };
+    });
+  }
+
+  /**
+   * Make an older snapshot the app's current screen list (and flows, when
+   * the snapshot has them). Screens not in the snapshot are removed.
+   */
+  function restoreSnapshot(appId, snapshotId) {
+    return VaultDB.transaction(['apps', 'screens', 'flows', 'snapshots', 'collectionItems', 'images'], 'readwrite', async tx => {
+      const appsStore = tx.objectStore('apps');
+      const existing = await promisify(appsStore.get(appId));
+      const snapshot = await promisify(tx.objectStore('snapshots').get(snapshotId));
+      if (!existing || !snapshot || snapshot.appId !== appId) {
+        throw new Error('Snapshot no longer exists');
+      }
+
+      const screens = snapshot.screens.map((screen, position) => normalizeScreen(screen, position));
+      const app = {
+        ...existing,
+        platform: dominantPlatform(screens) || existing.platform || null,
+        screenCount: screens.length,
+        restoredSnapshotId: snapshot.id,
+        dateUpdated: Date.now()
+      };
+      appsStore.put(app);
+
+      const screenIds = await writeScreens(tx, appId, screens);
+      if (Array.isArray(snapshot.flows)) {
+        await writeFlows(tx, appId, snapshot.flows, screenIds);
+      }
+
+      return app;
+    });
+  }
+
+  /**
+   * Clean up free-form tags: trimmed, single-spaced, no case-insensitive duplicates
+   */
+  function normalizeTags(tags) {
+    const seen = new Set();
+    const result = [];
+
+    (tags || []).forEach(tag => {
+      const cleaned = String(tag).replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+      const key = cleaned.toLowerCase();
+      if (!cleaned || seen.has(key)) return;
+      seen.add(key);
+      result.push(cleaned);
+    });
+
+    return result;
+  }
+
+  /**
+   * Set one user field of a record in `storeName`; returns the saved value
+   */
+  function setField(storeName, id, field, value) {
+    return VaultDB.transaction(storeName, 'readwrite', async tx => {
+      const store = tx.objectStore(storeName);
+      const record = await promisify(store.get(id));
+      if (!record) throw new Error('Item no longer exists');
+
+      record[field] = value;
+      store.put(record);
+      return value;
+    });
+  }
+
+  function setAppTags(appId, tags) {
+    return setField('apps', appId, 'tags', normalizeTags(tags));
+  }
+
+  /**
+   * Star an app (starred apps keep their offline images, see vault-storage.js)
+   */
+  function setAppStarred(appId, starred) {
+    return setField('apps', appId, 'starred', Boolean(starred));
+  }
+
+  /**
+   * Note that an app was just opened in the dashboard
+   */
+  function markAppOpened(appId) {
+    return setField('apps', appId, 'lastOpened', Date.now());
+  }
+
+  function setScreenTags(screenId, tags) {
+    return setField('screens', screenId, 'tags', normalizeTags(tags));
+  }
+
+  /**
+   * Save the free-form note of a screen
+   */
+  function setScreenNote(screenId, note) {
+    return setField('screens', screenId, 'note', String(note || '').trim());
+  }
+
+  /**
+   * Save the pinned annotations of a screen: [{ id, x, y, text, dateCreated }]
+   * with x and y as fractions (0-1) of the image size. Empty ones are dropped.
+   */
+  function setScreenAnnotations(screenId, annotations) {
+    const clamp = value => Math.min(1, Math.max(0, Number(value) || 0));
+    const cleaned = (annotations || [])
+      .map(annotation => ({
+        id: annotation.id || crypto.randomUUID(),
+        x: clamp(annotation.x),
+        y: clamp(annotation.y),
+        text: String(annotation.text || '').trim(),
+        dateCreated: annotation.dateCreated || Date.now()
+      }))
+      .filter(annotation => annotation.text);
+
+    return setField('screens', screenId, 'annotations', cleaned);
+  }
+
+  /**
+   * Note and annotation texts of every screen, grouped by app id
+   * (appId -> [{ screenId, text }]), for searching the library
+   */
+  function getNotesByApp() {
+    return VaultDB.transaction('screens', 'readonly', tx => new Promise((resolve, reject) => {
+      const notes = new Map();
+      const request = tx.objectStore('screens').openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(notes);
+          return;
+        }
+
+        const screen = cursor.value;
+        const texts = [screen.note, ...(screen.annotations || []).map(a => a.text)].filter(Boolean);
+        if (texts.length > 0) {
+          if (!notes.has(screen.appId)) notes.set(screen.appId, []);
+          texts.forEach(text => notes.get(screen.appId).push({ screenId: screen.id, text }));
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Color palettes of every screen, per app id: [{ screenId, palette }]
+   */
+  async function getPalettesByApp() {
+    const screens = await VaultDB.getAll('screens');
+    const palettes = new Map();
+    screens.forEach(screen => {
+      if (!screen.palette || screen.palette.length === 0) return;
+      if (!palettes.has(screen.appId)) palettes.set(screen.appId, []);
+      palettes.get(screen.appId).push({ screenId: screen.id, palette: screen.palette });
+    });
+    return palettes;
+  }
+
+  /**
+   * Every tag used on apps or screens, sorted
+   */
+  function getAllTags() {
+    return VaultDB.transaction(['apps', 'screens'], 'readonly', tx => {
+      const tags = new Map();
+
+      const collect = storeName => new Promise((resolve, reject) => {
+        const request = tx.objectStore(storeName).index('tags').openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          tags.set(cursor.key.toLowerCase(), cursor.key);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      return Promise.all([collect('apps'), collect('screens')])
+        .then(() => Array.from(tags.values()).sort((a, b) => a.localeCompare(b)));
+    });
+  }
+
+  /**
+   * Remove screen records inside a transaction, with their collection
+   * entries and cached images. Flow steps showing them point to
+   * `replacement` (a screen of the same app) when given.
+   */
+  async function removeScreenRecords(tx, screens, replacement = null) {
+    const screensStore = tx.objectStore('screens');
+    const itemsStore = tx.objectStore('collectionItems');
+    const flowsStore = tx.objectStore('flows');
+    const imagesStore = tx.objectStore('images');
+    const removedIds = new Set(screens.map(screen => screen.id));
+    const appIds = new Set(screens.map(screen => screen.appId));
+
+    for (const screen of screens) {
+      screensStore.delete(screen.id);
+
+      const itemKeys = await promisify(itemsStore.index('itemId').getAllKeys(screen.id));
+      itemKeys.forEach(key => itemsStore.delete(key));
+
+      const image = await promisify(imagesStore.get(screen.url));
+      if (image && image.appId === screen.appId) imagesStore.delete(screen.url);
+    }
+
+    for (const appId of appIds) {
+      const flows = await promisify(flowsStore.index('appId').getAll(appId));
+      flows.forEach(flow => {
+        if (!flow.steps.some(step => removedIds.has(step.screenId))) return;
+
+        const useReplacement = replacement && replacement.appId === appId;
+        flowsStore.put({
+          ...flow,
+          steps: flow.steps.map(step => {
+            if (!removedIds.has(step.screenId)) return step;
+            return useReplacement
+              ? { ...step, url: replacement.url, screenId: replacement.id }
+              : { ...step, screenId: null };
+          })
+        });
+      });
+
+      const appsStore = tx.objectStore('apps');
+      const app = await promisify(appsStore.get(appId));
+      if (app) {
+        const screenCount = await promisify(screensStore.index('appId').count(appId));
+        appsStore.put({ ...app, screenCount, dateUpdated: Date.now() });
+      }
+    }
+  }
+
+  /**
+   * Delete screens from the vault
+   */
+  function deleteScreens(screenIds) {
+    return VaultDB.transaction(['apps', 'screens', 'flows', 'collectionItems', 'images'], 'readwrite', async tx => {
+      const screensStore = tx.objectStore('screens');
+      const screens = [];
+      for (const id of screenIds) {
+        const screen = await promisify(screensStore.get(id));
+        if (screen) screens.push(screen);
+      }
+
+      await removeScreenRecords(tx, screens);
+      return screens.length;
+    });
+  }
+
+  /**
+   * Fold duplicates into one screen: it gains their tags, notes,
+   * annotations and collections, takes their place in flows, and the
+   * duplicates are deleted. Returns the kept screen.
+   */
+  function mergeScreens(keepId, duplicateIds) {
+    return VaultDB.transaction(['apps', 'screens', 'flows', 'collectionItems', 'images'], 'readwrite', async tx => {
+      const screensStore = tx.objectStore('screens');
+      const itemsStore = tx.objectStore('collectionItems');
+
+      const kept = await promisify(screensStore.get(keepId));
+      if (!kept) throw new Error('Screen no longer exists');
+
+      const duplicates = [];
+      for (const id of duplicateIds) {
+        const screen = id !== keepId && await promisify(screensStore.get(id));
+        if (screen) duplicates.push(screen);
+      }
+
+      duplicates.forEach(screen => {
+        kept.tags = normalizeTags([...(kept.tags || []), ...(screen.tags || [])]);
+        if (screen.note) kept.note = kept.note ? `${kept.note}\n\n${screen.note}` : screen.note;
+        kept.annotations = [...(kept.annotations || []), ...(screen.annotations || [])];
+      });
+      kept.duplicateOf = null;
+      screensStore.put(kept);
+
+      // Collections holding a duplicate hold the kept screen instead
+      // (keys as in VaultCollections: "<collectionId>|<itemId>")
+      for (const screen of duplicates) {
+        const links = await promisify(itemsStore.index('itemId').getAll(screen.id));
+        links.forEach(link => itemsStore.put({
+          ...link,
+          id: `${link.collectionId}|${kept.id}`,
+          itemId: kept.id,
+          appId: kept.appId
+        }));
+      }
+
+      await removeScreenRecords(tx, duplicates, kept);
+      return kept;
+    });
+  }
+
+  /**
+   * Delete an app with everything tied to it (screens, flows, snapshots,
+   * cached images, collection entries)
+   */
+  async function deleteApp(appId) {
+    const db = await VaultDB.open();
+    const storeNames = Array.from(db.objectStoreNames);
+
+    return VaultDB.transaction(storeNames, 'readwrite', async tx => {
+      tx.objectStore('apps').delete(appId);
+
+      for (const name of storeNames) {
+        const store = tx.objectStore(name);
+        if (!store.indexNames.contains('appId')) continue;
+
+        const keys = await promisify(store.index('appId').getAllKeys(appId));
+        keys.forEach(key => store.delete(key));
+      }
+    });
+  }
+
+  /**
+   * Delete everything in the vault database, and apps older versions left
+   * in chrome.storage.local. Settings and scan state stay.
+   */
+  async function clearAll() {
+    const db = await VaultDB.open();
+    const storeNames = Array.from(db.objectStoreNames);
+
+    await VaultDB.transaction(storeNames, 'readwrite', tx => {
+      storeNames.forEach(name => tx.objectStore(name).clear());
+    });
+    await chrome.storage.local.remove('apps');
+  }
+
+  /**
+   * Move apps saved by older versions (one `apps` array in
+   * chrome.storage.local) into the database. Safe to call repeatedly.
+   */
+  async function migrateLegacy() {
+    const { apps } = await chrome.storage.local.get('apps');
+    if (!Array.isArray(apps)) return 0;
+
+    await VaultDB.transaction(['apps', 'screens'], 'readwrite', tx => {
+      const appsStore = tx.objectStore('apps');
+      const screensStore = tx.objectStore('screens');
+
+      apps.forEach(legacyApp => {
+        const { screens = [], ...app } = legacyApp;
+
+        appsStore.put({ ...app, screenCount: screens.length });
+        screens.forEach((screen, position) => {
+          const record = normalizeScreen(screen, position);
+          screensStore.put({ ...record, id: screenId(app.id, record.url), appId: app.id });
+        });
+      });
+    });
+
+    await chrome.storage.local.remove('apps');
+    console.log(`Migrated ${apps.length} apps to the vault database`);
+    return apps.length;
+  }
+
+  return {
+    screenId,
+    normalizeScreen,
+    getApps,
+    getApp,
+    getScreens,
+    getFlows,
+    getSnapshots,
+    diffScreens,
+    saveApp,
+    addScreens,
+    restoreSnapshot,
+    normalizeTags,
+    setAppTags,
+    setAppStarred,
+    markAppOpened,
+    setScreenTags,
+    setScreenNote,
+    setScreenAnnotations,
+    getNotesByApp,
+    getPalettesByApp,
+    getAllTags,
+    deleteScreens,
+    mergeScreens,
+    deleteApp,
+    clearAll,
+    migrateLegacy
+  };
+})();
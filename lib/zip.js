@@ -0,0 +1,292 @@
+// zip.js - v3
+// Minimal ZIP archive writer (stored entries, no compression) and reader
+// Screen images are already compressed, so storing them keeps exports fast
+
+const Zip = (() => {
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  const encoder = new TextEncoder();
+
+  /**
+   * CRC-32 of a byte array
+   */
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Convert a Date to MS-DOS time/date fields
+   */
+  function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Normalize entry data to bytes
+   */
+  async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    if (typeof data === 'string') return encoder.encode(data);
+    throw new Error('Unsupported ZIP entry data');
+  }
+
+  // Sizes, offsets and counts at these limits are stored in ZIP64 records
+  const MAX_32 = 0xFFFFFFFF;
+  const MAX_16 = 0xFFFF;
+
+  function setUint64(view, pos, value) {
+    view.setBigUint64(pos, BigInt(value), true);
+  }
+
+  function getUint64(view, pos) {
+    const value = view.getBigUint64(pos, true);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('ZIP file too large');
+    return Number(value);
+  }
+
+  /**
+   * ZIP64 extended information extra field holding the given values
+   */
+  function zip64Extra(values) {
+    const extra = new DataView(new ArrayBuffer(4 + values.length * 8));
+    extra.setUint16(0, 0x0001, true);
+    extra.setUint16(2, values.length * 8, true);
+    values.forEach((value, index) => setUint64(extra, 4 + index * 8, value));
+    return extra.buffer;
+  }
+
+  /**
+   * Build a ZIP file from entries of { name, data, date? }.
+   * `data` may be a Blob, ArrayBuffer, Uint8Array or string. Archives past
+   * 4 GB or 65,535 entries get ZIP64 records.
+   */
+  async function create(entries) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const nameBytes = encoder.encode(entry.name);
+      const data = await toBytes(entry.data);
+      const crc = crc32(data);
+      const { time, date } = toDosDateTime(entry.date || new Date());
+
+      const largeData = data.length >= MAX_32;
+      const largeOffset = offset >= MAX_32;
+      const zip64 = largeData || largeOffset;
+      const version = zip64 ? 45 : 20;
+
+      const localExtra = largeData ? zip64Extra([data.length, data.length]) : new ArrayBuffer(0);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, version, true);   // Version needed
+      local.setUint16(6, 0x0800, true);    // UTF-8 file names
+      local.setUint16(8, 0, true);         // Stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, largeData ? MAX_32 : data.length, true);
+      local.setUint32(22, largeData ? MAX_32 : data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, localExtra.byteLength, true);
+
+      // Keep blobs as blobs so large exports aren't copied twice
+      parts.push(local.buffer, nameBytes, localExtra, entry.data instanceof Blob ? entry.data : data);
+
+      const centralExtra = zip64
+        ? zip64Extra([...(largeData ? [data.length, data.length] : []), ...(largeOffset ? [offset] : [])])
+        : new ArrayBuffer(0);
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014B50, true);
+      header.setUint16(4, version, true);  // Version made by
+      header.setUint16(6, version, true);  // Version needed
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, crc, true);
+      header.setUint32(20, largeData ? MAX_32 : data.length, true);
+      header.setUint32(24, largeData ? MAX_32 : data.length, true);
+      header.setUint16(28, nameBytes.length, true);
+      header.setUint16(30, centralExtra.byteLength, true);
+      header.setUint16(32, 0, true);       // Comment length
+      header.setUint16(34, 0, true);       // Disk number
+      header.setUint16(36, 0, true);       // Internal attributes
+      header.setUint32(38, 0, true);       // External attributes
+      header.setUint32(42, largeOffset ? MAX_32 : offset, true);
+
+      central.push(header.buffer, nameBytes, centralExtra);
+      offset += 30 + nameBytes.length + localExtra.byteLength + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const zip64End = entries.length >= MAX_16 || centralSize >= MAX_32 || offset >= MAX_32;
+    const records = [];
+
+    if (zip64End) {
+      const record = new DataView(new ArrayBuffer(56));
+      record.setUint32(0, 0x06064B50, true);
+      setUint64(record, 4, 44);            // Size of the rest of the record
+      record.setUint16(12, 45, true);      // Version made by
+      record.setUint16(14, 45, true);      // Version needed
+      record.setUint32(16, 0, true);       // Disk number
+      record.setUint32(20, 0, true);       // Disk with the central directory
+      setUint64(record, 24, entries.length);
+      setUint64(record, 32, entries.length);
+      setUint64(record, 40, centralSize);
+      setUint64(record, 48, offset);
+
+      const locator = new DataView(new ArrayBuffer(20));
+      locator.setUint32(0, 0x07064B50, true);
+      locator.setUint32(4, 0, true);
+      setUint64(locator, 8, offset + centralSize);
+      locator.setUint32(16, 1, true);      // Number of disks
+
+      records.push(record.buffer, locator.buffer);
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, Math.min(entries.length, MAX_16), true);
+    end.setUint16(10, Math.min(entries.length, MAX_16), true);
+    end.setUint32(12, Math.min(centralSize, MAX_32), true);
+    end.setUint32(16, Math.min(offset, MAX_32), true);
+    end.setUint16(20, 0, true);
+    records.push(end.buffer);
+
+    return new Blob([...parts, ...central, ...records], { type: 'application/zip' });
+  }
+
+  /**
+   * Read the entries of a ZIP file as [{ name, data: Blob }].
+   * Supports stored and deflated entries and ZIP64 archives; data is
+   * sliced lazily from the file.
+   */
+  async function read(file) {
+    const tailSize = Math.min(file.size, 22 + 0xFFFF);
+    const tailStart = file.size - tailSize;
+    const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+
+    // End of central directory record, searched backwards past any comment
+    let endPos = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === 0x06054B50) {
+        endPos = i;
+        break;
+      }
+    }
+    if (endPos < 0) {
+      throw new Error('Not a ZIP file');
+    }
+
+    let entryCount = tail.getUint16(endPos + 10, true);
+    let centralSize = tail.getUint32(endPos + 12, true);
+    let centralOffset = tail.getUint32(endPos + 16, true);
+
+    // A ZIP64 locator right before the end record points to the real values
+    const locatorStart = tailStart + endPos - 20;
+    if (locatorStart >= 0) {
+      const locator = new DataView(await file.slice(locatorStart, locatorStart + 20).arrayBuffer());
+      if (locator.getUint32(0, true) === 0x07064B50) {
+        const recordStart = getUint64(locator, 8);
+        const record = new DataView(await file.slice(recordStart, recordStart + 56).arrayBuffer());
+        if (record.getUint32(0, true) !== 0x06064B50) {
+          throw new Error('Corrupt ZIP64 end of central directory');
+        }
+        entryCount = getUint64(record, 32);
+        centralSize = getUint64(record, 40);
+        centralOffset = getUint64(record, 48);
+      }
+    }
+
+    const central = new DataView(
+      await file.slice(centralOffset, centralOffset + centralSize).arrayBuffer()
+    );
+    const decoder = new TextDecoder();
+
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (central.getUint32(pos, true) !== 0x02014B50) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const method = central.getUint16(pos + 10, true);
+      let compressedSize = central.getUint32(pos + 20, true);
+      const size = central.getUint32(pos + 24, true);
+      const nameLength = central.getUint16(pos + 28, true);
+      const extraLength = central.getUint16(pos + 30, true);
+      const commentLength = central.getUint16(pos + 32, true);
+      let localOffset = central.getUint32(pos + 42, true);
+      const name = decoder.decode(
+        new Uint8Array(central.buffer, pos + 46, nameLength)
+      );
+
+      // ZIP64 extra field: 64-bit values for those set to 0xFFFFFFFF, in order
+      for (let extra = pos + 46 + nameLength; extra + 4 <= pos + 46 + nameLength + extraLength;) {
+        const id = central.getUint16(extra, true);
+        const length = central.getUint16(extra + 2, true);
+        if (id === 0x0001) {
+          let field = extra + 4;
+          if (size === MAX_32) field += 8;
+          if (compressedSize === MAX_32) {
+            compressedSize = getUint64(central, field);
+            field += 8;
+          }
+          if (localOffset === MAX_32) localOffset = getUint64(central, field);
+        }
+        extra += 4 + length;
+      }
+      pos += 46 + nameLength + extraLength + commentLength;
+
+      // Skip directories
+      if (name.endsWith('/')) continue;
+
+      const local = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+      const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+      const raw = file.slice(dataStart, dataStart + compressedSize);
+
+      let data;
+      if (method === 0) {
+        data = raw;
+      } else if (method === 8) {
+        const stream = raw.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        data = await new Response(stream).blob();
+      } else {
+        throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+      }
+
+      entries.push({ name, data });
+    }
+
+    return entries;
+  }
+
+  return {
+    create,
+    read,
+    crc32
+  };
+})();
@@ -0,0 +1,13 @@
+// ocr.js - v3
+// Offscreen document that reads screen text for the service worker, which
+// can't start the recognition worker or use TextDetector itself (see
+// lib/screen-text.js)
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'ocr_app') return false;
+
+  ScreenText.recognizeApp(request.appId)
+    .then(sendResponse)
+    .catch(error => sendResponse({ error: error.message }));
+  return true; // Async response
+});
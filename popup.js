@@ -2,7 +2,6 @@
 // Popup interface logic with improved error handling and content script injection
 
 const CONFIG = {
-  SCAN_TIMEOUT: 120000, // 2 minutes
   SUCCESS_DISPLAY_TIME: 3000,
   MOBBIN_DOMAIN: 'mobbin.com',
   INJECTION_RETRY_DELAY: 500,
@@ -17,13 +16,19 @@ const elements = {
   scanText: document.getElementById('scan-text'),
   scanSpinner: document.getElementById('scan-spinner'),
   btnDash: document.getElementById('btn-dashboard'),
+  btnDiagnose: document.getElementById('btn-diagnose'),
+  btnQueue: document.getElementById('btn-queue'),
   status: document.getElementById('status'),
   errorState: document.getElementById('error-state'),
+  captureOptions: document.getElementById('capture-options'),
+  collectionName: document.getElementById('collection-name'),
   actionButtons: document.getElementById('action-buttons')
 };
 
 let currentTab = null;
-let scanTimeout = null;
+let currentMeta = null;
+let resetTimer = null;
+let storageWarned = false;
 
 // Initialize on DOM load
 document.addEventListener('DOMContentLoaded', () => {
@@ -65,6 +70,10 @@ async function initializePopup() {
     if (meta && !meta.error) {
       updateUI(meta);
       updateStatus("Ready to scan", 'success');
+
+      // Pick up a scan started before the popup was last closed
+      const { session } = await chrome.runtime.sendMessage({ action: 'scan_get', tabId: currentTab.id });
+      if (session) renderSession(session, false);
     } else {
       showErrorState("Could not read page data");
       updateStatus("Page may not be fully loaded", 'warning');
@@ -115,7 +124,7 @@ async function injectContentScriptWithRetry() {
       // Try to inject
       await chrome.scripting.executeScript({
         target: { tabId: currentTab.id },
-        files: ['content.js']
+        files: ['lib/selector-profiles.js', 'content.js']
       });
 
       // Wait a bit for script to initialize
@@ -216,10 +225,10 @@ function getPageMeta() {
  * Attach event listeners
  */
 function attachEventListeners() {
-  // Listen for progress updates
+  // Follow this tab's scan, which runs in the background
   chrome.runtime.onMessage.addListener((message) => {
-    if (message.action === "update_progress") {
-      updateStatus(message.text, 'info');
+    if (message.action === "scan_changed" && message.session.tabId === currentTab?.id) {
+      renderSession(message.session, true);
     }
   });
 
@@ -230,90 +239,151 @@ function attachEventListeners() {
   elements.btnDash.addEventListener('click', () => {
     chrome.tabs.create({ url: "dashboard.html" });
   });
+
+  // Selector health check for this page
+  elements.btnDiagnose.addEventListener('click', handleDiagnose);
+
+  // Batch scan queue - always enabled
+  elements.btnQueue.addEventListener('click', () => {
+    chrome.tabs.create({ url: "queue.html" });
+  });
 }
 
 /**
- * Handle scan button click
+ * Handle scan button click. The scan itself runs in the background, so
+ * closing the popup doesn't stop it; progress arrives as scan_changed.
  */
 async function handleScan() {
   if (elements.btnScan.disabled) return;
 
-  try {
-    // Update UI to scanning state
-    setScanning(true);
-    updateStatus("Initializing scan...", 'info');
-
-    // Verify content script is still available
-    const isAvailable = await checkContentScriptInjected();
-    if (!isAvailable) {
-      throw new Error("Lost connection to page. Try refreshing.");
-    }
+  clearTimeout(resetTimer);
 
-    // Set timeout for long scans
-    scanTimeout = setTimeout(() => {
-      updateStatus("Scan taking longer than expected...", 'warning');
-    }, 30000); // 30 seconds
-
-    // Start scrape with timeout
-    const response = await Promise.race([
-      sendScrapeMessage(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error("Scan timeout - page may be too large")), CONFIG.SCAN_TIMEOUT)
-      )
-    ]);
-
-    clearTimeout(scanTimeout);
-
-    // Handle response
-    if (response.status === "success") {
-      const message = response.isUpdate 
-        ? `Updated! ${response.count} screens saved.`
-        : `Success! ${response.count} screens saved.`;
-      
-      updateStatus(message, 'success');
-      elements.scanText.textContent = "✓ Complete";
+  // Warn once when the scan likely won't fit; scanning again goes ahead
+  if (!storageWarned && await checkScanSpace()) return;
 
-      // Reset after delay
-      setTimeout(() => {
-        setScanning(false);
-        elements.scanText.textContent = "Scan This App";
-      }, CONFIG.SUCCESS_DISPLAY_TIME);
+  setScanning(true);
+  updateStatus("Initializing scan...", 'info');
 
-    } else if (response.status === "aborted") {
-      updateStatus("Scan cancelled", 'warning');
-      setScanning(false);
-      
-    } else {
+  // Pages listing many apps are saved as a collection
+  const options = isMultiAppPage()
+    ? { collectionName: elements.collectionName.value.trim() || currentMeta.name }
+    : {};
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'scan_start', tabId: currentTab.id, options });
+    if (response.status !== 'success') {
       throw new Error(response.message || "Scan failed");
     }
-
   } catch (error) {
     console.error('Scan error:', error);
-    clearTimeout(scanTimeout);
     updateStatus(error.message || "Scan failed. Please try again.", 'error');
     setScanning(false);
   }
 }
 
 /**
- * Send scrape message to content script
+ * Count what each selector profile matches on the page; the content
+ * script outlines the matches and shows a legend there
  */
-function sendScrapeMessage() {
-  return new Promise((resolve, reject) => {
-    chrome.tabs.sendMessage(
-      currentTab.id,
-      { action: "start_scrape" },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else if (!response) {
-          reject(new Error("No response from content script"));
-        } else {
-          resolve(response);
-        }
-      }
+async function handleDiagnose() {
+  try {
+    const result = await chrome.tabs.sendMessage(currentTab.id, { action: 'diagnose_selectors', highlight: true });
+    if (!result || result.error) throw new Error(result?.error || 'No response');
+
+    const summary = result.profiles
+      .map(profile => `${profile.name}: ${profile.screens} screen${profile.screens !== 1 ? 's' : ''}`)
+      .join(' • ');
+    const found = result.profiles.some(profile => profile.screens > 0);
+    updateStatus(`${summary}. Matches are outlined on the page.`, found ? 'info' : 'warning');
+  } catch (error) {
+    console.error('Diagnosis failed:', error);
+    updateStatus('Could not diagnose this page. Try refreshing it.', 'error');
+  }
+}
+
+/**
+ * Warn when a scan would likely run out of storage. Returns true when it
+ * warned.
+ */
+async function checkScanSpace() {
+  try {
+    const space = await chrome.runtime.sendMessage({ action: 'check_scan_space', appCount: 1 });
+    if (!space || space.error || !space.wouldExceed) return false;
+
+    storageWarned = true;
+    const toMb = bytes => Math.round(bytes / (1024 * 1024));
+    updateStatus(
+      `Storage is almost full: a scan needs about ${toMb(space.estimatedBytes)} MB and ` +
+      `${toMb(space.available)} MB are free. Free up space on the dashboard's Storage page, ` +
+      `or click Scan again to try anyway.`,
+      'warning'
     );
-  });
+    return true;
+  } catch (error) {
+    console.debug('Could not check storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Show a background scan session. `live` is true for changes seen while
+ * the popup is open, false for the state found when it opens.
+ */
+function renderSession(session, live) {
+  switch (session.status) {
+    case 'scanning':
+      setScanning(true);
+      updateStatus(session.progress || "Scanning...", 'info');
+      break;
+
+    case 'interrupted':
+      setScanning(true);
+      updateStatus(session.progress || "Page reloaded, waiting to resume...", 'warning');
+      break;
+
+    case 'done': {
+      const { count, isUpdate, changes, collectionName, appCount, skipped } = session.result;
+      let message = isUpdate 
+        ? `Updated! ${count} screens saved.`
+        : `Success! ${count} screens saved.`;
+
+      if (collectionName) {
+        message = `Success! ${count} screens from ${appCount} apps saved to "${collectionName}".`;
+        if (skipped) message += ` ${skipped} screens without an app were skipped.`;
+      }
+      
+      // Changes since the previous scan of this app
+      if (changes) {
+        const { added, removed } = changes;
+        message += added || removed 
+          ? ` ${added} new, ${removed} removed since last scan.`
+          : ' No changes since last scan.';
+      }
+      
+      updateStatus(message, 'success');
+
+      if (!live) {
+        setScanning(false);
+        break;
+      }
+
+      elements.scanSpinner.style.display = 'none';
+      elements.scanText.textContent = "✓ Complete";
+
+      // Reset after delay
+      resetTimer = setTimeout(() => setScanning(false), CONFIG.SUCCESS_DISPLAY_TIME);
+      break;
+    }
+
+    case 'aborted':
+      updateStatus("Scan cancelled", 'warning');
+      setScanning(false);
+      break;
+
+    default:
+      updateStatus(session.error || "Scan failed. Please try again.", 'error');
+      setScanning(false);
+  }
 }
 
 /**
@@ -325,13 +395,31 @@ function setScanning(isScanning) {
   
   if (isScanning) {
     elements.scanText.textContent = "Scanning...";
+  } else {
+    elements.scanText.textContent = isMultiAppPage() ? "Scan Into Collection" : "Scan This App";
   }
 }
 
+/**
+ * Whether the tab lists screens from many apps (search, pattern or
+ * collection pages) rather than showing one app
+ */
+function isMultiAppPage() {
+  return Boolean(currentMeta && currentMeta.pageType && currentMeta.pageType !== 'app');
+}
+
 /**
  * Update UI with page metadata
  */
 function updateUI(meta) {
+  currentMeta = meta;
+
+  if (isMultiAppPage()) {
+    elements.captureOptions.style.display = 'block';
+    elements.collectionName.value = meta.name;
+    elements.scanText.textContent = "Scan Into Collection";
+  }
+
   if (meta.logo && meta.logo !== "" && !meta.logo.includes('placeholder')) {
     elements.logoImg.src = meta.logo;
     elements.logoImg.style.display = "block";
@@ -0,0 +1,220 @@
+// queue.js - v3
+// Batch scan queue page: add URLs and follow the background scans
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  running: 'Scanning',
+  done: 'Saved',
+  failed: 'Failed'
+};
+
+const MOBBIN_TABS = ['https://mobbin.com/*', 'https://www.mobbin.com/*'];
+
+const elements = {
+  urls: document.getElementById('queue-urls'),
+  btnAddUrls: document.getElementById('btn-add-urls'),
+  btnAddTabs: document.getElementById('btn-add-tabs'),
+  addStatus: document.getElementById('queue-add-status'),
+  summary: document.getElementById('queue-summary-text'),
+  progress: document.getElementById('queue-progress'),
+  concurrency: document.getElementById('queue-concurrency'),
+  btnPause: document.getElementById('btn-queue-pause'),
+  btnClear: document.getElementById('btn-queue-clear'),
+  btnDashboard: document.getElementById('btn-open-dashboard'),
+  empty: document.getElementById('queue-empty'),
+  list: document.getElementById('queue-list')
+};
+
+let queueState = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  setupEventListeners();
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'queue_changed') render(message.queue);
+  });
+
+  render(await chrome.runtime.sendMessage({ action: 'queue_get' }));
+});
+
+function setupEventListeners() {
+  elements.btnAddUrls.addEventListener('click', () => {
+    const urls = elements.urls.value.split(/[\s,]+/).filter(Boolean);
+    if (urls.length === 0) {
+      showAddStatus('Paste at least one URL', 'error');
+      return;
+    }
+    addUrls(urls, true);
+  });
+
+  elements.btnAddTabs.addEventListener('click', async () => {
+    const tabs = await chrome.tabs.query({ url: MOBBIN_TABS });
+    if (tabs.length === 0) {
+      showAddStatus('No Mobbin tabs are open', 'error');
+      return;
+    }
+    addUrls(tabs.map(tab => tab.url), false);
+  });
+
+  elements.concurrency.addEventListener('change', () => {
+    sendSettings({ concurrency: elements.concurrency.value });
+  });
+
+  elements.btnPause.addEventListener('click', () => {
+    if (queueState) sendSettings({ paused: !queueState.paused });
+  });
+
+  elements.btnClear.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'queue_clear_finished' });
+  });
+
+  elements.btnDashboard.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'dashboard.html' });
+  });
+
+  elements.list.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-job]');
+    if (!button) return;
+
+    const action = button.dataset.action === 'retry' ? 'queue_retry' : 'queue_remove';
+    chrome.runtime.sendMessage({ action, jobId: button.dataset.job });
+  });
+}
+
+/**
+ * Send URLs to the background queue and report what happened
+ */
+async function addUrls(urls, clearInput) {
+  const { added, duplicates, invalid } = await chrome.runtime.sendMessage({ action: 'queue_add', urls });
+  const parts = [`${added} added`];
+  if (duplicates) parts.push(`${duplicates} already queued`);
+  if (invalid) parts.push(`${invalid} not Mobbin URLs`);
+  showAddStatus(parts.join(', '), added ? 'success' : 'error');
+
+  if (clearInput && added) elements.urls.value = '';
+  if (added) warnIfLowOnSpace(added);
+}
+
+/**
+ * Warn when the added scans would likely run out of storage
+ */
+async function warnIfLowOnSpace(appCount) {
+  const space = await chrome.runtime.sendMessage({ action: 'check_scan_space', appCount }).catch(() => null);
+  if (!space || space.error || !(space.wouldExceed || space.nearLimit)) return;
+
+  const toMb = bytes => Math.round(bytes / (1024 * 1024));
+  const message = space.wouldExceed
+    ? `These scans need about ${toMb(space.estimatedBytes)} MB, but only ${toMb(space.available)} MB are free. ` +
+      'Free up space on the dashboard\'s Storage page first.'
+    : `These scans need about ${toMb(space.estimatedBytes)} MB and will leave storage nearly full.`;
+  showAddStatus(`${elements.addStatus.textContent}. ${message}`, 'warning');
+}
+
+function sendSettings(settings) {
+  chrome.runtime.sendMessage({ action: 'queue_settings', ...settings });
+}
+
+function showAddStatus(text, type) {
+  elements.addStatus.textContent = text;
+  elements.addStatus.className = `queue-add-status ${type}`;
+}
+
+/**
+ * Redraw the page from the queue state
+ */
+function render(state) {
+  queueState = state;
+  const { jobs, counts } = state;
+
+  // Concurrency options only need building once
+  if (elements.concurrency.options.length !== state.maxConcurrency) {
+    elements.concurrency.innerHTML = '';
+    for (let i = 1; i <= state.maxConcurrency; i++) {
+      elements.concurrency.add(new Option(String(i), String(i)));
+    }
+  }
+  elements.concurrency.value = String(state.concurrency);
+
+  elements.btnPause.textContent = state.paused ? 'Resume' : 'Pause';
+  elements.btnClear.disabled = counts.done + counts.failed === 0;
+
+  const finished = counts.done + counts.failed;
+  const total = jobs.length;
+  elements.progress.style.width = total ? `${(finished / total) * 100}%` : '0%';
+
+  if (total === 0) {
+    elements.summary.textContent = 'Queue is empty';
+  } else {
+    const parts = [`${finished} of ${total} finished`];
+    if (counts.running) parts.push(`${counts.running} scanning`);
+    if (counts.failed) parts.push(`${counts.failed} failed`);
+    if (state.paused) parts.push('paused');
+    elements.summary.textContent = parts.join(' · ');
+  }
+
+  elements.empty.style.display = total ? 'none' : 'block';
+  elements.list.replaceChildren(...jobs.map(createJobItem));
+}
+
+function createJobItem(job) {
+  const item = document.createElement('li');
+  item.className = `queue-job ${job.status}`;
+
+  const status = document.createElement('span');
+  status.className = `queue-job-status ${job.status}`;
+  status.textContent = STATUS_LABELS[job.status] || job.status;
+
+  const info = document.createElement('div');
+  info.className = 'queue-job-info';
+
+  const title = document.createElement('div');
+  title.className = 'queue-job-title';
+  title.textContent = job.appName || job.url;
+  title.title = job.url;
+
+  const detail = document.createElement('div');
+  detail.className = 'queue-job-detail';
+  detail.textContent = describeJob(job);
+
+  info.append(title, detail);
+
+  const actions = document.createElement('div');
+  actions.className = 'queue-job-actions';
+  if (job.status === 'failed') {
+    actions.appendChild(createJobButton(job, 'retry', 'Retry'));
+  }
+  actions.appendChild(createJobButton(job, 'remove', job.status === 'running' ? 'Stop' : 'Remove'));
+
+  item.append(status, info, actions);
+  return item;
+}
+
+function createJobButton(job, action, label) {
+  const button = document.createElement('button');
+  button.className = 'btn-outline';
+  button.dataset.job = job.id;
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * One line of detail under a job's title
+ */
+function describeJob(job) {
+  const attempts = job.attempts > 1 ? ` (attempt ${job.attempts})` : '';
+
+  switch (job.status) {
+    case 'running':
+      return (job.progress || 'Scanning...') + attempts;
+    case 'done': {
+      let text = `${job.screenCount} screens saved`;
+      if (job.changes) text += ` · ${job.changes.added} new, ${job.changes.removed} removed`;
+      return text;
+    }
+    case 'failed':
+      return `${job.error || 'Scan failed'} after ${job.attempts} attempts`;
+    default:
+      return job.error ? `Retrying soon: ${job.error}${attempts}` : 'Waiting to start';
+  }
+}